@@ -1,4 +1,5 @@
 ﻿using Microsoft.JSInterop;
+using Microsoft.JSInterop.Infrastructure;
 using Moq;
 using PanoramicData.Blazor.WebGpu.Interop;
 using PanoramicData.Blazor.WebGpu.Tests.Infrastructure;
@@ -273,6 +274,166 @@ public class WebGpuJsInteropTests : TestBase
 		await act.Should().NotThrowAsync();
 	}
 
+	[Fact]
+	public async Task ReleaseResourceAsync_Should_InvokeReleaseResource_When_ResourceReleased()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		var interop = new WebGpuJsInterop(mockJsRuntime.Object);
+
+		// Act
+		await interop.ReleaseResourceAsync(134217729);
+
+		// Assert
+		mockModule.Verify(x => x.InvokeAsync<IJSVoidResult>(
+			"releaseResource",
+			It.Is<object[]>(args => (int)args[0] == 134217729)), Times.Once);
+	}
+
+	[Fact]
+	public async Task ReleaseResourceAsync_Should_NotThrow_When_ReleaseFails()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<IJSVoidResult>("releaseResource", It.IsAny<object[]>()))
+			.ThrowsAsync(new JSException("Device lost"));
+
+		var interop = new WebGpuJsInterop(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await interop.ReleaseResourceAsync(134217729);
+
+		// Assert
+		await act.Should().NotThrowAsync();
+	}
+
+	[Theory]
+	[InlineData("12 is not a valid render pipeline ID")]
+	[InlineData("Expected a render pipeline but ID 134217728 refers to a buffer")]
+	[InlineData("The render pipeline with ID 469762049 has already been released")]
+	public async Task SetPipelineAsync_Should_ThrowPDWebGpuException_When_HandleIsInvalid(string handleError)
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<IJSVoidResult>("setPipeline", It.IsAny<object[]>()))
+			.ThrowsAsync(new JSException(handleError));
+
+		var interop = new WebGpuJsInterop(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await interop.SetPipelineAsync(1, 469762049);
+
+		// Assert
+		var exception = await act.Should().ThrowExactlyAsync<PDWebGpuException>()
+			.WithMessage("Failed to set pipeline");
+		exception.WithInnerException<JSException>()
+			.WithMessage(handleError);
+	}
+
+	[Fact]
+	public async Task GetResourceSummaryAsync_Should_SummarizeByType()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuResourceSummary>("getResourceSummary", It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuResourceSummary
+			{
+				Frame = 120,
+				Resources = new[]
+				{
+					new WebGpuResourceInfo { Id = 1, Type = "buffer", Size = 1024, Owned = true },
+					new WebGpuResourceInfo { Id = 2, Type = "buffer", Size = 256, Owned = true },
+					new WebGpuResourceInfo { Id = 3, Type = "texture", Size = 4096, Owned = true },
+					new WebGpuResourceInfo { Id = 4, Type = "GPUSampler", Owned = true }
+				}
+			});
+
+		var interop = new WebGpuJsInterop(mockJsRuntime.Object);
+
+		// Act
+		var summary = await interop.GetResourceSummaryAsync();
+
+		// Assert
+		summary.TotalEstimatedBytes.Should().Be(5376);
+		summary.ByType.Should().HaveCount(3);
+		summary.ByType[0].Type.Should().Be("texture");
+		summary.ByType[1].Type.Should().Be("buffer");
+		summary.ByType[1].Count.Should().Be(2);
+		summary.ByType[1].EstimatedBytes.Should().Be(1280);
+		summary.ByType[2].EstimatedBytes.Should().Be(0);
+	}
+
+	[Fact]
+	public async Task GetResourceSummaryAsync_Should_ReportCanvasTextureAsUnowned_When_CanvasOwnsIt()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuResourceSummary>("getResourceSummary", It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuResourceSummary
+			{
+				Frame = 3,
+				Resources = new[]
+				{
+					new WebGpuResourceInfo { Id = 1, Type = "buffer", Size = 1024, Owned = true },
+					new WebGpuResourceInfo { Id = 2, Type = "texture", Label = "canvas", Size = 4096, Owned = false }
+				}
+			});
+
+		var interop = new WebGpuJsInterop(mockJsRuntime.Object);
+
+		// Act
+		var summary = await interop.GetResourceSummaryAsync();
+
+		// Assert
+		summary.Resources.Where(r => !r.Owned).Should().ContainSingle()
+			.Which.Label.Should().Be("canvas");
+		summary.TotalEstimatedBytes.Should().Be(5120);
+	}
+
 	[Fact]
 	public async Task DisposeAsync_Should_NotThrow()
 	{
@@ -321,4 +482,38 @@ public class WebGpuJsInteropTests : TestBase
 		// Assert
 		await act.Should().NotThrowAsync();
 	}
+
+	[Fact]
+	public async Task DisposeAsync_Should_InvokeJsDisposeOnceBeforeReleasingModule_When_DisposedTwice()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		var calls = new List<string>();
+		mockModule
+			.Setup(x => x.InvokeAsync<IJSVoidResult>("dispose", It.IsAny<object[]>()))
+			.Callback(() => calls.Add("dispose"))
+			.ReturnsAsync(Mock.Of<IJSVoidResult>());
+		mockModule
+			.Setup(x => x.DisposeAsync())
+			.Callback(() => calls.Add("module"))
+			.Returns(ValueTask.CompletedTask);
+
+		var interop = new WebGpuJsInterop(mockJsRuntime.Object);
+		await interop.IsSupportedAsync();
+
+		// Act
+		await interop.DisposeAsync();
+		await interop.DisposeAsync();
+
+		// Assert
+		calls.Should().Equal("dispose", "module");
+	}
 }
@@ -1,4 +1,6 @@
-﻿using Microsoft.JSInterop;
+﻿using System.Numerics;
+using System.Runtime.InteropServices;
+using Microsoft.JSInterop;
 using Moq;
 using PanoramicData.Blazor.WebGpu.Interop;
 using PanoramicData.Blazor.WebGpu.Resources;
@@ -122,6 +124,39 @@ public class ResourceTests : TestBase
 		buffer.IsDisposed.Should().BeTrue();
 	}
 
+	[Fact]
+	public async Task PDWebGpuBuffer_Should_ThrowOnRead_When_Disposed()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var buffer = new PDWebGpuBuffer(service, 42, 1024, BufferType.Storage);
+		await buffer.DisposeAsync();
+
+		// Act
+		var act = async () => await buffer.ReadAsync();
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ObjectDisposedException>();
+	}
+
+	[Fact]
+	public async Task PDWebGpuBuffer_Should_ThrowOnRead_When_UsageLacksCopySrc()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var buffer = new PDWebGpuBuffer(service, 42, 1024, BufferType.Storage);
+
+		// Act
+		var act = async () => await buffer.ReadAsync();
+
+		// Assert
+		buffer.Usage.Should().Be(BufferUsage.Storage | BufferUsage.CopyDst);
+		await act.Should().ThrowExactlyAsync<InvalidOperationException>()
+			.WithMessage("*CopySrc or MapRead*");
+	}
+
 	#endregion
 
 	#region PDWebGpuShader Tests
@@ -200,6 +235,70 @@ public class ResourceTests : TestBase
 		depth.Format.Should().Be(TextureFormat.Depth32Float);
 	}
 
+	[Fact]
+	public void PDWebGpuTexture_Should_DefaultToSingleLayer2D()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+
+		// Act
+		var texture = new PDWebGpuTexture(service, 42, 64, 64, TextureFormat.RGBA8Unorm);
+
+		// Assert
+		texture.Dimension.Should().Be("2d");
+		texture.DepthOrArrayLayers.Should().Be(1);
+		texture.MipLevelCount.Should().Be(1);
+		texture.Name.Should().BeNull();
+		texture.ViewDimension.Should().BeNull();
+		texture.IsCube.Should().BeFalse();
+	}
+
+	[Fact]
+	public void PDWebGpuTexture_Should_ReportCube_When_ViewDimensionIsCube()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+
+		// Act
+		var texture = new PDWebGpuTexture(service, 42, 512, 512, TextureFormat.RGBA8Unorm, depthOrArrayLayers: 6, viewDimension: "cube");
+
+		// Assert
+		texture.IsCube.Should().BeTrue();
+		texture.DepthOrArrayLayers.Should().Be(6);
+	}
+
+	[Fact]
+	public async Task PDWebGpuTexture_Should_ThrowOnWrite_When_Disposed()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var texture = new PDWebGpuTexture(service, 42, 64, 64, TextureFormat.RGBA8Unorm);
+		await texture.DisposeAsync();
+
+		// Act
+		var act = async () => await texture.WriteAsync(new byte[64 * 64 * 4]);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ObjectDisposedException>();
+	}
+
+	[Theory]
+	[InlineData(1, 1, 1)]
+	[InlineData(256, 256, 9)]
+	[InlineData(1024, 768, 11)]
+	[InlineData(300, 17, 9)]
+	public void PDWebGpuTexture_Should_CalculateFullMipLevelCount(int width, int height, int expected)
+	{
+		// Act
+		var count = PDWebGpuTexture.GetMipLevelCount(width, height);
+
+		// Assert
+		count.Should().Be(expected);
+	}
+
 	[Fact]
 	public async Task PDWebGpuTexture_Should_DisposeAsync()
 	{
@@ -262,6 +361,36 @@ public class ResourceTests : TestBase
 		linearSampler.MagFilter.Should().Be(FilterMode.Linear);
 	}
 
+	[Fact]
+	public void PDWebGpuSampler_Should_BeCreatableFromDescriptor()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var descriptor = new SamplerDescriptor
+		{
+			AddressModeU = AddressMode.Repeat,
+			AddressModeV = AddressMode.MirrorRepeat,
+			AddressModeW = AddressMode.ClampToEdge,
+			LodMaxClamp = 8,
+			Compare = "less",
+			MaxAnisotropy = 4
+		};
+
+		// Act
+		var sampler = new PDWebGpuSampler(service, 42, descriptor, "ShadowSampler");
+
+		// Assert
+		sampler.AddressModeU.Should().Be(AddressMode.Repeat);
+		sampler.AddressModeV.Should().Be(AddressMode.MirrorRepeat);
+		sampler.AddressModeW.Should().Be(AddressMode.ClampToEdge);
+		sampler.MipmapFilter.Should().Be(FilterMode.Linear);
+		sampler.LodMaxClamp.Should().Be(8);
+		sampler.IsComparison.Should().BeTrue();
+		sampler.MaxAnisotropy.Should().Be(4);
+		sampler.Name.Should().Be("ShadowSampler");
+	}
+
 	[Fact]
 	public async Task PDWebGpuSampler_Should_DisposeAsync()
 	{
@@ -281,6 +410,81 @@ public class ResourceTests : TestBase
 
 	#endregion
 
+	#region PDWebGpuVideoSource Tests
+
+	[Fact]
+	public void PDWebGpuVideoSource_Should_InitializeProperties()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+
+		// Act
+		var source = new PDWebGpuVideoSource(service, 42, 1280, 720, "Camera");
+
+		// Assert
+		source.ResourceId.Should().Be(42);
+		source.Width.Should().Be(1280);
+		source.Height.Should().Be(720);
+		source.Name.Should().Be("Camera");
+		source.IsDisposed.Should().BeFalse();
+	}
+
+	[Fact]
+	public async Task PDWebGpuVideoSource_Should_ThrowOnUpdateTexture_When_Disposed()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var source = new PDWebGpuVideoSource(service, 42, 1280, 720);
+		await source.DisposeAsync();
+
+		// Act
+		var act = async () => await source.UpdateTextureAsync();
+
+		// Assert
+		source.IsDisposed.Should().BeTrue();
+		await act.Should().ThrowExactlyAsync<ObjectDisposedException>();
+	}
+
+	[Fact]
+	public async Task PDWebGpuVideoSource_Should_AdvanceTextureVersion_When_FrameSizeChanges()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var mockModule = new Mock<IJSObjectReference>();
+		mockJs
+			.Setup(x => x.InvokeAsync<IJSObjectReference>("import", It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>("getCompatibilityInfo", It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>("initializeAsync", It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo { AdapterInfo = new AdapterInfo { Vendor = "Test" } });
+		mockModule
+			.SetupSequence(x => x.InvokeAsync<TextureLoadResult>("updateVideoTexture", It.IsAny<object[]>()))
+			.ReturnsAsync(new TextureLoadResult { TextureId = 7, Width = 640, Height = 480 })
+			.ReturnsAsync(new TextureLoadResult { TextureId = 7, Width = 640, Height = 480 })
+			.ReturnsAsync(new TextureLoadResult { TextureId = 7, Width = 1280, Height = 720 });
+		var service = new PDWebGpuService(mockJs.Object);
+		var source = new PDWebGpuVideoSource(service, 42, 640, 480);
+		var versions = new List<int>();
+
+		// Act
+		for (var i = 0; i < 3; i++)
+		{
+			await source.UpdateTextureAsync();
+			versions.Add(source.TextureVersion);
+		}
+
+		// Assert
+		versions.Should().Equal(1, 1, 2);
+		source.Width.Should().Be(1280);
+	}
+
+	#endregion
+
 	#region PDWebGpuPipeline Tests
 
 	[Fact]
@@ -433,6 +637,340 @@ public class ResourceTests : TestBase
 		encoder.IsDisposed.Should().BeTrue();
 	}
 
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_RejectUnalignedBufferCopy()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var source = new PDWebGpuBuffer(service, 1, 64, BufferType.Storage);
+		var destination = new PDWebGpuBuffer(service, 2, 64, BufferType.Storage);
+
+		// Act
+		var act = async () => await encoder.CopyBufferToBufferAsync(source, 2, destination, 0, 16);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("sourceOffset");
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_RejectTextureCopyOutsideMipLevel()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var atlas = new PDWebGpuTexture(service, 1, 256, 256, TextureFormat.RGBA8Unorm, mipLevelCount: 9);
+		var tile = new PDWebGpuTexture(service, 2, 64, 64, TextureFormat.RGBA8Unorm);
+
+		// Act
+		var act = async () => await encoder.CopyTextureToTextureAsync(
+			new TextureCopyLocation(tile),
+			new TextureCopyLocation(atlas) { MipLevel = 2, X = 32 },
+			64, 64);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>()
+			.WithParameterName("destination");
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_ThrowOnClearBuffer_When_Disposed()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var buffer = new PDWebGpuBuffer(service, 1, 64, BufferType.Storage);
+		await encoder.DisposeAsync();
+
+		// Act
+		var act = async () => await encoder.ClearBufferAsync(buffer);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ObjectDisposedException>();
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_RejectDynamicOffset_When_NotAlignedTo256()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+
+		// Act
+		var act = async () => await encoder.SetBindGroupAsync(7, 0, 3, 256u, 100u);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("dynamicOffsets");
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_RejectIndexBufferOffset_When_NotAlignedToIndexSize()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+
+		// Act
+		var act = async () => await encoder.SetIndexBufferAsync(7, 3, "uint32", offset: 6);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("offset");
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_ThrowArgumentException_When_IndirectBufferLacksIndirectUsage()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var buffer = new PDWebGpuBuffer(service, 7, 64, BufferType.Storage);
+
+		// Act
+		var act = async () => await encoder.DispatchWorkgroupsIndirectAsync(3, buffer);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("indirectBuffer");
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_ThrowArgumentOutOfRangeException_When_IndirectArgumentsPastBufferEnd()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var buffer = new PDWebGpuBuffer(service, 7, 16, BufferType.Indirect);
+
+		// Act
+		var act = async () => await encoder.DispatchWorkgroupsIndirectAsync(3, buffer, 8);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>()
+			.WithParameterName("indirectOffset");
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_ThrowArgumentOutOfRangeException_When_IndexedDrawArgumentsPastBufferEnd()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var buffer = new PDWebGpuBuffer(service, 7, 32, BufferType.Indirect);
+
+		// Act
+		var act = async () => await encoder.DrawIndexedIndirectAsync(3, buffer, 16);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>()
+			.WithParameterName("indirectOffset");
+	}
+
+	[Fact]
+	public void PDWebGpuCommandList_Should_EncodeCommandsAsHeaderAndArgumentWords()
+	{
+		// Arrange
+		var commands = new PDWebGpuCommandList();
+
+		// Act
+		commands.UsePass(3);
+		commands.DrawIndexed(36, 2, 0, -4);
+		commands.EndPass();
+		var words = MemoryMarshal.Cast<byte, uint>(commands.ToBytes()).ToArray();
+
+		// Assert
+		commands.Count.Should().Be(3);
+		words.Should().Equal(3u | 1u << 16, 3u, 10u | 5u << 16, 36u, 2u, 0u, unchecked((uint)-4), 0u, 4u);
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_BeginRenderPass_When_ColorAttachmentHasNoResolveTarget()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var mockModule = new Mock<IJSObjectReference>();
+		mockJs
+			.Setup(x => x.InvokeAsync<IJSObjectReference>("import", It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+		object? jsDescriptor = null;
+		mockModule
+			.Setup(x => x.InvokeAsync<int>("beginRenderPass", It.IsAny<object[]>()))
+			.Callback<string, object[]>((_, args) => jsDescriptor = args[1])
+			.ReturnsAsync(9);
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var descriptor = new RenderPassDescriptor
+		{
+			ColorAttachments = [new ColorAttachment { ViewId = 5 }]
+		};
+
+		// Act
+		var passEncoderId = await encoder.BeginRenderPassAsync(descriptor);
+
+		// Assert
+		passEncoderId.Should().Be(9);
+		var colorAttachments = (Array)jsDescriptor!.GetType().GetProperty("colorAttachments")!.GetValue(jsDescriptor)!;
+		var attachment = colorAttachments.GetValue(0)!;
+		attachment.GetType().GetProperty("viewId")!.GetValue(attachment).Should().Be(5);
+		attachment.GetType().GetProperty("resolveTargetId")!.GetValue(attachment).Should().BeNull();
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_ThrowCommandException_When_CommandsFail()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var mockModule = new Mock<IJSObjectReference>();
+		mockJs
+			.Setup(x => x.InvokeAsync<IJSObjectReference>("import", It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+		mockModule
+			.Setup(x => x.InvokeAsync<CommandExecutionResult>("executeCommands", It.IsAny<object[]>()))
+			.ReturnsAsync(new CommandExecutionResult
+			{
+				Errors = [new PDWebGpuCommandError { Index = 1, Command = "DRAW", Message = "No pass has been begun or selected" }]
+			});
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var commands = new PDWebGpuCommandList();
+		commands.SetPipeline(5);
+		commands.Draw(3);
+
+		// Act
+		var act = async () => await encoder.ExecuteAsync(commands);
+
+		// Assert
+		var exception = await act.Should().ThrowExactlyAsync<PDWebGpuCommandException>();
+		exception.Which.Errors.Should().ContainSingle().Which.Index.Should().Be(1);
+	}
+
+	[Fact]
+	public async Task PDWebGpuCommandEncoder_Should_EndPassesLeftOpen_When_ListDoesNotEndThem()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var mockModule = new Mock<IJSObjectReference>();
+		mockJs
+			.Setup(x => x.InvokeAsync<IJSObjectReference>("import", It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+		var streams = new List<byte[]>();
+		mockModule
+			.Setup(x => x.InvokeAsync<CommandExecutionResult>("executeCommands", It.IsAny<object[]>()))
+			.Callback<string, object[]>((_, args) => streams.Add((byte[])args[1]))
+			.ReturnsAsync(() => new CommandExecutionResult { OpenPassIds = streams.Count == 1 ? [17] : [] });
+		var service = new PDWebGpuService(mockJs.Object);
+		var encoder = new PDWebGpuCommandEncoder(service, 42, new WebGpuJsInterop(mockJs.Object));
+		var commands = new PDWebGpuCommandList();
+		commands.BeginComputePass();
+		commands.DispatchWorkgroups(4);
+
+		// Act
+		await encoder.ExecuteAsync(commands);
+
+		// Assert
+		streams.Should().HaveCount(2);
+		var words = MemoryMarshal.Cast<byte, uint>(streams[1]).ToArray();
+		words.Should().Equal(3u | 1u << 16, 17u, 4u);
+	}
+
+	[Fact]
+	public void PDWebGpuParticleSystem_Should_ThrowInvalidOperationException_When_EmitterLimitReached()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var particles = new PDWebGpuParticleSystem(service, 42, 1000, ParticleBlendMode.Additive);
+		for (var i = 0; i < PDWebGpuParticleSystem.MaxEmitters; i++)
+		{
+			particles.AddEmitter(new ParticleEmitter());
+		}
+
+		// Act
+		var act = () => particles.AddEmitter(new ParticleEmitter());
+
+		// Assert
+		act.Should().ThrowExactly<InvalidOperationException>();
+		particles.Emitters.Should().HaveCount(PDWebGpuParticleSystem.MaxEmitters);
+	}
+
+	[Fact]
+	public void PickResult_Should_UnprojectPixelAndDepth_When_Hit()
+	{
+		// Arrange
+		var hit = new PickResult { ObjectId = 7, X = 3, Y = 0, Depth = 0.25f };
+
+		// Act
+		var position = hit.GetWorldPosition(Matrix4x4.Identity, 4, 4);
+
+		// Assert
+		hit.IsHit.Should().BeTrue();
+		position.Should().Be(new Vector3(0.75f, 0.75f, 0.25f));
+	}
+
+	[Fact]
+	public void PickResult_GetWorldPosition_Should_ReturnNull_When_Miss()
+	{
+		// Arrange
+		var miss = new PickResult();
+
+		// Act
+		var position = miss.GetWorldPosition(Matrix4x4.Identity, 4, 4);
+
+		// Assert
+		miss.IsHit.Should().BeFalse();
+		position.Should().BeNull();
+	}
+
+	[Fact]
+	public void PDWebGpuUniformRing_Should_CreateBindGroupEntryForRingBuffer()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var ring = new PDWebGpuUniformRing(service, 42, 43, 65536, 256);
+
+		// Act
+		var entry = ring.CreateBindGroupEntry(0, 64);
+
+		// Assert
+		entry.ResourceId.Should().Be(43);
+		entry.ResourceType.Should().Be("buffer");
+		entry.Size.Should().Be(64);
+		entry.Offset.Should().Be(0);
+	}
+
+	[Fact]
+	public void BindGroupEntry_Should_TagResourceTypeFromFactory()
+	{
+		// Arrange
+		var mockJs = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJs.Object);
+		var texture = new PDWebGpuTexture(service, 42, 256, 256, TextureFormat.RGBA8Unorm);
+
+		// Act
+		var sampled = BindGroupEntry.ForTexture(1, texture);
+		var storage = BindGroupEntry.ForStorageTexture(2, texture);
+		var view = BindGroupEntry.ForTextureView(3, 7);
+
+		// Assert
+		sampled.ResourceType.Should().Be("texture");
+		sampled.ResourceId.Should().Be(42);
+		storage.ResourceType.Should().Be("storageTexture");
+		storage.Binding.Should().Be(2);
+		view.ResourceType.Should().Be("texture");
+		view.ResourceId.Should().Be(7);
+	}
+
 	#endregion
 
 	#region Enum Tests
@@ -445,6 +983,9 @@ public class ResourceTests : TestBase
 		Enum.GetValues<BufferType>().Should().Contain(BufferType.Index);
 		Enum.GetValues<BufferType>().Should().Contain(BufferType.Uniform);
 		Enum.GetValues<BufferType>().Should().Contain(BufferType.Storage);
+		Enum.GetValues<BufferType>().Should().Contain(BufferType.QueryResolve);
+		Enum.GetValues<BufferType>().Should().Contain(BufferType.Indirect);
+		Enum.GetValues<BufferType>().Should().Contain(BufferType.Staging);
 	}
 
 	[Fact]
@@ -457,6 +998,50 @@ public class ResourceTests : TestBase
 		Enum.GetValues<TextureFormat>().Should().Contain(TextureFormat.Depth32Float);
 	}
 
+	[Fact]
+	public void TextureFormat_Should_MapToWebGpuFormatStrings()
+	{
+		TextureFormat.RGBA8Unorm.ToWebGpuFormat().Should().Be("rgba8unorm");
+		TextureFormat.BGRA8Unorm.ToWebGpuFormat().Should().Be("bgra8unorm");
+		TextureFormat.Depth24PlusStencil8.ToWebGpuFormat().Should().Be("depth24plus-stencil8");
+		TextureFormat.Depth32Float.ToWebGpuFormat().Should().Be("depth32float");
+		TextureFormat.RGBA8UnormSrgb.ToWebGpuFormat().Should().Be("rgba8unorm-srgb");
+		TextureFormat.BGRA8UnormSrgb.ToWebGpuFormat().Should().Be("bgra8unorm-srgb");
+		TextureFormat.R8Unorm.ToWebGpuFormat().Should().Be("r8unorm");
+		TextureFormat.R32Uint.ToWebGpuFormat().Should().Be("r32uint");
+	}
+
+	[Fact]
+	public void TextureFormat_Should_RoundTripThroughWebGpuFormatStrings()
+	{
+		foreach (var format in Enum.GetValues<TextureFormat>())
+		{
+			TextureFormatExtensions.FromWebGpuFormat(format.ToWebGpuFormat()).Should().Be(format);
+		}
+	}
+
+	[Fact]
+	public void TextureFormat_Should_ReportBlockSizeAndFeature_When_Compressed()
+	{
+		TextureFormat.BC1RGBAUnorm.GetBlockSize().Should().Be((4, 4, 8));
+		TextureFormat.BC7RGBAUnormSrgb.GetBlockSize().Should().Be((4, 4, 16));
+		TextureFormat.ASTC10x6Unorm.GetBlockSize().Should().Be((10, 6, 16));
+		TextureFormat.RGBA16Float.GetBlockSize().Should().Be((1, 1, 8));
+
+		TextureFormat.BC3RGBAUnorm.GetRequiredFeature().Should().Be("texture-compression-bc");
+		TextureFormat.EACRG11Unorm.GetRequiredFeature().Should().Be("texture-compression-etc2");
+		TextureFormat.ASTC4x4UnormSrgb.GetRequiredFeature().Should().Be("texture-compression-astc");
+		TextureFormat.RGBA8Unorm.GetRequiredFeature().Should().BeNull();
+		TextureFormat.RGBA8Unorm.IsCompressed().Should().BeFalse();
+	}
+
+	[Fact]
+	public void TextureLoadOptions_Should_SelectSrgbFormat_When_Requested()
+	{
+		new TextureLoadOptions().Format.Should().Be(TextureFormat.RGBA8Unorm);
+		new TextureLoadOptions { Srgb = true }.Format.Should().Be(TextureFormat.RGBA8UnormSrgb);
+	}
+
 	[Fact]
 	public void FilterMode_Should_HaveAllValues()
 	{
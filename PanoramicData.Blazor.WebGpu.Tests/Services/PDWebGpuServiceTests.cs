@@ -1,6 +1,8 @@
 ﻿using Microsoft.JSInterop;
+using Microsoft.JSInterop.Infrastructure;
 using Moq;
 using PanoramicData.Blazor.WebGpu.Interop;
+using PanoramicData.Blazor.WebGpu.Resources;
 using PanoramicData.Blazor.WebGpu.Services;
 using PanoramicData.Blazor.WebGpu.Tests.Infrastructure;
 
@@ -12,6 +14,7 @@ namespace PanoramicData.Blazor.WebGpu.Tests.Services;
 public class PDWebGpuServiceTests : TestBase
 {
 	private static readonly string[] DepthClipControlArray = new[] { "depth-clip-control" };
+	private static readonly string[] TextureCompressionBcArray = new[] { "texture-compression-bc" };
 
 	private static Mock<IJSRuntime> CreateMockJSRuntime(bool isSupported = true)
 	{
@@ -336,6 +339,930 @@ public class PDWebGpuServiceTests : TestBase
 		resourceId.Should().Be(42);
 	}
 
+	[Fact]
+	public async Task CreateTextureAsync_Should_ThrowArgumentException_When_SizeInvalid()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CreateTextureAsync(new TextureDescriptor { Width = 0, Height = 16 });
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task CreateTextureAsync_Should_ReturnTexture()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>(
+				"getCompatibilityInfo",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>(
+				"initializeAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo
+			{
+				AdapterInfo = new AdapterInfo { Vendor = "Test" }
+			});
+
+		mockModule
+			.Setup(x => x.InvokeAsync<int>(
+				"createTexture",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(42);
+
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		await service.InitializeAsync();
+
+		// Act
+		var texture = await service.CreateTextureAsync(new TextureDescriptor
+		{
+			Width = 256,
+			Height = 128,
+			MipLevelCount = 4
+		}, "TestTexture");
+
+		// Assert
+		texture.ResourceId.Should().Be(42);
+		texture.Width.Should().Be(256);
+		texture.Height.Should().Be(128);
+		texture.MipLevelCount.Should().Be(4);
+		texture.Name.Should().Be("TestTexture");
+	}
+
+	[Fact]
+	public async Task ReadBufferAsync_Should_ReturnBufferContents()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>(
+				"getCompatibilityInfo",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>(
+				"initializeAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo
+			{
+				AdapterInfo = new AdapterInfo { Vendor = "Test" }
+			});
+
+		mockModule
+			.Setup(x => x.InvokeAsync<byte[]>(
+				"readBufferAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new byte[] { 1, 2, 3, 4 });
+
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		await service.InitializeAsync();
+		var buffer = new PDWebGpuBuffer(service, 42, 16, BufferType.Storage, usage: BufferUsage.Storage | BufferUsage.CopySrc);
+
+		// Act
+		var data = await buffer.ReadAsync(4, 4);
+
+		// Assert
+		data.Should().Equal(1, 2, 3, 4);
+		mockModule.Verify(x => x.InvokeAsync<byte[]>(
+			"readBufferAsync",
+			It.Is<object[]>(args => (int)args[0] == 42 && (long)args[1] == 4 && (long?)args[2] == 4)), Times.Once);
+	}
+
+	[Fact]
+	public async Task ReadBufferAsync_Should_CompleteBothReads_When_MapReadBufferIsReadConcurrently()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>(
+				"getCompatibilityInfo",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>(
+				"initializeAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo
+			{
+				AdapterInfo = new AdapterInfo { Vendor = "Test" }
+			});
+
+		var firstRead = new TaskCompletionSource<byte[]>();
+		var secondRead = new TaskCompletionSource<byte[]>();
+		mockModule
+			.SetupSequence(x => x.InvokeAsync<byte[]>(
+				"readBufferAsync",
+				It.IsAny<object[]>()))
+			.Returns(new ValueTask<byte[]>(firstRead.Task))
+			.Returns(new ValueTask<byte[]>(secondRead.Task));
+
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		await service.InitializeAsync();
+		var buffer = new PDWebGpuBuffer(service, 42, 16, BufferType.Storage, usage: BufferUsage.MapRead | BufferUsage.CopyDst);
+
+		// Act
+		var readA = buffer.ReadAsync(0, 4);
+		var readB = buffer.ReadAsync(4, 4);
+		secondRead.SetResult([5, 6, 7, 8]);
+		firstRead.SetResult([1, 2, 3, 4]);
+		var results = await Task.WhenAll(readA, readB);
+
+		// Assert
+		results[0].Should().Equal(1, 2, 3, 4);
+		results[1].Should().Equal(5, 6, 7, 8);
+		mockModule.Verify(x => x.InvokeAsync<byte[]>(
+			"readBufferAsync",
+			It.IsAny<object[]>()), Times.Exactly(2));
+	}
+
+	[Theory]
+	[InlineData(TextureFormat.RGBA8Unorm, 392, 60)]
+	[InlineData(TextureFormat.BC1RGBAUnorm, 200, 15)]
+	[InlineData(TextureFormat.ASTC10x10Unorm, 160, 6)]
+	public async Task WriteTextureAsync_Should_DefaultRowLayoutToWholeBlocks_When_RegionOmitted(TextureFormat format, int expectedBytesPerRow, int expectedRowsPerImage)
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>(
+				"getCompatibilityInfo",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>(
+				"initializeAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo
+			{
+				AdapterInfo = new AdapterInfo { Vendor = "Test" }
+			});
+
+		object? jsDescriptor = null;
+		mockModule
+			.Setup(x => x.InvokeAsync<IJSVoidResult>("writeTexture", It.IsAny<object[]>()))
+			.Callback<string, object[]>((_, args) => jsDescriptor = args[2])
+			.ReturnsAsync(Mock.Of<IJSVoidResult>());
+
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 98, 60, format);
+
+		// Act
+		await service.WriteTextureAsync(texture, new byte[16]);
+
+		// Assert
+		jsDescriptor.Should().NotBeNull();
+		jsDescriptor!.GetType().GetProperty("bytesPerRow")!.GetValue(jsDescriptor).Should().Be(expectedBytesPerRow);
+		jsDescriptor.GetType().GetProperty("rowsPerImage")!.GetValue(jsDescriptor).Should().Be(expectedRowsPerImage);
+	}
+
+	[Fact]
+	public async Task CaptureCanvasAsync_Should_ThrowArgumentException_When_MimeTypeUnsupported()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CaptureCanvasAsync("canvas", "image/gif");
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("mimeType");
+	}
+
+	[Fact]
+	public async Task CaptureTextureAsync_Should_ThrowArgumentOutOfRangeException_When_QualityOutOfRange()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 64, 64, TextureFormat.RGBA8Unorm);
+
+		// Act
+		var act = async () => await service.CaptureTextureAsync(texture, "image/jpeg", 1.5);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>()
+			.WithParameterName("quality");
+	}
+
+	[Fact]
+	public async Task CaptureTextureAsync_Should_ThrowArgumentException_When_FormatIsNotColour()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 64, 64, TextureFormat.Depth32Float);
+
+		// Act
+		var act = async () => await service.CaptureTextureAsync(texture);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("texture");
+	}
+
+	[Fact]
+	public async Task ReadBufferAsync_Should_ThrowArgumentOutOfRangeException_When_RangeExceedsBuffer()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var buffer = new PDWebGpuBuffer(service, 42, 16, BufferType.Storage, usage: BufferUsage.Storage | BufferUsage.CopySrc);
+
+		// Act
+		var act = async () => await service.ReadBufferAsync(buffer, 8, 12);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>()
+			.WithParameterName("size");
+	}
+
+	[Fact]
+	public async Task ReduceBufferAsync_Should_ThrowArgumentException_When_OutputIsNotStorage()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var input = new PDWebGpuBuffer(service, 42, 1024, BufferType.Storage);
+		var output = new PDWebGpuBuffer(service, 43, 16, BufferType.Uniform);
+
+		// Act
+		var act = async () => await service.ReduceBufferAsync(input, output, ReductionOperation.Max);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("output");
+	}
+
+	[Fact]
+	public async Task ReduceBufferAsync_Should_ThrowArgumentException_When_InputIsNotStorage()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var input = new PDWebGpuBuffer(service, 42, 1024, BufferType.Vertex);
+		var output = new PDWebGpuBuffer(service, 43, 16, BufferType.Storage);
+
+		// Act
+		var act = async () => await service.ReduceBufferAsync(input, output, ReductionOperation.Sum);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("input");
+	}
+
+	[Fact]
+	public async Task ExclusiveScanBufferAsync_Should_ThrowArgumentException_When_InputLacksCopySrc()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var input = new PDWebGpuBuffer(service, 42, 64, BufferType.Storage);
+		var output = new PDWebGpuBuffer(service, 43, 64, BufferType.Storage);
+
+		// Act
+		var act = async () => await service.ExclusiveScanBufferAsync(input, output);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("output");
+	}
+
+	[Fact]
+	public async Task ExclusiveScanBufferAsync_Should_ThrowArgumentException_When_OutputIsNotStorage()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var input = new PDWebGpuBuffer(service, 42, 64, BufferType.Storage, usage: BufferUsage.Storage | BufferUsage.CopySrc);
+		var output = new PDWebGpuBuffer(service, 43, 64, BufferType.Staging, usage: BufferUsage.CopyDst | BufferUsage.MapRead);
+
+		// Act
+		var act = async () => await service.ExclusiveScanBufferAsync(input, output);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("output");
+	}
+
+	[Fact]
+	public async Task RadixSortBufferAsync_Should_ThrowArgumentOutOfRangeException_When_CountExceedsKeys()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var keys = new PDWebGpuBuffer(service, 42, 64, BufferType.Storage);
+
+		// Act
+		var act = async () => await service.RadixSortBufferAsync(keys, count: 17);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>()
+			.WithParameterName("count");
+	}
+
+	[Fact]
+	public async Task UpdateParticleSystemAsync_Should_ThrowArgumentException_When_KeyTimesDescend()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var particles = new PDWebGpuParticleSystem(service, 42, 1000, ParticleBlendMode.Alpha);
+		var encoder = new PDWebGpuCommandEncoder(service, 43, new WebGpuJsInterop(mockJsRuntime.Object));
+		particles.AddEmitter(new ParticleEmitter
+		{
+			SizeOverLife = new() { new ParticleSizeKey(0.5f, 1), new ParticleSizeKey(0.25f, 2) }
+		});
+
+		// Act
+		var act = async () => await particles.UpdateAsync(encoder, 16.7);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithMessage("Emitter 0 size key times must ascend from 0 to 1*")
+			.WithParameterName("system");
+	}
+
+	[Fact]
+	public async Task CreateFrustumCullerAsync_Should_ThrowArgumentException_When_DrawRangesOverlap()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var descriptor = new FrustumCullerDescriptor
+		{
+			Bounds = new PDWebGpuBuffer(service, 1, 1600, BufferType.Storage),
+			VisibleInstances = new PDWebGpuBuffer(service, 2, 400, BufferType.Storage),
+			IndirectBuffer = new PDWebGpuBuffer(service, 3, 64, BufferType.Indirect, usage: BufferUsage.Indirect | BufferUsage.Storage),
+			Draws = new()
+			{
+				new CulledDraw { FirstInstance = 0, InstanceCount = 60, IndexCount = 36 },
+				new CulledDraw { FirstInstance = 50, InstanceCount = 50, IndexCount = 6 }
+			}
+		};
+
+		// Act
+		var act = async () => await service.CreateFrustumCullerAsync(descriptor);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithMessage("Draw 1 *")
+			.WithParameterName("descriptor");
+	}
+
+	[Theory]
+	[InlineData(0, 1)]
+	[InlineData(1, -1)]
+	public async Task PickAsync_Should_ThrowArgumentOutOfRangeException_When_SizeNotPositive(int width, int height)
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var target = new PDWebGpuPickingTarget(service, 42, 640, 480, 43, 44);
+
+		// Act
+		var act = async () => await service.PickAsync(target, 10, 10, width, height);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentOutOfRangeException>();
+	}
+
+	[Theory]
+	[InlineData(BufferUsage.MapRead | BufferUsage.Storage)]
+	[InlineData(BufferUsage.MapWrite | BufferUsage.CopyDst)]
+	[InlineData(BufferUsage.MapRead | BufferUsage.MapWrite)]
+	[InlineData(BufferUsage.None)]
+	public async Task CreateBufferAsync_Should_ThrowArgumentException_When_UsageCombinationIsInvalid(BufferUsage usage)
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CreateBufferAsync(new BufferDescriptor { Size = 256, Usage = usage });
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task ReadBufferAsync_Should_ThrowArgumentException_When_BufferCannotBeCopiedOrMapped()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var buffer = new PDWebGpuBuffer(service, 42, 64, BufferType.Indirect, usage: BufferUsage.Indirect | BufferUsage.Storage);
+
+		// Act
+		var act = async () => await service.ReadBufferAsync(buffer);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("buffer");
+	}
+
+	[Fact]
+	public async Task WriteUniformRingAsync_Should_ThrowArgumentException_When_SizesDoNotMatchData()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var ring = new PDWebGpuUniformRing(service, 42, 43, 65536, 256);
+
+		// Act
+		var act = async () => await ring.WriteAsync(new byte[128], new[] { 64, 32 });
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("sizes");
+	}
+
+	[Fact]
+	public async Task CreateBindGroupLayoutAsync_Should_ThrowArgumentException_When_EntryHasNoBindingType()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var descriptor = new BindGroupLayoutDescriptor
+		{
+			Entries = new[]
+			{
+				new BindGroupLayoutEntry { Binding = 0, Buffer = new BufferBindingLayout() },
+				new BindGroupLayoutEntry { Binding = 1, Visibility = ShaderStage.Fragment }
+			}
+		};
+
+		// Act
+		var act = async () => await service.CreateBindGroupLayoutAsync(descriptor);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithMessage("Binding 1 must specify exactly one*");
+	}
+
+	[Fact]
+	public async Task CreateBindGroupLayoutAsync_Should_ThrowArgumentException_When_BindingIsDuplicated()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var descriptor = new BindGroupLayoutDescriptor
+		{
+			Entries = new[]
+			{
+				new BindGroupLayoutEntry { Binding = 0, Buffer = new BufferBindingLayout() },
+				new BindGroupLayoutEntry { Binding = 0, Sampler = new SamplerBindingLayout() }
+			}
+		};
+
+		// Act
+		var act = async () => await service.CreateBindGroupLayoutAsync(descriptor);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task CreateComputePipelineAsync_Should_ThrowArgumentException_When_ShaderMissing()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var descriptor = new ComputePipelineDescriptor
+		{
+			Compute = new ComputeState { EntryPoint = "reduce" }
+		};
+
+		// Act
+		var act = async () => await service.CreateComputePipelineAsync(descriptor);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task CreateBindGroupAsync_Should_ThrowArgumentException_When_ResourceTypeUnknown()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var descriptor = new BindGroupDescriptor
+		{
+			LayoutId = 1,
+			Entries = new[]
+			{
+				new BindGroupEntry { Binding = 2, ResourceId = 5, ResourceType = "image" }
+			}
+		};
+
+		// Act
+		var act = async () => await service.CreateBindGroupAsync(descriptor);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithMessage("Binding 2 has unknown resource type 'image'*");
+	}
+
+	[Fact]
+	public async Task CreateBindGroupAsync_Should_PassPipelineId_When_LayoutComesFromComputePipeline()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>(
+				"getCompatibilityInfo",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>(
+				"initializeAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo
+			{
+				AdapterInfo = new AdapterInfo { Vendor = "Test" }
+			});
+
+		mockModule
+			.Setup(x => x.InvokeAsync<int>("createComputePipeline", It.IsAny<object[]>()))
+			.ReturnsAsync(7);
+		object? jsDescriptor = null;
+		mockModule
+			.Setup(x => x.InvokeAsync<int>("createBindGroup", It.IsAny<object[]>()))
+			.Callback<string, object[]>((_, args) => jsDescriptor = args[0])
+			.ReturnsAsync(8);
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var pipeline = await service.CreateComputePipelineAsync(new ComputePipelineDescriptor
+		{
+			Compute = new ComputeState { Shader = new PDWebGpuShader(service, 42, "shader code"), EntryPoint = "reduce" }
+		});
+		var descriptor = new BindGroupDescriptor
+		{
+			PipelineId = pipeline.ResourceId,
+			Entries = new[]
+			{
+				new BindGroupEntry { Binding = 0, ResourceId = 5, ResourceType = "buffer" }
+			}
+		};
+
+		// Act
+		var bindGroup = await service.CreateBindGroupAsync(descriptor);
+
+		// Assert
+		bindGroup.ResourceId.Should().Be(8);
+		jsDescriptor.Should().NotBeNull();
+		jsDescriptor!.GetType().GetProperty("pipelineId")!.GetValue(jsDescriptor).Should().Be(7);
+	}
+
+	[Fact]
+	public async Task CreateBindGroupAsync_Should_ThrowArgumentException_When_BindingIsDuplicated()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var descriptor = new BindGroupDescriptor
+		{
+			LayoutId = 1,
+			Entries = new[]
+			{
+				new BindGroupEntry { Binding = 0, ResourceId = 5, ResourceType = "sampler" },
+				new BindGroupEntry { Binding = 0, ResourceId = 6, ResourceType = "texture" }
+			}
+		};
+
+		// Act
+		var act = async () => await service.CreateBindGroupAsync(descriptor);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task LoadCompressedTextureFromBytesAsync_Should_ReturnTextureInContainerFormat()
+	{
+		// Arrange
+		var mockJsRuntime = new Mock<IJSRuntime>();
+		var mockModule = new Mock<IJSObjectReference>();
+
+		mockJsRuntime
+			.Setup(x => x.InvokeAsync<IJSObjectReference>(
+				"import",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(mockModule.Object);
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuCompatibilityInfo>(
+				"getCompatibilityInfo",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuCompatibilityInfo { IsSupported = true });
+
+		mockModule
+			.Setup(x => x.InvokeAsync<WebGpuDeviceInfo>(
+				"initializeAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new WebGpuDeviceInfo
+			{
+				AdapterInfo = new AdapterInfo { Vendor = "Test" },
+				Features = TextureCompressionBcArray
+			});
+
+		mockModule
+			.Setup(x => x.InvokeAsync<TextureLoadResult>(
+				"loadCompressedTextureFromBytesAsync",
+				It.IsAny<object[]>()))
+			.ReturnsAsync(new TextureLoadResult
+			{
+				TextureId = 42,
+				Width = 512,
+				Height = 512,
+				DepthOrArrayLayers = 6,
+				Format = "bc7-rgba-unorm-srgb",
+				MipLevelCount = 10,
+				ViewDimension = "cube"
+			});
+
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		await service.InitializeAsync();
+
+		// Act
+		var texture = await service.LoadCompressedTextureFromBytesAsync(new byte[16], name: "Skybox");
+
+		// Assert
+		service.DeviceInfo!.HasFeature("texture-compression-bc").Should().BeTrue();
+		texture.ResourceId.Should().Be(42);
+		texture.Format.Should().Be(TextureFormat.BC7RGBAUnormSrgb);
+		texture.MipLevelCount.Should().Be(10);
+		texture.IsCube.Should().BeTrue();
+	}
+
+	[Fact]
+	public async Task LoadCompressedTextureFromBytesAsync_Should_ThrowArgumentException_When_DataEmpty()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.LoadCompressedTextureFromBytesAsync(Array.Empty<byte>());
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("data");
+	}
+
+	[Fact]
+	public async Task LoadHdrTextureFromBytesAsync_Should_ThrowArgumentException_When_FormatNotFloat()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.LoadHdrTextureFromBytesAsync(new byte[64], new HdrTextureOptions
+		{
+			Format = TextureFormat.RGBA8Unorm
+		});
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("options");
+	}
+
+	[Fact]
+	public async Task ConvertEquirectangularToCubemapAsync_Should_ThrowArgumentException_When_SourceHasLayers()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var cube = new PDWebGpuTexture(service, 42, 256, 256, TextureFormat.RGBA16Float, depthOrArrayLayers: 6, viewDimension: "cube");
+
+		// Act
+		var act = async () => await service.ConvertEquirectangularToCubemapAsync(cube);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("source");
+	}
+
+	[Fact]
+	public async Task CreateVideoSourceFromUrlAsync_Should_ThrowArgumentException_When_UrlIsEmpty()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CreateVideoSourceFromUrlAsync(" ");
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("url");
+	}
+
+	[Fact]
+	public async Task CreateVideoSourceAsync_Should_ThrowArgumentException_When_ElementIdIsEmpty()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CreateVideoSourceAsync(string.Empty);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("elementId");
+	}
+
+	[Fact]
+	public async Task CreateSamplerAsync_Should_ThrowArgumentException_When_AnisotropyWithNearestFilter()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CreateSamplerAsync(new SamplerDescriptor
+		{
+			MagFilter = FilterMode.Nearest,
+			MaxAnisotropy = 8
+		});
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task GenerateMipmapsAsync_Should_ThrowArgumentException_When_Texture3D()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 32, 32, TextureFormat.RGBA8Unorm, depthOrArrayLayers: 32, mipLevelCount: 6, dimension: "3d");
+
+		// Act
+		var act = async () => await service.GenerateMipmapsAsync(texture);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("texture");
+	}
+
+	[Theory]
+	[InlineData(TextureFormat.BC7RGBAUnorm)]
+	[InlineData(TextureFormat.Depth32Float)]
+	[InlineData(TextureFormat.R32Uint)]
+	public async Task GenerateMipmapsAsync_Should_ThrowArgumentException_When_FormatIsNotFilterableAndRenderable(TextureFormat format)
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 32, 32, format, mipLevelCount: 6);
+
+		// Act
+		var act = async () => await service.GenerateMipmapsAsync(texture);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("texture");
+	}
+
+	[Fact]
+	public async Task CreateTextureViewAsync_Should_ThrowArgumentException_When_CubeViewDoesNotHaveSixLayers()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 256, 256, TextureFormat.RGBA8Unorm, depthOrArrayLayers: 4);
+
+		// Act
+		var act = async () => await service.CreateTextureViewAsync(texture, new TextureViewDescriptor { Dimension = "cube" });
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task CreateTextureViewAsync_Should_ThrowArgumentException_When_3DViewOf2DTexture()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+		var texture = new PDWebGpuTexture(service, 42, 256, 256, TextureFormat.RGBA8Unorm);
+
+		// Act
+		var act = async () => await service.CreateTextureViewAsync(texture, new TextureViewDescriptor { Dimension = "3d" });
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("descriptor");
+	}
+
+	[Fact]
+	public async Task LoadCubeTextureFromUrlsAsync_Should_ThrowArgumentException_When_NotSixFaces()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.LoadCubeTextureFromUrlsAsync(new[] { "px.png", "nx.png", "py.png" });
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("faceUrls");
+	}
+
+	[Fact]
+	public async Task CreateVolumeTextureAsync_Should_ThrowArgumentException_When_DataLengthMismatch()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.CreateVolumeTextureAsync(new byte[100], 8, 8, 8);
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("voxels");
+	}
+
+	[Fact]
+	public async Task LoadTextureFromUrlAsync_Should_ThrowArgumentException_When_UrlEmpty()
+	{
+		// Arrange
+		var mockJsRuntime = CreateMockJSRuntime();
+		var service = new PDWebGpuService(mockJsRuntime.Object);
+
+		// Act
+		var act = async () => await service.LoadTextureFromUrlAsync("");
+
+		// Assert
+		await act.Should().ThrowExactlyAsync<ArgumentException>()
+			.WithParameterName("url");
+	}
+
 	[Fact]
 	public async Task SubmitCommandBuffersAsync_Should_NotThrow_When_EmptyArray()
 	{
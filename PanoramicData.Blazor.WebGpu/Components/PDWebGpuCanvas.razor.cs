@@ -1,6 +1,7 @@
 ﻿using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Components.Web;
 using Microsoft.JSInterop;
+using PanoramicData.Blazor.WebGpu.Resources;
 using PanoramicData.Blazor.WebGpu.Services;
 
 namespace PanoramicData.Blazor.WebGpu.Components;
@@ -15,6 +16,7 @@ public partial class PDWebGpuCanvas : PDWebGpuComponentBase
 	private int _width;
 	private int _height;
 	private bool _isInitialized;
+	private PDWebGpuPickingTarget? _pickingTarget;
 
 	[Inject]
 	private IPDWebGpuService WebGpuService { get; set; } = default!;
@@ -28,6 +30,18 @@ public partial class PDWebGpuCanvas : PDWebGpuComponentBase
 	[Parameter, EditorRequired]
 	public string CanvasId { get; set; } = string.Empty;
 
+	/// <summary>
+	/// Gets or sets whether the canvas keeps a <see cref="PickingTarget"/> the size of the canvas for <see cref="PickAsync"/>.
+	/// </summary>
+	[Parameter]
+	public bool EnablePicking { get; set; }
+
+	/// <summary>
+	/// Gets the picking target that object IDs are rendered into, or null if picking is not enabled.
+	/// It is resized along with the canvas, before the resize event is raised.
+	/// </summary>
+	public PDWebGpuPickingTarget? PickingTarget => _pickingTarget;
+
 	/// <summary>
 	/// Gets the canvas context ID.
 	/// </summary>
@@ -76,6 +90,11 @@ public partial class PDWebGpuCanvas : PDWebGpuComponentBase
 			// Get canvas size
 			await UpdateCanvasSizeAsync();
 
+			if (EnablePicking)
+			{
+				_pickingTarget = await WebGpuService.CreatePickingTargetAsync(Math.Max(_width, 1), Math.Max(_height, 1), $"{CanvasId} picking");
+			}
+
 			_isInitialized = true;
 
 			// Raise GPU ready event
@@ -103,6 +122,7 @@ public partial class PDWebGpuCanvas : PDWebGpuComponentBase
 
 			if (oldWidth != _width || oldHeight != _height)
 			{
+				await ResizePickingTargetAsync();
 				await RaiseResizeAsync(new PDWebGpuResizeEventArgs
 				{
 					Width = _width,
@@ -131,6 +151,7 @@ public partial class PDWebGpuCanvas : PDWebGpuComponentBase
 		_width = width;
 		_height = height;
 
+		await ResizePickingTargetAsync();
 		await RaiseResizeAsync(new PDWebGpuResizeEventArgs
 		{
 			Width = width,
@@ -140,6 +161,66 @@ public partial class PDWebGpuCanvas : PDWebGpuComponentBase
 		});
 	}
 
+	/// <summary>
+	/// Captures the next frame rendered to the canvas as a PNG, JPEG or WebP image.
+	/// Start the capture before rendering the frame and await it afterwards.
+	/// </summary>
+	/// <param name="mimeType">The image MIME type ("image/png", "image/jpeg" or "image/webp").</param>
+	/// <param name="quality">Encoder quality between 0 and 1 for JPEG and WebP, or null for the browser default.</param>
+	/// <returns>The encoded image bytes.</returns>
+	public Task<byte[]> CaptureAsync(string mimeType = "image/png", double? quality = null)
+	{
+		if (_contextId == null)
+		{
+			throw new InvalidOperationException("The canvas has not been initialized");
+		}
+
+		return WebGpuService.CaptureCanvasAsync(_contextId, mimeType, quality);
+	}
+
+	/// <summary>
+	/// Finds the nearest object rendered into <see cref="PickingTarget"/> at a point on the canvas, such as a
+	/// mouse event's offset. Submit the frame that renders the IDs before picking.
+	/// </summary>
+	/// <param name="x">The point's X coordinate in CSS pixels from the canvas's left edge.</param>
+	/// <param name="y">The point's Y coordinate in CSS pixels from the canvas's top edge.</param>
+	/// <param name="radius">The number of pixels around the point to search, for easier picking of thin objects (default: 0).</param>
+	/// <returns>The pick result, with the object ID and depth of the nearest object.</returns>
+	public Task<PickResult> PickAsync(double x, double y, int radius = 0)
+	{
+		if (_pickingTarget == null)
+		{
+			throw new InvalidOperationException(EnablePicking
+				? "The canvas has not been initialized"
+				: "Picking is not enabled; set EnablePicking to true");
+		}
+
+		// The target usually matches the canvas size, but scale in case a resize is in flight
+		var scaleX = _width > 0 ? (double)_pickingTarget.Width / _width : 1;
+		var scaleY = _height > 0 ? (double)_pickingTarget.Height / _height : 1;
+		return _pickingTarget.PickAsync((int)Math.Floor(x * scaleX), (int)Math.Floor(y * scaleY), radius);
+	}
+
+	private async Task ResizePickingTargetAsync()
+	{
+		if (_pickingTarget != null && _width > 0 && _height > 0)
+		{
+			await _pickingTarget.ResizeAsync(_width, _height);
+		}
+	}
+
+	/// <inheritdoc/>
+	protected override async ValueTask DisposeAsyncCore()
+	{
+		if (_pickingTarget != null)
+		{
+			await _pickingTarget.DisposeAsync();
+			_pickingTarget = null;
+		}
+
+		await base.DisposeAsyncCore();
+	}
+
 	private class CanvasSize
 	{
 		public int Width { get; set; }
@@ -0,0 +1,59 @@
+﻿namespace PanoramicData.Blazor.WebGpu;
+
+/// <summary>
+/// Exception thrown when commands of a <see cref="Resources.PDWebGpuCommandList"/> fail to execute.
+/// </summary>
+public class PDWebGpuCommandException : PDWebGpuException
+{
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuCommandException"/> class.
+	/// </summary>
+	public PDWebGpuCommandException()
+	{
+	}
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuCommandException"/> class with a specified error message.
+	/// </summary>
+	/// <param name="message">The message that describes the error.</param>
+	public PDWebGpuCommandException(string message) : base(message)
+	{
+	}
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuCommandException"/> class with a specified error message
+	/// and the errors of the commands that failed.
+	/// </summary>
+	/// <param name="message">The message that describes the error.</param>
+	/// <param name="errors">The errors of the commands that failed, in command order.</param>
+	public PDWebGpuCommandException(string message, IReadOnlyList<PDWebGpuCommandError> errors) : base(message)
+	{
+		Errors = errors ?? throw new ArgumentNullException(nameof(errors));
+	}
+
+	/// <summary>
+	/// Gets the errors of the commands that failed, in command order.
+	/// </summary>
+	public IReadOnlyList<PDWebGpuCommandError> Errors { get; } = [];
+}
+
+/// <summary>
+/// The error of one command of a command list.
+/// </summary>
+public class PDWebGpuCommandError
+{
+	/// <summary>
+	/// Gets or sets the index of the command in the list.
+	/// </summary>
+	public int Index { get; set; }
+
+	/// <summary>
+	/// Gets or sets the command's name (e.g. "DRAW_INDEXED").
+	/// </summary>
+	public string Command { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Gets or sets the error message.
+	/// </summary>
+	public string Message { get; set; } = string.Empty;
+}
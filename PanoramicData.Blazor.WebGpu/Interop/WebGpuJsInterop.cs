@@ -1,4 +1,5 @@
-﻿using Microsoft.JSInterop;
+﻿using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
 
 namespace PanoramicData.Blazor.WebGpu.Interop;
 
@@ -140,7 +141,7 @@ internal sealed class WebGpuJsInterop : IAsyncDisposable
 	}
 
 	/// <summary>
-	/// Gets the current texture from a canvas context.
+	/// Gets the current texture from a canvas context, releasing the context's previous texture and its views.
 	/// </summary>
 	/// <param name="contextId">The canvas context ID.</param>
 	/// <returns>Resource ID for the texture.</returns>
@@ -157,6 +158,46 @@ internal sealed class WebGpuJsInterop : IAsyncDisposable
 		}
 	}
 
+	/// <summary>
+	/// Captures the contents of a texture as an encoded image.
+	/// </summary>
+	/// <param name="textureId">The texture resource ID.</param>
+	/// <param name="mimeType">The image MIME type.</param>
+	/// <param name="quality">Encoder quality between 0 and 1 for lossy types, or null for the default.</param>
+	/// <returns>The encoded image bytes.</returns>
+	public async ValueTask<byte[]> CaptureTextureAsync(int textureId, string mimeType, double? quality)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<byte[]>("captureTextureAsync", textureId, mimeType, quality);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to capture texture", ex);
+		}
+	}
+
+	/// <summary>
+	/// Captures the next frame rendered to a canvas as an encoded image.
+	/// </summary>
+	/// <param name="contextId">The canvas context ID.</param>
+	/// <param name="mimeType">The image MIME type.</param>
+	/// <param name="quality">Encoder quality between 0 and 1 for lossy types, or null for the default.</param>
+	/// <returns>The encoded image bytes.</returns>
+	public async ValueTask<byte[]> CaptureCanvasAsync(string contextId, string mimeType, double? quality)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<byte[]>("captureCanvasAsync", contextId, mimeType, quality);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException($"Failed to capture canvas '{contextId}'", ex);
+		}
+	}
+
 	/// <summary>
 	/// Creates a texture view from a texture.
 	/// </summary>
@@ -177,342 +218,1336 @@ internal sealed class WebGpuJsInterop : IAsyncDisposable
 	}
 
 	/// <summary>
-	/// Creates a shader module from WGSL source code.
+	/// Creates a texture.
 	/// </summary>
-	/// <param name="wgslCode">The WGSL shader source code.</param>
-	/// <returns>Resource ID for the shader module.</returns>
-	public async ValueTask<int> CreateShaderModuleAsync(string wgslCode)
+	/// <param name="descriptor">Texture descriptor.</param>
+	/// <returns>Resource ID for the texture.</returns>
+	public async ValueTask<int> CreateTextureAsync(object descriptor)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("createShaderModuleAsync", wgslCode);
+			return await module.InvokeAsync<int>("createTexture", descriptor);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuShaderCompilationException("Shader compilation failed", wgslCode, ex);
+			throw new PDWebGpuException("Failed to create texture", ex);
 		}
 	}
 
 	/// <summary>
-	/// Submits command buffers to the device queue.
+	/// Writes data into a region of a texture.
 	/// </summary>
-	/// <param name="commandBufferIds">Array of command buffer resource IDs.</param>
-	public async ValueTask SubmitCommandBuffersAsync(int[] commandBufferIds)
+	/// <param name="textureId">The texture resource ID.</param>
+	/// <param name="data">The texel data.</param>
+	/// <param name="descriptor">Data layout and destination region.</param>
+	public async ValueTask WriteTextureAsync(int textureId, byte[] data, object descriptor)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("submitCommandBuffers", new object[] { commandBufferIds });
+			await module.InvokeVoidAsync("writeTexture", textureId, data, descriptor);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to submit command buffers", ex);
+			throw new PDWebGpuException("Failed to write texture", ex);
 		}
 	}
 
 	/// <summary>
-	/// Releases a WebGPU resource.
+	/// Loads a KTX2 or DDS texture container from a URL into a new texture.
 	/// </summary>
-	/// <param name="resourceId">The resource ID to release.</param>
-	public async ValueTask ReleaseResourceAsync(int resourceId)
+	/// <param name="url">The container URL.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID, dimensions and format.</returns>
+	public async ValueTask<TextureLoadResult> LoadCompressedTextureFromUrlAsync(string url, object options)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("releaseResource", resourceId);
+			return await module.InvokeAsync<TextureLoadResult>("loadCompressedTextureFromUrlAsync", url, options);
 		}
-		catch
+		catch (JSException ex)
 		{
-			// Ignore errors during resource cleanup
+			throw new PDWebGpuException($"Failed to load compressed texture from '{url}'", ex);
 		}
 	}
 
 	/// <summary>
-	/// Registers a .NET callback for page visibility changes.
+	/// Loads a KTX2 or DDS texture container from bytes into a new texture.
 	/// </summary>
-	/// <param name="dotNetRef">The .NET object reference.</param>
-	/// <returns>Callback ID for later removal.</returns>
-	public async ValueTask<int> RegisterVisibilityCallbackAsync(DotNetObjectReference<IVisibilityCallback> dotNetRef)
+	/// <param name="data">The container bytes.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID, dimensions and format.</returns>
+	public async ValueTask<TextureLoadResult> LoadCompressedTextureFromBytesAsync(byte[] data, object options)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("registerVisibilityCallback", dotNetRef);
+			return await module.InvokeAsync<TextureLoadResult>("loadCompressedTextureFromBytesAsync", data, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to load compressed texture from bytes", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads a Radiance .hdr (RGBE) image from a URL into a new float texture.
+	/// </summary>
+	/// <param name="url">The image URL.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID, dimensions and format.</returns>
+	public async ValueTask<TextureLoadResult> LoadHdrTextureFromUrlAsync(string url, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadHdrTextureFromUrlAsync", url, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException($"Failed to load HDR texture from '{url}'", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads a Radiance .hdr (RGBE) image from bytes into a new float texture.
+	/// </summary>
+	/// <param name="data">The .hdr file bytes.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID, dimensions and format.</returns>
+	public async ValueTask<TextureLoadResult> LoadHdrTextureFromBytesAsync(byte[] data, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadHdrTextureFromBytes", data, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to load HDR texture from bytes", ex);
+		}
+	}
+
+	/// <summary>
+	/// Renders an equirectangular texture into the six faces of a new cube texture.
+	/// </summary>
+	/// <param name="textureId">The equirectangular source texture resource ID.</param>
+	/// <param name="options">Conversion options.</param>
+	/// <returns>The cube texture resource ID, dimensions and format.</returns>
+	public async ValueTask<TextureLoadResult> ConvertEquirectangularToCubemapAsync(int textureId, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("convertEquirectangularToCubemap", textureId, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to convert equirectangular texture to cube map", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads six face images into a new cube texture.
+	/// </summary>
+	/// <param name="faceUrls">Face image URLs in +X, -X, +Y, -Y, +Z, -Z order.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID and dimensions.</returns>
+	public async ValueTask<TextureLoadResult> LoadCubeTextureFromUrlsAsync(string[] faceUrls, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadCubeTextureFromUrlsAsync", faceUrls, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to load cube texture", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads a cube texture from a single cross layout image.
+	/// </summary>
+	/// <param name="url">The cross image URL.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID and dimensions.</returns>
+	public async ValueTask<TextureLoadResult> LoadCubeTextureFromCrossAsync(string url, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadCubeTextureFromCrossAsync", url, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException($"Failed to load cube texture from '{url}'", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads a list of same-sized images into the layers of a new 2D array texture.
+	/// </summary>
+	/// <param name="urls">Layer image URLs.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID and dimensions.</returns>
+	public async ValueTask<TextureLoadResult> LoadTextureArrayFromUrlsAsync(string[] urls, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadTextureArrayFromUrlsAsync", urls, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to load texture array", ex);
+		}
+	}
+
+	/// <summary>
+	/// Registers an existing video element as a video texture source.
+	/// </summary>
+	/// <param name="video">The video element.</param>
+	/// <returns>The video source resource ID and frame size.</returns>
+	public async ValueTask<VideoSourceResult> CreateVideoSourceAsync(ElementReference video)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<VideoSourceResult>("createVideoSource", video);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create video source", ex);
+		}
+	}
+
+	/// <summary>
+	/// Registers the video element with the given ID as a video texture source.
+	/// </summary>
+	/// <param name="elementId">The video element ID.</param>
+	/// <returns>The video source resource ID and frame size.</returns>
+	public async ValueTask<VideoSourceResult> CreateVideoSourceAsync(string elementId)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<VideoSourceResult>("createVideoSource", elementId);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException($"Failed to create video source from element '{elementId}'", ex);
+		}
+	}
+
+	/// <summary>
+	/// Plays a video clip in a hidden video element and registers it as a video texture source.
+	/// </summary>
+	/// <param name="url">The video URL.</param>
+	/// <param name="options">Playback options.</param>
+	/// <returns>The video source resource ID and frame size.</returns>
+	public async ValueTask<VideoSourceResult> CreateVideoSourceFromUrlAsync(string url, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<VideoSourceResult>("createVideoSourceFromUrlAsync", url, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException($"Failed to create video source from URL '{url}'", ex);
+		}
+	}
+
+	/// <summary>
+	/// Opens a camera stream and registers it as a video texture source.
+	/// </summary>
+	/// <param name="constraints">getUserMedia constraints, or null for the default camera.</param>
+	/// <returns>The video source resource ID and frame size.</returns>
+	public async ValueTask<VideoSourceResult> CreateVideoSourceFromCameraAsync(object? constraints)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<VideoSourceResult>("createVideoSourceFromCameraAsync", constraints);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create camera video source", ex);
+		}
+	}
+
+	/// <summary>
+	/// Copies the current frame of a video source into its texture.
+	/// </summary>
+	/// <param name="sourceId">The video source resource ID.</param>
+	/// <returns>The texture resource ID and frame size.</returns>
+	public async ValueTask<TextureLoadResult> UpdateVideoTextureAsync(int sourceId)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("updateVideoTexture", sourceId);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to update video texture", ex);
+		}
+	}
+
+	/// <summary>
+	/// Fills every mip level of a texture by downsampling from mip level 0.
+	/// </summary>
+	/// <param name="textureId">The texture resource ID.</param>
+	public async ValueTask GenerateMipmapsAsync(int textureId)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("generateMipmaps", textureId);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to generate mipmaps", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads an image from a URL into a new texture.
+	/// </summary>
+	/// <param name="url">The image URL.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID and dimensions.</returns>
+	public async ValueTask<TextureLoadResult> LoadTextureFromUrlAsync(string url, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadTextureFromUrlAsync", url, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException($"Failed to load texture from '{url}'", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads an encoded image from bytes into a new texture.
+	/// </summary>
+	/// <param name="data">The encoded image bytes (PNG, JPEG, WebP, etc.).</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID and dimensions.</returns>
+	public async ValueTask<TextureLoadResult> LoadTextureFromBytesAsync(byte[] data, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadTextureFromBytesAsync", data, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to load texture from bytes", ex);
+		}
+	}
+
+	/// <summary>
+	/// Loads an encoded image from a .NET stream into a new texture.
+	/// </summary>
+	/// <param name="stream">The stream reference for the encoded image.</param>
+	/// <param name="options">Load options.</param>
+	/// <returns>The texture resource ID and dimensions.</returns>
+	public async ValueTask<TextureLoadResult> LoadTextureFromStreamAsync(DotNetStreamReference stream, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<TextureLoadResult>("loadTextureFromBlobAsync", stream, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to load texture from stream", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a texture sampler.
+	/// </summary>
+	/// <param name="descriptor">Sampler descriptor.</param>
+	/// <returns>Resource ID for the sampler.</returns>
+	public async ValueTask<int> CreateSamplerAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createSampler", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create sampler", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a shader module from WGSL source code.
+	/// </summary>
+	/// <param name="wgslCode">The WGSL shader source code.</param>
+	/// <returns>Resource ID for the shader module.</returns>
+	public async ValueTask<int> CreateShaderModuleAsync(string wgslCode)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createShaderModuleAsync", wgslCode);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuShaderCompilationException("Shader compilation failed", wgslCode, ex);
+		}
+	}
+
+	/// <summary>
+	/// Submits command buffers to the device queue and releases them.
+	/// </summary>
+	/// <param name="commandBufferIds">Array of command buffer resource IDs.</param>
+	public async ValueTask SubmitCommandBuffersAsync(int[] commandBufferIds)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("submitCommandBuffers", new object[] { commandBufferIds });
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to submit command buffers", ex);
+		}
+	}
+
+	/// <summary>
+	/// Releases a WebGPU resource.
+	/// </summary>
+	/// <param name="resourceId">The resource ID to release.</param>
+	public async ValueTask ReleaseResourceAsync(int resourceId)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("releaseResource", resourceId);
+		}
+		catch
+		{
+			// Ignore errors during resource cleanup
+		}
+	}
+
+	/// <summary>
+	/// Registers a .NET callback for page visibility changes.
+	/// </summary>
+	/// <param name="dotNetRef">The .NET object reference.</param>
+	/// <returns>Callback ID for later removal.</returns>
+	public async ValueTask<int> RegisterVisibilityCallbackAsync(DotNetObjectReference<IVisibilityCallback> dotNetRef)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("registerVisibilityCallback", dotNetRef);
+		}
+		catch (Exception ex)
+		{
+			throw new PDWebGpuException("Failed to register visibility callback", ex);
+		}
+	}
+
+	/// <summary>
+	/// Unregisters a visibility callback.
+	/// </summary>
+	/// <param name="callbackId">The callback ID to remove.</param>
+	public async ValueTask UnregisterVisibilityCallbackAsync(int callbackId)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("unregisterVisibilityCallback", callbackId);
+		}
+		catch
+		{
+			// Ignore errors during cleanup
+		}
+	}
+
+	/// <summary>
+	/// Checks if the page is currently visible.
+	/// </summary>
+	/// <returns>True if the page is visible.</returns>
+	public async ValueTask<bool> IsPageVisibleAsync()
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<bool>("isPageVisible");
+		}
+		catch (Exception ex)
+		{
+			throw new PDWebGpuException("Failed to check page visibility", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a buffer with initial data.
+	/// </summary>
+	/// <param name="data">The buffer data.</param>
+	/// <param name="usage">Buffer usage flags.</param>
+	/// <param name="label">Optional label for debugging.</param>
+	/// <returns>Resource ID for the buffer.</returns>
+	public async ValueTask<int> CreateBufferAsync(byte[] data, int usage, string? label = null)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createBuffer", data, usage, label);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a buffer from a descriptor.
+	/// </summary>
+	/// <param name="descriptor">Buffer descriptor (size, usage, mappedAtCreation, initialData and label).</param>
+	/// <returns>Resource ID for the buffer.</returns>
+	public async ValueTask<int> CreateBufferWithDescriptorAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createBufferWithDescriptor", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Writes data to an existing buffer.
+	/// </summary>
+	/// <param name="bufferId">The buffer resource ID.</param>
+	/// <param name="data">The data to write.</param>
+	/// <param name="offset">Offset in bytes.</param>
+	public async ValueTask WriteBufferAsync(int bufferId, byte[] data, long offset = 0)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("writeBuffer", bufferId, data, offset);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to write buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Reads data back from a buffer.
+	/// </summary>
+	/// <param name="bufferId">The buffer resource ID.</param>
+	/// <param name="offset">Offset in bytes.</param>
+	/// <param name="size">Number of bytes to read, or null to read to the end of the buffer.</param>
+	/// <returns>The buffer contents.</returns>
+	public async ValueTask<byte[]> ReadBufferAsync(int bufferId, long offset = 0, long? size = null)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<byte[]>("readBufferAsync", bufferId, offset, size);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to read buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a uniform ring buffer.
+	/// </summary>
+	/// <param name="descriptor">Ring descriptor (size in bytes and label).</param>
+	/// <returns>The ring and buffer resource IDs and the sub-allocation alignment.</returns>
+	public async ValueTask<UniformRingResult> CreateUniformRingAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<UniformRingResult>("createUniformRing", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create uniform ring", ex);
+		}
+	}
+
+	/// <summary>
+	/// Writes several objects' data to a uniform ring buffer in one transfer.
+	/// </summary>
+	/// <param name="ringId">Uniform ring resource ID.</param>
+	/// <param name="data">The objects' data, packed back to back.</param>
+	/// <param name="sizes">The size in bytes of each object's data.</param>
+	/// <returns>The offset of each object's data in the ring's buffer.</returns>
+	public async ValueTask<uint[]> WriteUniformRingAsync(int ringId, byte[] data, int[] sizes)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<uint[]>("writeUniformRing", ringId, data, sizes);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to write uniform ring", ex);
+		}
+	}
+
+	/// <summary>
+	/// Reduces a storage buffer to a single value on the GPU.
+	/// </summary>
+	/// <param name="inputBufferId">Input buffer resource ID.</param>
+	/// <param name="outputBufferId">Output buffer resource ID.</param>
+	/// <param name="options">Reduction options (operation, type, count, outputOffset).</param>
+	public async ValueTask ReduceBufferAsync(int inputBufferId, int outputBufferId, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("reduceBuffer", inputBufferId, outputBufferId, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to reduce buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Writes the exclusive prefix sum of a storage buffer on the GPU.
+	/// </summary>
+	/// <param name="inputBufferId">Input buffer resource ID.</param>
+	/// <param name="outputBufferId">Output buffer resource ID (may equal the input).</param>
+	/// <param name="options">Scan options (type, count).</param>
+	public async ValueTask ExclusiveScanBufferAsync(int inputBufferId, int outputBufferId, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("exclusiveScanBuffer", inputBufferId, outputBufferId, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to scan buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Sorts a storage buffer of u32 keys, and optionally a values buffer with them, on the GPU.
+	/// </summary>
+	/// <param name="keysBufferId">Keys buffer resource ID.</param>
+	/// <param name="valuesBufferId">Values buffer resource ID, or null.</param>
+	/// <param name="options">Sort options (count).</param>
+	public async ValueTask RadixSortBufferAsync(int keysBufferId, int? valuesBufferId, object options)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("radixSortBuffer", keysBufferId, valuesBufferId, options);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to sort buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a GPU particle system.
+	/// </summary>
+	/// <param name="descriptor">Particle system descriptor.</param>
+	/// <returns>Resource ID for the particle system.</returns>
+	public async ValueTask<int> CreateParticleSystemAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createParticleSystem", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create particle system", ex);
+		}
+	}
+
+	/// <summary>
+	/// Spawns particles and advances a particle system's simulation in a compute pass recorded into a command encoder.
+	/// </summary>
+	/// <param name="systemId">Particle system resource ID.</param>
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="deltaTime">Time step in seconds.</param>
+	/// <param name="emitters">The emitters.</param>
+	public async ValueTask UpdateParticleSystemAsync(int systemId, int encoderId, double deltaTime, object[] emitters)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("updateParticleSystem", systemId, encoderId, deltaTime, emitters);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to update particle system", ex);
+		}
+	}
+
+	/// <summary>
+	/// Draws a particle system's live particles into a render pass.
+	/// </summary>
+	/// <param name="systemId">Particle system resource ID.</param>
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="viewMatrix">View matrix (16 floats, column-major).</param>
+	/// <param name="projectionMatrix">Projection matrix (16 floats, column-major).</param>
+	public async ValueTask DrawParticleSystemAsync(int systemId, int passEncoderId, float[] viewMatrix, float[] projectionMatrix)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("drawParticleSystem", systemId, passEncoderId, viewMatrix, projectionMatrix);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to draw particle system", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a frustum culler.
+	/// </summary>
+	/// <param name="descriptor">Frustum culler descriptor.</param>
+	/// <returns>Resource ID for the frustum culler.</returns>
+	public async ValueTask<int> CreateFrustumCullerAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createFrustumCuller", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create frustum culler", ex);
+		}
+	}
+
+	/// <summary>
+	/// Records a compute pass that frustum culls a culler's instances into a command encoder.
+	/// </summary>
+	/// <param name="cullerId">Frustum culler resource ID.</param>
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="viewProjectionMatrix">View-projection matrix (16 floats, column-major).</param>
+	public async ValueTask CullInstancesAsync(int cullerId, int encoderId, float[] viewProjectionMatrix)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("cullInstances", cullerId, encoderId, viewProjectionMatrix);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to cull instances", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a picking target with an r32uint object ID texture and a depth32float depth texture.
+	/// </summary>
+	/// <param name="descriptor">Picking target descriptor.</param>
+	/// <returns>The target resource ID and the resource IDs of views of its textures.</returns>
+	public async ValueTask<PickingTargetResult> CreatePickingTargetAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<PickingTargetResult>("createPickingTarget", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create picking target", ex);
+		}
+	}
+
+	/// <summary>
+	/// Replaces a picking target's textures with textures of a new size, releasing the old views.
+	/// </summary>
+	/// <param name="targetId">Picking target resource ID.</param>
+	/// <param name="width">New width in pixels.</param>
+	/// <param name="height">New height in pixels.</param>
+	/// <returns>The resource IDs of views of the new textures.</returns>
+	public async ValueTask<PickingTargetResult> ResizePickingTargetAsync(int targetId, int width, int height)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<PickingTargetResult>("resizePickingTarget", targetId, width, height);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to resize picking target", ex);
+		}
+	}
+
+	/// <summary>
+	/// Reads back a rectangle of a picking target and finds the nearest object in it.
+	/// </summary>
+	/// <param name="targetId">Picking target resource ID.</param>
+	/// <param name="x">Left edge of the rectangle in pixels.</param>
+	/// <param name="y">Top edge of the rectangle in pixels.</param>
+	/// <param name="width">Rectangle width in pixels.</param>
+	/// <param name="height">Rectangle height in pixels.</param>
+	/// <returns>The pick result.</returns>
+	public async ValueTask<Resources.PickResult> PickAsync(int targetId, int x, int y, int width, int height)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<Resources.PickResult>("pickAsync", targetId, x, y, width, height);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to pick", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a render pipeline.
+	/// </summary>
+	/// <param name="descriptor">Pipeline descriptor.</param>
+	/// <returns>Resource ID for the pipeline.</returns>
+	public async ValueTask<int> CreateRenderPipelineAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createRenderPipeline", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create render pipeline", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a compute pipeline.
+	/// </summary>
+	/// <param name="descriptor">Pipeline descriptor.</param>
+	/// <returns>Resource ID for the pipeline.</returns>
+	public async ValueTask<int> CreateComputePipelineAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createComputePipeline", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create compute pipeline", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a bind group layout.
+	/// </summary>
+	/// <param name="descriptor">Bind group layout descriptor.</param>
+	/// <returns>Resource ID for the bind group layout.</returns>
+	public async ValueTask<int> CreateBindGroupLayoutAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createBindGroupLayout", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create bind group layout", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a pipeline layout.
+	/// </summary>
+	/// <param name="descriptor">Pipeline layout descriptor.</param>
+	/// <returns>Resource ID for the pipeline layout.</returns>
+	public async ValueTask<int> CreatePipelineLayoutAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createPipelineLayout", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create pipeline layout", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a bind group.
+	/// </summary>
+	/// <param name="descriptor">Bind group descriptor.</param>
+	/// <returns>Resource ID for the bind group.</returns>
+	public async ValueTask<int> CreateBindGroupAsync(object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createBindGroup", descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create bind group", ex);
+		}
+	}
+
+	/// <summary>
+	/// Creates a command encoder.
+	/// </summary>
+	/// <param name="label">Optional label for debugging.</param>
+	/// <returns>Resource ID for the command encoder.</returns>
+	public async ValueTask<int> CreateCommandEncoderAsync(string? label = null)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("createCommandEncoder", label);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to create command encoder", ex);
+		}
+	}
+
+	/// <summary>
+	/// Begins a render pass.
+	/// </summary>
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="descriptor">Render pass descriptor.</param>
+	/// <returns>Resource ID for the render pass encoder.</returns>
+	public async ValueTask<int> BeginRenderPassAsync(int encoderId, object descriptor)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<int>("beginRenderPass", encoderId, descriptor);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to begin render pass", ex);
+		}
+	}
+
+	/// <summary>
+	/// Sets the pipeline for a render or compute pass.
+	/// </summary>
+	/// <param name="passEncoderId">Render or compute pass encoder resource ID.</param>
+	/// <param name="pipelineId">Pipeline resource ID.</param>
+	public async ValueTask SetPipelineAsync(int passEncoderId, int pipelineId)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("setPipeline", passEncoderId, pipelineId);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to set pipeline", ex);
+		}
+	}
+
+	/// <summary>
+	/// Sets a bind group for a render or compute pass.
+	/// </summary>
+	/// <param name="passEncoderId">Render or compute pass encoder resource ID.</param>
+	/// <param name="index">Bind group index.</param>
+	/// <param name="bindGroupId">Bind group resource ID.</param>
+	/// <param name="dynamicOffsets">Offsets for the bind group's dynamic buffer bindings, in binding order (optional).</param>
+	public async ValueTask SetBindGroupAsync(int passEncoderId, int index, int bindGroupId, uint[]? dynamicOffsets = null)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("setBindGroup", passEncoderId, index, bindGroupId, dynamicOffsets);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to set bind group", ex);
+		}
+	}
+
+	/// <summary>
+	/// Sets a vertex buffer for a render pass.
+	/// </summary>
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="slot">Vertex buffer slot.</param>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="offset">Byte offset into the buffer.</param>
+	/// <param name="size">Size in bytes, or null for the rest of the buffer.</param>
+	public async ValueTask SetVertexBufferAsync(int passEncoderId, int slot, int bufferId, long offset = 0, long? size = null)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("setVertexBuffer", passEncoderId, slot, bufferId, offset, size);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to set vertex buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Sets an index buffer for a render pass.
+	/// </summary>
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="format">Index format ('uint16' or 'uint32').</param>
+	/// <param name="offset">Byte offset into the buffer.</param>
+	/// <param name="size">Size in bytes, or null for the rest of the buffer.</param>
+	public async ValueTask SetIndexBufferAsync(int passEncoderId, int bufferId, string format, long offset = 0, long? size = null)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("setIndexBuffer", passEncoderId, bufferId, format, offset, size);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to set index buffer", ex);
+		}
+	}
+
+	/// <summary>
+	/// Draws vertices.
+	/// </summary>
+	public async ValueTask DrawAsync(int passEncoderId, int vertexCount, int instanceCount = 1, int firstVertex = 0, int firstInstance = 0)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("draw", passEncoderId, vertexCount, instanceCount, firstVertex, firstInstance);
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to draw", ex);
+		}
+	}
+
+	/// <summary>
+	/// Draws indexed vertices.
+	/// </summary>
+	public async ValueTask DrawIndexedAsync(int passEncoderId, int indexCount, int instanceCount = 1, int firstIndex = 0, int baseVertex = 0, int firstInstance = 0)
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			await module.InvokeVoidAsync("drawIndexed", passEncoderId, indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
 		}
-		catch (Exception ex)
+		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to register visibility callback", ex);
+			throw new PDWebGpuException("Failed to draw indexed", ex);
 		}
 	}
 
 	/// <summary>
-	/// Unregisters a visibility callback.
+	/// Draws vertices with arguments read from a buffer.
 	/// </summary>
-	/// <param name="callbackId">The callback ID to remove.</param>
-	public async ValueTask UnregisterVisibilityCallbackAsync(int callbackId)
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="indirectBufferId">Indirect buffer resource ID.</param>
+	/// <param name="indirectOffset">Byte offset of the four u32 draw arguments in the buffer.</param>
+	public async ValueTask DrawIndirectAsync(int passEncoderId, int indirectBufferId, long indirectOffset)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("unregisterVisibilityCallback", callbackId);
+			await module.InvokeVoidAsync("drawIndirect", passEncoderId, indirectBufferId, indirectOffset);
 		}
-		catch
+		catch (JSException ex)
 		{
-			// Ignore errors during cleanup
+			throw new PDWebGpuException("Failed to draw indirectly", ex);
 		}
 	}
 
 	/// <summary>
-	/// Checks if the page is currently visible.
+	/// Draws indexed vertices with arguments read from a buffer.
 	/// </summary>
-	/// <returns>True if the page is visible.</returns>
-	public async ValueTask<bool> IsPageVisibleAsync()
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="indirectBufferId">Indirect buffer resource ID.</param>
+	/// <param name="indirectOffset">Byte offset of the five 32-bit draw arguments in the buffer.</param>
+	public async ValueTask DrawIndexedIndirectAsync(int passEncoderId, int indirectBufferId, long indirectOffset)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<bool>("isPageVisible");
+			await module.InvokeVoidAsync("drawIndexedIndirect", passEncoderId, indirectBufferId, indirectOffset);
 		}
-		catch (Exception ex)
+		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to check page visibility", ex);
+			throw new PDWebGpuException("Failed to draw indexed indirectly", ex);
 		}
 	}
 
 	/// <summary>
-	/// Creates a buffer with initial data.
+	/// Ends a render pass and releases its pass encoder.
 	/// </summary>
-	/// <param name="data">The buffer data.</param>
-	/// <param name="usage">Buffer usage flags.</param>
-	/// <param name="label">Optional label for debugging.</param>
-	/// <returns>Resource ID for the buffer.</returns>
-	public async ValueTask<int> CreateBufferAsync(byte[] data, int usage, string? label = null)
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	public async ValueTask EndRenderPassAsync(int passEncoderId)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("createBuffer", data, usage, label);
+			await module.InvokeVoidAsync("endRenderPass", passEncoderId);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to create buffer", ex);
+			throw new PDWebGpuException("Failed to end render pass", ex);
 		}
 	}
 
 	/// <summary>
-	/// Writes data to an existing buffer.
+	/// Begins a compute pass.
 	/// </summary>
-	/// <param name="bufferId">The buffer resource ID.</param>
-	/// <param name="data">The data to write.</param>
-	/// <param name="offset">Offset in bytes.</param>
-	public async ValueTask WriteBufferAsync(int bufferId, byte[] data, long offset = 0)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="descriptor">Compute pass descriptor.</param>
+	/// <returns>Resource ID for the compute pass encoder.</returns>
+	public async ValueTask<int> BeginComputePassAsync(int encoderId, object descriptor)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("writeBuffer", bufferId, data, offset);
+			return await module.InvokeAsync<int>("beginComputePass", encoderId, descriptor);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to write buffer", ex);
+			throw new PDWebGpuException("Failed to begin compute pass", ex);
 		}
 	}
 
 	/// <summary>
-	/// Creates a render pipeline.
+	/// Dispatches compute work.
 	/// </summary>
-	/// <param name="descriptor">Pipeline descriptor.</param>
-	/// <returns>Resource ID for the pipeline.</returns>
-	public async ValueTask<int> CreateRenderPipelineAsync(object descriptor)
+	/// <param name="passEncoderId">Compute pass encoder resource ID.</param>
+	/// <param name="workgroupCountX">Number of workgroups in the X dimension.</param>
+	/// <param name="workgroupCountY">Number of workgroups in the Y dimension.</param>
+	/// <param name="workgroupCountZ">Number of workgroups in the Z dimension.</param>
+	public async ValueTask DispatchWorkgroupsAsync(int passEncoderId, int workgroupCountX, int workgroupCountY, int workgroupCountZ)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("createRenderPipeline", descriptor);
+			await module.InvokeVoidAsync("dispatchWorkgroups", passEncoderId, workgroupCountX, workgroupCountY, workgroupCountZ);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to create render pipeline", ex);
+			throw new PDWebGpuException("Failed to dispatch workgroups", ex);
 		}
 	}
 
 	/// <summary>
-	/// Creates a bind group.
+	/// Dispatches compute work with workgroup counts read from a buffer.
 	/// </summary>
-	/// <param name="descriptor">Bind group descriptor.</param>
-	/// <returns>Resource ID for the bind group.</returns>
-	public async ValueTask<int> CreateBindGroupAsync(object descriptor)
+	/// <param name="passEncoderId">Compute pass encoder resource ID.</param>
+	/// <param name="indirectBufferId">Indirect buffer resource ID.</param>
+	/// <param name="indirectOffset">Byte offset of the three u32 workgroup counts in the buffer.</param>
+	public async ValueTask DispatchWorkgroupsIndirectAsync(int passEncoderId, int indirectBufferId, long indirectOffset)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("createBindGroup", descriptor);
+			await module.InvokeVoidAsync("dispatchWorkgroupsIndirect", passEncoderId, indirectBufferId, indirectOffset);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to create bind group", ex);
+			throw new PDWebGpuException("Failed to dispatch workgroups indirectly", ex);
 		}
 	}
 
 	/// <summary>
-	/// Creates a command encoder.
+	/// Ends a compute pass and releases its pass encoder.
 	/// </summary>
-	/// <param name="label">Optional label for debugging.</param>
-	/// <returns>Resource ID for the command encoder.</returns>
-	public async ValueTask<int> CreateCommandEncoderAsync(string? label = null)
+	/// <param name="passEncoderId">Compute pass encoder resource ID.</param>
+	public async ValueTask EndComputePassAsync(int passEncoderId)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("createCommandEncoder", label);
+			await module.InvokeVoidAsync("endComputePass", passEncoderId);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to create command encoder", ex);
+			throw new PDWebGpuException("Failed to end compute pass", ex);
 		}
 	}
 
 	/// <summary>
-	/// Begins a render pass.
+	/// Runs a stream of encoded pass commands in one call.
 	/// </summary>
-	/// <param name="encoderId">Command encoder resource ID.</param>
-	/// <param name="descriptor">Render pass descriptor.</param>
-	/// <returns>Resource ID for the render pass encoder.</returns>
-	public async ValueTask<int> BeginRenderPassAsync(int encoderId, object descriptor)
+	/// <param name="encoderId">Command encoder resource ID that passes in the stream are begun on.</param>
+	/// <param name="commands">The commands as little-endian 32-bit words.</param>
+	/// <param name="descriptors">Pass descriptors the commands refer to by index.</param>
+	/// <returns>The errors of the commands that failed, and the passes begun by the stream that are still open.</returns>
+	public async ValueTask<CommandExecutionResult> ExecuteCommandsAsync(int encoderId, byte[] commands, object[] descriptors)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			return await module.InvokeAsync<int>("beginRenderPass", encoderId, descriptor);
+			return await module.InvokeAsync<CommandExecutionResult>("executeCommands", encoderId, commands, descriptors);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to begin render pass", ex);
+			throw new PDWebGpuException("Failed to execute commands", ex);
 		}
 	}
 
 	/// <summary>
-	/// Sets the pipeline for a render pass.
+	/// Creates a query set.
 	/// </summary>
-	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
-	/// <param name="pipelineId">Pipeline resource ID.</param>
-	public async ValueTask SetPipelineAsync(int passEncoderId, int pipelineId)
+	/// <param name="descriptor">Query set descriptor.</param>
+	/// <returns>Resource ID for the query set.</returns>
+	public async ValueTask<int> CreateQuerySetAsync(object descriptor)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("setPipeline", passEncoderId, pipelineId);
+			return await module.InvokeAsync<int>("createQuerySet", descriptor);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to set pipeline", ex);
+			throw new PDWebGpuException("Failed to create query set", ex);
 		}
 	}
 
 	/// <summary>
-	/// Sets a bind group for a render pass.
+	/// Records a buffer to buffer copy.
 	/// </summary>
-	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
-	/// <param name="index">Bind group index.</param>
-	/// <param name="bindGroupId">Bind group resource ID.</param>
-	public async ValueTask SetBindGroupAsync(int passEncoderId, int index, int bindGroupId)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="sourceId">Source buffer resource ID.</param>
+	/// <param name="sourceOffset">Source offset in bytes.</param>
+	/// <param name="destinationId">Destination buffer resource ID.</param>
+	/// <param name="destinationOffset">Destination offset in bytes.</param>
+	/// <param name="size">Number of bytes to copy.</param>
+	public async ValueTask CopyBufferToBufferAsync(int encoderId, int sourceId, long sourceOffset, int destinationId, long destinationOffset, long size)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("setBindGroup", passEncoderId, index, bindGroupId);
+			await module.InvokeVoidAsync("copyBufferToBuffer", encoderId, sourceId, sourceOffset, destinationId, destinationOffset, size);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to set bind group", ex);
+			throw new PDWebGpuException("Failed to copy buffer to buffer", ex);
 		}
 	}
 
 	/// <summary>
-	/// Sets a vertex buffer for a render pass.
+	/// Records a buffer to texture copy.
 	/// </summary>
-	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
-	/// <param name="slot">Vertex buffer slot.</param>
-	/// <param name="bufferId">Buffer resource ID.</param>
-	public async ValueTask SetVertexBufferAsync(int passEncoderId, int slot, int bufferId)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="source">Source buffer layout.</param>
+	/// <param name="destination">Destination texture location.</param>
+	/// <param name="copySize">Extent to copy.</param>
+	public async ValueTask CopyBufferToTextureAsync(int encoderId, object source, object destination, object copySize)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("setVertexBuffer", passEncoderId, slot, bufferId);
+			await module.InvokeVoidAsync("copyBufferToTexture", encoderId, source, destination, copySize);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to set vertex buffer", ex);
+			throw new PDWebGpuException("Failed to copy buffer to texture", ex);
 		}
 	}
 
 	/// <summary>
-	/// Sets an index buffer for a render pass.
+	/// Records a texture to buffer copy.
 	/// </summary>
-	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
-	/// <param name="bufferId">Buffer resource ID.</param>
-	/// <param name="format">Index format ('uint16' or 'uint32').</param>
-	public async ValueTask SetIndexBufferAsync(int passEncoderId, int bufferId, string format)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="source">Source texture location.</param>
+	/// <param name="destination">Destination buffer layout.</param>
+	/// <param name="copySize">Extent to copy.</param>
+	public async ValueTask CopyTextureToBufferAsync(int encoderId, object source, object destination, object copySize)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("setIndexBuffer", passEncoderId, bufferId, format);
+			await module.InvokeVoidAsync("copyTextureToBuffer", encoderId, source, destination, copySize);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to set index buffer", ex);
+			throw new PDWebGpuException("Failed to copy texture to buffer", ex);
 		}
 	}
 
 	/// <summary>
-	/// Draws vertices.
+	/// Records a texture to texture copy.
 	/// </summary>
-	public async ValueTask DrawAsync(int passEncoderId, int vertexCount, int instanceCount = 1, int firstVertex = 0, int firstInstance = 0)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="source">Source texture location.</param>
+	/// <param name="destination">Destination texture location.</param>
+	/// <param name="copySize">Extent to copy.</param>
+	public async ValueTask CopyTextureToTextureAsync(int encoderId, object source, object destination, object copySize)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("draw", passEncoderId, vertexCount, instanceCount, firstVertex, firstInstance);
+			await module.InvokeVoidAsync("copyTextureToTexture", encoderId, source, destination, copySize);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to draw", ex);
+			throw new PDWebGpuException("Failed to copy texture to texture", ex);
 		}
 	}
 
 	/// <summary>
-	/// Draws indexed vertices.
+	/// Records a fill of a buffer range with zeros.
 	/// </summary>
-	public async ValueTask DrawIndexedAsync(int passEncoderId, int indexCount, int instanceCount = 1, int firstIndex = 0, int baseVertex = 0, int firstInstance = 0)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="offset">Offset in bytes.</param>
+	/// <param name="size">Number of bytes to clear, or null to clear to the end of the buffer.</param>
+	public async ValueTask ClearBufferAsync(int encoderId, int bufferId, long offset, long? size)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("drawIndexed", passEncoderId, indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
+			await module.InvokeVoidAsync("clearBuffer", encoderId, bufferId, offset, size);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to draw indexed", ex);
+			throw new PDWebGpuException("Failed to clear buffer", ex);
 		}
 	}
 
 	/// <summary>
-	/// Ends a render pass.
+	/// Records the resolution of query results into a buffer.
 	/// </summary>
-	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
-	public async ValueTask EndRenderPassAsync(int passEncoderId)
+	/// <param name="encoderId">Command encoder resource ID.</param>
+	/// <param name="querySetId">Query set resource ID.</param>
+	/// <param name="firstQuery">Index of the first query.</param>
+	/// <param name="queryCount">Number of queries.</param>
+	/// <param name="destinationId">Destination buffer resource ID.</param>
+	/// <param name="destinationOffset">Destination offset in bytes.</param>
+	public async ValueTask ResolveQuerySetAsync(int encoderId, int querySetId, int firstQuery, int queryCount, int destinationId, long destinationOffset)
 	{
 		try
 		{
 			var module = await _moduleTask.Value;
-			await module.InvokeVoidAsync("endRenderPass", passEncoderId);
+			await module.InvokeVoidAsync("resolveQuerySet", encoderId, querySetId, firstQuery, queryCount, destinationId, destinationOffset);
 		}
 		catch (JSException ex)
 		{
-			throw new PDWebGpuException("Failed to end render pass", ex);
+			throw new PDWebGpuException("Failed to resolve query set", ex);
 		}
 	}
 
@@ -534,6 +1569,23 @@ internal sealed class WebGpuJsInterop : IAsyncDisposable
 		}
 	}
 
+	/// <summary>
+	/// Gets a description of every resource held by the JavaScript interop layer.
+	/// </summary>
+	/// <returns>The resource summary.</returns>
+	public async ValueTask<WebGpuResourceSummary> GetResourceSummaryAsync()
+	{
+		try
+		{
+			var module = await _moduleTask.Value;
+			return await module.InvokeAsync<WebGpuResourceSummary>("getResourceSummary");
+		}
+		catch (JSException ex)
+		{
+			throw new PDWebGpuException("Failed to get resource summary", ex);
+		}
+	}
+
 	/// <summary>
 	/// Gets current error statistics from the JavaScript interop layer.
 	/// </summary>
@@ -671,6 +1723,136 @@ internal class CanvasContextResult
 	public string ContextId { get; set; } = string.Empty;
 }
 
+/// <summary>
+/// Result of loading an image into a texture.
+/// </summary>
+internal class TextureLoadResult
+{
+	/// <summary>
+	/// Gets or sets the texture resource ID.
+	/// </summary>
+	public int TextureId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture width in pixels.
+	/// </summary>
+	public int Width { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture height in pixels.
+	/// </summary>
+	public int Height { get; set; }
+
+	/// <summary>
+	/// Gets or sets the depth (3D textures) or array layer count.
+	/// </summary>
+	public int DepthOrArrayLayers { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the texture dimension ("2d" or "3d").
+	/// </summary>
+	public string Dimension { get; set; } = "2d";
+
+	/// <summary>
+	/// Gets or sets the default view dimension ("cube", "2d-array", etc.), or null.
+	/// </summary>
+	public string? ViewDimension { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether compressed data was decoded to an uncompressed format because the device lacked the compression feature.
+	/// </summary>
+	public bool Transcoded { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture format.
+	/// </summary>
+	public string Format { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Gets or sets the number of mip levels.
+	/// </summary>
+	public int MipLevelCount { get; set; } = 1;
+}
+
+/// <summary>
+/// Result of registering a video texture source.
+/// </summary>
+internal class VideoSourceResult
+{
+	/// <summary>
+	/// Gets or sets the video source resource ID.
+	/// </summary>
+	public int SourceId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the video frame width in pixels (0 until the first frame is available).
+	/// </summary>
+	public int Width { get; set; }
+
+	/// <summary>
+	/// Gets or sets the video frame height in pixels (0 until the first frame is available).
+	/// </summary>
+	public int Height { get; set; }
+}
+
+/// <summary>
+/// Result of creating a uniform ring buffer.
+/// </summary>
+internal class UniformRingResult
+{
+	/// <summary>
+	/// Gets or sets the uniform ring resource ID.
+	/// </summary>
+	public int RingId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the resource ID of the ring's buffer.
+	/// </summary>
+	public int BufferId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the alignment of each sub-allocation in bytes.
+	/// </summary>
+	public int Alignment { get; set; }
+}
+
+/// <summary>
+/// Result of creating or resizing a picking target.
+/// </summary>
+internal class PickingTargetResult
+{
+	/// <summary>
+	/// Gets or sets the picking target resource ID (0 when resizing).
+	/// </summary>
+	public int TargetId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the resource ID of a view of the object ID texture.
+	/// </summary>
+	public int IdViewId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the resource ID of a view of the depth texture.
+	/// </summary>
+	public int DepthViewId { get; set; }
+}
+
+/// <summary>
+/// Result of running a command stream.
+/// </summary>
+internal class CommandExecutionResult
+{
+	/// <summary>
+	/// Gets or sets the errors of the commands that failed (empty if all succeeded).
+	/// </summary>
+	public PDWebGpuCommandError[] Errors { get; set; } = [];
+
+	/// <summary>
+	/// Gets or sets the resource IDs of passes begun by the stream that were not ended.
+	/// </summary>
+	public int[] OpenPassIds { get; set; } = [];
+}
+
 /// <summary>
 /// WebGPU device information.
 /// </summary>
@@ -690,6 +1872,13 @@ public class WebGpuDeviceInfo
 	/// Gets or sets the supported features.
 	/// </summary>
 	public string[] Features { get; set; } = [];
+
+	/// <summary>
+	/// Gets whether the device was created with the given feature (e.g. "texture-compression-bc").
+	/// </summary>
+	/// <param name="feature">The WebGPU feature name.</param>
+	/// <returns>True if the feature is enabled on the device.</returns>
+	public bool HasFeature(string feature) => Features.Contains(feature);
 }
 
 /// <summary>
@@ -718,6 +1907,104 @@ public class AdapterInfo
 	public string Description { get; set; } = string.Empty;
 }
 
+/// <summary>
+/// Snapshot of the resources held by the JavaScript layer.
+/// </summary>
+public class WebGpuResourceSummary
+{
+	/// <summary>
+	/// Gets or sets the current frame (the number of command buffer submissions so far).
+	/// </summary>
+	public long Frame { get; set; }
+
+	/// <summary>
+	/// Gets or sets the individual resources.
+	/// </summary>
+	public WebGpuResourceInfo[] Resources { get; set; } = [];
+
+	/// <summary>
+	/// Gets the resource count and estimated memory per resource kind, largest first.
+	/// </summary>
+	public IReadOnlyList<WebGpuResourceTypeSummary> ByType => Resources
+		.GroupBy(r => r.Type)
+		.Select(g => new WebGpuResourceTypeSummary
+		{
+			Type = g.Key,
+			Count = g.Count(),
+			EstimatedBytes = g.Sum(r => r.Size ?? 0)
+		})
+		.OrderByDescending(t => t.EstimatedBytes)
+		.ThenByDescending(t => t.Count)
+		.ToList();
+
+	/// <summary>
+	/// Gets the total estimated GPU memory in bytes of all resources with a known size.
+	/// </summary>
+	public long TotalEstimatedBytes => Resources.Sum(r => r.Size ?? 0);
+}
+
+/// <summary>
+/// Description of a single resource held by the JavaScript layer.
+/// </summary>
+public class WebGpuResourceInfo
+{
+	/// <summary>
+	/// Gets or sets the resource ID.
+	/// </summary>
+	public int Id { get; set; }
+
+	/// <summary>
+	/// Gets or sets the resource kind (e.g. "buffer", "texture view"), as named in handle errors.
+	/// </summary>
+	public string Type { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Gets or sets the debug label, if any.
+	/// </summary>
+	public string? Label { get; set; }
+
+	/// <summary>
+	/// Gets or sets the estimated size in bytes (buffers, textures and query sets), or null if unknown.
+	/// </summary>
+	public long? Size { get; set; }
+
+	/// <summary>
+	/// Gets or sets the frame in which the resource was created.
+	/// </summary>
+	public long CreatedFrame { get; set; }
+
+	/// <summary>
+	/// Gets or sets the frame in which the resource was last used.
+	/// </summary>
+	public long LastUsedFrame { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether the interop layer owns the resource (false for canvas and video frame textures).
+	/// </summary>
+	public bool Owned { get; set; }
+}
+
+/// <summary>
+/// Resource count and estimated memory for one resource kind.
+/// </summary>
+public class WebGpuResourceTypeSummary
+{
+	/// <summary>
+	/// Gets or sets the resource kind (e.g. "buffer", "texture view").
+	/// </summary>
+	public string Type { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Gets or sets the number of resources of this kind.
+	/// </summary>
+	public int Count { get; set; }
+
+	/// <summary>
+	/// Gets or sets the estimated memory in bytes.
+	/// </summary>
+	public long EstimatedBytes { get; set; }
+}
+
 /// <summary>
 /// WebGPU error statistics from the JavaScript layer.
 /// </summary>
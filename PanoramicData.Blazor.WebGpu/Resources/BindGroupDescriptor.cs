@@ -7,11 +7,12 @@ public class BindGroupDescriptor
 {
 	/// <summary>
 	/// Gets or sets the bind group layout resource ID (optional, can be inferred from pipeline).
+	/// Bind groups created from a <see cref="PDWebGpuBindGroupLayout"/> can be shared by all pipelines using that layout.
 	/// </summary>
 	public int? LayoutId { get; set; }
 
 	/// <summary>
-	/// Gets or sets the pipeline resource ID to get the layout from (alternative to LayoutId).
+	/// Gets or sets the render or compute pipeline resource ID to get the layout from (alternative to LayoutId).
 	/// </summary>
 	public int? PipelineId { get; set; }
 
@@ -27,10 +28,17 @@ public class BindGroupDescriptor
 }
 
 /// <summary>
-/// Bind group entry configuration.
+/// Bind group entry configuration. Use the factory methods (e.g. <see cref="ForBuffer"/>) to set the resource and
+/// its type together. Entries of bind groups created from a <see cref="PDWebGpuBindGroupLayout"/> are checked
+/// against the layout, and mismatches are reported with the binding number.
 /// </summary>
 public class BindGroupEntry
 {
+	/// <summary>
+	/// The resource types an entry can have.
+	/// </summary>
+	internal static readonly string[] ResourceTypes = { "buffer", "sampler", "texture", "storageTexture", "externalTexture" };
+
 	/// <summary>
 	/// Gets or sets the binding index.
 	/// </summary>
@@ -42,17 +50,125 @@ public class BindGroupEntry
 	public int ResourceId { get; set; }
 
 	/// <summary>
-	/// Gets or sets the resource type ("buffer", "texture", "sampler").
+	/// Gets or sets the resource type: "buffer", "sampler" (including comparison samplers), "texture" (a texture or
+	/// texture view to sample), "storageTexture" (a texture or single-mip view to write) or "externalTexture"
+	/// (a <see cref="PDWebGpuVideoSource"/>).
 	/// </summary>
 	public string ResourceType { get; set; } = "buffer";
 
 	/// <summary>
-	/// Gets or sets the buffer offset (if binding a buffer).
+	/// Gets or sets the byte offset of the bound range (if binding a buffer). Must be a multiple of 256.
 	/// </summary>
 	public ulong Offset { get; set; }
 
 	/// <summary>
-	/// Gets or sets the buffer size (if binding a buffer, 0 means entire buffer).
+	/// Gets or sets the size in bytes of the bound range (if binding a buffer, 0 means from the offset to the end of the buffer).
+	/// For a dynamic binding this is the size of one object's data; the offset passed to SetBindGroupAsync selects which object.
 	/// </summary>
 	public ulong Size { get; set; }
+
+	/// <summary>
+	/// Creates an entry that binds a buffer, or a range of it.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="buffer">The buffer.</param>
+	/// <param name="offset">The byte offset of the range (multiple of 256, default: 0).</param>
+	/// <param name="size">The size of the range in bytes (default: 0, the rest of the buffer).</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForBuffer(uint binding, PDWebGpuBuffer buffer, ulong offset = 0, ulong size = 0)
+	{
+		if (buffer == null)
+		{
+			throw new ArgumentNullException(nameof(buffer));
+		}
+
+		return new BindGroupEntry { Binding = binding, ResourceId = buffer.ResourceId, ResourceType = "buffer", Offset = offset, Size = size };
+	}
+
+	/// <summary>
+	/// Creates an entry that binds a sampler. Comparison samplers (with <see cref="SamplerDescriptor.Compare"/> set)
+	/// must be bound to comparison sampler bindings.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="sampler">The sampler.</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForSampler(uint binding, PDWebGpuSampler sampler)
+	{
+		if (sampler == null)
+		{
+			throw new ArgumentNullException(nameof(sampler));
+		}
+
+		return new BindGroupEntry { Binding = binding, ResourceId = sampler.ResourceId, ResourceType = "sampler" };
+	}
+
+	/// <summary>
+	/// Creates an entry that binds the default view of a texture for sampling.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="texture">The texture.</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForTexture(uint binding, PDWebGpuTexture texture)
+	{
+		if (texture == null)
+		{
+			throw new ArgumentNullException(nameof(texture));
+		}
+
+		return ForTextureView(binding, texture.ResourceId);
+	}
+
+	/// <summary>
+	/// Creates an entry that binds a texture view for sampling.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="viewId">The texture view resource ID (see <see cref="PDWebGpuTexture.CreateViewAsync(TextureViewDescriptor)"/>).</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForTextureView(uint binding, int viewId)
+	{
+		return new BindGroupEntry { Binding = binding, ResourceId = viewId, ResourceType = "texture" };
+	}
+
+	/// <summary>
+	/// Creates an entry that binds the first mip level of a texture as a storage texture.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="texture">The texture, created with <see cref="TextureUsage.StorageBinding"/>.</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForStorageTexture(uint binding, PDWebGpuTexture texture)
+	{
+		if (texture == null)
+		{
+			throw new ArgumentNullException(nameof(texture));
+		}
+
+		return ForStorageTextureView(binding, texture.ResourceId);
+	}
+
+	/// <summary>
+	/// Creates an entry that binds a single-mip texture view as a storage texture.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="viewId">The texture view resource ID.</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForStorageTextureView(uint binding, int viewId)
+	{
+		return new BindGroupEntry { Binding = binding, ResourceId = viewId, ResourceType = "storageTexture" };
+	}
+
+	/// <summary>
+	/// Creates an entry that binds a video source as an external texture.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="videoSource">The video source.</param>
+	/// <returns>The bind group entry.</returns>
+	public static BindGroupEntry ForVideoSource(uint binding, PDWebGpuVideoSource videoSource)
+	{
+		if (videoSource == null)
+		{
+			throw new ArgumentNullException(nameof(videoSource));
+		}
+
+		return new BindGroupEntry { Binding = binding, ResourceId = videoSource.ResourceId, ResourceType = "externalTexture" };
+	}
 }
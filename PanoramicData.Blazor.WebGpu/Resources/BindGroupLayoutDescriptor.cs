@@ -0,0 +1,135 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a bind group layout.
+/// </summary>
+public class BindGroupLayoutDescriptor
+{
+	/// <summary>
+	/// Gets or sets the layout entries, one per binding.
+	/// </summary>
+	public BindGroupLayoutEntry[]? Entries { get; set; }
+}
+
+/// <summary>
+/// Bind group layout entry. Exactly one of <see cref="Buffer"/>, <see cref="Sampler"/>, <see cref="Texture"/>,
+/// <see cref="StorageTexture"/> or <see cref="ExternalTexture"/> must be set.
+/// </summary>
+public class BindGroupLayoutEntry
+{
+	/// <summary>
+	/// Gets or sets the binding index.
+	/// </summary>
+	public uint Binding { get; set; }
+
+	/// <summary>
+	/// Gets or sets the shader stages the binding is visible to.
+	/// </summary>
+	public ShaderStage Visibility { get; set; } = ShaderStage.Vertex | ShaderStage.Fragment;
+
+	/// <summary>
+	/// Gets or sets the buffer binding layout.
+	/// </summary>
+	public BufferBindingLayout? Buffer { get; set; }
+
+	/// <summary>
+	/// Gets or sets the sampler binding layout.
+	/// </summary>
+	public SamplerBindingLayout? Sampler { get; set; }
+
+	/// <summary>
+	/// Gets or sets the sampled texture binding layout.
+	/// </summary>
+	public TextureBindingLayout? Texture { get; set; }
+
+	/// <summary>
+	/// Gets or sets the storage texture binding layout.
+	/// </summary>
+	public StorageTextureBindingLayout? StorageTexture { get; set; }
+
+	/// <summary>
+	/// Gets or sets the external (video) texture binding layout.
+	/// </summary>
+	public ExternalTextureBindingLayout? ExternalTexture { get; set; }
+}
+
+/// <summary>
+/// Layout of a buffer binding.
+/// </summary>
+public class BufferBindingLayout
+{
+	/// <summary>
+	/// Gets or sets the buffer binding type ("uniform", "storage" or "read-only-storage", default: "uniform").
+	/// </summary>
+	public string Type { get; set; } = "uniform";
+
+	/// <summary>
+	/// Gets or sets whether the binding takes a dynamic offset when the bind group is set (default: false).
+	/// </summary>
+	public bool HasDynamicOffset { get; set; }
+
+	/// <summary>
+	/// Gets or sets the minimum size in bytes of the bound range (0 means it is checked at draw time).
+	/// </summary>
+	public ulong MinBindingSize { get; set; }
+}
+
+/// <summary>
+/// Layout of a sampler binding.
+/// </summary>
+public class SamplerBindingLayout
+{
+	/// <summary>
+	/// Gets or sets the sampler binding type ("filtering", "non-filtering" or "comparison", default: "filtering").
+	/// </summary>
+	public string Type { get; set; } = "filtering";
+}
+
+/// <summary>
+/// Layout of a sampled texture binding.
+/// </summary>
+public class TextureBindingLayout
+{
+	/// <summary>
+	/// Gets or sets the sample type ("float", "unfilterable-float", "depth", "sint" or "uint", default: "float").
+	/// </summary>
+	public string SampleType { get; set; } = "float";
+
+	/// <summary>
+	/// Gets or sets the view dimension ("1d", "2d", "2d-array", "cube", "cube-array" or "3d", default: "2d").
+	/// </summary>
+	public string ViewDimension { get; set; } = "2d";
+
+	/// <summary>
+	/// Gets or sets whether the texture is multisampled (default: false).
+	/// </summary>
+	public bool Multisampled { get; set; }
+}
+
+/// <summary>
+/// Layout of a storage texture binding.
+/// </summary>
+public class StorageTextureBindingLayout
+{
+	/// <summary>
+	/// Gets or sets the access mode ("write-only", "read-only" or "read-write", default: "write-only").
+	/// </summary>
+	public string Access { get; set; } = "write-only";
+
+	/// <summary>
+	/// Gets or sets the texture format.
+	/// </summary>
+	public TextureFormat Format { get; set; } = TextureFormat.RGBA8Unorm;
+
+	/// <summary>
+	/// Gets or sets the view dimension ("1d", "2d", "2d-array" or "3d", default: "2d").
+	/// </summary>
+	public string ViewDimension { get; set; } = "2d";
+}
+
+/// <summary>
+/// Layout of an external texture binding, bound to a <see cref="PDWebGpuVideoSource"/>.
+/// </summary>
+public class ExternalTextureBindingLayout
+{
+}
@@ -0,0 +1,30 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a buffer with explicit usage.
+/// </summary>
+public class BufferDescriptor
+{
+	/// <summary>
+	/// Gets or sets the buffer size in bytes.
+	/// </summary>
+	public long Size { get; set; }
+
+	/// <summary>
+	/// Gets or sets the usage flags. Unlike buffers created from data, no flags are added implicitly,
+	/// so include CopySrc to read the buffer back or CopyDst to update it.
+	/// </summary>
+	public BufferUsage Usage { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether the buffer is mapped at creation so <see cref="InitialData"/> can be written without
+	/// CopyDst usage (default: false). The size must then be a multiple of 4.
+	/// </summary>
+	public bool MappedAtCreation { get; set; }
+
+	/// <summary>
+	/// Gets or sets optional initial contents, written while the buffer is mapped at creation.
+	/// The rest of the buffer is zeroed.
+	/// </summary>
+	public byte[]? InitialData { get; set; }
+}
@@ -0,0 +1,40 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a compute pipeline.
+/// </summary>
+public class ComputePipelineDescriptor
+{
+	/// <summary>
+	/// Gets or sets the pipeline layout. When null the layout is inferred from the shader ("auto"),
+	/// and bind groups created from this pipeline cannot be used with any other pipeline.
+	/// </summary>
+	public PDWebGpuPipelineLayout? Layout { get; set; }
+
+	/// <summary>
+	/// Gets or sets the compute shader configuration.
+	/// </summary>
+	public ComputeState? Compute { get; set; }
+}
+
+/// <summary>
+/// Compute shader stage configuration.
+/// </summary>
+public class ComputeState
+{
+	/// <summary>
+	/// Gets or sets the shader module.
+	/// </summary>
+	public PDWebGpuShader? Shader { get; set; }
+
+	/// <summary>
+	/// Gets or sets the entry point function name.
+	/// </summary>
+	public string? EntryPoint { get; set; } = "main";
+
+	/// <summary>
+	/// Gets or sets values for the shader's pipeline-overridable constants (WGSL <c>override</c> declarations),
+	/// keyed by name or numeric ID (optional). Use these to specialize e.g. the workgroup size without editing the shader.
+	/// </summary>
+	public Dictionary<string, double>? Constants { get; set; }
+}
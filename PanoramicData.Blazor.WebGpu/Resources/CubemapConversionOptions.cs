@@ -0,0 +1,27 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Options for converting an equirectangular (longitude/latitude) texture into a cube map.
+/// </summary>
+public class CubemapConversionOptions
+{
+	/// <summary>
+	/// Gets or sets the width and height of each cube face in pixels (null means half the source height).
+	/// </summary>
+	public int? FaceSize { get; set; }
+
+	/// <summary>
+	/// Gets or sets the cube map format (null means the source texture format).
+	/// </summary>
+	public TextureFormat? Format { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether a full mip chain is generated for the cube map (default: false).
+	/// </summary>
+	public bool GenerateMipmaps { get; set; }
+
+	/// <summary>
+	/// Gets or sets additional usage flags for the cube map. TextureBinding, CopyDst and RenderAttachment are always included.
+	/// </summary>
+	public TextureUsage Usage { get; set; } = TextureUsage.None;
+}
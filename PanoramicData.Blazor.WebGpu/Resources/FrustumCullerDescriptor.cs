@@ -0,0 +1,82 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a frustum culler. Each draw owns a contiguous range of instances; the culler writes the
+/// indices of the range's visible instances to the same range of <see cref="VisibleInstances"/> and the visible
+/// count into the draw's indirect arguments. A vertex shader then reads its instance as
+/// <c>visibleInstances[firstInstance + instance_index]</c>, with the draw's firstInstance supplied as a uniform.
+/// </summary>
+public class FrustumCullerDescriptor
+{
+	/// <summary>
+	/// Gets or sets the buffer of world-space bounding spheres, one vec4 (center X, Y, Z and radius) per
+	/// instance (needs Storage usage).
+	/// </summary>
+	public PDWebGpuBuffer? Bounds { get; set; }
+
+	/// <summary>
+	/// Gets or sets the buffer the visible instance indices are written to, one u32 per instance (needs Storage usage).
+	/// </summary>
+	public PDWebGpuBuffer? VisibleInstances { get; set; }
+
+	/// <summary>
+	/// Gets or sets the buffer the draws' indirect arguments are written to, back to back (needs Indirect and Storage usage).
+	/// </summary>
+	public PDWebGpuBuffer? IndirectBuffer { get; set; }
+
+	/// <summary>
+	/// Gets or sets the byte offset of the first draw's arguments in <see cref="IndirectBuffer"/> (multiple of 4, default: 0).
+	/// </summary>
+	public long IndirectOffset { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether the draws are indexed (default: true). Indexed draws take 20 bytes of arguments, others 16.
+	/// </summary>
+	public bool Indexed { get; set; } = true;
+
+	/// <summary>
+	/// Gets or sets the draws, in ascending order of non-overlapping instance ranges.
+	/// </summary>
+	public List<CulledDraw> Draws { get; set; } = new();
+}
+
+/// <summary>
+/// A draw whose instances are frustum culled on the GPU.
+/// </summary>
+public class CulledDraw
+{
+	/// <summary>
+	/// Gets or sets the index of the draw's first instance in the bounds buffer.
+	/// </summary>
+	public int FirstInstance { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of instances the draw owns.
+	/// </summary>
+	public int InstanceCount { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of indices per instance (indexed draws).
+	/// </summary>
+	public int IndexCount { get; set; }
+
+	/// <summary>
+	/// Gets or sets the first index (indexed draws).
+	/// </summary>
+	public int FirstIndex { get; set; }
+
+	/// <summary>
+	/// Gets or sets the value added to each index (indexed draws).
+	/// </summary>
+	public int BaseVertex { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of vertices per instance (non-indexed draws).
+	/// </summary>
+	public int VertexCount { get; set; }
+
+	/// <summary>
+	/// Gets or sets the first vertex (non-indexed draws).
+	/// </summary>
+	public int FirstVertex { get; set; }
+}
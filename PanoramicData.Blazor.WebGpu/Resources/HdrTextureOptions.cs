@@ -0,0 +1,28 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Options for loading a Radiance .hdr (RGBE) image into a float texture.
+/// </summary>
+public class HdrTextureOptions
+{
+	/// <summary>
+	/// Gets or sets the texture format (RGBA16Float or RGBA32Float, default: RGBA16Float).
+	/// RGBA32Float textures can only be filtered when the device has the float32-filterable feature.
+	/// </summary>
+	public TextureFormat Format { get; set; } = TextureFormat.RGBA16Float;
+
+	/// <summary>
+	/// Gets or sets whether the image is flipped vertically during upload (default: false).
+	/// </summary>
+	public bool FlipY { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether a full mip chain is allocated and generated on the GPU after upload (default: false).
+	/// </summary>
+	public bool GenerateMipmaps { get; set; }
+
+	/// <summary>
+	/// Gets or sets additional usage flags for the texture. TextureBinding and CopyDst are always included.
+	/// </summary>
+	public TextureUsage Usage { get; set; } = TextureUsage.None;
+}
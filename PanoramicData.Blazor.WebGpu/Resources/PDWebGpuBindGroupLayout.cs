@@ -0,0 +1,104 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Specifies the shader stages a binding is visible to (maps to GPUShaderStage flags).
+/// </summary>
+[Flags]
+public enum ShaderStage
+{
+	/// <summary>
+	/// Not visible to any stage.
+	/// </summary>
+	None = 0,
+
+	/// <summary>
+	/// Visible to the vertex stage.
+	/// </summary>
+	Vertex = 0x1,
+
+	/// <summary>
+	/// Visible to the fragment stage.
+	/// </summary>
+	Fragment = 0x2,
+
+	/// <summary>
+	/// Visible to the compute stage.
+	/// </summary>
+	Compute = 0x4
+}
+
+/// <summary>
+/// Represents a WebGPU bind group layout. Bind groups created against an explicit layout can be
+/// used with every pipeline whose pipeline layout includes it, unlike layouts inferred from a pipeline.
+/// </summary>
+public class PDWebGpuBindGroupLayout : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuBindGroupLayout"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuBindGroupLayout(Services.IPDWebGpuService service, int resourceId, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets the optional bind group layout name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets whether the bind group layout has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Disposes the bind group layout synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the bind group layout asynchronously.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
@@ -23,7 +23,126 @@ public enum BufferType
 	/// <summary>
 	/// Storage buffer for general-purpose data storage.
 	/// </summary>
-	Storage
+	Storage,
+
+	/// <summary>
+	/// Destination buffer for query set results (see PDWebGpuCommandEncoder.ResolveQuerySetAsync).
+	/// </summary>
+	QueryResolve,
+
+	/// <summary>
+	/// Buffer holding arguments for indirect draw or dispatch calls.
+	/// </summary>
+	Indirect,
+
+	/// <summary>
+	/// Buffer used only for copies and mapping (e.g. a MAP_READ readback buffer). Create it with a <see cref="BufferDescriptor"/>.
+	/// </summary>
+	Staging
+}
+
+/// <summary>
+/// Specifies how a buffer may be used (maps to GPUBufferUsage flags).
+/// </summary>
+[Flags]
+public enum BufferUsage
+{
+	/// <summary>
+	/// No usage.
+	/// </summary>
+	None = 0,
+
+	/// <summary>
+	/// The buffer can be mapped for reading. Can only be combined with CopyDst.
+	/// </summary>
+	MapRead = 0x0001,
+
+	/// <summary>
+	/// The buffer can be mapped for writing. Can only be combined with CopySrc.
+	/// </summary>
+	MapWrite = 0x0002,
+
+	/// <summary>
+	/// The buffer can be the source of a copy operation.
+	/// </summary>
+	CopySrc = 0x0004,
+
+	/// <summary>
+	/// The buffer can be the destination of a copy or write operation.
+	/// </summary>
+	CopyDst = 0x0008,
+
+	/// <summary>
+	/// The buffer can be used as an index buffer.
+	/// </summary>
+	Index = 0x0010,
+
+	/// <summary>
+	/// The buffer can be used as a vertex buffer.
+	/// </summary>
+	Vertex = 0x0020,
+
+	/// <summary>
+	/// The buffer can be bound as a uniform buffer.
+	/// </summary>
+	Uniform = 0x0040,
+
+	/// <summary>
+	/// The buffer can be bound as a storage buffer.
+	/// </summary>
+	Storage = 0x0080,
+
+	/// <summary>
+	/// The buffer can hold indirect draw or dispatch arguments.
+	/// </summary>
+	Indirect = 0x0100,
+
+	/// <summary>
+	/// The buffer can receive query set results.
+	/// </summary>
+	QueryResolve = 0x0200
+}
+
+/// <summary>
+/// Specifies the 32-bit element type of a buffer processed by the GPU parallel primitives.
+/// </summary>
+public enum BufferElementType
+{
+	/// <summary>
+	/// Unsigned 32-bit integers (WGSL u32).
+	/// </summary>
+	UInt32,
+
+	/// <summary>
+	/// Signed 32-bit integers (WGSL i32).
+	/// </summary>
+	Int32,
+
+	/// <summary>
+	/// 32-bit floating point numbers (WGSL f32).
+	/// </summary>
+	Float32
+}
+
+/// <summary>
+/// Specifies how a GPU reduction combines buffer elements.
+/// </summary>
+public enum ReductionOperation
+{
+	/// <summary>
+	/// The sum of the elements (zero for no elements).
+	/// </summary>
+	Sum,
+
+	/// <summary>
+	/// The smallest element (the type's maximum value for no elements).
+	/// </summary>
+	Min,
+
+	/// <summary>
+	/// The largest element (the type's minimum value for no elements).
+	/// </summary>
+	Max
 }
 
 /// <summary>
@@ -43,13 +162,15 @@ public class PDWebGpuBuffer : IAsyncDisposable, IDisposable
 	/// <param name="size">The size of the buffer in bytes.</param>
 	/// <param name="bufferType">The type of buffer.</param>
 	/// <param name="name">Optional name for debugging purposes.</param>
-	internal PDWebGpuBuffer(Services.IPDWebGpuService service, int resourceId, long size, BufferType bufferType, string? name = null)
+	/// <param name="usage">The usage flags (default: those of a buffer created from data of the given type).</param>
+	internal PDWebGpuBuffer(Services.IPDWebGpuService service, int resourceId, long size, BufferType bufferType, string? name = null, BufferUsage? usage = null)
 	{
 		_service = service ?? throw new ArgumentNullException(nameof(service));
 		_resourceId = resourceId;
 		Size = size;
 		BufferType = bufferType;
 		Name = name;
+		Usage = usage ?? (GetUsage(bufferType) | BufferUsage.CopyDst);
 	}
 
 	/// <summary>
@@ -57,6 +178,11 @@ public class PDWebGpuBuffer : IAsyncDisposable, IDisposable
 	/// </summary>
 	public BufferType BufferType { get; }
 
+	/// <summary>
+	/// Gets the usage flags of the buffer.
+	/// </summary>
+	public BufferUsage Usage { get; }
+
 	/// <summary>
 	/// Gets the size of the buffer in bytes.
 	/// </summary>
@@ -117,6 +243,62 @@ public class PDWebGpuBuffer : IAsyncDisposable, IDisposable
 		throw new InvalidOperationException("Unable to access WebGPU interop for buffer update");
 	}
 
+	/// <summary>
+	/// Reads the buffer contents back from the GPU, after all previously submitted work that writes the buffer has completed.
+	/// The buffer needs CopySrc or MapRead usage.
+	/// </summary>
+	/// <param name="offset">Optional offset in bytes.</param>
+	/// <param name="size">Optional number of bytes to read (default: to the end of the buffer).</param>
+	/// <returns>The buffer contents.</returns>
+	public Task<byte[]> ReadAsync(long offset = 0, long? size = null)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuBuffer));
+		}
+
+		if ((Usage & (BufferUsage.CopySrc | BufferUsage.MapRead)) == 0)
+		{
+			throw new InvalidOperationException("The buffer needs CopySrc or MapRead usage to be read back");
+		}
+
+		return _service.ReadBufferAsync(this, offset, size);
+	}
+
+	/// <summary>
+	/// Gets the usage flag that corresponds to a buffer type.
+	/// </summary>
+	/// <param name="bufferType">The buffer type.</param>
+	/// <returns>The usage flag, or <see cref="BufferUsage.None"/> for staging buffers.</returns>
+	internal static BufferUsage GetUsage(BufferType bufferType) => bufferType switch
+	{
+		BufferType.Vertex => BufferUsage.Vertex,
+		BufferType.Index => BufferUsage.Index,
+		BufferType.Uniform => BufferUsage.Uniform,
+		BufferType.Storage => BufferUsage.Storage,
+		BufferType.QueryResolve => BufferUsage.QueryResolve,
+		BufferType.Indirect => BufferUsage.Indirect,
+		_ => BufferUsage.None
+	};
+
+	/// <summary>
+	/// Gets the buffer type that best describes a set of usage flags.
+	/// </summary>
+	/// <param name="usage">The usage flags.</param>
+	/// <returns>The first of Vertex, Index, Uniform, Storage, Indirect or QueryResolve present, otherwise Staging.</returns>
+	internal static BufferType GetBufferType(BufferUsage usage)
+	{
+		foreach (var bufferType in new[] { BufferType.Vertex, BufferType.Index, BufferType.Uniform, BufferType.Storage, BufferType.Indirect, BufferType.QueryResolve })
+		{
+			if (usage.HasFlag(GetUsage(bufferType)))
+			{
+				return bufferType;
+			}
+		}
+
+		return BufferType.Staging;
+	}
+
 	/// <summary>
 	/// Disposes the buffer synchronously.
 	/// </summary>
@@ -10,6 +10,11 @@ public class PDWebGpuCommandEncoder : IAsyncDisposable, IDisposable
 	private int _resourceId;
 	private bool _disposed;
 
+	/// <summary>
+	/// The alignment required of dynamic offsets (the default minUniformBufferOffsetAlignment and minStorageBufferOffsetAlignment).
+	/// </summary>
+	internal const int BufferOffsetAlignment = 256;
+
 	/// <summary>
 	/// Initializes a new instance of the <see cref="PDWebGpuCommandEncoder"/> class.
 	/// </summary>
@@ -56,7 +61,7 @@ public class PDWebGpuCommandEncoder : IAsyncDisposable, IDisposable
 	}
 
 	/// <summary>
-	/// Sets the pipeline for a render pass.
+	/// Sets the pipeline for a render or compute pass. The pipeline type must match the pass.
 	/// </summary>
 	public async Task SetPipelineAsync(int passEncoderId, int pipelineId)
 	{
@@ -64,47 +69,75 @@ public class PDWebGpuCommandEncoder : IAsyncDisposable, IDisposable
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
-
 		await _interop.SetPipelineAsync(passEncoderId, pipelineId);
 	}
 
 	/// <summary>
-	/// Sets a bind group for a render pass.
+	/// Sets a bind group for a render or compute pass.
 	/// </summary>
-	public async Task SetBindGroupAsync(int passEncoderId, int index, int bindGroupId)
+	/// <param name="passEncoderId">Render or compute pass encoder resource ID.</param>
+	/// <param name="index">Bind group index.</param>
+	/// <param name="bindGroupId">Bind group resource ID.</param>
+	/// <param name="dynamicOffsets">
+	/// Byte offsets for the bind group's dynamic buffer bindings, in binding order. Each must be a multiple of 256.
+	/// Used to select one object's uniforms from a buffer shared by many objects without a bind group per object.
+	/// </param>
+	public async Task SetBindGroupAsync(int passEncoderId, int index, int bindGroupId, params uint[] dynamicOffsets)
 	{
 		if (_disposed)
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
 
-		await _interop.SetBindGroupAsync(passEncoderId, index, bindGroupId);
+		if (dynamicOffsets == null)
+		{
+			throw new ArgumentNullException(nameof(dynamicOffsets));
+		}
+
+		if (dynamicOffsets.Any(offset => offset % BufferOffsetAlignment != 0))
+		{
+			throw new ArgumentException($"Dynamic offsets must be multiples of {BufferOffsetAlignment}", nameof(dynamicOffsets));
+		}
+
+		await _interop.SetBindGroupAsync(passEncoderId, index, bindGroupId, dynamicOffsets.Length > 0 ? dynamicOffsets : null);
 	}
 
 	/// <summary>
 	/// Sets a vertex buffer for a render pass.
 	/// </summary>
-	public async Task SetVertexBufferAsync(int passEncoderId, int slot, int bufferId)
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="slot">Vertex buffer slot.</param>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="offset">Byte offset of the vertex data in the buffer (multiple of 4, default: 0).</param>
+	/// <param name="size">Size of the vertex data in bytes (default: the rest of the buffer).</param>
+	public async Task SetVertexBufferAsync(int passEncoderId, int slot, int bufferId, long offset = 0, long? size = null)
 	{
 		if (_disposed)
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
 
-		await _interop.SetVertexBufferAsync(passEncoderId, slot, bufferId);
+		ValidateBindingRange(offset, size, 4);
+		await _interop.SetVertexBufferAsync(passEncoderId, slot, bufferId, offset, size);
 	}
 
 	/// <summary>
 	/// Sets an index buffer for a render pass.
 	/// </summary>
-	public async Task SetIndexBufferAsync(int passEncoderId, int bufferId, string format = "uint16")
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="format">Index format ("uint16" or "uint32").</param>
+	/// <param name="offset">Byte offset of the indices in the buffer (multiple of the index size, default: 0).</param>
+	/// <param name="size">Size of the indices in bytes (default: the rest of the buffer).</param>
+	public async Task SetIndexBufferAsync(int passEncoderId, int bufferId, string format = "uint16", long offset = 0, long? size = null)
 	{
 		if (_disposed)
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
 
-		await _interop.SetIndexBufferAsync(passEncoderId, bufferId, format);
+		ValidateBindingRange(offset, size, format == "uint32" ? 4 : 2);
+		await _interop.SetIndexBufferAsync(passEncoderId, bufferId, format, offset, size);
 	}
 
 	/// <summary>
@@ -116,7 +149,6 @@ public class PDWebGpuCommandEncoder : IAsyncDisposable, IDisposable
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
-
 		await _interop.DrawAsync(passEncoderId, vertexCount, instanceCount, firstVertex, firstInstance);
 	}
 
@@ -129,25 +161,368 @@ public class PDWebGpuCommandEncoder : IAsyncDisposable, IDisposable
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
-
 		await _interop.DrawIndexedAsync(passEncoderId, indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
 	}
 
 	/// <summary>
-	/// Ends a render pass.
+	/// Draws vertices with arguments that an earlier GPU pass wrote into a buffer, such as instance counts from GPU culling.
 	/// </summary>
-	public async Task EndRenderPassAsync(int passEncoderId)
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="indirectBuffer">A buffer with <see cref="BufferUsage.Indirect"/> holding four u32 arguments (vertexCount, instanceCount, firstVertex, firstInstance).</param>
+	/// <param name="indirectOffset">Byte offset of the arguments in the buffer (multiple of 4, default: 0).</param>
+	public async Task DrawIndirectAsync(int passEncoderId, PDWebGpuBuffer indirectBuffer, long indirectOffset = 0)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		ValidateIndirectBuffer(indirectBuffer, indirectOffset, 16);
+		await _interop.DrawIndirectAsync(passEncoderId, indirectBuffer.ResourceId, indirectOffset);
+	}
+
+	/// <summary>
+	/// Draws indexed vertices with arguments that an earlier GPU pass wrote into a buffer, such as instance counts from GPU culling.
+	/// </summary>
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="indirectBuffer">A buffer with <see cref="BufferUsage.Indirect"/> holding five 32-bit arguments (indexCount, instanceCount, firstIndex, baseVertex, firstInstance).</param>
+	/// <param name="indirectOffset">Byte offset of the arguments in the buffer (multiple of 4, default: 0).</param>
+	public async Task DrawIndexedIndirectAsync(int passEncoderId, PDWebGpuBuffer indirectBuffer, long indirectOffset = 0)
 	{
 		if (_disposed)
 		{
 			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
 		}
 
+		ValidateIndirectBuffer(indirectBuffer, indirectOffset, 20);
+		await _interop.DrawIndexedIndirectAsync(passEncoderId, indirectBuffer.ResourceId, indirectOffset);
+	}
+
+	/// <summary>
+	/// Ends a render pass. The pass encoder is released, so its ID cannot be used again.
+	/// </summary>
+	public async Task EndRenderPassAsync(int passEncoderId)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
 		await _interop.EndRenderPassAsync(passEncoderId);
 	}
 
 	/// <summary>
-	/// Finishes recording and returns the command buffer resource ID.
+	/// Begins a compute pass and returns a compute pass encoder.
+	/// </summary>
+	/// <param name="label">Optional label for debugging.</param>
+	/// <returns>Compute pass encoder resource ID.</returns>
+	public async Task<int> BeginComputePassAsync(string? label = null)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		return await _interop.BeginComputePassAsync(_resourceId, new { label });
+	}
+
+	/// <summary>
+	/// Dispatches compute work using the compute pipeline set on the pass.
+	/// </summary>
+	/// <param name="passEncoderId">Compute pass encoder resource ID.</param>
+	/// <param name="workgroupCountX">Number of workgroups in the X dimension.</param>
+	/// <param name="workgroupCountY">Number of workgroups in the Y dimension (default: 1).</param>
+	/// <param name="workgroupCountZ">Number of workgroups in the Z dimension (default: 1).</param>
+	public async Task DispatchWorkgroupsAsync(int passEncoderId, int workgroupCountX, int workgroupCountY = 1, int workgroupCountZ = 1)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (workgroupCountX < 0 || workgroupCountY < 0 || workgroupCountZ < 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(workgroupCountX), "Workgroup counts cannot be negative");
+		}
+
+		await _interop.DispatchWorkgroupsAsync(passEncoderId, workgroupCountX, workgroupCountY, workgroupCountZ);
+	}
+
+	/// <summary>
+	/// Dispatches compute work with workgroup counts that an earlier GPU pass wrote into a buffer,
+	/// so the CPU never needs to read back how much work there is.
+	/// </summary>
+	/// <param name="passEncoderId">Compute pass encoder resource ID.</param>
+	/// <param name="indirectBuffer">A buffer with <see cref="BufferUsage.Indirect"/> holding three u32 workgroup counts (X, Y, Z).</param>
+	/// <param name="indirectOffset">Byte offset of the counts in the buffer (multiple of 4, default: 0).</param>
+	public async Task DispatchWorkgroupsIndirectAsync(int passEncoderId, PDWebGpuBuffer indirectBuffer, long indirectOffset = 0)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		ValidateIndirectBuffer(indirectBuffer, indirectOffset, 12);
+		await _interop.DispatchWorkgroupsIndirectAsync(passEncoderId, indirectBuffer.ResourceId, indirectOffset);
+	}
+
+	/// <summary>
+	/// Ends a compute pass. The pass encoder is released, so its ID cannot be used again.
+	/// </summary>
+	public async Task EndComputePassAsync(int passEncoderId)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+		await _interop.EndComputePassAsync(passEncoderId);
+	}
+
+	/// <summary>
+	/// Runs the commands of a command list in one interop call. A command that fails is skipped and the rest
+	/// still run, so passes begun in the list still end. Passes the list begins but leaves open are ended
+	/// afterwards, since nothing outside the list can refer to them.
+	/// </summary>
+	/// <param name="commands">The command list.</param>
+	/// <exception cref="PDWebGpuCommandException">One or more commands failed; <see cref="PDWebGpuCommandException.Errors"/> gives the index of each.</exception>
+	public async Task ExecuteAsync(PDWebGpuCommandList commands)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (commands == null)
+		{
+			throw new ArgumentNullException(nameof(commands));
+		}
+
+		if (commands.Count == 0)
+		{
+			return;
+		}
+
+		var result = await _interop.ExecuteCommandsAsync(_resourceId, commands.ToBytes(), commands.GetDescriptors());
+		if (result.OpenPassIds.Length > 0)
+		{
+			// A pass that fails to end here is released by the interop, so the encoder can still be finished
+			var endPasses = new PDWebGpuCommandList();
+			foreach (var passEncoderId in result.OpenPassIds)
+			{
+				endPasses.UsePass(passEncoderId);
+				endPasses.EndPass();
+			}
+
+			await _interop.ExecuteCommandsAsync(_resourceId, endPasses.ToBytes(), endPasses.GetDescriptors());
+		}
+
+		var errors = result.Errors;
+		if (errors.Length > 0)
+		{
+			var first = errors[0];
+			throw new PDWebGpuCommandException(
+				$"{errors.Length} of {commands.Count} commands failed; command {first.Index} ({first.Command}): {first.Message}",
+				errors);
+		}
+	}
+
+	/// <summary>
+	/// Copies bytes from one buffer to another. Offsets and size must be multiples of 4.
+	/// </summary>
+	/// <param name="source">The source buffer.</param>
+	/// <param name="sourceOffset">The source offset in bytes.</param>
+	/// <param name="destination">The destination buffer.</param>
+	/// <param name="destinationOffset">The destination offset in bytes.</param>
+	/// <param name="size">The number of bytes to copy.</param>
+	public async Task CopyBufferToBufferAsync(PDWebGpuBuffer source, long sourceOffset, PDWebGpuBuffer destination, long destinationOffset, long size)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (source == null)
+		{
+			throw new ArgumentNullException(nameof(source));
+		}
+
+		if (destination == null)
+		{
+			throw new ArgumentNullException(nameof(destination));
+		}
+
+		ValidateBufferRange(source, sourceOffset, size, nameof(sourceOffset));
+		ValidateBufferRange(destination, destinationOffset, size, nameof(destinationOffset));
+
+		if (source == destination && sourceOffset < destinationOffset + size && destinationOffset < sourceOffset + size)
+		{
+			throw new ArgumentException("Source and destination ranges of the same buffer must not overlap", nameof(destinationOffset));
+		}
+
+		await _interop.CopyBufferToBufferAsync(_resourceId, source.ResourceId, sourceOffset, destination.ResourceId, destinationOffset, size);
+	}
+
+	/// <summary>
+	/// Copies texel data from a buffer into a texture region.
+	/// </summary>
+	/// <param name="source">The source buffer and its data layout.</param>
+	/// <param name="destination">The destination texture, mip level and origin.</param>
+	/// <param name="width">The copy width in texels.</param>
+	/// <param name="height">The copy height in texels (default: 1).</param>
+	/// <param name="depthOrArrayLayers">The copy depth or layer count (default: 1).</param>
+	public async Task CopyBufferToTextureAsync(BufferCopyLayout source, TextureCopyLocation destination, int width, int height = 1, int depthOrArrayLayers = 1)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (source == null)
+		{
+			throw new ArgumentNullException(nameof(source));
+		}
+
+		if (destination == null)
+		{
+			throw new ArgumentNullException(nameof(destination));
+		}
+
+		ValidateBufferCopyLayout(source, nameof(source));
+		ValidateTextureCopyLocation(destination, width, height, depthOrArrayLayers, nameof(destination));
+
+		await _interop.CopyBufferToTextureAsync(_resourceId, ConvertBufferCopyLayout(source), ConvertTextureCopyLocation(destination), ConvertExtent(width, height, depthOrArrayLayers));
+	}
+
+	/// <summary>
+	/// Copies a texture region into a buffer.
+	/// </summary>
+	/// <param name="source">The source texture, mip level and origin.</param>
+	/// <param name="destination">The destination buffer and its data layout.</param>
+	/// <param name="width">The copy width in texels.</param>
+	/// <param name="height">The copy height in texels (default: 1).</param>
+	/// <param name="depthOrArrayLayers">The copy depth or layer count (default: 1).</param>
+	public async Task CopyTextureToBufferAsync(TextureCopyLocation source, BufferCopyLayout destination, int width, int height = 1, int depthOrArrayLayers = 1)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (source == null)
+		{
+			throw new ArgumentNullException(nameof(source));
+		}
+
+		if (destination == null)
+		{
+			throw new ArgumentNullException(nameof(destination));
+		}
+
+		ValidateTextureCopyLocation(source, width, height, depthOrArrayLayers, nameof(source));
+		ValidateBufferCopyLayout(destination, nameof(destination));
+
+		await _interop.CopyTextureToBufferAsync(_resourceId, ConvertTextureCopyLocation(source), ConvertBufferCopyLayout(destination), ConvertExtent(width, height, depthOrArrayLayers));
+	}
+
+	/// <summary>
+	/// Copies a region of one texture into another. Both textures must have compatible formats and the same sample count.
+	/// </summary>
+	/// <param name="source">The source texture, mip level and origin.</param>
+	/// <param name="destination">The destination texture, mip level and origin.</param>
+	/// <param name="width">The copy width in texels.</param>
+	/// <param name="height">The copy height in texels (default: 1).</param>
+	/// <param name="depthOrArrayLayers">The copy depth or layer count (default: 1).</param>
+	public async Task CopyTextureToTextureAsync(TextureCopyLocation source, TextureCopyLocation destination, int width, int height = 1, int depthOrArrayLayers = 1)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (source == null)
+		{
+			throw new ArgumentNullException(nameof(source));
+		}
+
+		if (destination == null)
+		{
+			throw new ArgumentNullException(nameof(destination));
+		}
+
+		ValidateTextureCopyLocation(source, width, height, depthOrArrayLayers, nameof(source));
+		ValidateTextureCopyLocation(destination, width, height, depthOrArrayLayers, nameof(destination));
+
+		await _interop.CopyTextureToTextureAsync(_resourceId, ConvertTextureCopyLocation(source), ConvertTextureCopyLocation(destination), ConvertExtent(width, height, depthOrArrayLayers));
+	}
+
+	/// <summary>
+	/// Fills a buffer range with zeros. Offset and size must be multiples of 4.
+	/// </summary>
+	/// <param name="buffer">The buffer to clear.</param>
+	/// <param name="offset">The offset in bytes (default: 0).</param>
+	/// <param name="size">The number of bytes to clear (default: to the end of the buffer).</param>
+	public async Task ClearBufferAsync(PDWebGpuBuffer buffer, long offset = 0, long? size = null)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (buffer == null)
+		{
+			throw new ArgumentNullException(nameof(buffer));
+		}
+
+		ValidateBufferRange(buffer, offset, size ?? buffer.Size - offset, nameof(offset));
+
+		await _interop.ClearBufferAsync(_resourceId, buffer.ResourceId, offset, size);
+	}
+
+	/// <summary>
+	/// Writes query results into a QueryResolve buffer as 64-bit unsigned integers.
+	/// </summary>
+	/// <param name="querySet">The query set.</param>
+	/// <param name="firstQuery">The index of the first query to resolve.</param>
+	/// <param name="queryCount">The number of queries to resolve.</param>
+	/// <param name="destination">The destination buffer, created with <see cref="BufferType.QueryResolve"/>.</param>
+	/// <param name="destinationOffset">The destination offset in bytes (a multiple of 256, default: 0).</param>
+	public async Task ResolveQuerySetAsync(PDWebGpuQuerySet querySet, int firstQuery, int queryCount, PDWebGpuBuffer destination, long destinationOffset = 0)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuCommandEncoder));
+		}
+
+		if (querySet == null)
+		{
+			throw new ArgumentNullException(nameof(querySet));
+		}
+
+		if (destination == null)
+		{
+			throw new ArgumentNullException(nameof(destination));
+		}
+
+		if (firstQuery < 0 || queryCount < 0 || firstQuery + queryCount > querySet.Count)
+		{
+			throw new ArgumentOutOfRangeException(nameof(queryCount), "Query range exceeds the query set");
+		}
+
+		if (destinationOffset % 256 != 0)
+		{
+			throw new ArgumentException("Destination offset must be a multiple of 256", nameof(destinationOffset));
+		}
+
+		if (destinationOffset < 0 || destinationOffset + (queryCount * 8L) > destination.Size)
+		{
+			throw new ArgumentOutOfRangeException(nameof(destinationOffset), "Query results exceed the destination buffer");
+		}
+
+		await _interop.ResolveQuerySetAsync(_resourceId, querySet.ResourceId, firstQuery, queryCount, destination.ResourceId, destinationOffset);
+	}
+
+	/// <summary>
+	/// Finishes recording and returns the command buffer resource ID. The encoder is released in JavaScript, so disposing
+	/// it afterwards is a no-op; the command buffer is released when it is submitted.
 	/// </summary>
 	/// <returns>The command buffer resource ID.</returns>
 	public async Task<int> FinishAsync()
@@ -170,7 +545,108 @@ public class PDWebGpuCommandEncoder : IAsyncDisposable, IDisposable
 		return FinishAsync().GetAwaiter().GetResult();
 	}
 
-	private static object ConvertRenderPassDescriptor(RenderPassDescriptor descriptor)
+	internal static void ValidateBindingRange(long offset, long? size, int alignment)
+	{
+		if (offset < 0 || offset % alignment != 0)
+		{
+			throw new ArgumentException($"Offset must be a non-negative multiple of {alignment}", nameof(offset));
+		}
+
+		if (size < 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(size), "Size cannot be negative");
+		}
+	}
+
+	internal static void ValidateIndirectBuffer(PDWebGpuBuffer indirectBuffer, long indirectOffset, long argumentsSize)
+	{
+		if (indirectBuffer == null)
+		{
+			throw new ArgumentNullException(nameof(indirectBuffer));
+		}
+
+		if (!indirectBuffer.Usage.HasFlag(BufferUsage.Indirect))
+		{
+			throw new ArgumentException("The buffer was not created with Indirect usage", nameof(indirectBuffer));
+		}
+
+		ValidateBufferRange(indirectBuffer, indirectOffset, argumentsSize, nameof(indirectOffset));
+	}
+
+	private static void ValidateBufferRange(PDWebGpuBuffer buffer, long offset, long size, string paramName)
+	{
+		if (offset % 4 != 0 || size % 4 != 0)
+		{
+			throw new ArgumentException("Buffer offsets and sizes must be multiples of 4", paramName);
+		}
+
+		if (offset < 0 || size < 0 || offset + size > buffer.Size)
+		{
+			throw new ArgumentOutOfRangeException(paramName, "Range exceeds the buffer size");
+		}
+	}
+
+	private static void ValidateBufferCopyLayout(BufferCopyLayout layout, string paramName)
+	{
+		if (layout.Offset < 0 || layout.Offset > layout.Buffer.Size)
+		{
+			throw new ArgumentOutOfRangeException(paramName, "Buffer offset is outside the buffer");
+		}
+
+		if (layout.BytesPerRow is { } bytesPerRow && bytesPerRow % 256 != 0)
+		{
+			throw new ArgumentException("BytesPerRow must be a multiple of 256", paramName);
+		}
+	}
+
+	private static void ValidateTextureCopyLocation(TextureCopyLocation location, int width, int height, int depthOrArrayLayers, string paramName)
+	{
+		var texture = location.Texture;
+		if (location.MipLevel < 0 || location.MipLevel >= texture.MipLevelCount)
+		{
+			throw new ArgumentOutOfRangeException(paramName, $"Mip level {location.MipLevel} does not exist (the texture has {texture.MipLevelCount})");
+		}
+
+		var levelWidth = Math.Max(1, texture.Width >> location.MipLevel);
+		var levelHeight = Math.Max(1, texture.Height >> location.MipLevel);
+		var levelDepth = texture.Dimension == "3d" ? Math.Max(1, texture.DepthOrArrayLayers >> location.MipLevel) : texture.DepthOrArrayLayers;
+
+		if (width < 0 || height < 0 || depthOrArrayLayers < 0 ||
+			location.X < 0 || location.Y < 0 || location.Z < 0 ||
+			location.X + width > levelWidth ||
+			location.Y + height > levelHeight ||
+			location.Z + depthOrArrayLayers > levelDepth)
+		{
+			throw new ArgumentOutOfRangeException(paramName, $"Copy region exceeds mip level {location.MipLevel} ({levelWidth}x{levelHeight}x{levelDepth})");
+		}
+	}
+
+	private static object ConvertTextureCopyLocation(TextureCopyLocation location) => new
+	{
+		textureId = location.Texture.ResourceId,
+		mipLevel = location.MipLevel,
+		x = location.X,
+		y = location.Y,
+		z = location.Z,
+		aspect = location.Aspect
+	};
+
+	private static object ConvertBufferCopyLayout(BufferCopyLayout layout) => new
+	{
+		bufferId = layout.Buffer.ResourceId,
+		offset = layout.Offset,
+		bytesPerRow = layout.BytesPerRow,
+		rowsPerImage = layout.RowsPerImage
+	};
+
+	private static object ConvertExtent(int width, int height, int depthOrArrayLayers) => new
+	{
+		width,
+		height,
+		depthOrArrayLayers
+	};
+
+	internal static object ConvertRenderPassDescriptor(RenderPassDescriptor descriptor)
 	{
 		var colorAttachments = descriptor.ColorAttachments?.Select(att => new
 		{
@@ -0,0 +1,274 @@
+﻿using System.Runtime.InteropServices;
+
+namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Records render and compute pass commands into a compact stream that
+/// <see cref="PDWebGpuCommandEncoder.ExecuteAsync(PDWebGpuCommandList)"/> runs in one interop call,
+/// instead of paying one call per command.
+/// </summary>
+/// <remarks>
+/// Pass commands apply to the pass most recently begun with <see cref="BeginRenderPass"/> or
+/// <see cref="BeginComputePass"/>, or selected with <see cref="UsePass"/>. Arguments are validated as they are
+/// recorded; resource IDs are checked when the list runs, and errors are reported by command index.
+/// </remarks>
+public class PDWebGpuCommandList
+{
+	/// <summary>
+	/// The size argument meaning "the rest of the buffer".
+	/// </summary>
+	private const uint WholeSize = uint.MaxValue;
+
+	private readonly List<uint> _words = [];
+	private readonly List<object> _descriptors = [];
+
+	private enum Opcode : uint
+	{
+		BeginRenderPass = 1,
+		BeginComputePass = 2,
+		SetPass = 3,
+		EndPass = 4,
+		SetPipeline = 5,
+		SetBindGroup = 6,
+		SetVertexBuffer = 7,
+		SetIndexBuffer = 8,
+		Draw = 9,
+		DrawIndexed = 10,
+		DrawIndirect = 11,
+		DrawIndexedIndirect = 12,
+		DispatchWorkgroups = 13,
+		DispatchWorkgroupsIndirect = 14
+	}
+
+	/// <summary>
+	/// Gets the number of commands recorded.
+	/// </summary>
+	public int Count { get; private set; }
+
+	/// <summary>
+	/// Removes all recorded commands so the list can be reused for the next frame.
+	/// </summary>
+	public void Clear()
+	{
+		_words.Clear();
+		_descriptors.Clear();
+		Count = 0;
+	}
+
+	/// <summary>
+	/// Begins a render pass on the executing encoder. Later pass commands record into it.
+	/// </summary>
+	/// <param name="descriptor">Render pass descriptor.</param>
+	public void BeginRenderPass(RenderPassDescriptor descriptor)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		Append(Opcode.BeginRenderPass, (uint)_descriptors.Count);
+		_descriptors.Add(PDWebGpuCommandEncoder.ConvertRenderPassDescriptor(descriptor));
+	}
+
+	/// <summary>
+	/// Begins a compute pass on the executing encoder. Later pass commands record into it.
+	/// </summary>
+	/// <param name="label">Optional label for debugging.</param>
+	public void BeginComputePass(string? label = null)
+	{
+		Append(Opcode.BeginComputePass, (uint)_descriptors.Count);
+		_descriptors.Add(new { label });
+	}
+
+	/// <summary>
+	/// Selects a pass begun outside the list, such as with <see cref="PDWebGpuCommandEncoder.BeginRenderPassAsync"/>,
+	/// for the pass commands that follow.
+	/// </summary>
+	/// <param name="passEncoderId">Render or compute pass encoder resource ID.</param>
+	public void UsePass(int passEncoderId)
+	{
+		Append(Opcode.SetPass, ToWord(passEncoderId, nameof(passEncoderId)));
+	}
+
+	/// <summary>
+	/// Ends the current render or compute pass.
+	/// </summary>
+	public void EndPass()
+	{
+		Append(Opcode.EndPass);
+	}
+
+	/// <summary>
+	/// Sets the pipeline of the current pass. The pipeline type must match the pass.
+	/// </summary>
+	/// <param name="pipelineId">Render or compute pipeline resource ID.</param>
+	public void SetPipeline(int pipelineId)
+	{
+		Append(Opcode.SetPipeline, ToWord(pipelineId, nameof(pipelineId)));
+	}
+
+	/// <summary>
+	/// Sets a bind group of the current pass.
+	/// </summary>
+	/// <param name="index">Bind group index.</param>
+	/// <param name="bindGroupId">Bind group resource ID.</param>
+	/// <param name="dynamicOffsets">Byte offsets for the bind group's dynamic buffer bindings, in binding order. Each must be a multiple of 256.</param>
+	public void SetBindGroup(int index, int bindGroupId, params uint[] dynamicOffsets)
+	{
+		if (dynamicOffsets == null)
+		{
+			throw new ArgumentNullException(nameof(dynamicOffsets));
+		}
+
+		if (dynamicOffsets.Any(offset => offset % PDWebGpuCommandEncoder.BufferOffsetAlignment != 0))
+		{
+			throw new ArgumentException($"Dynamic offsets must be multiples of {PDWebGpuCommandEncoder.BufferOffsetAlignment}", nameof(dynamicOffsets));
+		}
+
+		Append(Opcode.SetBindGroup, 2 + dynamicOffsets.Length);
+		_words.Add(ToWord(index, nameof(index)));
+		_words.Add(ToWord(bindGroupId, nameof(bindGroupId)));
+		_words.AddRange(dynamicOffsets);
+	}
+
+	/// <summary>
+	/// Sets a vertex buffer of the current render pass.
+	/// </summary>
+	/// <param name="slot">Vertex buffer slot.</param>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="offset">Byte offset of the vertex data in the buffer (multiple of 4, default: 0).</param>
+	/// <param name="size">Size of the vertex data in bytes (default: the rest of the buffer).</param>
+	public void SetVertexBuffer(int slot, int bufferId, long offset = 0, long? size = null)
+	{
+		PDWebGpuCommandEncoder.ValidateBindingRange(offset, size, 4);
+		Append(Opcode.SetVertexBuffer, ToWord(slot, nameof(slot)), ToWord(bufferId, nameof(bufferId)), ToWord(offset, nameof(offset)), ToSizeWord(size));
+	}
+
+	/// <summary>
+	/// Sets the index buffer of the current render pass.
+	/// </summary>
+	/// <param name="bufferId">Buffer resource ID.</param>
+	/// <param name="format">Index format ("uint16" or "uint32").</param>
+	/// <param name="offset">Byte offset of the indices in the buffer (multiple of the index size, default: 0).</param>
+	/// <param name="size">Size of the indices in bytes (default: the rest of the buffer).</param>
+	public void SetIndexBuffer(int bufferId, string format = "uint16", long offset = 0, long? size = null)
+	{
+		if (format is not ("uint16" or "uint32"))
+		{
+			throw new ArgumentException("Index format must be \"uint16\" or \"uint32\"", nameof(format));
+		}
+
+		PDWebGpuCommandEncoder.ValidateBindingRange(offset, size, format == "uint32" ? 4 : 2);
+		Append(Opcode.SetIndexBuffer, ToWord(bufferId, nameof(bufferId)), format == "uint32" ? 1u : 0u, ToWord(offset, nameof(offset)), ToSizeWord(size));
+	}
+
+	/// <summary>
+	/// Draws vertices in the current render pass.
+	/// </summary>
+	public void Draw(int vertexCount, int instanceCount = 1, int firstVertex = 0, int firstInstance = 0)
+	{
+		Append(
+			Opcode.Draw,
+			ToWord(vertexCount, nameof(vertexCount)),
+			ToWord(instanceCount, nameof(instanceCount)),
+			ToWord(firstVertex, nameof(firstVertex)),
+			ToWord(firstInstance, nameof(firstInstance)));
+	}
+
+	/// <summary>
+	/// Draws indexed vertices in the current render pass.
+	/// </summary>
+	public void DrawIndexed(int indexCount, int instanceCount = 1, int firstIndex = 0, int baseVertex = 0, int firstInstance = 0)
+	{
+		Append(
+			Opcode.DrawIndexed,
+			ToWord(indexCount, nameof(indexCount)),
+			ToWord(instanceCount, nameof(instanceCount)),
+			ToWord(firstIndex, nameof(firstIndex)),
+			unchecked((uint)baseVertex),
+			ToWord(firstInstance, nameof(firstInstance)));
+	}
+
+	/// <summary>
+	/// Draws vertices in the current render pass with arguments read from a buffer.
+	/// </summary>
+	/// <param name="indirectBuffer">A buffer with <see cref="BufferUsage.Indirect"/> holding four u32 arguments (vertexCount, instanceCount, firstVertex, firstInstance).</param>
+	/// <param name="indirectOffset">Byte offset of the arguments in the buffer (multiple of 4, default: 0).</param>
+	public void DrawIndirect(PDWebGpuBuffer indirectBuffer, long indirectOffset = 0)
+	{
+		PDWebGpuCommandEncoder.ValidateIndirectBuffer(indirectBuffer, indirectOffset, 16);
+		Append(Opcode.DrawIndirect, ToWord(indirectBuffer.ResourceId, nameof(indirectBuffer)), ToWord(indirectOffset, nameof(indirectOffset)));
+	}
+
+	/// <summary>
+	/// Draws indexed vertices in the current render pass with arguments read from a buffer.
+	/// </summary>
+	/// <param name="indirectBuffer">A buffer with <see cref="BufferUsage.Indirect"/> holding five 32-bit arguments (indexCount, instanceCount, firstIndex, baseVertex, firstInstance).</param>
+	/// <param name="indirectOffset">Byte offset of the arguments in the buffer (multiple of 4, default: 0).</param>
+	public void DrawIndexedIndirect(PDWebGpuBuffer indirectBuffer, long indirectOffset = 0)
+	{
+		PDWebGpuCommandEncoder.ValidateIndirectBuffer(indirectBuffer, indirectOffset, 20);
+		Append(Opcode.DrawIndexedIndirect, ToWord(indirectBuffer.ResourceId, nameof(indirectBuffer)), ToWord(indirectOffset, nameof(indirectOffset)));
+	}
+
+	/// <summary>
+	/// Dispatches compute work in the current compute pass.
+	/// </summary>
+	/// <param name="workgroupCountX">Number of workgroups in the X dimension.</param>
+	/// <param name="workgroupCountY">Number of workgroups in the Y dimension (default: 1).</param>
+	/// <param name="workgroupCountZ">Number of workgroups in the Z dimension (default: 1).</param>
+	public void DispatchWorkgroups(int workgroupCountX, int workgroupCountY = 1, int workgroupCountZ = 1)
+	{
+		Append(
+			Opcode.DispatchWorkgroups,
+			ToWord(workgroupCountX, nameof(workgroupCountX)),
+			ToWord(workgroupCountY, nameof(workgroupCountY)),
+			ToWord(workgroupCountZ, nameof(workgroupCountZ)));
+	}
+
+	/// <summary>
+	/// Dispatches compute work in the current compute pass with workgroup counts read from a buffer.
+	/// </summary>
+	/// <param name="indirectBuffer">A buffer with <see cref="BufferUsage.Indirect"/> holding three u32 workgroup counts (X, Y, Z).</param>
+	/// <param name="indirectOffset">Byte offset of the counts in the buffer (multiple of 4, default: 0).</param>
+	public void DispatchWorkgroupsIndirect(PDWebGpuBuffer indirectBuffer, long indirectOffset = 0)
+	{
+		PDWebGpuCommandEncoder.ValidateIndirectBuffer(indirectBuffer, indirectOffset, 12);
+		Append(Opcode.DispatchWorkgroupsIndirect, ToWord(indirectBuffer.ResourceId, nameof(indirectBuffer)), ToWord(indirectOffset, nameof(indirectOffset)));
+	}
+
+	/// <summary>
+	/// Gets the recorded commands as little-endian 32-bit words.
+	/// </summary>
+	internal byte[] ToBytes() => MemoryMarshal.AsBytes(CollectionsMarshal.AsSpan(_words)).ToArray();
+
+	/// <summary>
+	/// Gets the pass descriptors the recorded commands refer to by index.
+	/// </summary>
+	internal object[] GetDescriptors() => [.. _descriptors];
+
+	private void Append(Opcode opcode, params uint[] arguments)
+	{
+		Append(opcode, arguments.Length);
+		_words.AddRange(arguments);
+	}
+
+	private void Append(Opcode opcode, int argumentCount)
+	{
+		// Header word: opcode in the low 16 bits, argument word count in the high 16 bits
+		_words.Add((uint)opcode | (uint)argumentCount << 16);
+		Count++;
+	}
+
+	private static uint ToWord(long value, string paramName)
+	{
+		if (value < 0 || value >= WholeSize)
+		{
+			throw new ArgumentOutOfRangeException(paramName, value, $"Value must be between 0 and {WholeSize - 1}");
+		}
+
+		return (uint)value;
+	}
+
+	private static uint ToSizeWord(long? size) => size.HasValue ? ToWord(size.Value, nameof(size)) : WholeSize;
+}
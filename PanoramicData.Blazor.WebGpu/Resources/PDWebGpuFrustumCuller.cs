@@ -0,0 +1,175 @@
+﻿using System.Numerics;
+using PanoramicData.Blazor.WebGpu.Camera;
+
+namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Represents a frustum culler: a compute pass that tests per-instance bounding spheres against a camera's
+/// frustum and writes compacted visible instance lists and indirect draw arguments, so large scenes are
+/// drawn with one indirect draw per mesh instead of one draw per visible object.
+/// </summary>
+public class PDWebGpuFrustumCuller : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuFrustumCuller"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="indirectBuffer">The buffer the draws' indirect arguments are written to.</param>
+	/// <param name="indirectOffset">The byte offset of the first draw's arguments.</param>
+	/// <param name="indexed">Whether the draws are indexed.</param>
+	/// <param name="drawCount">The number of draws.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuFrustumCuller(Services.IPDWebGpuService service, int resourceId, PDWebGpuBuffer indirectBuffer, long indirectOffset, bool indexed, int drawCount, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		IndirectBuffer = indirectBuffer ?? throw new ArgumentNullException(nameof(indirectBuffer));
+		IndirectOffset = indirectOffset;
+		Indexed = indexed;
+		DrawCount = drawCount;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets the buffer the draws' indirect arguments are written to.
+	/// </summary>
+	public PDWebGpuBuffer IndirectBuffer { get; }
+
+	/// <summary>
+	/// Gets the byte offset of the first draw's arguments in <see cref="IndirectBuffer"/>.
+	/// </summary>
+	public long IndirectOffset { get; }
+
+	/// <summary>
+	/// Gets whether the draws are indexed.
+	/// </summary>
+	public bool Indexed { get; }
+
+	/// <summary>
+	/// Gets the number of draws.
+	/// </summary>
+	public int DrawCount { get; }
+
+	/// <summary>
+	/// Gets the optional culler name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets whether the culler has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Gets the byte offset of a draw's indirect arguments in <see cref="IndirectBuffer"/>.
+	/// </summary>
+	/// <param name="drawIndex">The index of the draw in the descriptor's draws.</param>
+	/// <returns>The byte offset.</returns>
+	public long GetIndirectOffset(int drawIndex)
+	{
+		if (drawIndex < 0 || drawIndex >= DrawCount)
+		{
+			throw new ArgumentOutOfRangeException(nameof(drawIndex), drawIndex, $"Draw index must be between 0 and {DrawCount - 1}");
+		}
+
+		return IndirectOffset + drawIndex * (Indexed ? 20L : 16L);
+	}
+
+	/// <summary>
+	/// Records the culling compute pass into a command encoder. Call it outside any pass, before the render
+	/// pass that draws the culled instances, and once per submission.
+	/// </summary>
+	/// <param name="encoder">The command encoder.</param>
+	/// <param name="viewProjection">The camera's view-projection matrix.</param>
+	public Task CullAsync(PDWebGpuCommandEncoder encoder, Matrix4x4 viewProjection)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuFrustumCuller));
+		}
+
+		return _service.CullInstancesAsync(this, encoder, viewProjection);
+	}
+
+	/// <summary>
+	/// Records the culling compute pass for a camera into a command encoder.
+	/// </summary>
+	/// <param name="encoder">The command encoder.</param>
+	/// <param name="camera">The camera.</param>
+	public Task CullAsync(PDWebGpuCommandEncoder encoder, PDWebGpuCameraBase camera)
+	{
+		if (camera == null)
+		{
+			throw new ArgumentNullException(nameof(camera));
+		}
+
+		return CullAsync(encoder, camera.ViewProjectionMatrix);
+	}
+
+	/// <summary>
+	/// Draws one of the culler's draws with its culled instance count. Set the draw's pipeline, bind groups
+	/// and vertex and index buffers first.
+	/// </summary>
+	/// <param name="encoder">The command encoder.</param>
+	/// <param name="passEncoderId">Render pass encoder resource ID.</param>
+	/// <param name="drawIndex">The index of the draw in the descriptor's draws.</param>
+	public Task DrawAsync(PDWebGpuCommandEncoder encoder, int passEncoderId, int drawIndex)
+	{
+		if (encoder == null)
+		{
+			throw new ArgumentNullException(nameof(encoder));
+		}
+
+		var offset = GetIndirectOffset(drawIndex);
+		return Indexed
+			? encoder.DrawIndexedIndirectAsync(passEncoderId, IndirectBuffer, offset)
+			: encoder.DrawIndirectAsync(passEncoderId, IndirectBuffer, offset);
+	}
+
+	/// <summary>
+	/// Disposes the culler synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the culler asynchronously. The buffers it writes to are not disposed.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
@@ -0,0 +1,204 @@
+﻿using System.Numerics;
+using PanoramicData.Blazor.WebGpu.Camera;
+
+namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Specifies how particles are blended with the render target.
+/// </summary>
+public enum ParticleBlendMode
+{
+	/// <summary>
+	/// Particle colors are added to the target, for fire, sparks and glows. Order independent.
+	/// </summary>
+	Additive,
+
+	/// <summary>
+	/// Particles are alpha blended over the target, for smoke and dust. Particles are not sorted by depth.
+	/// </summary>
+	Alpha
+}
+
+/// <summary>
+/// Represents a GPU particle system: a pool of particles spawned by emitters, simulated in a compute shader
+/// and drawn as camera-facing billboards. Call <see cref="UpdateAsync(PDWebGpuCommandEncoder, double)"/> from
+/// the container's OnFrame handler, then <see cref="DrawAsync(int, PDWebGpuCameraBase)"/> inside the frame's render pass.
+/// </summary>
+public class PDWebGpuParticleSystem : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private readonly List<ParticleEmitter> _emitters = new();
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// The most emitters a particle system can have.
+	/// </summary>
+	public const int MaxEmitters = 16;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuParticleSystem"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="maxParticles">The size of the particle pool.</param>
+	/// <param name="blendMode">How particles are blended with the render target.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuParticleSystem(Services.IPDWebGpuService service, int resourceId, int maxParticles, ParticleBlendMode blendMode, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		MaxParticles = maxParticles;
+		BlendMode = blendMode;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets the size of the particle pool.
+	/// </summary>
+	public int MaxParticles { get; }
+
+	/// <summary>
+	/// Gets how particles are blended with the render target.
+	/// </summary>
+	public ParticleBlendMode BlendMode { get; }
+
+	/// <summary>
+	/// Gets the optional particle system name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets the emitters, in the order they were added.
+	/// </summary>
+	public IReadOnlyList<ParticleEmitter> Emitters => _emitters;
+
+	/// <summary>
+	/// Gets whether the particle system has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Adds an emitter. It starts spawning particles on the next update.
+	/// </summary>
+	/// <param name="emitter">The emitter.</param>
+	/// <returns>The emitter, for further configuration.</returns>
+	public ParticleEmitter AddEmitter(ParticleEmitter emitter)
+	{
+		if (emitter == null)
+		{
+			throw new ArgumentNullException(nameof(emitter));
+		}
+
+		if (_emitters.Count >= MaxEmitters)
+		{
+			throw new InvalidOperationException($"A particle system can have at most {MaxEmitters} emitters");
+		}
+
+		_emitters.Add(emitter);
+		return emitter;
+	}
+
+	/// <summary>
+	/// Removes an emitter. Its live particles take their colors and sizes from the emitter that replaces it in the list.
+	/// </summary>
+	/// <param name="emitter">The emitter.</param>
+	/// <returns>True if the emitter was removed.</returns>
+	public bool RemoveEmitter(ParticleEmitter emitter) => _emitters.Remove(emitter);
+
+	/// <summary>
+	/// Removes all emitters.
+	/// </summary>
+	public void ClearEmitters() => _emitters.Clear();
+
+	/// <summary>
+	/// Spawns particles from the emitters and advances the simulation, recording a compute pass into the
+	/// command encoder. Call once per frame, before the encoder is finished and submitted.
+	/// </summary>
+	/// <param name="encoder">The frame's command encoder, outside any pass.</param>
+	/// <param name="deltaTime">The time since the last update in milliseconds, as reported by <see cref="PDWebGpuFrameEventArgs.DeltaTime"/>.</param>
+	public Task UpdateAsync(PDWebGpuCommandEncoder encoder, double deltaTime)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuParticleSystem));
+		}
+
+		return _service.UpdateParticleSystemAsync(this, encoder, deltaTime);
+	}
+
+	/// <summary>
+	/// Draws the live particles as seen by a camera. This sets the pass's pipeline and bind group 0, so set them
+	/// again before drawing anything else.
+	/// </summary>
+	/// <param name="passEncoderId">The render pass encoder resource ID.</param>
+	/// <param name="camera">The camera.</param>
+	public Task DrawAsync(int passEncoderId, PDWebGpuCameraBase camera)
+	{
+		if (camera == null)
+		{
+			throw new ArgumentNullException(nameof(camera));
+		}
+
+		return DrawAsync(passEncoderId, camera.ViewMatrix, camera.ProjectionMatrix);
+	}
+
+	/// <summary>
+	/// Draws the live particles with the given view and projection matrices. This sets the pass's pipeline
+	/// and bind group 0, so set them again before drawing anything else.
+	/// </summary>
+	/// <param name="passEncoderId">The render pass encoder resource ID.</param>
+	/// <param name="view">The view matrix.</param>
+	/// <param name="projection">The projection matrix.</param>
+	public Task DrawAsync(int passEncoderId, Matrix4x4 view, Matrix4x4 projection)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuParticleSystem));
+		}
+
+		return _service.DrawParticleSystemAsync(this, passEncoderId, view, projection);
+	}
+
+	/// <summary>
+	/// Disposes the particle system synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the particle system asynchronously.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
@@ -0,0 +1,252 @@
+﻿using System.Numerics;
+
+namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Represents a picking target: an r32uint texture that object IDs are rendered into, with its own depth
+/// buffer, read back a pixel or rectangle at a time to find the object under a pointer.
+/// </summary>
+/// <remarks>
+/// Render pickable objects into the pass returned by <see cref="BeginPassAsync"/> with a pipeline whose
+/// color target format is <see cref="IdFormat"/>, whose depth format is <see cref="DepthFormat"/> and whose
+/// fragment shader returns the object's ID as a <c>u32</c>. ID 0 is reserved for "nothing".
+/// </remarks>
+public class PDWebGpuPickingTarget : IAsyncDisposable, IDisposable
+{
+	/// <summary>
+	/// The WebGPU format of the object ID texture.
+	/// </summary>
+	public const string IdFormat = "r32uint";
+
+	/// <summary>
+	/// The WebGPU format of the depth texture.
+	/// </summary>
+	public const string DepthFormat = "depth32float";
+
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuPickingTarget"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="width">The target width in pixels.</param>
+	/// <param name="height">The target height in pixels.</param>
+	/// <param name="idViewId">The resource ID of a view of the object ID texture.</param>
+	/// <param name="depthViewId">The resource ID of a view of the depth texture.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuPickingTarget(Services.IPDWebGpuService service, int resourceId, int width, int height, int idViewId, int depthViewId, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		Width = width;
+		Height = height;
+		IdViewId = idViewId;
+		DepthViewId = depthViewId;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets the target width in pixels.
+	/// </summary>
+	public int Width { get; private set; }
+
+	/// <summary>
+	/// Gets the target height in pixels.
+	/// </summary>
+	public int Height { get; private set; }
+
+	/// <summary>
+	/// Gets the resource ID of a view of the object ID texture. It changes when the target is resized.
+	/// </summary>
+	public int IdViewId { get; private set; }
+
+	/// <summary>
+	/// Gets the resource ID of a view of the depth texture. It changes when the target is resized.
+	/// </summary>
+	public int DepthViewId { get; private set; }
+
+	/// <summary>
+	/// Gets the optional target name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets whether the target has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Begins a render pass that clears the target to ID 0 and depth 1 and renders into it.
+	/// </summary>
+	/// <param name="encoder">The command encoder.</param>
+	/// <returns>Render pass encoder resource ID.</returns>
+	public Task<int> BeginPassAsync(PDWebGpuCommandEncoder encoder)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuPickingTarget));
+		}
+
+		if (encoder == null)
+		{
+			throw new ArgumentNullException(nameof(encoder));
+		}
+
+		return encoder.BeginRenderPassAsync(new RenderPassDescriptor
+		{
+			Label = Name,
+			ColorAttachments =
+			[
+				new ColorAttachment
+				{
+					ViewId = IdViewId,
+					LoadOp = "clear",
+					StoreOp = "store",
+					ClearValue = new ClearColor(0, 0, 0, 0)
+				}
+			],
+			DepthStencilAttachment = new DepthStencilAttachment
+			{
+				ViewId = DepthViewId,
+				DepthLoadOp = "clear",
+				DepthStoreOp = "store",
+				DepthClearValue = 1.0f
+			}
+		});
+	}
+
+	/// <summary>
+	/// Resizes the target. Its contents are lost and its view IDs change.
+	/// </summary>
+	/// <param name="width">The new width in pixels.</param>
+	/// <param name="height">The new height in pixels.</param>
+	public async Task ResizeAsync(int width, int height)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuPickingTarget));
+		}
+
+		(IdViewId, DepthViewId) = await _service.ResizePickingTargetAsync(this, width, height);
+		Width = width;
+		Height = height;
+	}
+
+	/// <summary>
+	/// Finds the nearest object at a pixel, or within a square around it. The read sees everything
+	/// submitted to the GPU before it.
+	/// </summary>
+	/// <param name="x">The pixel's X coordinate, from the left edge.</param>
+	/// <param name="y">The pixel's Y coordinate, from the top edge.</param>
+	/// <param name="radius">The number of pixels around the pixel to search (default: 0).</param>
+	/// <returns>The pick result.</returns>
+	public Task<PickResult> PickAsync(int x, int y, int radius = 0)
+	{
+		if (radius < 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(radius), radius, "Radius must not be negative");
+		}
+
+		return _service.PickAsync(this, x - radius, y - radius, radius * 2 + 1, radius * 2 + 1);
+	}
+
+	/// <summary>
+	/// Disposes the target synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the target and its views asynchronously.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
+
+/// <summary>
+/// The result of picking a picking target.
+/// </summary>
+public class PickResult
+{
+	/// <summary>
+	/// Gets or sets the ID of the nearest object, or 0 if nothing was hit.
+	/// </summary>
+	public uint ObjectId { get; set; }
+
+	/// <summary>
+	/// Gets or sets the depth of the nearest object (0 near to 1 far), or 1 if nothing was hit.
+	/// </summary>
+	public float Depth { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the X coordinate of the pixel the nearest object was found at.
+	/// </summary>
+	public int X { get; set; }
+
+	/// <summary>
+	/// Gets or sets the Y coordinate of the pixel the nearest object was found at.
+	/// </summary>
+	public int Y { get; set; }
+
+	/// <summary>
+	/// Gets or sets the distinct IDs of all objects in the picked rectangle.
+	/// </summary>
+	public uint[] ObjectIds { get; set; } = [];
+
+	/// <summary>
+	/// Gets whether an object was hit.
+	/// </summary>
+	public bool IsHit => ObjectId != 0;
+
+	/// <summary>
+	/// Gets the world-space position of the hit, unprojected from its pixel and depth.
+	/// </summary>
+	/// <param name="viewProjection">The view-projection matrix the IDs were rendered with.</param>
+	/// <param name="width">The picking target width in pixels.</param>
+	/// <param name="height">The picking target height in pixels.</param>
+	/// <returns>The world-space position, or null if nothing was hit.</returns>
+	public Vector3? GetWorldPosition(Matrix4x4 viewProjection, int width, int height)
+	{
+		if (!IsHit || !Matrix4x4.Invert(viewProjection, out var inverse))
+		{
+			return null;
+		}
+
+		var ndc = new Vector4((X + 0.5f) / width * 2 - 1, 1 - (Y + 0.5f) / height * 2, Depth, 1);
+		var world = Vector4.Transform(ndc, inverse);
+		return new Vector3(world.X, world.Y, world.Z) / world.W;
+	}
+}
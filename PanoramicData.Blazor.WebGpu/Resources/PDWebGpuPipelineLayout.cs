@@ -0,0 +1,83 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Represents a WebGPU pipeline layout: the bind group layouts a pipeline uses, by group index.
+/// </summary>
+public class PDWebGpuPipelineLayout : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuPipelineLayout"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="bindGroupLayouts">The bind group layouts, indexed by group.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuPipelineLayout(Services.IPDWebGpuService service, int resourceId, IReadOnlyList<PDWebGpuBindGroupLayout> bindGroupLayouts, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		BindGroupLayouts = bindGroupLayouts ?? throw new ArgumentNullException(nameof(bindGroupLayouts));
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets the bind group layouts, indexed by group.
+	/// </summary>
+	public IReadOnlyList<PDWebGpuBindGroupLayout> BindGroupLayouts { get; }
+
+	/// <summary>
+	/// Gets the optional pipeline layout name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets whether the pipeline layout has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Disposes the pipeline layout synchronously. The bind group layouts are not disposed.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the pipeline layout asynchronously. The bind group layouts are not disposed.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
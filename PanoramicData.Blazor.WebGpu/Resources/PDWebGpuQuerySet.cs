@@ -0,0 +1,107 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Specifies the type of queries in a query set.
+/// </summary>
+public enum QueryType
+{
+	/// <summary>
+	/// Occlusion queries, counting samples that pass the depth and stencil tests.
+	/// </summary>
+	Occlusion,
+
+	/// <summary>
+	/// Timestamp queries, recording GPU time in nanoseconds. Requires the "timestamp-query" feature.
+	/// </summary>
+	Timestamp
+}
+
+/// <summary>
+/// Represents a WebGPU query set. Results are written to a QueryResolve buffer with
+/// <see cref="PDWebGpuCommandEncoder.ResolveQuerySetAsync"/>, eight bytes per query.
+/// </summary>
+public class PDWebGpuQuerySet : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuQuerySet"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="type">The query type.</param>
+	/// <param name="count">The number of queries.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuQuerySet(Services.IPDWebGpuService service, int resourceId, QueryType type, int count, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		Type = type;
+		Count = count;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the query type.
+	/// </summary>
+	public QueryType Type { get; }
+
+	/// <summary>
+	/// Gets the number of queries in the set.
+	/// </summary>
+	public int Count { get; }
+
+	/// <summary>
+	/// Gets the optional query set name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets whether the query set has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Disposes the query set synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the query set asynchronously.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
@@ -55,13 +55,15 @@ public class PDWebGpuSampler : IAsyncDisposable, IDisposable
 	/// <param name="minFilter">The minification filter mode.</param>
 	/// <param name="addressModeU">The U address mode.</param>
 	/// <param name="addressModeV">The V address mode.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
 	internal PDWebGpuSampler(
 		Services.IPDWebGpuService service,
 		int resourceId,
 		FilterMode magFilter,
 		FilterMode minFilter,
 		AddressMode addressModeU,
-		AddressMode addressModeV)
+		AddressMode addressModeV,
+		string? name = null)
 	{
 		_service = service ?? throw new ArgumentNullException(nameof(service));
 		_resourceId = resourceId;
@@ -69,6 +71,27 @@ public class PDWebGpuSampler : IAsyncDisposable, IDisposable
 		MinFilter = minFilter;
 		AddressModeU = addressModeU;
 		AddressModeV = addressModeV;
+		MipmapFilter = minFilter;
+		AddressModeW = addressModeU;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuSampler"/> class from a descriptor.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="descriptor">The descriptor the sampler was created from.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuSampler(Services.IPDWebGpuService service, int resourceId, SamplerDescriptor descriptor, string? name = null)
+		: this(service, resourceId, descriptor.MagFilter, descriptor.MinFilter, descriptor.AddressModeU, descriptor.AddressModeV, name)
+	{
+		MipmapFilter = descriptor.MipmapFilter;
+		AddressModeW = descriptor.AddressModeW;
+		LodMinClamp = descriptor.LodMinClamp;
+		LodMaxClamp = descriptor.LodMaxClamp;
+		Compare = descriptor.Compare;
+		MaxAnisotropy = descriptor.MaxAnisotropy;
 	}
 
 	/// <summary>
@@ -91,6 +114,46 @@ public class PDWebGpuSampler : IAsyncDisposable, IDisposable
 	/// </summary>
 	public AddressMode AddressModeV { get; }
 
+	/// <summary>
+	/// Gets the W address mode.
+	/// </summary>
+	public AddressMode AddressModeW { get; }
+
+	/// <summary>
+	/// Gets the filter mode used between mip levels.
+	/// </summary>
+	public FilterMode MipmapFilter { get; }
+
+	/// <summary>
+	/// Gets the minimum level of detail clamp.
+	/// </summary>
+	public float LodMinClamp { get; }
+
+	/// <summary>
+	/// Gets the maximum level of detail clamp.
+	/// </summary>
+	public float LodMaxClamp { get; } = 32;
+
+	/// <summary>
+	/// Gets the compare function, or null if this is not a comparison sampler.
+	/// </summary>
+	public string? Compare { get; }
+
+	/// <summary>
+	/// Gets whether this is a comparison sampler.
+	/// </summary>
+	public bool IsComparison => Compare != null;
+
+	/// <summary>
+	/// Gets the maximum anisotropy.
+	/// </summary>
+	public int MaxAnisotropy { get; } = 1;
+
+	/// <summary>
+	/// Gets the optional sampler name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
 	/// <summary>
 	/// Gets the resource ID.
 	/// </summary>
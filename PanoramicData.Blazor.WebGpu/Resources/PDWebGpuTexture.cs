@@ -23,7 +23,339 @@ public enum TextureFormat
 	/// <summary>
 	/// Depth 32-bit float.
 	/// </summary>
-	Depth32Float
+	Depth32Float,
+
+	/// <summary>
+	/// RGBA 8-bit unsigned normalized, sRGB encoded.
+	/// </summary>
+	RGBA8UnormSrgb,
+
+	/// <summary>
+	/// BGRA 8-bit unsigned normalized, sRGB encoded.
+	/// </summary>
+	BGRA8UnormSrgb,
+
+	/// <summary>
+	/// Single channel 8-bit unsigned normalized (e.g. volume density data).
+	/// </summary>
+	R8Unorm,
+
+	/// <summary>
+	/// Two channel 8-bit unsigned normalized.
+	/// </summary>
+	RG8Unorm,
+
+	/// <summary>
+	/// RGBA 16-bit float (HDR color).
+	/// </summary>
+	RGBA16Float,
+
+	/// <summary>
+	/// RGBA 32-bit float.
+	/// </summary>
+	RGBA32Float,
+
+	/// <summary>
+	/// BC1 (DXT1) block-compressed RGBA with 1-bit alpha. Requires texture-compression-bc.
+	/// </summary>
+	BC1RGBAUnorm,
+
+	/// <summary>
+	/// BC1 (DXT1) block-compressed RGBA with 1-bit alpha, sRGB encoded. Requires texture-compression-bc.
+	/// </summary>
+	BC1RGBAUnormSrgb,
+
+	/// <summary>
+	/// BC2 (DXT3) block-compressed RGBA with explicit alpha. Requires texture-compression-bc.
+	/// </summary>
+	BC2RGBAUnorm,
+
+	/// <summary>
+	/// BC2 (DXT3) block-compressed RGBA with explicit alpha, sRGB encoded. Requires texture-compression-bc.
+	/// </summary>
+	BC2RGBAUnormSrgb,
+
+	/// <summary>
+	/// BC3 (DXT5) block-compressed RGBA with interpolated alpha. Requires texture-compression-bc.
+	/// </summary>
+	BC3RGBAUnorm,
+
+	/// <summary>
+	/// BC3 (DXT5) block-compressed RGBA with interpolated alpha, sRGB encoded. Requires texture-compression-bc.
+	/// </summary>
+	BC3RGBAUnormSrgb,
+
+	/// <summary>
+	/// BC4 block-compressed single channel unsigned normalized. Requires texture-compression-bc.
+	/// </summary>
+	BC4RUnorm,
+
+	/// <summary>
+	/// BC4 block-compressed single channel signed normalized. Requires texture-compression-bc.
+	/// </summary>
+	BC4RSnorm,
+
+	/// <summary>
+	/// BC5 block-compressed two channel unsigned normalized (e.g. normal maps). Requires texture-compression-bc.
+	/// </summary>
+	BC5RGUnorm,
+
+	/// <summary>
+	/// BC5 block-compressed two channel signed normalized. Requires texture-compression-bc.
+	/// </summary>
+	BC5RGSnorm,
+
+	/// <summary>
+	/// BC6H block-compressed unsigned float RGB (HDR). Requires texture-compression-bc.
+	/// </summary>
+	BC6HRGBUfloat,
+
+	/// <summary>
+	/// BC6H block-compressed signed float RGB (HDR). Requires texture-compression-bc.
+	/// </summary>
+	BC6HRGBFloat,
+
+	/// <summary>
+	/// BC7 block-compressed RGBA. Requires texture-compression-bc.
+	/// </summary>
+	BC7RGBAUnorm,
+
+	/// <summary>
+	/// BC7 block-compressed RGBA, sRGB encoded. Requires texture-compression-bc.
+	/// </summary>
+	BC7RGBAUnormSrgb,
+
+	/// <summary>
+	/// ETC2 block-compressed RGB. Requires texture-compression-etc2.
+	/// </summary>
+	ETC2RGB8Unorm,
+
+	/// <summary>
+	/// ETC2 block-compressed RGB, sRGB encoded. Requires texture-compression-etc2.
+	/// </summary>
+	ETC2RGB8UnormSrgb,
+
+	/// <summary>
+	/// ETC2 block-compressed RGB with 1-bit alpha. Requires texture-compression-etc2.
+	/// </summary>
+	ETC2RGB8A1Unorm,
+
+	/// <summary>
+	/// ETC2 block-compressed RGB with 1-bit alpha, sRGB encoded. Requires texture-compression-etc2.
+	/// </summary>
+	ETC2RGB8A1UnormSrgb,
+
+	/// <summary>
+	/// ETC2 block-compressed RGBA. Requires texture-compression-etc2.
+	/// </summary>
+	ETC2RGBA8Unorm,
+
+	/// <summary>
+	/// ETC2 block-compressed RGBA, sRGB encoded. Requires texture-compression-etc2.
+	/// </summary>
+	ETC2RGBA8UnormSrgb,
+
+	/// <summary>
+	/// EAC block-compressed single channel unsigned normalized. Requires texture-compression-etc2.
+	/// </summary>
+	EACR11Unorm,
+
+	/// <summary>
+	/// EAC block-compressed single channel signed normalized. Requires texture-compression-etc2.
+	/// </summary>
+	EACR11Snorm,
+
+	/// <summary>
+	/// EAC block-compressed two channel unsigned normalized. Requires texture-compression-etc2.
+	/// </summary>
+	EACRG11Unorm,
+
+	/// <summary>
+	/// EAC block-compressed two channel signed normalized. Requires texture-compression-etc2.
+	/// </summary>
+	EACRG11Snorm,
+
+	/// <summary>
+	/// ASTC 4x4 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC4x4Unorm,
+
+	/// <summary>
+	/// ASTC 4x4 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC4x4UnormSrgb,
+
+	/// <summary>
+	/// ASTC 5x4 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC5x4Unorm,
+
+	/// <summary>
+	/// ASTC 5x4 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC5x4UnormSrgb,
+
+	/// <summary>
+	/// ASTC 5x5 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC5x5Unorm,
+
+	/// <summary>
+	/// ASTC 5x5 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC5x5UnormSrgb,
+
+	/// <summary>
+	/// ASTC 6x5 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC6x5Unorm,
+
+	/// <summary>
+	/// ASTC 6x5 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC6x5UnormSrgb,
+
+	/// <summary>
+	/// ASTC 6x6 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC6x6Unorm,
+
+	/// <summary>
+	/// ASTC 6x6 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC6x6UnormSrgb,
+
+	/// <summary>
+	/// ASTC 8x5 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC8x5Unorm,
+
+	/// <summary>
+	/// ASTC 8x5 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC8x5UnormSrgb,
+
+	/// <summary>
+	/// ASTC 8x6 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC8x6Unorm,
+
+	/// <summary>
+	/// ASTC 8x6 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC8x6UnormSrgb,
+
+	/// <summary>
+	/// ASTC 8x8 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC8x8Unorm,
+
+	/// <summary>
+	/// ASTC 8x8 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC8x8UnormSrgb,
+
+	/// <summary>
+	/// ASTC 10x5 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x5Unorm,
+
+	/// <summary>
+	/// ASTC 10x5 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x5UnormSrgb,
+
+	/// <summary>
+	/// ASTC 10x6 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x6Unorm,
+
+	/// <summary>
+	/// ASTC 10x6 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x6UnormSrgb,
+
+	/// <summary>
+	/// ASTC 10x8 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x8Unorm,
+
+	/// <summary>
+	/// ASTC 10x8 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x8UnormSrgb,
+
+	/// <summary>
+	/// ASTC 10x10 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x10Unorm,
+
+	/// <summary>
+	/// ASTC 10x10 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC10x10UnormSrgb,
+
+	/// <summary>
+	/// ASTC 12x10 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC12x10Unorm,
+
+	/// <summary>
+	/// ASTC 12x10 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC12x10UnormSrgb,
+
+	/// <summary>
+	/// ASTC 12x12 block-compressed RGBA. Requires texture-compression-astc.
+	/// </summary>
+	ASTC12x12Unorm,
+
+	/// <summary>
+	/// ASTC 12x12 block-compressed RGBA, sRGB encoded. Requires texture-compression-astc.
+	/// </summary>
+	ASTC12x12UnormSrgb,
+
+	/// <summary>
+	/// Single-channel 32-bit unsigned integer, e.g. for object IDs.
+	/// </summary>
+	R32Uint
+}
+
+/// <summary>
+/// Specifies how a texture may be used (maps to GPUTextureUsage flags).
+/// </summary>
+[Flags]
+public enum TextureUsage
+{
+	/// <summary>
+	/// No usage.
+	/// </summary>
+	None = 0,
+
+	/// <summary>
+	/// The texture can be the source of a copy operation.
+	/// </summary>
+	CopySrc = 0x01,
+
+	/// <summary>
+	/// The texture can be the destination of a copy or write operation.
+	/// </summary>
+	CopyDst = 0x02,
+
+	/// <summary>
+	/// The texture can be bound for sampling in a shader.
+	/// </summary>
+	TextureBinding = 0x04,
+
+	/// <summary>
+	/// The texture can be bound as a storage texture in a shader.
+	/// </summary>
+	StorageBinding = 0x08,
+
+	/// <summary>
+	/// The texture can be used as a color or depth/stencil attachment.
+	/// </summary>
+	RenderAttachment = 0x10
 }
 
 /// <summary>
@@ -43,13 +375,33 @@ public class PDWebGpuTexture : IAsyncDisposable, IDisposable
 	/// <param name="width">The texture width in pixels.</param>
 	/// <param name="height">The texture height in pixels.</param>
 	/// <param name="format">The texture format.</param>
-	internal PDWebGpuTexture(Services.IPDWebGpuService service, int resourceId, int width, int height, TextureFormat format)
+	/// <param name="depthOrArrayLayers">The depth or array layer count.</param>
+	/// <param name="mipLevelCount">The number of mip levels.</param>
+	/// <param name="dimension">The texture dimension ("1d", "2d" or "3d").</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	/// <param name="viewDimension">The default view dimension ("cube", "2d-array", etc.), or null to let WebGPU choose.</param>
+	internal PDWebGpuTexture(
+		Services.IPDWebGpuService service,
+		int resourceId,
+		int width,
+		int height,
+		TextureFormat format,
+		int depthOrArrayLayers = 1,
+		int mipLevelCount = 1,
+		string dimension = "2d",
+		string? name = null,
+		string? viewDimension = null)
 	{
 		_service = service ?? throw new ArgumentNullException(nameof(service));
 		_resourceId = resourceId;
 		Width = width;
 		Height = height;
 		Format = format;
+		DepthOrArrayLayers = depthOrArrayLayers;
+		MipLevelCount = mipLevelCount;
+		Dimension = dimension;
+		Name = name;
+		ViewDimension = viewDimension;
 	}
 
 	/// <summary>
@@ -67,6 +419,37 @@ public class PDWebGpuTexture : IAsyncDisposable, IDisposable
 	/// </summary>
 	public TextureFormat Format { get; }
 
+	/// <summary>
+	/// Gets the texture depth (3D textures) or array layer count.
+	/// </summary>
+	public int DepthOrArrayLayers { get; }
+
+	/// <summary>
+	/// Gets the number of mip levels.
+	/// </summary>
+	public int MipLevelCount { get; }
+
+	/// <summary>
+	/// Gets the texture dimension ("1d", "2d" or "3d").
+	/// </summary>
+	public string Dimension { get; }
+
+	/// <summary>
+	/// Gets the view dimension used when a view is created without an explicit dimension
+	/// ("cube", "2d-array", etc.), or null to let WebGPU choose.
+	/// </summary>
+	public string? ViewDimension { get; }
+
+	/// <summary>
+	/// Gets whether the texture is a cube map.
+	/// </summary>
+	public bool IsCube => ViewDimension == "cube";
+
+	/// <summary>
+	/// Gets the optional texture name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
 	/// <summary>
 	/// Gets the resource ID.
 	/// </summary>
@@ -77,6 +460,95 @@ public class PDWebGpuTexture : IAsyncDisposable, IDisposable
 	/// </summary>
 	public bool IsDisposed => _disposed;
 
+	/// <summary>
+	/// Writes texel data into the texture.
+	/// </summary>
+	/// <param name="data">The texel data.</param>
+	/// <param name="region">Optional destination region and data layout (defaults to the whole of mip level 0, tightly packed).</param>
+	/// <returns>A task representing the asynchronous operation.</returns>
+	public async Task WriteAsync(byte[] data, TextureWriteRegion? region = null)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuTexture));
+		}
+
+		await _service.WriteTextureAsync(this, data, region);
+	}
+
+	/// <summary>
+	/// Fills every mip level below level 0 by downsampling on the GPU.
+	/// The texture needs TextureBinding and RenderAttachment usage.
+	/// </summary>
+	/// <returns>A task representing the asynchronous operation.</returns>
+	public async Task GenerateMipmapsAsync()
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuTexture));
+		}
+
+		await _service.GenerateMipmapsAsync(this);
+	}
+
+	/// <summary>
+	/// Captures mip level 0 as a PNG, JPEG or WebP image. The texture needs an 8-bit RGBA or BGRA format and CopySrc usage.
+	/// </summary>
+	/// <param name="mimeType">The image MIME type ("image/png", "image/jpeg" or "image/webp").</param>
+	/// <param name="quality">Encoder quality between 0 and 1 for JPEG and WebP, or null for the browser default.</param>
+	/// <returns>The encoded image bytes.</returns>
+	public Task<byte[]> CaptureAsync(string mimeType = "image/png", double? quality = null)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuTexture));
+		}
+
+		return _service.CaptureTextureAsync(this, mimeType, quality);
+	}
+
+	/// <summary>
+	/// Gets the number of mip levels in a full mip chain for the given size.
+	/// </summary>
+	/// <param name="width">The base level width in pixels.</param>
+	/// <param name="height">The base level height in pixels.</param>
+	/// <returns>The mip level count, down to and including 1x1.</returns>
+	public static int GetMipLevelCount(int width, int height)
+	{
+		var size = Math.Max(1, Math.Max(width, height));
+		return (int)Math.Floor(Math.Log2(size)) + 1;
+	}
+
+	/// <summary>
+	/// Creates a view of the texture.
+	/// </summary>
+	/// <param name="descriptor">Optional view descriptor.</param>
+	/// <returns>Resource ID for the texture view.</returns>
+	public async Task<int> CreateViewAsync(object? descriptor = null)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuTexture));
+		}
+
+		return await _service.CreateTextureViewAsync(_resourceId, descriptor);
+	}
+
+	/// <summary>
+	/// Creates a view of the texture.
+	/// </summary>
+	/// <param name="descriptor">The view descriptor (dimension, format, mip and layer ranges).</param>
+	/// <returns>Resource ID for the texture view.</returns>
+	public async Task<int> CreateViewAsync(TextureViewDescriptor descriptor)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuTexture));
+		}
+
+		return await _service.CreateTextureViewAsync(this, descriptor);
+	}
+
 	/// <summary>
 	/// Disposes the texture synchronously.
 	/// </summary>
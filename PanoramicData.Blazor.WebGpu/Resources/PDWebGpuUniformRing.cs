@@ -0,0 +1,160 @@
+﻿using System.Runtime.CompilerServices;
+using System.Runtime.InteropServices;
+
+namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Represents a uniform ring buffer: a large uniform/storage buffer that holds each frame's per-object data.
+/// A write sends a whole frame's data to the GPU in one transfer and returns each object's offset, to be
+/// passed as a dynamic offset to <see cref="PDWebGpuCommandEncoder.SetBindGroupAsync"/>. Space is recycled
+/// once the GPU has finished the frame it was submitted with.
+/// </summary>
+public class PDWebGpuUniformRing : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuUniformRing"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="bufferResourceId">The resource ID of the ring's buffer.</param>
+	/// <param name="size">The ring size in bytes.</param>
+	/// <param name="alignment">The alignment of each sub-allocation in bytes.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuUniformRing(Services.IPDWebGpuService service, int resourceId, int bufferResourceId, long size, int alignment, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		BufferResourceId = bufferResourceId;
+		Size = size;
+		Alignment = alignment;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets the resource ID of the ring's buffer, for bind group entries. The buffer is released with the ring.
+	/// </summary>
+	public int BufferResourceId { get; }
+
+	/// <summary>
+	/// Gets the ring size in bytes.
+	/// </summary>
+	public long Size { get; }
+
+	/// <summary>
+	/// Gets the alignment of each sub-allocation in bytes (the device's minimum uniform and storage buffer offset alignment).
+	/// </summary>
+	public int Alignment { get; }
+
+	/// <summary>
+	/// Gets the optional ring name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets whether the ring has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Creates a bind group entry that binds one object's data from the ring. Use it in a bind group whose
+	/// layout declares the binding with a dynamic offset.
+	/// </summary>
+	/// <param name="binding">The binding index.</param>
+	/// <param name="size">The size in bytes of one object's data.</param>
+	/// <returns>The bind group entry.</returns>
+	public BindGroupEntry CreateBindGroupEntry(uint binding, ulong size)
+	{
+		if (size == 0 || (long)size > Size)
+		{
+			throw new ArgumentOutOfRangeException(nameof(size), size, "Size must be greater than zero and no larger than the ring");
+		}
+
+		return new BindGroupEntry
+		{
+			Binding = binding,
+			ResourceId = BufferResourceId,
+			ResourceType = "buffer",
+			Size = size
+		};
+	}
+
+	/// <summary>
+	/// Writes a frame's data for several objects in one transfer.
+	/// </summary>
+	/// <param name="data">The objects' data, packed back to back.</param>
+	/// <param name="sizes">The size in bytes of each object's data.</param>
+	/// <returns>The offset of each object's data in the ring's buffer.</returns>
+	public Task<uint[]> WriteAsync(byte[] data, int[] sizes)
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuUniformRing));
+		}
+
+		return _service.WriteUniformRingAsync(this, data, sizes);
+	}
+
+	/// <summary>
+	/// Writes one uniform struct per object in one transfer.
+	/// </summary>
+	/// <typeparam name="T">The uniform struct type, laid out to match the shader.</typeparam>
+	/// <param name="items">The objects' uniform data.</param>
+	/// <returns>The offset of each object's data in the ring's buffer.</returns>
+	public Task<uint[]> WriteAsync<T>(T[] items) where T : unmanaged
+	{
+		if (items == null)
+		{
+			throw new ArgumentNullException(nameof(items));
+		}
+
+		var sizes = new int[items.Length];
+		Array.Fill(sizes, Unsafe.SizeOf<T>());
+		return WriteAsync(MemoryMarshal.AsBytes(items.AsSpan()).ToArray(), sizes);
+	}
+
+	/// <summary>
+	/// Disposes the ring synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the ring asynchronously.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
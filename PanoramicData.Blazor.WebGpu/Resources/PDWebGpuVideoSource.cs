@@ -0,0 +1,144 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Represents a video element or camera stream that can be sampled as a texture.
+/// Bind it with resource type "externalTexture" to a texture_external binding; the current frame is
+/// imported each time the bind group is set, falling back to a frame copy where import is unsupported.
+/// </summary>
+public class PDWebGpuVideoSource : IAsyncDisposable, IDisposable
+{
+	private readonly Services.IPDWebGpuService _service;
+	private int _resourceId;
+	private bool _disposed;
+	private int _textureWidth;
+	private int _textureHeight;
+
+	/// <summary>
+	/// Initializes a new instance of the <see cref="PDWebGpuVideoSource"/> class.
+	/// </summary>
+	/// <param name="service">The WebGPU service.</param>
+	/// <param name="resourceId">The resource ID from JavaScript.</param>
+	/// <param name="width">The video frame width in pixels.</param>
+	/// <param name="height">The video frame height in pixels.</param>
+	/// <param name="name">Optional name for debugging purposes.</param>
+	internal PDWebGpuVideoSource(Services.IPDWebGpuService service, int resourceId, int width, int height, string? name = null)
+	{
+		_service = service ?? throw new ArgumentNullException(nameof(service));
+		_resourceId = resourceId;
+		Width = width;
+		Height = height;
+		Name = name;
+	}
+
+	/// <summary>
+	/// Gets the video frame width in pixels as last reported by the browser (0 before the first frame).
+	/// </summary>
+	public int Width { get; private set; }
+
+	/// <summary>
+	/// Gets the video frame height in pixels as last reported by the browser (0 before the first frame).
+	/// </summary>
+	public int Height { get; private set; }
+
+	/// <summary>
+	/// Gets a number that increases each time <see cref="UpdateTextureAsync"/> finds the frame texture recreated at a
+	/// new size (0 before the first update). The texture ID stays the same, but the old texture is destroyed, so bind
+	/// groups and views created from it must be rebuilt when this changes.
+	/// </summary>
+	public int TextureVersion { get; private set; }
+
+	/// <summary>
+	/// Gets the optional video source name for debugging.
+	/// </summary>
+	public string? Name { get; }
+
+	/// <summary>
+	/// Gets the resource ID.
+	/// </summary>
+	public int ResourceId => _resourceId;
+
+	/// <summary>
+	/// Gets whether the video source has been disposed.
+	/// </summary>
+	public bool IsDisposed => _disposed;
+
+	/// <summary>
+	/// Copies the current frame into an rgba8unorm texture, for shaders that sample texture_2d instead of texture_external.
+	/// The texture is recreated when the frame size changes; check <see cref="TextureVersion"/> to know when bind groups
+	/// using it must be rebuilt.
+	/// </summary>
+	/// <returns>The texture resource ID, which stays the same for the life of the source.</returns>
+	public Task<int> UpdateTextureAsync()
+	{
+		if (_disposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuVideoSource));
+		}
+
+		return _service.UpdateVideoTextureAsync(this);
+	}
+
+	/// <summary>
+	/// Records the frame size reported by the browser.
+	/// </summary>
+	/// <param name="width">The video frame width in pixels.</param>
+	/// <param name="height">The video frame height in pixels.</param>
+	internal void UpdateSize(int width, int height)
+	{
+		Width = width;
+		Height = height;
+	}
+
+	/// <summary>
+	/// Records the size of the frame texture, advancing <see cref="TextureVersion"/> if it was recreated at a new size.
+	/// </summary>
+	/// <param name="width">The texture width in pixels.</param>
+	/// <param name="height">The texture height in pixels.</param>
+	internal void UpdateTextureSize(int width, int height)
+	{
+		UpdateSize(width, height);
+		if (width != _textureWidth || height != _textureHeight)
+		{
+			_textureWidth = width;
+			_textureHeight = height;
+			TextureVersion++;
+		}
+	}
+
+	/// <summary>
+	/// Disposes the video source synchronously.
+	/// </summary>
+	public void Dispose()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		DisposeAsync().AsTask().GetAwaiter().GetResult();
+	}
+
+	/// <summary>
+	/// Disposes the video source asynchronously, stopping any camera stream it opened.
+	/// </summary>
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+
+		try
+		{
+			await _service.ReleaseResourceAsync(_resourceId);
+		}
+		catch
+		{
+			// Ignore errors during disposal
+		}
+
+		GC.SuppressFinalize(this);
+	}
+}
@@ -0,0 +1,165 @@
+﻿using System.Numerics;
+
+namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a GPU particle system.
+/// </summary>
+public class ParticleSystemDescriptor
+{
+	/// <summary>
+	/// Gets or sets the size of the particle pool (default: 10000). It should be at least the sum of each
+	/// emitter's rate multiplied by its longest lifetime, or the oldest particles are recycled early.
+	/// </summary>
+	public int MaxParticles { get; set; } = 10000;
+
+	/// <summary>
+	/// Gets or sets how particles are blended with the render target (default: Additive).
+	/// </summary>
+	public ParticleBlendMode BlendMode { get; set; } = ParticleBlendMode.Additive;
+
+	/// <summary>
+	/// Gets or sets the format of the color attachment the particles are drawn into (default: "bgra8unorm").
+	/// </summary>
+	public string ColorFormat { get; set; } = "bgra8unorm";
+
+	/// <summary>
+	/// Gets or sets the format of the render pass's depth attachment, or null if the pass has none.
+	/// Particles are depth tested against the scene but do not write depth.
+	/// </summary>
+	public string? DepthFormat { get; set; }
+
+	/// <summary>
+	/// Gets or sets the sample count of the render pass's attachments (1 or 4, default: 1).
+	/// </summary>
+	public int SampleCount { get; set; } = 1;
+}
+
+/// <summary>
+/// Configures how a particle emitter spawns particles and how they look over their life.
+/// Properties can be changed at any time; changes apply from the next update.
+/// </summary>
+public class ParticleEmitter
+{
+	/// <summary>
+	/// The most color or size keys an emitter can have.
+	/// </summary>
+	public const int MaxKeys = 4;
+
+	/// <summary>
+	/// Gets or sets whether the emitter spawns particles (default: true). Particles already spawned live on.
+	/// </summary>
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// Gets or sets the spawn position in world space.
+	/// </summary>
+	public Vector3 Position { get; set; }
+
+	/// <summary>
+	/// Gets or sets the half-extents of the box around <see cref="Position"/> that particles spawn in.
+	/// </summary>
+	public Vector3 PositionSpread { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of particles spawned per second (default: 100).
+	/// </summary>
+	public float Rate { get; set; } = 100;
+
+	/// <summary>
+	/// Gets or sets the particle lifetime in seconds (default: 1).
+	/// </summary>
+	public float Lifetime { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the random variation in lifetime, in seconds either side of <see cref="Lifetime"/>.
+	/// </summary>
+	public float LifetimeSpread { get; set; }
+
+	/// <summary>
+	/// Gets or sets the initial velocity in world units per second (default: 1 unit per second upwards).
+	/// </summary>
+	public Vector3 Velocity { get; set; } = Vector3.UnitY;
+
+	/// <summary>
+	/// Gets or sets the random variation in initial velocity, per axis either side of <see cref="Velocity"/>.
+	/// </summary>
+	public Vector3 VelocitySpread { get; set; }
+
+	/// <summary>
+	/// Gets or sets the constant acceleration applied to particles (e.g. gravity), in world units per second squared.
+	/// </summary>
+	public Vector3 Acceleration { get; set; }
+
+	/// <summary>
+	/// Gets or sets the fraction of velocity lost per second (default: 0).
+	/// </summary>
+	public float Drag { get; set; }
+
+	/// <summary>
+	/// Gets or sets the color keys, in ascending time order (default: opaque white fading to transparent white).
+	/// </summary>
+	public List<ParticleColorKey> ColorOverLife { get; set; } = new()
+	{
+		new ParticleColorKey(0, Vector4.One),
+		new ParticleColorKey(1, new Vector4(1, 1, 1, 0))
+	};
+
+	/// <summary>
+	/// Gets or sets the size keys, in ascending time order (default: a constant size of 0.1).
+	/// </summary>
+	public List<ParticleSizeKey> SizeOverLife { get; set; } = new()
+	{
+		new ParticleSizeKey(0, 0.1f)
+	};
+}
+
+/// <summary>
+/// A particle color at a point in its life. Colors are interpolated between keys.
+/// </summary>
+public class ParticleColorKey
+{
+	/// <summary>
+	/// Gets or sets the point in the particle's life (0.0 at birth to 1.0 at death).
+	/// </summary>
+	public float Time { get; set; }
+
+	/// <summary>
+	/// Gets or sets the color as RGBA components (0.0 to 1.0).
+	/// </summary>
+	public Vector4 Color { get; set; }
+
+	/// <summary>
+	/// Creates a new color key.
+	/// </summary>
+	public ParticleColorKey(float time, Vector4 color)
+	{
+		Time = time;
+		Color = color;
+	}
+}
+
+/// <summary>
+/// A particle size at a point in its life. Sizes are interpolated between keys.
+/// </summary>
+public class ParticleSizeKey
+{
+	/// <summary>
+	/// Gets or sets the point in the particle's life (0.0 at birth to 1.0 at death).
+	/// </summary>
+	public float Time { get; set; }
+
+	/// <summary>
+	/// Gets or sets the width and height of the particle in world units.
+	/// </summary>
+	public float Size { get; set; }
+
+	/// <summary>
+	/// Creates a new size key.
+	/// </summary>
+	public ParticleSizeKey(float time, float size)
+	{
+		Time = time;
+		Size = size;
+	}
+}
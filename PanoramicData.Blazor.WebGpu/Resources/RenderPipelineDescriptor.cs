@@ -5,6 +5,12 @@
 /// </summary>
 public class RenderPipelineDescriptor
 {
+	/// <summary>
+	/// Gets or sets the pipeline layout. When null the layout is inferred from the shaders ("auto"),
+	/// and bind groups created from this pipeline cannot be used with any other pipeline.
+	/// </summary>
+	public PDWebGpuPipelineLayout? Layout { get; set; }
+
 	/// <summary>
 	/// Gets or sets the vertex shader configuration.
 	/// </summary>
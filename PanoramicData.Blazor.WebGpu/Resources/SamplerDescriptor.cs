@@ -0,0 +1,57 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a texture sampler.
+/// </summary>
+public class SamplerDescriptor
+{
+	/// <summary>
+	/// Gets or sets the magnification filter mode (default: Linear).
+	/// </summary>
+	public FilterMode MagFilter { get; set; } = FilterMode.Linear;
+
+	/// <summary>
+	/// Gets or sets the minification filter mode (default: Linear).
+	/// </summary>
+	public FilterMode MinFilter { get; set; } = FilterMode.Linear;
+
+	/// <summary>
+	/// Gets or sets the filter mode used between mip levels (default: Linear).
+	/// </summary>
+	public FilterMode MipmapFilter { get; set; } = FilterMode.Linear;
+
+	/// <summary>
+	/// Gets or sets the U address mode (default: ClampToEdge).
+	/// </summary>
+	public AddressMode AddressModeU { get; set; } = AddressMode.ClampToEdge;
+
+	/// <summary>
+	/// Gets or sets the V address mode (default: ClampToEdge).
+	/// </summary>
+	public AddressMode AddressModeV { get; set; } = AddressMode.ClampToEdge;
+
+	/// <summary>
+	/// Gets or sets the W address mode (default: ClampToEdge).
+	/// </summary>
+	public AddressMode AddressModeW { get; set; } = AddressMode.ClampToEdge;
+
+	/// <summary>
+	/// Gets or sets the minimum level of detail used when sampling (default: 0).
+	/// </summary>
+	public float LodMinClamp { get; set; }
+
+	/// <summary>
+	/// Gets or sets the maximum level of detail used when sampling (default: 32).
+	/// </summary>
+	public float LodMaxClamp { get; set; } = 32;
+
+	/// <summary>
+	/// Gets or sets the compare function for comparison samplers ("less", "less-equal", etc.), or null for a filtering sampler.
+	/// </summary>
+	public string? Compare { get; set; }
+
+	/// <summary>
+	/// Gets or sets the maximum anisotropy (1-16, default: 1). Values above 1 require all filters to be Linear.
+	/// </summary>
+	public int MaxAnisotropy { get; set; } = 1;
+}
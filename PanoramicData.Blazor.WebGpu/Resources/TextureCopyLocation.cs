@@ -0,0 +1,81 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Identifies a region origin within one mip level of a texture, as the source or destination of a copy.
+/// </summary>
+public class TextureCopyLocation
+{
+	/// <summary>
+	/// Initializes a new instance of the <see cref="TextureCopyLocation"/> class.
+	/// </summary>
+	/// <param name="texture">The texture.</param>
+	public TextureCopyLocation(PDWebGpuTexture texture)
+	{
+		Texture = texture ?? throw new ArgumentNullException(nameof(texture));
+	}
+
+	/// <summary>
+	/// Gets the texture.
+	/// </summary>
+	public PDWebGpuTexture Texture { get; }
+
+	/// <summary>
+	/// Gets or sets the mip level (default: 0).
+	/// </summary>
+	public int MipLevel { get; set; }
+
+	/// <summary>
+	/// Gets or sets the X origin in texels.
+	/// </summary>
+	public int X { get; set; }
+
+	/// <summary>
+	/// Gets or sets the Y origin in texels.
+	/// </summary>
+	public int Y { get; set; }
+
+	/// <summary>
+	/// Gets or sets the Z origin (depth slice or array layer).
+	/// </summary>
+	public int Z { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture aspect to copy ("all", "depth-only" or "stencil-only").
+	/// </summary>
+	public string Aspect { get; set; } = "all";
+}
+
+/// <summary>
+/// Describes the layout of texel data in a buffer, as the source or destination of a texture copy.
+/// </summary>
+public class BufferCopyLayout
+{
+	/// <summary>
+	/// Initializes a new instance of the <see cref="BufferCopyLayout"/> class.
+	/// </summary>
+	/// <param name="buffer">The buffer.</param>
+	public BufferCopyLayout(PDWebGpuBuffer buffer)
+	{
+		Buffer = buffer ?? throw new ArgumentNullException(nameof(buffer));
+	}
+
+	/// <summary>
+	/// Gets the buffer.
+	/// </summary>
+	public PDWebGpuBuffer Buffer { get; }
+
+	/// <summary>
+	/// Gets or sets the offset in bytes of the first texel.
+	/// </summary>
+	public long Offset { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of bytes between rows (a multiple of 256). Required when the copy spans more than one row.
+	/// </summary>
+	public int? BytesPerRow { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of rows per image (null means the copy height). Required when the copy spans more than one image.
+	/// </summary>
+	public int? RowsPerImage { get; set; }
+}
@@ -0,0 +1,114 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a texture.
+/// </summary>
+public class TextureDescriptor
+{
+	/// <summary>
+	/// Gets or sets the texture width in pixels.
+	/// </summary>
+	public int Width { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture height in pixels (default: 1).
+	/// </summary>
+	public int Height { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the depth (for 3D textures) or array layer count (default: 1).
+	/// </summary>
+	public int DepthOrArrayLayers { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the texture format.
+	/// </summary>
+	public TextureFormat Format { get; set; } = TextureFormat.RGBA8Unorm;
+
+	/// <summary>
+	/// Gets or sets the texture dimension ("1d", "2d" or "3d").
+	/// </summary>
+	public string Dimension { get; set; } = "2d";
+
+	/// <summary>
+	/// Gets or sets the number of mip levels (default: 1).
+	/// </summary>
+	public int MipLevelCount { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the sample count (1 or 4, default: 1).
+	/// </summary>
+	public int SampleCount { get; set; } = 1;
+
+	/// <summary>
+	/// Gets or sets the texture usage flags (default: TextureBinding | CopyDst).
+	/// </summary>
+	public TextureUsage Usage { get; set; } = TextureUsage.TextureBinding | TextureUsage.CopyDst;
+
+	/// <summary>
+	/// Gets or sets the view dimension used when a view is created without an explicit dimension
+	/// (e.g. "cube" for a six-layer cube map). Null lets WebGPU choose ("2d", "2d-array" or "3d").
+	/// </summary>
+	public string? ViewDimension { get; set; }
+}
+
+/// <summary>
+/// Describes the layout of source data and the destination region for a texture write.
+/// </summary>
+public class TextureWriteRegion
+{
+	/// <summary>
+	/// Gets or sets the X origin of the destination region in texels.
+	/// </summary>
+	public int X { get; set; }
+
+	/// <summary>
+	/// Gets or sets the Y origin of the destination region in texels.
+	/// </summary>
+	public int Y { get; set; }
+
+	/// <summary>
+	/// Gets or sets the Z origin (depth slice or array layer) of the destination region.
+	/// </summary>
+	public int Z { get; set; }
+
+	/// <summary>
+	/// Gets or sets the destination mip level (default: 0).
+	/// </summary>
+	public int MipLevel { get; set; }
+
+	/// <summary>
+	/// Gets or sets the region width (null means the full width of the mip level).
+	/// </summary>
+	public int? Width { get; set; }
+
+	/// <summary>
+	/// Gets or sets the region height (null means the full height of the mip level).
+	/// </summary>
+	public int? Height { get; set; }
+
+	/// <summary>
+	/// Gets or sets the region depth or layer count (null means all depth slices or layers).
+	/// </summary>
+	public int? DepthOrArrayLayers { get; set; }
+
+	/// <summary>
+	/// Gets or sets the offset in bytes into the source data.
+	/// </summary>
+	public long Offset { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of bytes per row of source data (null means tightly packed).
+	/// </summary>
+	public int? BytesPerRow { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of rows per image in the source data (null means the region height).
+	/// </summary>
+	public int? RowsPerImage { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture aspect to write ("all", "depth-only" or "stencil-only").
+	/// </summary>
+	public string Aspect { get; set; } = "all";
+}
@@ -0,0 +1,215 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Extension methods for <see cref="TextureFormat"/>.
+/// </summary>
+public static class TextureFormatExtensions
+{
+	/// <summary>
+	/// Gets the WebGPU format string for the texture format.
+	/// </summary>
+	/// <param name="format">The texture format.</param>
+	/// <returns>The GPUTextureFormat string (e.g. "rgba8unorm").</returns>
+	public static string ToWebGpuFormat(this TextureFormat format) => format switch
+	{
+		TextureFormat.RGBA8Unorm => "rgba8unorm",
+		TextureFormat.BGRA8Unorm => "bgra8unorm",
+		TextureFormat.Depth24PlusStencil8 => "depth24plus-stencil8",
+		TextureFormat.Depth32Float => "depth32float",
+		TextureFormat.RGBA8UnormSrgb => "rgba8unorm-srgb",
+		TextureFormat.BGRA8UnormSrgb => "bgra8unorm-srgb",
+		TextureFormat.R8Unorm => "r8unorm",
+		TextureFormat.RG8Unorm => "rg8unorm",
+		TextureFormat.RGBA16Float => "rgba16float",
+		TextureFormat.RGBA32Float => "rgba32float",
+		TextureFormat.BC1RGBAUnorm => "bc1-rgba-unorm",
+		TextureFormat.BC1RGBAUnormSrgb => "bc1-rgba-unorm-srgb",
+		TextureFormat.BC2RGBAUnorm => "bc2-rgba-unorm",
+		TextureFormat.BC2RGBAUnormSrgb => "bc2-rgba-unorm-srgb",
+		TextureFormat.BC3RGBAUnorm => "bc3-rgba-unorm",
+		TextureFormat.BC3RGBAUnormSrgb => "bc3-rgba-unorm-srgb",
+		TextureFormat.BC4RUnorm => "bc4-r-unorm",
+		TextureFormat.BC4RSnorm => "bc4-r-snorm",
+		TextureFormat.BC5RGUnorm => "bc5-rg-unorm",
+		TextureFormat.BC5RGSnorm => "bc5-rg-snorm",
+		TextureFormat.BC6HRGBUfloat => "bc6h-rgb-ufloat",
+		TextureFormat.BC6HRGBFloat => "bc6h-rgb-float",
+		TextureFormat.BC7RGBAUnorm => "bc7-rgba-unorm",
+		TextureFormat.BC7RGBAUnormSrgb => "bc7-rgba-unorm-srgb",
+		TextureFormat.ETC2RGB8Unorm => "etc2-rgb8unorm",
+		TextureFormat.ETC2RGB8UnormSrgb => "etc2-rgb8unorm-srgb",
+		TextureFormat.ETC2RGB8A1Unorm => "etc2-rgb8a1unorm",
+		TextureFormat.ETC2RGB8A1UnormSrgb => "etc2-rgb8a1unorm-srgb",
+		TextureFormat.ETC2RGBA8Unorm => "etc2-rgba8unorm",
+		TextureFormat.ETC2RGBA8UnormSrgb => "etc2-rgba8unorm-srgb",
+		TextureFormat.EACR11Unorm => "eac-r11unorm",
+		TextureFormat.EACR11Snorm => "eac-r11snorm",
+		TextureFormat.EACRG11Unorm => "eac-rg11unorm",
+		TextureFormat.EACRG11Snorm => "eac-rg11snorm",
+		TextureFormat.ASTC4x4Unorm => "astc-4x4-unorm",
+		TextureFormat.ASTC4x4UnormSrgb => "astc-4x4-unorm-srgb",
+		TextureFormat.ASTC5x4Unorm => "astc-5x4-unorm",
+		TextureFormat.ASTC5x4UnormSrgb => "astc-5x4-unorm-srgb",
+		TextureFormat.ASTC5x5Unorm => "astc-5x5-unorm",
+		TextureFormat.ASTC5x5UnormSrgb => "astc-5x5-unorm-srgb",
+		TextureFormat.ASTC6x5Unorm => "astc-6x5-unorm",
+		TextureFormat.ASTC6x5UnormSrgb => "astc-6x5-unorm-srgb",
+		TextureFormat.ASTC6x6Unorm => "astc-6x6-unorm",
+		TextureFormat.ASTC6x6UnormSrgb => "astc-6x6-unorm-srgb",
+		TextureFormat.ASTC8x5Unorm => "astc-8x5-unorm",
+		TextureFormat.ASTC8x5UnormSrgb => "astc-8x5-unorm-srgb",
+		TextureFormat.ASTC8x6Unorm => "astc-8x6-unorm",
+		TextureFormat.ASTC8x6UnormSrgb => "astc-8x6-unorm-srgb",
+		TextureFormat.ASTC8x8Unorm => "astc-8x8-unorm",
+		TextureFormat.ASTC8x8UnormSrgb => "astc-8x8-unorm-srgb",
+		TextureFormat.ASTC10x5Unorm => "astc-10x5-unorm",
+		TextureFormat.ASTC10x5UnormSrgb => "astc-10x5-unorm-srgb",
+		TextureFormat.ASTC10x6Unorm => "astc-10x6-unorm",
+		TextureFormat.ASTC10x6UnormSrgb => "astc-10x6-unorm-srgb",
+		TextureFormat.ASTC10x8Unorm => "astc-10x8-unorm",
+		TextureFormat.ASTC10x8UnormSrgb => "astc-10x8-unorm-srgb",
+		TextureFormat.ASTC10x10Unorm => "astc-10x10-unorm",
+		TextureFormat.ASTC10x10UnormSrgb => "astc-10x10-unorm-srgb",
+		TextureFormat.ASTC12x10Unorm => "astc-12x10-unorm",
+		TextureFormat.ASTC12x10UnormSrgb => "astc-12x10-unorm-srgb",
+		TextureFormat.ASTC12x12Unorm => "astc-12x12-unorm",
+		TextureFormat.ASTC12x12UnormSrgb => "astc-12x12-unorm-srgb",
+		TextureFormat.R32Uint => "r32uint",
+		_ => throw new ArgumentOutOfRangeException(nameof(format), format, "Unsupported texture format")
+	};
+
+	/// <summary>
+	/// Gets the texture format for a WebGPU format string.
+	/// </summary>
+	/// <param name="format">The GPUTextureFormat string (e.g. "bc7-rgba-unorm").</param>
+	/// <returns>The matching texture format.</returns>
+	public static TextureFormat FromWebGpuFormat(string format)
+	{
+		foreach (var value in Enum.GetValues<TextureFormat>())
+		{
+			if (value.ToWebGpuFormat() == format)
+			{
+				return value;
+			}
+		}
+
+		throw new ArgumentException($"Unsupported WebGPU texture format '{format}'", nameof(format));
+	}
+
+	/// <summary>
+	/// Gets the number of bytes used by a single texel of an uncompressed texture format.
+	/// </summary>
+	/// <param name="format">The texture format.</param>
+	/// <returns>The texel size in bytes.</returns>
+	public static int GetBytesPerPixel(this TextureFormat format) => format switch
+	{
+		TextureFormat.RGBA8Unorm => 4,
+		TextureFormat.BGRA8Unorm => 4,
+		TextureFormat.Depth24PlusStencil8 => 4,
+		TextureFormat.Depth32Float => 4,
+		TextureFormat.RGBA8UnormSrgb => 4,
+		TextureFormat.BGRA8UnormSrgb => 4,
+		TextureFormat.R8Unorm => 1,
+		TextureFormat.RG8Unorm => 2,
+		TextureFormat.RGBA16Float => 8,
+		TextureFormat.RGBA32Float => 16,
+		TextureFormat.R32Uint => 4,
+		_ when format.IsCompressed() => throw new ArgumentException("Block-compressed formats have no per-texel size; use GetBlockSize", nameof(format)),
+		_ => throw new ArgumentOutOfRangeException(nameof(format), format, "Unsupported texture format")
+	};
+
+	/// <summary>
+	/// Gets the block footprint of the texture format. Uncompressed formats use 1x1 blocks of one texel.
+	/// </summary>
+	/// <param name="format">The texture format.</param>
+	/// <returns>The block width and height in texels and the block size in bytes.</returns>
+	public static (int Width, int Height, int Bytes) GetBlockSize(this TextureFormat format) => format switch
+	{
+		TextureFormat.BC1RGBAUnorm or
+			TextureFormat.BC1RGBAUnormSrgb or
+			TextureFormat.BC4RUnorm or
+			TextureFormat.BC4RSnorm or
+			TextureFormat.ETC2RGB8Unorm or
+			TextureFormat.ETC2RGB8UnormSrgb or
+			TextureFormat.ETC2RGB8A1Unorm or
+			TextureFormat.ETC2RGB8A1UnormSrgb or
+			TextureFormat.EACR11Unorm or
+			TextureFormat.EACR11Snorm => (4, 4, 8),
+		TextureFormat.BC2RGBAUnorm or
+			TextureFormat.BC2RGBAUnormSrgb or
+			TextureFormat.BC3RGBAUnorm or
+			TextureFormat.BC3RGBAUnormSrgb or
+			TextureFormat.BC5RGUnorm or
+			TextureFormat.BC5RGSnorm or
+			TextureFormat.BC6HRGBUfloat or
+			TextureFormat.BC6HRGBFloat or
+			TextureFormat.BC7RGBAUnorm or
+			TextureFormat.BC7RGBAUnormSrgb or
+			TextureFormat.ETC2RGBA8Unorm or
+			TextureFormat.ETC2RGBA8UnormSrgb or
+			TextureFormat.EACRG11Unorm or
+			TextureFormat.EACRG11Snorm or
+			TextureFormat.ASTC4x4Unorm or
+			TextureFormat.ASTC4x4UnormSrgb => (4, 4, 16),
+		TextureFormat.ASTC5x4Unorm or
+			TextureFormat.ASTC5x4UnormSrgb => (5, 4, 16),
+		TextureFormat.ASTC5x5Unorm or
+			TextureFormat.ASTC5x5UnormSrgb => (5, 5, 16),
+		TextureFormat.ASTC6x5Unorm or
+			TextureFormat.ASTC6x5UnormSrgb => (6, 5, 16),
+		TextureFormat.ASTC6x6Unorm or
+			TextureFormat.ASTC6x6UnormSrgb => (6, 6, 16),
+		TextureFormat.ASTC8x5Unorm or
+			TextureFormat.ASTC8x5UnormSrgb => (8, 5, 16),
+		TextureFormat.ASTC8x6Unorm or
+			TextureFormat.ASTC8x6UnormSrgb => (8, 6, 16),
+		TextureFormat.ASTC8x8Unorm or
+			TextureFormat.ASTC8x8UnormSrgb => (8, 8, 16),
+		TextureFormat.ASTC10x5Unorm or
+			TextureFormat.ASTC10x5UnormSrgb => (10, 5, 16),
+		TextureFormat.ASTC10x6Unorm or
+			TextureFormat.ASTC10x6UnormSrgb => (10, 6, 16),
+		TextureFormat.ASTC10x8Unorm or
+			TextureFormat.ASTC10x8UnormSrgb => (10, 8, 16),
+		TextureFormat.ASTC10x10Unorm or
+			TextureFormat.ASTC10x10UnormSrgb => (10, 10, 16),
+		TextureFormat.ASTC12x10Unorm or
+			TextureFormat.ASTC12x10UnormSrgb => (12, 10, 16),
+		TextureFormat.ASTC12x12Unorm or
+			TextureFormat.ASTC12x12UnormSrgb => (12, 12, 16),
+		_ => (1, 1, format.GetBytesPerPixel())
+	};
+
+	/// <summary>
+	/// Gets whether the texture format is block-compressed.
+	/// </summary>
+	/// <param name="format">The texture format.</param>
+	/// <returns>True for BC, ETC2/EAC and ASTC formats.</returns>
+	public static bool IsCompressed(this TextureFormat format) => format.GetRequiredFeature() != null;
+
+	/// <summary>
+	/// Gets the device feature needed to create textures of the format.
+	/// </summary>
+	/// <param name="format">The texture format.</param>
+	/// <returns>The feature name (e.g. "texture-compression-bc"), or null if no feature is needed.</returns>
+	public static string? GetRequiredFeature(this TextureFormat format)
+	{
+		var webGpuFormat = format.ToWebGpuFormat();
+		if (webGpuFormat.StartsWith("bc", StringComparison.Ordinal))
+		{
+			return "texture-compression-bc";
+		}
+
+		if (webGpuFormat.StartsWith("etc2", StringComparison.Ordinal) || webGpuFormat.StartsWith("eac", StringComparison.Ordinal))
+		{
+			return "texture-compression-etc2";
+		}
+
+		if (webGpuFormat.StartsWith("astc", StringComparison.Ordinal))
+		{
+			return "texture-compression-astc";
+		}
+
+		return null;
+	}
+}
@@ -0,0 +1,48 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Options for loading an encoded image (PNG, JPEG, WebP, etc.) into a texture.
+/// </summary>
+public class TextureLoadOptions
+{
+	/// <summary>
+	/// Gets or sets whether the image is flipped vertically during upload (default: false).
+	/// </summary>
+	public bool FlipY { get; set; }
+
+	/// <summary>
+	/// Gets or sets whether color values are premultiplied by alpha during upload (default: false).
+	/// </summary>
+	public bool PremultipliedAlpha { get; set; }
+
+	/// <summary>
+	/// Gets or sets the color space the image is converted to ("srgb" or "display-p3", default: "srgb").
+	/// </summary>
+	public string ColorSpace { get; set; } = "srgb";
+
+	/// <summary>
+	/// Gets or sets whether the texture uses an sRGB format so that sampling returns linear values (default: false).
+	/// Use this for color (albedo) textures; leave it off for data textures such as normal maps.
+	/// </summary>
+	public bool Srgb { get; set; }
+
+	/// <summary>
+	/// Gets or sets the MIME type of the encoded image, used when loading from bytes or streams (optional).
+	/// </summary>
+	public string? MimeType { get; set; }
+
+	/// <summary>
+	/// Gets or sets additional usage flags for the texture. TextureBinding, CopyDst and RenderAttachment are always included.
+	/// </summary>
+	public TextureUsage Usage { get; set; } = TextureUsage.None;
+
+	/// <summary>
+	/// Gets or sets whether a full mip chain is allocated and generated on the GPU after upload (default: false).
+	/// </summary>
+	public bool GenerateMipmaps { get; set; }
+
+	/// <summary>
+	/// Gets the texture format the image is loaded into.
+	/// </summary>
+	public TextureFormat Format => Srgb ? TextureFormat.RGBA8UnormSrgb : TextureFormat.RGBA8Unorm;
+}
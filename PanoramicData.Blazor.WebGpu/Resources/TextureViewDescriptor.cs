@@ -0,0 +1,43 @@
+﻿namespace PanoramicData.Blazor.WebGpu.Resources;
+
+/// <summary>
+/// Descriptor for creating a texture view.
+/// </summary>
+public class TextureViewDescriptor
+{
+	/// <summary>
+	/// Gets or sets the view dimension ("1d", "2d", "2d-array", "cube", "cube-array" or "3d").
+	/// Null uses the texture's default view dimension.
+	/// </summary>
+	public string? Dimension { get; set; }
+
+	/// <summary>
+	/// Gets or sets the view format (null means the texture format).
+	/// </summary>
+	public TextureFormat? Format { get; set; }
+
+	/// <summary>
+	/// Gets or sets the first mip level visible through the view (default: 0).
+	/// </summary>
+	public int BaseMipLevel { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of mip levels visible through the view (null means all remaining levels).
+	/// </summary>
+	public int? MipLevelCount { get; set; }
+
+	/// <summary>
+	/// Gets or sets the first array layer visible through the view (default: 0).
+	/// </summary>
+	public int BaseArrayLayer { get; set; }
+
+	/// <summary>
+	/// Gets or sets the number of array layers visible through the view (null means all remaining layers).
+	/// </summary>
+	public int? ArrayLayerCount { get; set; }
+
+	/// <summary>
+	/// Gets or sets the texture aspect ("all", "depth-only" or "stencil-only").
+	/// </summary>
+	public string Aspect { get; set; } = "all";
+}
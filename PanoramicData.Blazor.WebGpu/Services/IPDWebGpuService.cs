@@ -81,6 +81,27 @@ public interface IPDWebGpuService : IAsyncDisposable
 	/// <returns>A task representing the asynchronous operation.</returns>
 	Task ConfigureCanvasContextAsync(string contextId, string? format = null, string alphaMode = "opaque");
 
+	/// <summary>
+	/// Captures the next frame rendered to a canvas as a PNG, JPEG or WebP image.
+	/// The frame is copied when the next command buffers that render to the canvas are submitted,
+	/// so start the capture before rendering the frame and await it afterwards.
+	/// </summary>
+	/// <param name="contextId">The canvas context ID.</param>
+	/// <param name="mimeType">The image MIME type ("image/png", "image/jpeg" or "image/webp").</param>
+	/// <param name="quality">Encoder quality between 0 and 1 for JPEG and WebP, or null for the browser default.</param>
+	/// <returns>The encoded image bytes.</returns>
+	Task<byte[]> CaptureCanvasAsync(string contextId, string mimeType = "image/png", double? quality = null);
+
+	/// <summary>
+	/// Captures mip level 0 of a texture as a PNG, JPEG or WebP image.
+	/// The texture must be a single-sampled 8-bit RGBA or BGRA format created with CopySrc usage.
+	/// </summary>
+	/// <param name="texture">The texture to capture.</param>
+	/// <param name="mimeType">The image MIME type ("image/png", "image/jpeg" or "image/webp").</param>
+	/// <param name="quality">Encoder quality between 0 and 1 for JPEG and WebP, or null for the browser default.</param>
+	/// <returns>The encoded image bytes.</returns>
+	Task<byte[]> CaptureTextureAsync(Resources.PDWebGpuTexture texture, string mimeType = "image/png", double? quality = null);
+
 	/// <summary>
 	/// Creates a shader module from WGSL source code.
 	/// </summary>
@@ -98,6 +119,7 @@ public interface IPDWebGpuService : IAsyncDisposable
 
 	/// <summary>
 	/// Creates a GPU buffer for vertex, index, uniform, or storage data.
+	/// The buffer also gets CopyDst usage so it can be updated, but not CopySrc; create buffers that are read back from a <see cref="Resources.BufferDescriptor"/>.
 	/// </summary>
 	/// <param name="data">Initial buffer data.</param>
 	/// <param name="bufferType">Type of buffer to create.</param>
@@ -105,6 +127,15 @@ public interface IPDWebGpuService : IAsyncDisposable
 	/// <returns>A PDWebGpuBuffer instance.</returns>
 	Task<Resources.PDWebGpuBuffer> CreateBufferAsync(byte[] data, Resources.BufferType bufferType, string? name = null);
 
+	/// <summary>
+	/// Creates a GPU buffer with exactly the usage given, without uploading data from C#
+	/// (e.g. a compute output buffer, a MapRead readback buffer or an Indirect buffer).
+	/// </summary>
+	/// <param name="descriptor">Buffer size, usage and mapping configuration.</param>
+	/// <param name="name">Optional name for the buffer for debugging purposes.</param>
+	/// <returns>A PDWebGpuBuffer instance.</returns>
+	Task<Resources.PDWebGpuBuffer> CreateBufferAsync(Resources.BufferDescriptor descriptor, string? name = null);
+
 	/// <summary>
 	/// Creates a GPU buffer for vertex, index, uniform, or storage data.
 	/// </summary>
@@ -123,6 +154,132 @@ public interface IPDWebGpuService : IAsyncDisposable
 	/// <returns>A PDWebGpuBuffer instance.</returns>
 	Task<Resources.PDWebGpuBuffer> CreateBufferAsync(ushort[] data, Resources.BufferType bufferType, string? name = null);
 
+	/// <summary>
+	/// Reads data back from a GPU buffer. The read waits for all previously submitted work that writes the buffer.
+	/// </summary>
+	/// <param name="buffer">The buffer to read.</param>
+	/// <param name="offset">Offset in bytes (default: 0).</param>
+	/// <param name="size">Number of bytes to read, or null to read to the end of the buffer.</param>
+	/// <returns>The buffer contents.</returns>
+	Task<byte[]> ReadBufferAsync(Resources.PDWebGpuBuffer buffer, long offset = 0, long? size = null);
+
+	/// <summary>
+	/// Creates a uniform ring buffer for writing each frame's per-object uniform or storage data in one transfer.
+	/// </summary>
+	/// <param name="size">The ring size in bytes. It should hold at least two frames of data, as a frame's space is only recycled once the GPU has finished it.</param>
+	/// <param name="name">Optional name for the ring for debugging purposes.</param>
+	/// <returns>A PDWebGpuUniformRing instance.</returns>
+	Task<Resources.PDWebGpuUniformRing> CreateUniformRingAsync(long size, string? name = null);
+
+	/// <summary>
+	/// Writes several objects' data to a uniform ring buffer in one transfer, each at its own aligned offset.
+	/// </summary>
+	/// <param name="ring">The uniform ring.</param>
+	/// <param name="data">The objects' data, packed back to back.</param>
+	/// <param name="sizes">The size in bytes of each object's data.</param>
+	/// <returns>The offset of each object's data in the ring's buffer, for use as dynamic offsets.</returns>
+	Task<uint[]> WriteUniformRingAsync(Resources.PDWebGpuUniformRing ring, byte[] data, int[] sizes);
+
+	/// <summary>
+	/// Reduces the elements of a storage buffer to their sum, minimum or maximum on the GPU.
+	/// </summary>
+	/// <param name="input">The buffer holding the elements (needs Storage usage).</param>
+	/// <param name="output">The buffer that receives the result as a single element (needs Storage usage).</param>
+	/// <param name="operation">The reduction to apply.</param>
+	/// <param name="elementType">The element type of both buffers (default: Float32).</param>
+	/// <param name="count">The number of elements to reduce, or null for the whole input buffer.</param>
+	/// <param name="outputOffset">The byte offset of the result in the output buffer (multiple of 4, default: 0).</param>
+	Task ReduceBufferAsync(Resources.PDWebGpuBuffer input, Resources.PDWebGpuBuffer output, Resources.ReductionOperation operation, Resources.BufferElementType elementType = Resources.BufferElementType.Float32, int? count = null, long outputOffset = 0);
+
+	/// <summary>
+	/// Writes the exclusive prefix sum of a storage buffer's elements on the GPU, so that each output element is the sum of
+	/// the input elements before it. Useful for turning per-bin counts into offsets for binning and compaction.
+	/// </summary>
+	/// <param name="input">The buffer holding the elements (needs Storage usage, and CopySrc unless scanning in place).</param>
+	/// <param name="output">The buffer that receives the sums (needs Storage usage, and CopyDst unless scanning in place). May be the input buffer.</param>
+	/// <param name="elementType">The element type of both buffers (default: UInt32).</param>
+	/// <param name="count">The number of elements to scan, or null for the whole input buffer.</param>
+	Task ExclusiveScanBufferAsync(Resources.PDWebGpuBuffer input, Resources.PDWebGpuBuffer output, Resources.BufferElementType elementType = Resources.BufferElementType.UInt32, int? count = null);
+
+	/// <summary>
+	/// Sorts a storage buffer of u32 keys into ascending order in place on the GPU, optionally moving a buffer of 32-bit values
+	/// with them (e.g. object indices when sorting transparent objects by depth). The sort is stable.
+	/// </summary>
+	/// <param name="keys">The buffer of keys (needs Storage usage).</param>
+	/// <param name="values">The buffer of values to reorder with the keys (needs Storage usage), or null to sort keys only.</param>
+	/// <param name="count">The number of keys to sort, or null for the whole keys buffer.</param>
+	Task RadixSortBufferAsync(Resources.PDWebGpuBuffer keys, Resources.PDWebGpuBuffer? values = null, int? count = null);
+
+	/// <summary>
+	/// Creates a GPU particle system simulated in a compute shader and drawn as instanced billboards.
+	/// </summary>
+	/// <param name="descriptor">Particle system configuration.</param>
+	/// <param name="name">Optional name for the particle system for debugging purposes.</param>
+	/// <returns>A PDWebGpuParticleSystem instance, to which emitters are then added.</returns>
+	Task<Resources.PDWebGpuParticleSystem> CreateParticleSystemAsync(Resources.ParticleSystemDescriptor descriptor, string? name = null);
+
+	/// <summary>
+	/// Spawns particles from a particle system's emitters and advances its simulation, recording a compute pass into a command encoder.
+	/// </summary>
+	/// <param name="system">The particle system.</param>
+	/// <param name="encoder">The command encoder, outside any pass.</param>
+	/// <param name="deltaTime">The time since the last update in milliseconds.</param>
+	Task UpdateParticleSystemAsync(Resources.PDWebGpuParticleSystem system, Resources.PDWebGpuCommandEncoder encoder, double deltaTime);
+
+	/// <summary>
+	/// Draws a particle system's live particles into a render pass.
+	/// </summary>
+	/// <param name="system">The particle system.</param>
+	/// <param name="passEncoderId">The render pass encoder resource ID.</param>
+	/// <param name="view">The view matrix.</param>
+	/// <param name="projection">The projection matrix.</param>
+	Task DrawParticleSystemAsync(Resources.PDWebGpuParticleSystem system, int passEncoderId, System.Numerics.Matrix4x4 view, System.Numerics.Matrix4x4 projection);
+
+	/// <summary>
+	/// Creates a frustum culler that writes visible instance lists and indirect draw arguments on the GPU.
+	/// </summary>
+	/// <param name="descriptor">Frustum culler configuration.</param>
+	/// <param name="name">Optional name for the culler for debugging purposes.</param>
+	/// <returns>A PDWebGpuFrustumCuller instance.</returns>
+	Task<Resources.PDWebGpuFrustumCuller> CreateFrustumCullerAsync(Resources.FrustumCullerDescriptor descriptor, string? name = null);
+
+	/// <summary>
+	/// Records a compute pass that culls a frustum culler's instances against a view-projection matrix.
+	/// </summary>
+	/// <param name="culler">The frustum culler.</param>
+	/// <param name="encoder">The command encoder, outside any pass.</param>
+	/// <param name="viewProjection">The camera's view-projection matrix.</param>
+	Task CullInstancesAsync(Resources.PDWebGpuFrustumCuller culler, Resources.PDWebGpuCommandEncoder encoder, System.Numerics.Matrix4x4 viewProjection);
+
+	/// <summary>
+	/// Creates a picking target that object IDs are rendered into and read back from.
+	/// </summary>
+	/// <param name="width">The target width in pixels.</param>
+	/// <param name="height">The target height in pixels.</param>
+	/// <param name="name">Optional name for the target for debugging purposes.</param>
+	/// <returns>A PDWebGpuPickingTarget instance.</returns>
+	Task<Resources.PDWebGpuPickingTarget> CreatePickingTargetAsync(int width, int height, string? name = null);
+
+	/// <summary>
+	/// Replaces a picking target's textures with textures of a new size.
+	/// </summary>
+	/// <param name="target">The picking target.</param>
+	/// <param name="width">The new width in pixels.</param>
+	/// <param name="height">The new height in pixels.</param>
+	/// <returns>The resource IDs of views of the new object ID and depth textures.</returns>
+	Task<(int IdViewId, int DepthViewId)> ResizePickingTargetAsync(Resources.PDWebGpuPickingTarget target, int width, int height);
+
+	/// <summary>
+	/// Reads back a rectangle of a picking target and finds the nearest object in it. Pixels outside the target are ignored.
+	/// </summary>
+	/// <param name="target">The picking target.</param>
+	/// <param name="x">The rectangle's left edge in pixels.</param>
+	/// <param name="y">The rectangle's top edge in pixels.</param>
+	/// <param name="width">The rectangle width in pixels (default: 1).</param>
+	/// <param name="height">The rectangle height in pixels (default: 1).</param>
+	/// <returns>The pick result.</returns>
+	Task<Resources.PickResult> PickAsync(Resources.PDWebGpuPickingTarget target, int x, int y, int width = 1, int height = 1);
+
 	/// <summary>
 	/// Creates a command encoder for recording GPU commands.
 	/// </summary>
@@ -130,6 +287,31 @@ public interface IPDWebGpuService : IAsyncDisposable
 	/// <returns>A PDWebGpuCommandEncoder instance.</returns>
 	Task<Resources.PDWebGpuCommandEncoder> CreateCommandEncoderAsync(string? name = null);
 
+	/// <summary>
+	/// Creates a query set for occlusion or timestamp queries.
+	/// </summary>
+	/// <param name="type">The query type. Timestamp queries require the "timestamp-query" feature.</param>
+	/// <param name="count">The number of queries (1-4096).</param>
+	/// <param name="name">Optional name for the query set for debugging purposes.</param>
+	/// <returns>A PDWebGpuQuerySet instance.</returns>
+	Task<Resources.PDWebGpuQuerySet> CreateQuerySetAsync(Resources.QueryType type, int count, string? name = null);
+
+	/// <summary>
+	/// Creates a bind group layout that bind groups and pipeline layouts can share.
+	/// </summary>
+	/// <param name="descriptor">Bind group layout configuration.</param>
+	/// <param name="name">Optional name for the bind group layout for debugging purposes.</param>
+	/// <returns>A PDWebGpuBindGroupLayout instance.</returns>
+	Task<Resources.PDWebGpuBindGroupLayout> CreateBindGroupLayoutAsync(Resources.BindGroupLayoutDescriptor descriptor, string? name = null);
+
+	/// <summary>
+	/// Creates a pipeline layout from bind group layouts.
+	/// </summary>
+	/// <param name="bindGroupLayouts">The bind group layouts, indexed by group.</param>
+	/// <param name="name">Optional name for the pipeline layout for debugging purposes.</param>
+	/// <returns>A PDWebGpuPipelineLayout instance.</returns>
+	Task<Resources.PDWebGpuPipelineLayout> CreatePipelineLayoutAsync(Resources.PDWebGpuBindGroupLayout[] bindGroupLayouts, string? name = null);
+
 	/// <summary>
 	/// Creates a render pipeline.
 	/// </summary>
@@ -138,6 +320,14 @@ public interface IPDWebGpuService : IAsyncDisposable
 	/// <returns>A PDWebGpuPipeline instance.</returns>
 	Task<Resources.PDWebGpuPipeline> CreateRenderPipelineAsync(Resources.RenderPipelineDescriptor descriptor, string? name = null);
 
+	/// <summary>
+	/// Creates a compute pipeline.
+	/// </summary>
+	/// <param name="descriptor">Pipeline configuration.</param>
+	/// <param name="name">Optional name for the pipeline for debugging purposes.</param>
+	/// <returns>A PDWebGpuPipeline instance with <see cref="Resources.PipelineType.Compute"/>.</returns>
+	Task<Resources.PDWebGpuPipeline> CreateComputePipelineAsync(Resources.ComputePipelineDescriptor descriptor, string? name = null);
+
 	/// <summary>
 	/// Creates a bind group for binding resources to shaders.
 	/// </summary>
@@ -147,7 +337,7 @@ public interface IPDWebGpuService : IAsyncDisposable
 	Task<Resources.PDWebGpuBindGroup> CreateBindGroupAsync(Resources.BindGroupDescriptor descriptor, string? name = null);
 
 	/// <summary>
-	/// Submits command buffers to the GPU queue.
+	/// Submits command buffers to the GPU queue. Submitted command buffers are released, so their IDs cannot be used again.
 	/// </summary>
 	/// <param name="commandBufferIds">Array of command buffer resource IDs.</param>
 	/// <returns>A task representing the asynchronous operation.</returns>
@@ -161,7 +351,14 @@ public interface IPDWebGpuService : IAsyncDisposable
 	Task ReleaseResourceAsync(int resourceId);
 
 	/// <summary>
-	/// Gets the current texture from a canvas context.
+	/// Gets a snapshot of every resource held by the JavaScript layer, with a breakdown by resource kind and the total estimated GPU memory.
+	/// </summary>
+	/// <returns>The resource summary.</returns>
+	Task<Interop.WebGpuResourceSummary> GetResourceSummaryAsync();
+
+	/// <summary>
+	/// Gets the current texture from a canvas context. The texture, and the views created from it, are released when the
+	/// next texture is requested from the same context, so request one texture per frame.
 	/// </summary>
 	/// <param name="contextId">The canvas context ID.</param>
 	/// <returns>Resource ID for the texture.</returns>
@@ -174,6 +371,208 @@ public interface IPDWebGpuService : IAsyncDisposable
 	/// <param name="descriptor">Optional view descriptor.</param>
 	/// <returns>Resource ID for the texture view.</returns>
 	Task<int> CreateTextureViewAsync(int textureId, object? descriptor = null);
+
+	/// <summary>
+	/// Creates a texture view, checking that the view dimension suits the texture.
+	/// </summary>
+	/// <param name="texture">The texture to view.</param>
+	/// <param name="descriptor">The view descriptor.</param>
+	/// <returns>Resource ID for the texture view.</returns>
+	Task<int> CreateTextureViewAsync(Resources.PDWebGpuTexture texture, Resources.TextureViewDescriptor descriptor);
+
+	/// <summary>
+	/// Creates a texture.
+	/// </summary>
+	/// <param name="descriptor">Texture configuration.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture instance.</returns>
+	Task<Resources.PDWebGpuTexture> CreateTextureAsync(Resources.TextureDescriptor descriptor, string? name = null);
+
+	/// <summary>
+	/// Writes texel data into a texture.
+	/// </summary>
+	/// <param name="texture">The destination texture.</param>
+	/// <param name="data">The texel data.</param>
+	/// <param name="region">Optional destination region and data layout (defaults to the whole of mip level 0, tightly packed).</param>
+	/// <returns>A task representing the asynchronous operation.</returns>
+	Task WriteTextureAsync(Resources.PDWebGpuTexture texture, byte[] data, Resources.TextureWriteRegion? region = null);
+
+	/// <summary>
+	/// Fills every mip level of a texture by downsampling from mip level 0 on the GPU.
+	/// The texture needs TextureBinding and RenderAttachment usage and a filterable, renderable format;
+	/// compressed, depth and integer formats are rejected.
+	/// </summary>
+	/// <param name="texture">The texture to fill.</param>
+	/// <returns>A task representing the asynchronous operation.</returns>
+	Task GenerateMipmapsAsync(Resources.PDWebGpuTexture texture);
+
+	/// <summary>
+	/// Creates a texture sampler.
+	/// </summary>
+	/// <param name="descriptor">Sampler configuration (defaults to linear filtering with clamp-to-edge addressing).</param>
+	/// <param name="name">Optional name for the sampler for debugging purposes.</param>
+	/// <returns>A PDWebGpuSampler instance.</returns>
+	Task<Resources.PDWebGpuSampler> CreateSamplerAsync(Resources.SamplerDescriptor? descriptor = null, string? name = null);
+
+	/// <summary>
+	/// Loads an image from a URL into a new texture.
+	/// </summary>
+	/// <param name="url">The image URL.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture sized to the image.</returns>
+	Task<Resources.PDWebGpuTexture> LoadTextureFromUrlAsync(string url, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads an encoded image (PNG, JPEG, WebP, etc.) from bytes into a new texture.
+	/// </summary>
+	/// <param name="data">The encoded image bytes.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture sized to the image.</returns>
+	Task<Resources.PDWebGpuTexture> LoadTextureFromBytesAsync(byte[] data, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads an encoded image (PNG, JPEG, WebP, etc.) from a stream into a new texture.
+	/// </summary>
+	/// <param name="stream">The stream containing the encoded image.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture sized to the image.</returns>
+	Task<Resources.PDWebGpuTexture> LoadTextureFromStreamAsync(Stream stream, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads a KTX2 or DDS texture container from a URL into a new texture.
+	/// BC, ETC2 and ASTC payloads are uploaded compressed when the device has the matching texture-compression-* feature;
+	/// otherwise BC1-BC5 are decoded to RGBA8 and other compressed formats are rejected.
+	/// </summary>
+	/// <param name="url">The container URL.</param>
+	/// <param name="options">Optional load options (Usage and GenerateMipmaps apply; the format comes from the container).</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture in the container's format.</returns>
+	Task<Resources.PDWebGpuTexture> LoadCompressedTextureFromUrlAsync(string url, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads a KTX2 or DDS texture container from bytes into a new texture.
+	/// BC, ETC2 and ASTC payloads are uploaded compressed when the device has the matching texture-compression-* feature;
+	/// otherwise BC1-BC5 are decoded to RGBA8 and other compressed formats are rejected.
+	/// </summary>
+	/// <param name="data">The container bytes.</param>
+	/// <param name="options">Optional load options (Usage and GenerateMipmaps apply; the format comes from the container).</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture in the container's format.</returns>
+	Task<Resources.PDWebGpuTexture> LoadCompressedTextureFromBytesAsync(byte[] data, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads six square face images into a new cube texture.
+	/// </summary>
+	/// <param name="faceUrls">Face image URLs in +X, -X, +Y, -Y, +Z, -Z order.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture with six layers whose views default to "cube".</returns>
+	Task<Resources.PDWebGpuTexture> LoadCubeTextureFromUrlsAsync(IReadOnlyList<string> faceUrls, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads a cube texture from a single image laid out as a horizontal (4x3) or vertical (3x4) cross.
+	/// </summary>
+	/// <param name="url">The cross image URL.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture with six layers whose views default to "cube".</returns>
+	Task<Resources.PDWebGpuTexture> LoadCubeTextureFromCrossAsync(string url, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads a list of same-sized images into the layers of a new 2D array texture.
+	/// </summary>
+	/// <param name="urls">Layer image URLs, one per array layer.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture whose views default to "2d-array".</returns>
+	Task<Resources.PDWebGpuTexture> LoadTextureArrayFromUrlsAsync(IReadOnlyList<string> urls, Resources.TextureLoadOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads a Radiance .hdr (RGBE) image from a URL into a new RGBA16Float or RGBA32Float texture.
+	/// </summary>
+	/// <param name="url">The image URL.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A float PDWebGpuTexture holding linear radiance values.</returns>
+	Task<Resources.PDWebGpuTexture> LoadHdrTextureFromUrlAsync(string url, Resources.HdrTextureOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Loads a Radiance .hdr (RGBE) image from bytes into a new RGBA16Float or RGBA32Float texture.
+	/// </summary>
+	/// <param name="data">The .hdr file bytes.</param>
+	/// <param name="options">Optional load options.</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A float PDWebGpuTexture holding linear radiance values.</returns>
+	Task<Resources.PDWebGpuTexture> LoadHdrTextureFromBytesAsync(byte[] data, Resources.HdrTextureOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Renders an equirectangular (longitude/latitude) texture, such as an HDR environment map, into a new cube texture.
+	/// </summary>
+	/// <param name="source">The equirectangular source texture.</param>
+	/// <param name="options">Optional conversion options.</param>
+	/// <param name="name">Optional name for the cube texture for debugging purposes.</param>
+	/// <returns>A PDWebGpuTexture with six layers whose views default to "cube".</returns>
+	Task<Resources.PDWebGpuTexture> ConvertEquirectangularToCubemapAsync(Resources.PDWebGpuTexture source, Resources.CubemapConversionOptions? options = null, string? name = null);
+
+	/// <summary>
+	/// Creates a 3D texture and fills it with tightly packed voxel data (X fastest, then Y, then Z).
+	/// </summary>
+	/// <param name="voxels">The voxel data.</param>
+	/// <param name="width">The volume width in voxels.</param>
+	/// <param name="height">The volume height in voxels.</param>
+	/// <param name="depth">The volume depth in voxels.</param>
+	/// <param name="format">The voxel format (default: R8Unorm).</param>
+	/// <param name="name">Optional name for the texture for debugging purposes.</param>
+	/// <returns>A 3D PDWebGpuTexture.</returns>
+	Task<Resources.PDWebGpuTexture> CreateVolumeTextureAsync(byte[] voxels, int width, int height, int depth, Resources.TextureFormat format = Resources.TextureFormat.R8Unorm, string? name = null);
+
+	/// <summary>
+	/// Registers a video element as a video source that can be bound to texture_external bindings
+	/// (bind group entry resource type "externalTexture"). The current frame is imported every time the bind group is set.
+	/// </summary>
+	/// <param name="video">Reference to a &lt;video&gt; element.</param>
+	/// <param name="name">Optional name for the video source for debugging purposes.</param>
+	/// <returns>A PDWebGpuVideoSource.</returns>
+	Task<Resources.PDWebGpuVideoSource> CreateVideoSourceAsync(Microsoft.AspNetCore.Components.ElementReference video, string? name = null);
+
+	/// <summary>
+	/// Registers the video element with the given ID as a video source.
+	/// </summary>
+	/// <param name="elementId">The ID of a &lt;video&gt; element.</param>
+	/// <param name="name">Optional name for the video source for debugging purposes.</param>
+	/// <returns>A PDWebGpuVideoSource.</returns>
+	Task<Resources.PDWebGpuVideoSource> CreateVideoSourceAsync(string elementId, string? name = null);
+
+	/// <summary>
+	/// Plays a video clip in a hidden video element and registers it as a video source.
+	/// The clip must be same-origin or served with CORS headers.
+	/// </summary>
+	/// <param name="url">The video URL.</param>
+	/// <param name="loop">Whether playback loops (default: true).</param>
+	/// <param name="muted">Whether audio is muted (default: true; browsers only autoplay muted video).</param>
+	/// <param name="name">Optional name for the video source for debugging purposes.</param>
+	/// <returns>A PDWebGpuVideoSource.</returns>
+	Task<Resources.PDWebGpuVideoSource> CreateVideoSourceFromUrlAsync(string url, bool loop = true, bool muted = true, string? name = null);
+
+	/// <summary>
+	/// Opens a camera stream and registers it as a video source. The camera is released when the source is disposed.
+	/// </summary>
+	/// <param name="constraints">getUserMedia constraints (e.g. new { video = new { facingMode = "environment" } }), or null for the default camera.</param>
+	/// <param name="name">Optional name for the video source for debugging purposes.</param>
+	/// <returns>A PDWebGpuVideoSource.</returns>
+	Task<Resources.PDWebGpuVideoSource> CreateCameraVideoSourceAsync(object? constraints = null, string? name = null);
+
+	/// <summary>
+	/// Copies the current frame of a video source into an rgba8unorm texture, for shaders that sample texture_2d.
+	/// The texture is recreated when the frame size changes, which advances <see cref="Resources.PDWebGpuVideoSource.TextureVersion"/>;
+	/// bind groups using it must then be rebuilt.
+	/// </summary>
+	/// <param name="source">The video source.</param>
+	/// <returns>The texture resource ID, which stays the same for the life of the source.</returns>
+	Task<int> UpdateVideoTextureAsync(Resources.PDWebGpuVideoSource source);
 }
 
 /// <summary>
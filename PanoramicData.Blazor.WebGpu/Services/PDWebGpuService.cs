@@ -1,6 +1,8 @@
-﻿using Microsoft.JSInterop;
+﻿using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
 using PanoramicData.Blazor.WebGpu.Interop;
 using PanoramicData.Blazor.WebGpu.Resources;
+using System.Numerics;
 
 namespace PanoramicData.Blazor.WebGpu.Services;
 
@@ -220,202 +222,1640 @@ public class PDWebGpuService : IPDWebGpuService, IDisposable
 
 		await EnsureInitializedAsync();
 
+		// Map buffer type to WebGPU usage flags (COPY_DST is added in JavaScript)
+		var usage = PDWebGpuBuffer.GetUsage(bufferType);
+		if (usage == BufferUsage.None)
+		{
+			throw new ArgumentException($"Unsupported buffer type: {bufferType}; create staging buffers from a BufferDescriptor", nameof(bufferType));
+		}
+
+		try
+		{
+			var resourceId = await _interop.CreateBufferAsync(data, (int)usage, name);
+			return new PDWebGpuBuffer(this, resourceId, data.Length, bufferType, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to create {bufferType} buffer", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuBuffer> CreateBufferAsync(BufferDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		ValidateBufferDescriptor(descriptor);
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreateBufferWithDescriptorAsync(new
+			{
+				label = name,
+				size = descriptor.Size,
+				usage = (int)descriptor.Usage,
+				mappedAtCreation = descriptor.MappedAtCreation,
+				initialData = descriptor.InitialData
+			});
+			return new PDWebGpuBuffer(this, resourceId, descriptor.Size, PDWebGpuBuffer.GetBufferType(descriptor.Usage), name, descriptor.Usage);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to create buffer with usage {descriptor.Usage}", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuBuffer> CreateBufferAsync(float[] data, BufferType bufferType, string? name = null)
+	{
+		if (data == null || data.Length == 0)
+		{
+			throw new ArgumentException("Buffer data cannot be null or empty", nameof(data));
+		}
+
+		// Convert float[] to byte[]
+		var bytes = new byte[data.Length * sizeof(float)];
+		Buffer.BlockCopy(data, 0, bytes, 0, bytes.Length);
+
+		return await CreateBufferAsync(bytes, bufferType, name);
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuBuffer> CreateBufferAsync(ushort[] data, BufferType bufferType, string? name = null)
+	{
+		if (data == null || data.Length == 0)
+		{
+			throw new ArgumentException("Buffer data cannot be null or empty", nameof(data));
+		}
+
+		// Convert ushort[] to byte[]
+		var bytes = new byte[data.Length * sizeof(ushort)];
+		Buffer.BlockCopy(data, 0, bytes, 0, bytes.Length);
+
+		return await CreateBufferAsync(bytes, bufferType, name);
+	}
+
+	/// <inheritdoc/>
+	public async Task<byte[]> CaptureCanvasAsync(string contextId, string mimeType = "image/png", double? quality = null)
+	{
+		if (string.IsNullOrWhiteSpace(contextId))
+		{
+			throw new ArgumentException("Context ID cannot be null or empty", nameof(contextId));
+		}
+
+		ValidateCaptureOptions(mimeType, quality);
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.CaptureCanvasAsync(contextId, mimeType, quality);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to capture canvas '{contextId}'", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<byte[]> CaptureTextureAsync(PDWebGpuTexture texture, string mimeType = "image/png", double? quality = null)
+	{
+		if (texture == null)
+		{
+			throw new ArgumentNullException(nameof(texture));
+		}
+
+		if (texture.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuTexture));
+		}
+
+		if (texture.Format is not (TextureFormat.RGBA8Unorm or TextureFormat.RGBA8UnormSrgb or TextureFormat.BGRA8Unorm or TextureFormat.BGRA8UnormSrgb))
+		{
+			throw new ArgumentException($"Capturing {texture.Format} textures is not supported; only 8-bit RGBA and BGRA colour textures can be captured", nameof(texture));
+		}
+
+		ValidateCaptureOptions(mimeType, quality);
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.CaptureTextureAsync(texture.ResourceId, mimeType, quality);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to capture texture", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<byte[]> ReadBufferAsync(PDWebGpuBuffer buffer, long offset = 0, long? size = null)
+	{
+		if (buffer == null)
+		{
+			throw new ArgumentNullException(nameof(buffer));
+		}
+
+		if (buffer.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuBuffer));
+		}
+
+		if (offset < 0 || offset > buffer.Size)
+		{
+			throw new ArgumentOutOfRangeException(nameof(offset), "Offset is outside the buffer");
+		}
+
+		if (size < 0 || offset + size > buffer.Size)
+		{
+			throw new ArgumentOutOfRangeException(nameof(size), "Offset and size exceed buffer size");
+		}
+
+		if ((buffer.Usage & (BufferUsage.CopySrc | BufferUsage.MapRead)) == 0)
+		{
+			throw new ArgumentException("The buffer needs CopySrc or MapRead usage to be read back", nameof(buffer));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.ReadBufferAsync(buffer.ResourceId, offset, size);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to read buffer", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuUniformRing> CreateUniformRingAsync(long size, string? name = null)
+	{
+		if (size <= 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(size), size, "Ring size must be greater than zero");
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.CreateUniformRingAsync(new { label = name, size });
+			return new PDWebGpuUniformRing(this, result.RingId, result.BufferId, size, result.Alignment, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create uniform ring", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<uint[]> WriteUniformRingAsync(PDWebGpuUniformRing ring, byte[] data, int[] sizes)
+	{
+		if (ring == null)
+		{
+			throw new ArgumentNullException(nameof(ring));
+		}
+
+		if (ring.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuUniformRing));
+		}
+
+		if (data == null)
+		{
+			throw new ArgumentNullException(nameof(data));
+		}
+
+		if (sizes == null)
+		{
+			throw new ArgumentNullException(nameof(sizes));
+		}
+
+		if (sizes.Any(size => size <= 0))
+		{
+			throw new ArgumentException("Item sizes must be greater than zero", nameof(sizes));
+		}
+
+		if (sizes.Sum(size => (long)size) != data.Length)
+		{
+			throw new ArgumentException("Item sizes must add up to the length of the data", nameof(sizes));
+		}
+
+		if (sizes.Length == 0)
+		{
+			return Array.Empty<uint>();
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.WriteUniformRingAsync(ring.ResourceId, data, sizes);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to write uniform ring", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task ReduceBufferAsync(PDWebGpuBuffer input, PDWebGpuBuffer output, ReductionOperation operation, BufferElementType elementType = BufferElementType.Float32, int? count = null, long outputOffset = 0)
+	{
+		ValidatePrimitiveBuffer(input, nameof(input));
+		ValidatePrimitiveBuffer(output, nameof(output));
+		var elementCount = ValidatePrimitiveCount(input, count);
+
+		if (input == output)
+		{
+			throw new ArgumentException("Input and output must be different buffers", nameof(output));
+		}
+
+		if (outputOffset < 0 || outputOffset % 4 != 0 || outputOffset + 4 > output.Size)
+		{
+			throw new ArgumentOutOfRangeException(nameof(outputOffset), outputOffset, "Output offset must be a multiple of 4 with room for one element in the output buffer");
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.ReduceBufferAsync(input.ResourceId, output.ResourceId, new
+			{
+				operation = operation.ToString().ToLowerInvariant(),
+				type = ToWgslElementType(elementType),
+				count = elementCount,
+				outputOffset
+			});
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to reduce buffer", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task ExclusiveScanBufferAsync(PDWebGpuBuffer input, PDWebGpuBuffer output, BufferElementType elementType = BufferElementType.UInt32, int? count = null)
+	{
+		ValidatePrimitiveBuffer(input, nameof(input));
+		ValidatePrimitiveBuffer(output, nameof(output));
+		var elementCount = ValidatePrimitiveCount(input, count);
+
+		if (elementCount * 4L > output.Size)
+		{
+			throw new ArgumentException("The output buffer is smaller than the elements to scan", nameof(output));
+		}
+
+		if (input != output && (!input.Usage.HasFlag(BufferUsage.CopySrc) || !output.Usage.HasFlag(BufferUsage.CopyDst)))
+		{
+			throw new ArgumentException("Scanning into another buffer needs CopySrc usage on the input and CopyDst usage on the output", nameof(output));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.ExclusiveScanBufferAsync(input.ResourceId, output.ResourceId, new
+			{
+				type = ToWgslElementType(elementType),
+				count = elementCount
+			});
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to scan buffer", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task RadixSortBufferAsync(PDWebGpuBuffer keys, PDWebGpuBuffer? values = null, int? count = null)
+	{
+		ValidatePrimitiveBuffer(keys, nameof(keys));
+		var elementCount = ValidatePrimitiveCount(keys, count);
+
+		if (values != null)
+		{
+			ValidatePrimitiveBuffer(values, nameof(values));
+
+			if (values == keys)
+			{
+				throw new ArgumentException("Keys and values must be different buffers", nameof(values));
+			}
+
+			if (elementCount * 4L > values.Size)
+			{
+				throw new ArgumentException("The values buffer is smaller than the keys to sort", nameof(values));
+			}
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.RadixSortBufferAsync(keys.ResourceId, values?.ResourceId, new { count = elementCount });
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to sort buffer", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuParticleSystem> CreateParticleSystemAsync(ParticleSystemDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		if (descriptor.MaxParticles <= 0)
+		{
+			throw new ArgumentException("MaxParticles must be greater than zero", nameof(descriptor));
+		}
+
+		if (string.IsNullOrEmpty(descriptor.ColorFormat))
+		{
+			throw new ArgumentException("A color format is required", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreateParticleSystemAsync(new
+			{
+				label = name,
+				maxParticles = descriptor.MaxParticles,
+				blendMode = descriptor.BlendMode == ParticleBlendMode.Alpha ? "alpha" : "additive",
+				format = descriptor.ColorFormat,
+				depthFormat = descriptor.DepthFormat,
+				sampleCount = descriptor.SampleCount
+			});
+			return new PDWebGpuParticleSystem(this, resourceId, descriptor.MaxParticles, descriptor.BlendMode, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create particle system", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task UpdateParticleSystemAsync(PDWebGpuParticleSystem system, PDWebGpuCommandEncoder encoder, double deltaTime)
+	{
+		if (system == null)
+		{
+			throw new ArgumentNullException(nameof(system));
+		}
+
+		if (system.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuParticleSystem));
+		}
+
+		if (encoder == null)
+		{
+			throw new ArgumentNullException(nameof(encoder));
+		}
+
+		if (!double.IsFinite(deltaTime) || deltaTime < 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(deltaTime), deltaTime, "Delta time must be a finite, non-negative number of milliseconds");
+		}
+
+		var emitters = system.Emitters.Select((emitter, index) => ConvertParticleEmitter(emitter, index, nameof(system))).ToArray();
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.UpdateParticleSystemAsync(system.ResourceId, encoder.ResourceId, deltaTime / 1000.0, emitters);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to update particle system", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task DrawParticleSystemAsync(PDWebGpuParticleSystem system, int passEncoderId, Matrix4x4 view, Matrix4x4 projection)
+	{
+		if (system == null)
+		{
+			throw new ArgumentNullException(nameof(system));
+		}
+
+		if (system.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuParticleSystem));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			// System.Numerics matrices are row-major for row vectors, which is the same memory layout as
+			// WGSL's column-major matrices for column vectors, so they are passed through untransposed
+			await _interop.DrawParticleSystemAsync(system.ResourceId, passEncoderId, ToFloatArray(view), ToFloatArray(projection));
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to draw particle system", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuFrustumCuller> CreateFrustumCullerAsync(FrustumCullerDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		ValidateCullingBuffer(descriptor.Bounds, BufferUsage.Storage, "Bounds", nameof(descriptor));
+		ValidateCullingBuffer(descriptor.VisibleInstances, BufferUsage.Storage, "VisibleInstances", nameof(descriptor));
+		ValidateCullingBuffer(descriptor.IndirectBuffer, BufferUsage.Storage | BufferUsage.Indirect, "IndirectBuffer", nameof(descriptor));
+
+		if (descriptor.Draws == null || descriptor.Draws.Count == 0)
+		{
+			throw new ArgumentException("At least one draw is required", nameof(descriptor));
+		}
+
+		long instanceCount = 0;
+		for (var i = 0; i < descriptor.Draws.Count; i++)
+		{
+			var draw = descriptor.Draws[i];
+			if (draw.InstanceCount < 0 || draw.FirstInstance < instanceCount)
+			{
+				throw new ArgumentException($"Draw {i} must have a non-negative instance count and start after the previous draw's instances", nameof(descriptor));
+			}
+
+			instanceCount = (long)draw.FirstInstance + draw.InstanceCount;
+		}
+
+		if (instanceCount * 16 > descriptor.Bounds!.Size || instanceCount * 4 > descriptor.VisibleInstances!.Size)
+		{
+			throw new ArgumentException($"The bounds and visible instance buffers must hold all {instanceCount} instances", nameof(descriptor));
+		}
+
+		var argumentsSize = descriptor.Draws.Count * (descriptor.Indexed ? 20L : 16L);
+		if (descriptor.IndirectOffset < 0 || descriptor.IndirectOffset % 4 != 0 || descriptor.IndirectOffset + argumentsSize > descriptor.IndirectBuffer!.Size)
+		{
+			throw new ArgumentException("The draws' indirect arguments must fit in the indirect buffer at a multiple of 4 bytes", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreateFrustumCullerAsync(new
+			{
+				label = name,
+				boundsBufferId = descriptor.Bounds.ResourceId,
+				visibleBufferId = descriptor.VisibleInstances.ResourceId,
+				indirectBufferId = descriptor.IndirectBuffer.ResourceId,
+				indirectOffset = descriptor.IndirectOffset,
+				indexed = descriptor.Indexed,
+				draws = descriptor.Draws.Select(d => new
+				{
+					firstInstance = d.FirstInstance,
+					instanceCount = d.InstanceCount,
+					indexCount = d.IndexCount,
+					firstIndex = d.FirstIndex,
+					baseVertex = d.BaseVertex,
+					vertexCount = d.VertexCount,
+					firstVertex = d.FirstVertex
+				}).ToArray()
+			});
+			return new PDWebGpuFrustumCuller(this, resourceId, descriptor.IndirectBuffer, descriptor.IndirectOffset, descriptor.Indexed, descriptor.Draws.Count, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create frustum culler", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task CullInstancesAsync(PDWebGpuFrustumCuller culler, PDWebGpuCommandEncoder encoder, Matrix4x4 viewProjection)
+	{
+		if (culler == null)
+		{
+			throw new ArgumentNullException(nameof(culler));
+		}
+
+		if (culler.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuFrustumCuller));
+		}
+
+		if (encoder == null)
+		{
+			throw new ArgumentNullException(nameof(encoder));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.CullInstancesAsync(culler.ResourceId, encoder.ResourceId, ToFloatArray(viewProjection));
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to cull instances", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuPickingTarget> CreatePickingTargetAsync(int width, int height, string? name = null)
+	{
+		ValidatePickingTargetSize(width, height);
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.CreatePickingTargetAsync(new { label = name, width, height });
+			return new PDWebGpuPickingTarget(this, result.TargetId, width, height, result.IdViewId, result.DepthViewId, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create picking target", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<(int IdViewId, int DepthViewId)> ResizePickingTargetAsync(PDWebGpuPickingTarget target, int width, int height)
+	{
+		if (target == null)
+		{
+			throw new ArgumentNullException(nameof(target));
+		}
+
+		if (target.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuPickingTarget));
+		}
+
+		ValidatePickingTargetSize(width, height);
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.ResizePickingTargetAsync(target.ResourceId, width, height);
+			return (result.IdViewId, result.DepthViewId);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to resize picking target", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PickResult> PickAsync(PDWebGpuPickingTarget target, int x, int y, int width = 1, int height = 1)
+	{
+		if (target == null)
+		{
+			throw new ArgumentNullException(nameof(target));
+		}
+
+		if (target.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuPickingTarget));
+		}
+
+		if (width <= 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(width), width, "Pick width must be greater than zero");
+		}
+
+		if (height <= 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(height), height, "Pick height must be greater than zero");
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.PickAsync(target.ResourceId, x, y, width, height);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to pick", ex);
+		}
+	}
+
+	private static void ValidatePickingTargetSize(int width, int height)
+	{
+		if (width <= 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(width), width, "Picking target width must be greater than zero");
+		}
+
+		if (height <= 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(height), height, "Picking target height must be greater than zero");
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuCommandEncoder> CreateCommandEncoderAsync(string? name = null)
+	{
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreateCommandEncoderAsync(name);
+			return new PDWebGpuCommandEncoder(this, resourceId, _interop);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create command encoder", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuQuerySet> CreateQuerySetAsync(QueryType type, int count, string? name = null)
+	{
+		if (count is < 1 or > 4096)
+		{
+			throw new ArgumentOutOfRangeException(nameof(count), count, "Query count must be between 1 and 4096");
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreateQuerySetAsync(new
+			{
+				label = name,
+				type = type == QueryType.Timestamp ? "timestamp" : "occlusion",
+				count
+			});
+			return new PDWebGpuQuerySet(this, resourceId, type, count, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to create {type} query set", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuBindGroupLayout> CreateBindGroupLayoutAsync(BindGroupLayoutDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		var entries = descriptor.Entries ?? Array.Empty<BindGroupLayoutEntry>();
+		foreach (var entry in entries)
+		{
+			var layoutCount = (entry.Buffer != null ? 1 : 0)
+				+ (entry.Sampler != null ? 1 : 0)
+				+ (entry.Texture != null ? 1 : 0)
+				+ (entry.StorageTexture != null ? 1 : 0)
+				+ (entry.ExternalTexture != null ? 1 : 0);
+			if (layoutCount != 1)
+			{
+				throw new ArgumentException($"Binding {entry.Binding} must specify exactly one of Buffer, Sampler, Texture, StorageTexture or ExternalTexture", nameof(descriptor));
+			}
+		}
+
+		var duplicate = entries.GroupBy(e => e.Binding).FirstOrDefault(g => g.Count() > 1);
+		if (duplicate != null)
+		{
+			throw new ArgumentException($"Binding {duplicate.Key} is declared more than once", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreateBindGroupLayoutAsync(ConvertBindGroupLayoutDescriptor(entries, name));
+			return new PDWebGpuBindGroupLayout(this, resourceId, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create bind group layout", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuPipelineLayout> CreatePipelineLayoutAsync(PDWebGpuBindGroupLayout[] bindGroupLayouts, string? name = null)
+	{
+		if (bindGroupLayouts == null)
+		{
+			throw new ArgumentNullException(nameof(bindGroupLayouts));
+		}
+
+		if (bindGroupLayouts.Any(layout => layout == null))
+		{
+			throw new ArgumentException("Bind group layouts cannot contain null entries", nameof(bindGroupLayouts));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var resourceId = await _interop.CreatePipelineLayoutAsync(new
+			{
+				label = name,
+				bindGroupLayoutIds = bindGroupLayouts.Select(layout => layout.ResourceId).ToArray()
+			});
+			return new PDWebGpuPipelineLayout(this, resourceId, bindGroupLayouts.ToArray(), name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create pipeline layout", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuPipeline> CreateRenderPipelineAsync(RenderPipelineDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			// Convert descriptor to JavaScript-compatible format
+			var jsDescriptor = ConvertRenderPipelineDescriptor(descriptor, name);
+			var resourceId = await _interop.CreateRenderPipelineAsync(jsDescriptor);
+			return new PDWebGpuPipeline(this, resourceId, PipelineType.Render, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create render pipeline", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuPipeline> CreateComputePipelineAsync(ComputePipelineDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		if (descriptor.Compute?.Shader == null)
+		{
+			throw new ArgumentException("A compute pipeline requires a compute shader", nameof(descriptor));
+		}
+
+		var invalidConstant = descriptor.Compute.Constants?.Where(c => !double.IsFinite(c.Value)).Select(c => c.Key).FirstOrDefault();
+		if (invalidConstant != null)
+		{
+			throw new ArgumentException($"Pipeline constant '{invalidConstant}' must be a finite number", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var jsDescriptor = ConvertComputePipelineDescriptor(descriptor, name);
+			var resourceId = await _interop.CreateComputePipelineAsync(jsDescriptor);
+			return new PDWebGpuPipeline(this, resourceId, PipelineType.Compute, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create compute pipeline", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuBindGroup> CreateBindGroupAsync(BindGroupDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		var untypedEntry = descriptor.Entries?.FirstOrDefault(e => !BindGroupEntry.ResourceTypes.Contains(e.ResourceType));
+		if (untypedEntry != null)
+		{
+			throw new ArgumentException($"Binding {untypedEntry.Binding} has unknown resource type '{untypedEntry.ResourceType}'; expected one of {string.Join(", ", BindGroupEntry.ResourceTypes)}", nameof(descriptor));
+		}
+
+		var duplicateEntry = descriptor.Entries?.GroupBy(e => e.Binding).FirstOrDefault(g => g.Count() > 1);
+		if (duplicateEntry != null)
+		{
+			throw new ArgumentException($"Binding {duplicateEntry.Key} has more than one entry", nameof(descriptor));
+		}
+
+		var misalignedEntry = descriptor.Entries?.FirstOrDefault(e => e.ResourceType == "buffer" && e.Offset % PDWebGpuCommandEncoder.BufferOffsetAlignment != 0);
+		if (misalignedEntry != null)
+		{
+			throw new ArgumentException($"Buffer offset for binding {misalignedEntry.Binding} must be a multiple of {PDWebGpuCommandEncoder.BufferOffsetAlignment}", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			// Convert descriptor to JavaScript-compatible format
+			var jsDescriptor = ConvertBindGroupDescriptor(descriptor, name);
+			var resourceId = await _interop.CreateBindGroupAsync(jsDescriptor);
+			return new PDWebGpuBindGroup(this, resourceId, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create bind group", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task SubmitCommandBuffersAsync(params int[] commandBufferIds)
+	{
+		if (commandBufferIds == null || commandBufferIds.Length == 0)
+		{
+			return;
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.SubmitCommandBuffersAsync(commandBufferIds);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw;
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task ReleaseResourceAsync(int resourceId)
+	{
+		try
+		{
+			await _interop.ReleaseResourceAsync(resourceId);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			// Don't throw during resource cleanup
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<WebGpuResourceSummary> GetResourceSummaryAsync()
+	{
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.GetResourceSummaryAsync();
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to get resource summary", ex);
+		}
+	}
+
+	/// <summary>
+	/// Gets the current texture from a canvas context.
+	/// </summary>
+	/// <param name="contextId">The canvas context ID.</param>
+	/// <returns>Resource ID for the texture.</returns>
+	public async Task<int> GetCurrentTextureAsync(string contextId)
+	{
+		if (string.IsNullOrWhiteSpace(contextId))
+		{
+			throw new ArgumentException("Context ID cannot be null or empty", nameof(contextId));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.GetCurrentTextureAsync(contextId);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw;
+		}
+	}
+
+	/// <summary>
+	/// Creates a texture view from a texture.
+	/// </summary>
+	/// <param name="textureId">The texture resource ID.</param>
+	/// <param name="descriptor">Optional view descriptor.</param>
+	/// <returns>Resource ID for the texture view.</returns>
+	public async Task<int> CreateTextureViewAsync(int textureId, object? descriptor = null)
+	{
+		await EnsureInitializedAsync();
+
+		try
+		{
+			return await _interop.CreateTextureViewAsync(textureId, descriptor);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw;
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<int> CreateTextureViewAsync(PDWebGpuTexture texture, TextureViewDescriptor descriptor)
+	{
+		if (texture == null)
+		{
+			throw new ArgumentNullException(nameof(texture));
+		}
+
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		var dimension = descriptor.Dimension ?? texture.ViewDimension;
+		var layerCount = descriptor.ArrayLayerCount ?? texture.DepthOrArrayLayers - descriptor.BaseArrayLayer;
+		switch (dimension)
+		{
+			case "3d" when texture.Dimension != "3d":
+			case "1d" when texture.Dimension != "1d":
+			case "2d" or "2d-array" or "cube" or "cube-array" when texture.Dimension != "2d":
+				throw new ArgumentException($"View dimension '{dimension}' cannot be used with a {texture.Dimension} texture", nameof(descriptor));
+			case "cube" when layerCount != 6:
+				throw new ArgumentException($"A cube view needs 6 array layers, got {layerCount}", nameof(descriptor));
+			case "cube-array" when layerCount <= 0 || layerCount % 6 != 0:
+				throw new ArgumentException($"A cube-array view needs a multiple of 6 array layers, got {layerCount}", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
 		try
 		{
-			// Map buffer type to WebGPU usage flags
-			// GPUBufferUsage values: VERTEX = 0x20, INDEX = 0x10, UNIFORM = 0x40, STORAGE = 0x80, COPY_DST = 0x8
-			int usage = bufferType switch
+			var jsDescriptor = new
 			{
-				BufferType.Vertex => 0x20,  // GPUBufferUsage.VERTEX
-				BufferType.Index => 0x10,   // GPUBufferUsage.INDEX
-				BufferType.Uniform => 0x40, // GPUBufferUsage.UNIFORM
-				BufferType.Storage => 0x80, // GPUBufferUsage.STORAGE
-				_ => throw new ArgumentException($"Unsupported buffer type: {bufferType}", nameof(bufferType))
+				dimension,
+				format = descriptor.Format?.ToWebGpuFormat(),
+				baseMipLevel = descriptor.BaseMipLevel,
+				mipLevelCount = descriptor.MipLevelCount,
+				baseArrayLayer = descriptor.BaseArrayLayer,
+				arrayLayerCount = descriptor.ArrayLayerCount,
+				aspect = descriptor.Aspect
 			};
 
-			var resourceId = await _interop.CreateBufferAsync(data, usage, name);
-			return new PDWebGpuBuffer(this, resourceId, data.Length, bufferType, name);
+			return await _interop.CreateTextureViewAsync(texture.ResourceId, jsDescriptor);
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw new PDWebGpuException($"Failed to create {bufferType} buffer", ex);
+			throw new PDWebGpuException("Failed to create texture view", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> CreateTextureAsync(TextureDescriptor descriptor, string? name = null)
+	{
+		if (descriptor == null)
+		{
+			throw new ArgumentNullException(nameof(descriptor));
+		}
+
+		if (descriptor.Width <= 0 || descriptor.Height <= 0 || descriptor.DepthOrArrayLayers <= 0)
+		{
+			throw new ArgumentException("Texture dimensions must be greater than zero", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var jsDescriptor = new
+			{
+				label = name,
+				size = new
+				{
+					width = descriptor.Width,
+					height = descriptor.Height,
+					depthOrArrayLayers = descriptor.DepthOrArrayLayers
+				},
+				format = descriptor.Format.ToWebGpuFormat(),
+				dimension = descriptor.Dimension,
+				mipLevelCount = descriptor.MipLevelCount,
+				sampleCount = descriptor.SampleCount,
+				usage = (int)descriptor.Usage,
+				viewDimension = descriptor.ViewDimension
+			};
+
+			var resourceId = await _interop.CreateTextureAsync(jsDescriptor);
+			return new PDWebGpuTexture(
+				this,
+				resourceId,
+				descriptor.Width,
+				descriptor.Height,
+				descriptor.Format,
+				descriptor.DepthOrArrayLayers,
+				descriptor.MipLevelCount,
+				descriptor.Dimension,
+				name,
+				descriptor.ViewDimension);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create texture", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task WriteTextureAsync(PDWebGpuTexture texture, byte[] data, TextureWriteRegion? region = null)
+	{
+		if (texture == null)
+		{
+			throw new ArgumentNullException(nameof(texture));
+		}
+
+		if (data == null || data.Length == 0)
+		{
+			throw new ArgumentException("Texture data cannot be null or empty", nameof(data));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			// Compressed formats are written in whole blocks, so default sizes round up to the block footprint
+			var (blockWidth, blockHeight, blockBytes) = texture.Format.GetBlockSize();
+			var mipLevel = region?.MipLevel ?? 0;
+			var width = region?.Width ?? RoundUp(Math.Max(1, texture.Width >> mipLevel), blockWidth);
+			var height = region?.Height ?? RoundUp(Math.Max(1, texture.Height >> mipLevel), blockHeight);
+			var depthOrArrayLayers = region?.DepthOrArrayLayers ?? (texture.Dimension == "3d"
+				? Math.Max(1, texture.DepthOrArrayLayers >> mipLevel)
+				: texture.DepthOrArrayLayers);
+
+			var jsDescriptor = new
+			{
+				offset = region?.Offset ?? 0,
+				bytesPerRow = region?.BytesPerRow ?? (width + blockWidth - 1) / blockWidth * blockBytes,
+				rowsPerImage = region?.RowsPerImage ?? (height + blockHeight - 1) / blockHeight,
+				origin = new
+				{
+					x = region?.X ?? 0,
+					y = region?.Y ?? 0,
+					z = region?.Z ?? 0
+				},
+				mipLevel,
+				aspect = region?.Aspect ?? "all",
+				size = new
+				{
+					width,
+					height,
+					depthOrArrayLayers
+				}
+			};
+
+			await _interop.WriteTextureAsync(texture.ResourceId, data, jsDescriptor);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to write texture", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task GenerateMipmapsAsync(PDWebGpuTexture texture)
+	{
+		if (texture == null)
+		{
+			throw new ArgumentNullException(nameof(texture));
+		}
+
+		if (texture.Dimension != "2d")
+		{
+			throw new ArgumentException("Mipmaps can only be generated for 2D, array and cube textures", nameof(texture));
+		}
+
+		if (texture.Format.IsCompressed() || texture.Format is TextureFormat.Depth24PlusStencil8 or TextureFormat.Depth32Float or TextureFormat.R32Uint)
+		{
+			throw new ArgumentException($"Mipmaps cannot be generated for {texture.Format} textures; the format must be filterable and renderable", nameof(texture));
+		}
+
+		if (texture.MipLevelCount < 2)
+		{
+			return;
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			await _interop.GenerateMipmapsAsync(texture.ResourceId);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to generate mipmaps", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuSampler> CreateSamplerAsync(SamplerDescriptor? descriptor = null, string? name = null)
+	{
+		descriptor ??= new SamplerDescriptor();
+
+		if (descriptor.MaxAnisotropy < 1)
+		{
+			throw new ArgumentException("MaxAnisotropy must be at least 1", nameof(descriptor));
+		}
+
+		if (descriptor.MaxAnisotropy > 1 &&
+			(descriptor.MagFilter != FilterMode.Linear || descriptor.MinFilter != FilterMode.Linear || descriptor.MipmapFilter != FilterMode.Linear))
+		{
+			throw new ArgumentException("Anisotropic filtering requires linear mag, min and mipmap filters", nameof(descriptor));
+		}
+
+		if (descriptor.LodMinClamp < 0 || descriptor.LodMaxClamp < descriptor.LodMinClamp)
+		{
+			throw new ArgumentException("LOD clamps must satisfy 0 <= LodMinClamp <= LodMaxClamp", nameof(descriptor));
+		}
+
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var jsDescriptor = ConvertSamplerDescriptor(descriptor, name);
+			var resourceId = await _interop.CreateSamplerAsync(jsDescriptor);
+			return new PDWebGpuSampler(this, resourceId, descriptor, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to create sampler", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadTextureFromUrlAsync(string url, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (string.IsNullOrWhiteSpace(url))
+		{
+			throw new ArgumentException("URL cannot be null or empty", nameof(url));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadTextureFromUrlAsync(url, ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to load texture from '{url}'", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadTextureFromBytesAsync(byte[] data, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (data == null || data.Length == 0)
+		{
+			throw new ArgumentException("Image data cannot be null or empty", nameof(data));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadTextureFromBytesAsync(data, ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to load texture from bytes", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadTextureFromStreamAsync(Stream stream, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (stream == null)
+		{
+			throw new ArgumentNullException(nameof(stream));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			using var streamReference = new DotNetStreamReference(stream, leaveOpen: true);
+			var result = await _interop.LoadTextureFromStreamAsync(streamReference, ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to load texture from stream", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadCompressedTextureFromUrlAsync(string url, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (string.IsNullOrWhiteSpace(url))
+		{
+			throw new ArgumentException("URL cannot be null or empty", nameof(url));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadCompressedTextureFromUrlAsync(url, ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to load compressed texture from '{url}'", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadCompressedTextureFromBytesAsync(byte[] data, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (data == null || data.Length == 0)
+		{
+			throw new ArgumentException("Texture data cannot be null or empty", nameof(data));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadCompressedTextureFromBytesAsync(data, ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to load compressed texture from bytes", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadCubeTextureFromUrlsAsync(IReadOnlyList<string> faceUrls, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (faceUrls == null)
+		{
+			throw new ArgumentNullException(nameof(faceUrls));
+		}
+
+		if (faceUrls.Count != 6 || faceUrls.Any(string.IsNullOrWhiteSpace))
+		{
+			throw new ArgumentException("A cube texture needs exactly 6 face URLs (+X, -X, +Y, -Y, +Z, -Z)", nameof(faceUrls));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadCubeTextureFromUrlsAsync(faceUrls.ToArray(), ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to load cube texture", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadCubeTextureFromCrossAsync(string url, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (string.IsNullOrWhiteSpace(url))
+		{
+			throw new ArgumentException("URL cannot be null or empty", nameof(url));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadCubeTextureFromCrossAsync(url, ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to load cube texture from '{url}'", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadTextureArrayFromUrlsAsync(IReadOnlyList<string> urls, TextureLoadOptions? options = null, string? name = null)
+	{
+		if (urls == null)
+		{
+			throw new ArgumentNullException(nameof(urls));
+		}
+
+		if (urls.Count == 0 || urls.Any(string.IsNullOrWhiteSpace))
+		{
+			throw new ArgumentException("At least one layer URL is required and none may be empty", nameof(urls));
+		}
+
+		options ??= new TextureLoadOptions();
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadTextureArrayFromUrlsAsync(urls.ToArray(), ConvertTextureLoadOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to load texture array", ex);
+		}
+	}
+
+	/// <inheritdoc/>
+	public async Task<PDWebGpuTexture> LoadHdrTextureFromUrlAsync(string url, HdrTextureOptions? options = null, string? name = null)
+	{
+		if (string.IsNullOrWhiteSpace(url))
+		{
+			throw new ArgumentException("URL cannot be null or empty", nameof(url));
+		}
+
+		options ??= new HdrTextureOptions();
+		ValidateHdrTextureOptions(options);
+		await EnsureInitializedAsync();
+
+		try
+		{
+			var result = await _interop.LoadHdrTextureFromUrlAsync(url, ConvertHdrTextureOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException($"Failed to load HDR texture from '{url}'", ex);
 		}
 	}
 
 	/// <inheritdoc/>
-	public async Task<PDWebGpuBuffer> CreateBufferAsync(float[] data, BufferType bufferType, string? name = null)
+	public async Task<PDWebGpuTexture> LoadHdrTextureFromBytesAsync(byte[] data, HdrTextureOptions? options = null, string? name = null)
 	{
 		if (data == null || data.Length == 0)
 		{
-			throw new ArgumentException("Buffer data cannot be null or empty", nameof(data));
+			throw new ArgumentException("HDR data cannot be null or empty", nameof(data));
 		}
 
-		// Convert float[] to byte[]
-		var bytes = new byte[data.Length * sizeof(float)];
-		Buffer.BlockCopy(data, 0, bytes, 0, bytes.Length);
+		options ??= new HdrTextureOptions();
+		ValidateHdrTextureOptions(options);
+		await EnsureInitializedAsync();
 
-		return await CreateBufferAsync(bytes, bufferType, name);
+		try
+		{
+			var result = await _interop.LoadHdrTextureFromBytesAsync(data, ConvertHdrTextureOptions(options, name));
+			return CreateLoadedTexture(result, name);
+		}
+		catch (Exception ex)
+		{
+			OnError(new PDWebGpuErrorEventArgs(ex));
+			throw new PDWebGpuException("Failed to load HDR texture from bytes", ex);
+		}
 	}
 
 	/// <inheritdoc/>
-	public async Task<PDWebGpuBuffer> CreateBufferAsync(ushort[] data, BufferType bufferType, string? name = null)
+	public async Task<PDWebGpuTexture> ConvertEquirectangularToCubemapAsync(PDWebGpuTexture source, CubemapConversionOptions? options = null, string? name = null)
 	{
-		if (data == null || data.Length == 0)
+		if (source == null)
 		{
-			throw new ArgumentException("Buffer data cannot be null or empty", nameof(data));
+			throw new ArgumentNullException(nameof(source));
 		}
 
-		// Convert ushort[] to byte[]
-		var bytes = new byte[data.Length * sizeof(ushort)];
-		Buffer.BlockCopy(data, 0, bytes, 0, bytes.Length);
+		if (source.Dimension != "2d" || source.DepthOrArrayLayers != 1)
+		{
+			throw new ArgumentException("The equirectangular source must be a single-layer 2D texture", nameof(source));
+		}
 
-		return await CreateBufferAsync(bytes, bufferType, name);
-	}
+		options ??= new CubemapConversionOptions();
+		if (options.FaceSize is <= 0)
+		{
+			throw new ArgumentException("Face size must be greater than zero", nameof(options));
+		}
 
-	/// <inheritdoc/>
-	public async Task<PDWebGpuCommandEncoder> CreateCommandEncoderAsync(string? name = null)
-	{
 		await EnsureInitializedAsync();
 
 		try
 		{
-			var resourceId = await _interop.CreateCommandEncoderAsync(name);
-			return new PDWebGpuCommandEncoder(this, resourceId, _interop);
+			var jsOptions = new
+			{
+				label = name,
+				faceSize = options.FaceSize,
+				format = options.Format?.ToWebGpuFormat(),
+				generateMipmaps = options.GenerateMipmaps,
+				usage = (int)options.Usage
+			};
+
+			var result = await _interop.ConvertEquirectangularToCubemapAsync(source.ResourceId, jsOptions);
+			return CreateLoadedTexture(result, name);
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw new PDWebGpuException("Failed to create command encoder", ex);
+			throw new PDWebGpuException("Failed to convert equirectangular texture to cube map", ex);
 		}
 	}
 
 	/// <inheritdoc/>
-	public async Task<PDWebGpuPipeline> CreateRenderPipelineAsync(RenderPipelineDescriptor descriptor, string? name = null)
+	public async Task<PDWebGpuTexture> CreateVolumeTextureAsync(byte[] voxels, int width, int height, int depth, TextureFormat format = TextureFormat.R8Unorm, string? name = null)
 	{
-		if (descriptor == null)
+		if (voxels == null)
 		{
-			throw new ArgumentNullException(nameof(descriptor));
+			throw new ArgumentNullException(nameof(voxels));
 		}
 
-		await EnsureInitializedAsync();
+		if (width <= 0 || height <= 0 || depth <= 0)
+		{
+			throw new ArgumentException("Volume dimensions must be greater than zero", nameof(width));
+		}
+
+		var expectedLength = (long)width * height * depth * format.GetBytesPerPixel();
+		if (voxels.Length != expectedLength)
+		{
+			throw new ArgumentException($"Expected {expectedLength} bytes of voxel data for a {width}x{height}x{depth} volume, got {voxels.Length}", nameof(voxels));
+		}
+
+		var texture = await CreateTextureAsync(new TextureDescriptor
+		{
+			Width = width,
+			Height = height,
+			DepthOrArrayLayers = depth,
+			Dimension = "3d",
+			Format = format,
+			Usage = TextureUsage.TextureBinding | TextureUsage.CopyDst
+		}, name);
 
 		try
 		{
-			// Convert descriptor to JavaScript-compatible format
-			var jsDescriptor = ConvertRenderPipelineDescriptor(descriptor, name);
-			var resourceId = await _interop.CreateRenderPipelineAsync(jsDescriptor);
-			return new PDWebGpuPipeline(this, resourceId, PipelineType.Render, name);
+			await WriteTextureAsync(texture, voxels);
+			return texture;
 		}
-		catch (Exception ex)
+		catch
 		{
-			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw new PDWebGpuException("Failed to create render pipeline", ex);
+			await texture.DisposeAsync();
+			throw;
 		}
 	}
 
 	/// <inheritdoc/>
-	public async Task<PDWebGpuBindGroup> CreateBindGroupAsync(BindGroupDescriptor descriptor, string? name = null)
+	public async Task<PDWebGpuVideoSource> CreateVideoSourceAsync(ElementReference video, string? name = null)
 	{
-		if (descriptor == null)
-		{
-			throw new ArgumentNullException(nameof(descriptor));
-		}
-
 		await EnsureInitializedAsync();
 
 		try
 		{
-			// Convert descriptor to JavaScript-compatible format
-			var jsDescriptor = ConvertBindGroupDescriptor(descriptor, name);
-			var resourceId = await _interop.CreateBindGroupAsync(jsDescriptor);
-			return new PDWebGpuBindGroup(this, resourceId, name);
+			var result = await _interop.CreateVideoSourceAsync(video);
+			return new PDWebGpuVideoSource(this, result.SourceId, result.Width, result.Height, name);
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw new PDWebGpuException("Failed to create bind group", ex);
+			throw new PDWebGpuException("Failed to create video source", ex);
 		}
 	}
 
 	/// <inheritdoc/>
-	public async Task SubmitCommandBuffersAsync(params int[] commandBufferIds)
+	public async Task<PDWebGpuVideoSource> CreateVideoSourceAsync(string elementId, string? name = null)
 	{
-		if (commandBufferIds == null || commandBufferIds.Length == 0)
+		if (string.IsNullOrWhiteSpace(elementId))
 		{
-			return;
+			throw new ArgumentException("Element ID cannot be null or empty", nameof(elementId));
 		}
 
 		await EnsureInitializedAsync();
 
 		try
 		{
-			await _interop.SubmitCommandBuffersAsync(commandBufferIds);
+			var result = await _interop.CreateVideoSourceAsync(elementId);
+			return new PDWebGpuVideoSource(this, result.SourceId, result.Width, result.Height, name);
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw;
+			throw new PDWebGpuException($"Failed to create video source from element '{elementId}'", ex);
 		}
 	}
 
 	/// <inheritdoc/>
-	public async Task ReleaseResourceAsync(int resourceId)
+	public async Task<PDWebGpuVideoSource> CreateVideoSourceFromUrlAsync(string url, bool loop = true, bool muted = true, string? name = null)
 	{
+		if (string.IsNullOrWhiteSpace(url))
+		{
+			throw new ArgumentException("URL cannot be null or empty", nameof(url));
+		}
+
+		await EnsureInitializedAsync();
+
 		try
 		{
-			await _interop.ReleaseResourceAsync(resourceId);
+			var result = await _interop.CreateVideoSourceFromUrlAsync(url, new { loop, muted });
+			return new PDWebGpuVideoSource(this, result.SourceId, result.Width, result.Height, name);
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			// Don't throw during resource cleanup
+			throw new PDWebGpuException($"Failed to create video source from '{url}'", ex);
 		}
 	}
 
-	/// <summary>
-	/// Gets the current texture from a canvas context.
-	/// </summary>
-	/// <param name="contextId">The canvas context ID.</param>
-	/// <returns>Resource ID for the texture.</returns>
-	public async Task<int> GetCurrentTextureAsync(string contextId)
+	/// <inheritdoc/>
+	public async Task<PDWebGpuVideoSource> CreateCameraVideoSourceAsync(object? constraints = null, string? name = null)
 	{
-		if (string.IsNullOrWhiteSpace(contextId))
-		{
-			throw new ArgumentException("Context ID cannot be null or empty", nameof(contextId));
-		}
-
 		await EnsureInitializedAsync();
 
 		try
 		{
-			return await _interop.GetCurrentTextureAsync(contextId);
+			var result = await _interop.CreateVideoSourceFromCameraAsync(constraints);
+			return new PDWebGpuVideoSource(this, result.SourceId, result.Width, result.Height, name);
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw;
+			throw new PDWebGpuException("Failed to create camera video source", ex);
 		}
 	}
 
-	/// <summary>
-	/// Creates a texture view from a texture.
-	/// </summary>
-	/// <param name="textureId">The texture resource ID.</param>
-	/// <param name="descriptor">Optional view descriptor.</param>
-	/// <returns>Resource ID for the texture view.</returns>
-	public async Task<int> CreateTextureViewAsync(int textureId, object? descriptor = null)
+	/// <inheritdoc/>
+	public async Task<int> UpdateVideoTextureAsync(PDWebGpuVideoSource source)
 	{
+		if (source == null)
+		{
+			throw new ArgumentNullException(nameof(source));
+		}
+
+		if (source.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuVideoSource));
+		}
+
 		await EnsureInitializedAsync();
 
 		try
 		{
-			return await _interop.CreateTextureViewAsync(textureId, descriptor);
+			var result = await _interop.UpdateVideoTextureAsync(source.ResourceId);
+			source.UpdateTextureSize(result.Width, result.Height);
+			return result.TextureId;
 		}
 		catch (Exception ex)
 		{
 			OnError(new PDWebGpuErrorEventArgs(ex));
-			throw;
+			throw new PDWebGpuException("Failed to update video texture", ex);
 		}
 	}
 
@@ -484,6 +1924,18 @@ public class PDWebGpuService : IPDWebGpuService, IDisposable
 		DisposeAsync().AsTask().GetAwaiter().GetResult();
 	}
 
+	private static object ConvertComputePipelineDescriptor(ComputePipelineDescriptor descriptor, string? name) => new
+	{
+		label = name,
+		pipelineLayoutId = descriptor.Layout?.ResourceId,
+		compute = new
+		{
+			shaderModuleId = descriptor.Compute?.Shader?.ResourceId,
+			entryPoint = descriptor.Compute?.EntryPoint ?? "main",
+			constants = descriptor.Compute?.Constants
+		}
+	};
+
 	private static object ConvertRenderPipelineDescriptor(RenderPipelineDescriptor descriptor, string? name)
 	{
 		var result = new Dictionary<string, object?>
@@ -491,6 +1943,11 @@ public class PDWebGpuService : IPDWebGpuService, IDisposable
 			["label"] = name
 		};
 
+		if (descriptor.Layout != null)
+		{
+			result["pipelineLayoutId"] = descriptor.Layout.ResourceId;
+		}
+
 		// Vertex state
 		if (descriptor.Vertex != null)
 		{
@@ -609,6 +2066,297 @@ public class PDWebGpuService : IPDWebGpuService, IDisposable
 		return result;
 	}
 
+	private PDWebGpuTexture CreateLoadedTexture(TextureLoadResult result, string? name)
+	{
+		return new PDWebGpuTexture(
+			this,
+			result.TextureId,
+			result.Width,
+			result.Height,
+			TextureFormatExtensions.FromWebGpuFormat(result.Format),
+			result.DepthOrArrayLayers,
+			result.MipLevelCount,
+			result.Dimension,
+			name,
+			result.ViewDimension);
+	}
+
+	private static void ValidateHdrTextureOptions(HdrTextureOptions options)
+	{
+		if (options.Format is not (TextureFormat.RGBA16Float or TextureFormat.RGBA32Float))
+		{
+			throw new ArgumentException("HDR textures must use RGBA16Float or RGBA32Float", nameof(options));
+		}
+	}
+
+	private static object ConvertHdrTextureOptions(HdrTextureOptions options, string? name)
+	{
+		return new
+		{
+			label = name,
+			format = options.Format.ToWebGpuFormat(),
+			flipY = options.FlipY,
+			generateMipmaps = options.GenerateMipmaps,
+			usage = (int)options.Usage
+		};
+	}
+
+	private static void ValidateCaptureOptions(string mimeType, double? quality)
+	{
+		if (mimeType is not ("image/png" or "image/jpeg" or "image/webp"))
+		{
+			throw new ArgumentException($"Unsupported image type '{mimeType}'; use image/png, image/jpeg or image/webp", nameof(mimeType));
+		}
+
+		if (quality is < 0 or > 1)
+		{
+			throw new ArgumentOutOfRangeException(nameof(quality), quality, "Quality must be between 0 and 1");
+		}
+	}
+
+	private static int RoundUp(int value, int multiple) => (value + multiple - 1) / multiple * multiple;
+
+	private static object ConvertTextureLoadOptions(TextureLoadOptions options, string? name)
+	{
+		return new
+		{
+			label = name,
+			format = options.Format.ToWebGpuFormat(),
+			flipY = options.FlipY,
+			premultipliedAlpha = options.PremultipliedAlpha,
+			colorSpace = options.ColorSpace,
+			mimeType = options.MimeType,
+			usage = (int)options.Usage,
+			generateMipmaps = options.GenerateMipmaps
+		};
+	}
+
+	private static object ConvertSamplerDescriptor(SamplerDescriptor descriptor, string? name)
+	{
+		static string Filter(FilterMode mode) => mode switch
+		{
+			FilterMode.Nearest => "nearest",
+			FilterMode.Linear => "linear",
+			_ => throw new ArgumentOutOfRangeException(nameof(mode), mode, "Unsupported filter mode")
+		};
+
+		static string Address(AddressMode mode) => mode switch
+		{
+			AddressMode.ClampToEdge => "clamp-to-edge",
+			AddressMode.Repeat => "repeat",
+			AddressMode.MirrorRepeat => "mirror-repeat",
+			_ => throw new ArgumentOutOfRangeException(nameof(mode), mode, "Unsupported address mode")
+		};
+
+		return new
+		{
+			label = name,
+			magFilter = Filter(descriptor.MagFilter),
+			minFilter = Filter(descriptor.MinFilter),
+			mipmapFilter = Filter(descriptor.MipmapFilter),
+			addressModeU = Address(descriptor.AddressModeU),
+			addressModeV = Address(descriptor.AddressModeV),
+			addressModeW = Address(descriptor.AddressModeW),
+			lodMinClamp = descriptor.LodMinClamp,
+			lodMaxClamp = descriptor.LodMaxClamp,
+			compare = descriptor.Compare,
+			maxAnisotropy = descriptor.MaxAnisotropy
+		};
+	}
+
+	private static void ValidateBufferDescriptor(BufferDescriptor descriptor)
+	{
+		if (descriptor.Size <= 0)
+		{
+			throw new ArgumentOutOfRangeException(nameof(descriptor), descriptor.Size, "Buffer size must be greater than zero");
+		}
+
+		if (descriptor.Usage == BufferUsage.None)
+		{
+			throw new ArgumentException("Buffer usage must include at least one flag", nameof(descriptor));
+		}
+
+		if (descriptor.Usage.HasFlag(BufferUsage.MapRead) && (descriptor.Usage & ~(BufferUsage.MapRead | BufferUsage.CopyDst)) != 0)
+		{
+			throw new ArgumentException("MapRead can only be combined with CopyDst", nameof(descriptor));
+		}
+
+		if (descriptor.Usage.HasFlag(BufferUsage.MapWrite) && (descriptor.Usage & ~(BufferUsage.MapWrite | BufferUsage.CopySrc)) != 0)
+		{
+			throw new ArgumentException("MapWrite can only be combined with CopySrc", nameof(descriptor));
+		}
+
+		if (descriptor.MappedAtCreation && descriptor.Size % 4 != 0)
+		{
+			throw new ArgumentException("Buffers mapped at creation must have a size that is a multiple of 4", nameof(descriptor));
+		}
+
+		if (descriptor.InitialData != null)
+		{
+			if (!descriptor.MappedAtCreation)
+			{
+				throw new ArgumentException("InitialData requires MappedAtCreation", nameof(descriptor));
+			}
+
+			if (descriptor.InitialData.Length > descriptor.Size)
+			{
+				throw new ArgumentException("InitialData is larger than the buffer", nameof(descriptor));
+			}
+		}
+	}
+
+	private static void ValidatePrimitiveBuffer(PDWebGpuBuffer buffer, string paramName)
+	{
+		if (buffer == null)
+		{
+			throw new ArgumentNullException(paramName);
+		}
+
+		if (buffer.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuBuffer));
+		}
+
+		if (!buffer.Usage.HasFlag(BufferUsage.Storage))
+		{
+			throw new ArgumentException("The buffer needs Storage usage", paramName);
+		}
+	}
+
+	private static int ValidatePrimitiveCount(PDWebGpuBuffer buffer, int? count)
+	{
+		var capacity = (int)Math.Min(buffer.Size / 4, int.MaxValue);
+		if (count < 0 || count > capacity)
+		{
+			throw new ArgumentOutOfRangeException(nameof(count), count, $"Count must be between 0 and the buffer's {capacity} elements");
+		}
+
+		return count ?? capacity;
+	}
+
+	private static string ToWgslElementType(BufferElementType elementType) => elementType switch
+	{
+		BufferElementType.UInt32 => "u32",
+		BufferElementType.Int32 => "i32",
+		BufferElementType.Float32 => "f32",
+		_ => throw new ArgumentOutOfRangeException(nameof(elementType), elementType, "Unsupported element type")
+	};
+
+	private static void ValidateCullingBuffer(PDWebGpuBuffer? buffer, BufferUsage usage, string property, string paramName)
+	{
+		if (buffer == null)
+		{
+			throw new ArgumentException($"{property} is required", paramName);
+		}
+
+		if (buffer.IsDisposed)
+		{
+			throw new ObjectDisposedException(nameof(PDWebGpuBuffer));
+		}
+
+		if (!buffer.Usage.HasFlag(usage))
+		{
+			throw new ArgumentException($"{property} needs {usage} usage", paramName);
+		}
+	}
+
+	private static object ConvertParticleEmitter(ParticleEmitter emitter, int index, string paramName)
+	{
+		if (emitter.Rate < 0 || !float.IsFinite(emitter.Rate))
+		{
+			throw new ArgumentException($"Emitter {index} has an invalid rate {emitter.Rate}", paramName);
+		}
+
+		if (emitter.Lifetime <= 0 || !float.IsFinite(emitter.Lifetime))
+		{
+			throw new ArgumentException($"Emitter {index} has an invalid lifetime {emitter.Lifetime}", paramName);
+		}
+
+		ValidateParticleKeyTimes(emitter.ColorOverLife?.Select(k => k.Time).ToList(), "color", index, paramName);
+		ValidateParticleKeyTimes(emitter.SizeOverLife?.Select(k => k.Time).ToList(), "size", index, paramName);
+
+		return new
+		{
+			position = ToFloatArray(emitter.Position),
+			positionSpread = ToFloatArray(emitter.PositionSpread),
+			velocity = ToFloatArray(emitter.Velocity),
+			velocitySpread = ToFloatArray(emitter.VelocitySpread),
+			acceleration = ToFloatArray(emitter.Acceleration),
+			rate = emitter.Enabled ? emitter.Rate : 0,
+			lifetime = emitter.Lifetime,
+			lifetimeSpread = emitter.LifetimeSpread,
+			drag = emitter.Drag,
+			colorKeys = emitter.ColorOverLife!.Select(k => new
+			{
+				time = k.Time,
+				color = new[] { k.Color.X, k.Color.Y, k.Color.Z, k.Color.W }
+			}).ToArray(),
+			sizeKeys = emitter.SizeOverLife!.Select(k => new { time = k.Time, size = k.Size }).ToArray()
+		};
+	}
+
+	private static void ValidateParticleKeyTimes(List<float>? times, string kind, int index, string paramName)
+	{
+		if (times == null || times.Count == 0 || times.Count > ParticleEmitter.MaxKeys)
+		{
+			throw new ArgumentException($"Emitter {index} needs 1 to {ParticleEmitter.MaxKeys} {kind} keys", paramName);
+		}
+
+		for (var i = 0; i < times.Count; i++)
+		{
+			if (times[i] < 0 || times[i] > 1 || (i > 0 && times[i] < times[i - 1]))
+			{
+				throw new ArgumentException($"Emitter {index} {kind} key times must ascend from 0 to 1", paramName);
+			}
+		}
+	}
+
+	private static float[] ToFloatArray(Vector3 vector) => new[] { vector.X, vector.Y, vector.Z };
+
+	private static float[] ToFloatArray(Matrix4x4 matrix) => new[]
+	{
+		matrix.M11, matrix.M12, matrix.M13, matrix.M14,
+		matrix.M21, matrix.M22, matrix.M23, matrix.M24,
+		matrix.M31, matrix.M32, matrix.M33, matrix.M34,
+		matrix.M41, matrix.M42, matrix.M43, matrix.M44
+	};
+
+	private static object ConvertBindGroupLayoutDescriptor(BindGroupLayoutEntry[] entries, string? name)
+	{
+		return new
+		{
+			label = name,
+			entries = entries.Select(e => new
+			{
+				binding = e.Binding,
+				visibility = (int)e.Visibility,
+				buffer = e.Buffer == null ? null : new
+				{
+					type = e.Buffer.Type,
+					hasDynamicOffset = e.Buffer.HasDynamicOffset,
+					minBindingSize = e.Buffer.MinBindingSize
+				},
+				sampler = e.Sampler == null ? null : new
+				{
+					type = e.Sampler.Type
+				},
+				texture = e.Texture == null ? null : new
+				{
+					sampleType = e.Texture.SampleType,
+					viewDimension = e.Texture.ViewDimension,
+					multisampled = e.Texture.Multisampled
+				},
+				storageTexture = e.StorageTexture == null ? null : new
+				{
+					access = e.StorageTexture.Access,
+					format = e.StorageTexture.Format.ToWebGpuFormat(),
+					viewDimension = e.StorageTexture.ViewDimension
+				},
+				externalTexture = e.ExternalTexture == null ? null : new { }
+			}).ToArray()
+		};
+	}
+
 	private static object ConvertBindGroupDescriptor(BindGroupDescriptor descriptor, string? name)
 	{
 		return new
@@ -621,7 +2369,9 @@ public class PDWebGpuService : IPDWebGpuService, IDisposable
 			{
 				binding = e.Binding,
 				resourceId = e.ResourceId,
-				resourceType = e.ResourceType
+				resourceType = e.ResourceType,
+				offset = e.Offset,
+				size = e.Size > 0 ? e.Size : (ulong?)null
 			}).ToArray()
 		};
 	}
@@ -8,904 +8,6187 @@
  * Licensed under MIT License
  */
 
+/**
+ * Optional device features requested during initialization when the adapter supports them
+ */
+const OPTIONAL_DEVICE_FEATURES = [
+    'texture-compression-bc',
+    'texture-compression-etc2',
+    'texture-compression-astc',
+    'float32-filterable',
+    'timestamp-query'
+];
+
+const ASTC_BLOCK_SIZES = ['4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12'];
+
+/**
+ * KTX2 vkFormat -> WebGPU texture format
+ */
+const KTX2_VK_FORMATS = (() => {
+    const formats = {
+        9: 'r8unorm', 16: 'rg8unorm', 37: 'rgba8unorm', 43: 'rgba8unorm-srgb',
+        44: 'bgra8unorm', 50: 'bgra8unorm-srgb', 97: 'rgba16float', 109: 'rgba32float',
+        131: 'bc1-rgba-unorm', 132: 'bc1-rgba-unorm-srgb', 133: 'bc1-rgba-unorm', 134: 'bc1-rgba-unorm-srgb',
+        135: 'bc2-rgba-unorm', 136: 'bc2-rgba-unorm-srgb', 137: 'bc3-rgba-unorm', 138: 'bc3-rgba-unorm-srgb',
+        139: 'bc4-r-unorm', 140: 'bc4-r-snorm', 141: 'bc5-rg-unorm', 142: 'bc5-rg-snorm',
+        143: 'bc6h-rgb-ufloat', 144: 'bc6h-rgb-float', 145: 'bc7-rgba-unorm', 146: 'bc7-rgba-unorm-srgb',
+        147: 'etc2-rgb8unorm', 148: 'etc2-rgb8unorm-srgb', 149: 'etc2-rgb8a1unorm', 150: 'etc2-rgb8a1unorm-srgb',
+        151: 'etc2-rgba8unorm', 152: 'etc2-rgba8unorm-srgb', 153: 'eac-r11unorm', 154: 'eac-r11snorm',
+        155: 'eac-rg11unorm', 156: 'eac-rg11snorm'
+    };
+    ASTC_BLOCK_SIZES.forEach((size, index) => {
+        formats[157 + index * 2] = `astc-${size}-unorm`;
+        formats[158 + index * 2] = `astc-${size}-unorm-srgb`;
+    });
+    return formats;
+})();
+
+/**
+ * DDS DX10 header DXGI_FORMAT -> WebGPU texture format
+ */
+const DDS_DXGI_FORMATS = {
+    2: 'rgba32float', 10: 'rgba16float', 28: 'rgba8unorm', 29: 'rgba8unorm-srgb',
+    49: 'rg8unorm', 61: 'r8unorm', 87: 'bgra8unorm', 91: 'bgra8unorm-srgb',
+    71: 'bc1-rgba-unorm', 72: 'bc1-rgba-unorm-srgb', 74: 'bc2-rgba-unorm', 75: 'bc2-rgba-unorm-srgb',
+    77: 'bc3-rgba-unorm', 78: 'bc3-rgba-unorm-srgb', 80: 'bc4-r-unorm', 81: 'bc4-r-snorm',
+    83: 'bc5-rg-unorm', 84: 'bc5-rg-snorm', 95: 'bc6h-rgb-ufloat', 96: 'bc6h-rgb-float',
+    98: 'bc7-rgba-unorm', 99: 'bc7-rgba-unorm-srgb'
+};
+
+/**
+ * DDS legacy FourCC codes -> WebGPU texture format (numeric codes are D3DFORMAT values)
+ */
+const DDS_FOURCC_FORMATS = {
+    'DXT1': 'bc1-rgba-unorm', 'DXT2': 'bc2-rgba-unorm', 'DXT3': 'bc2-rgba-unorm',
+    'DXT4': 'bc3-rgba-unorm', 'DXT5': 'bc3-rgba-unorm',
+    'ATI1': 'bc4-r-unorm', 'BC4U': 'bc4-r-unorm', 'BC4S': 'bc4-r-snorm',
+    'ATI2': 'bc5-rg-unorm', 'BC5U': 'bc5-rg-unorm', 'BC5S': 'bc5-rg-snorm',
+    113: 'rgba16float', 116: 'rgba32float'
+};
+
+/**
+ * Resource kinds, indexed by the type tag stored in each resource handle
+ */
+const RESOURCE_KINDS = [
+    null, 'resource', 'buffer', 'texture', 'texture view', 'sampler', 'shader module',
+    'render pipeline', 'compute pipeline', 'bind group', 'bind group layout', 'pipeline layout',
+    'command encoder', 'render pass encoder', 'compute pass encoder', 'command buffer',
+    'query set', 'video source', 'uniform ring', 'particle system', 'frustum culler',
+    'picking target'
+];
+
+/**
+ * Resource kind of each WebGPU interface, by the global that defines it
+ */
+const GPU_RESOURCE_KINDS = [
+    ['GPUBuffer', 'buffer'],
+    ['GPUTexture', 'texture'],
+    ['GPUTextureView', 'texture view'],
+    ['GPUSampler', 'sampler'],
+    ['GPUShaderModule', 'shader module'],
+    ['GPURenderPipeline', 'render pipeline'],
+    ['GPUComputePipeline', 'compute pipeline'],
+    ['GPUBindGroup', 'bind group'],
+    ['GPUBindGroupLayout', 'bind group layout'],
+    ['GPUPipelineLayout', 'pipeline layout'],
+    ['GPUCommandEncoder', 'command encoder'],
+    ['GPURenderPassEncoder', 'render pass encoder'],
+    ['GPUComputePassEncoder', 'compute pass encoder'],
+    ['GPUCommandBuffer', 'command buffer'],
+    ['GPUQuerySet', 'query set']
+];
+
+/**
+ * Resource kinds accepted by each bind group entry resource type
+ */
+const BINDING_RESOURCE_KINDS = {
+    buffer: 'buffer',
+    sampler: 'sampler',
+    texture: ['texture', 'texture view'],
+    storageTexture: ['texture', 'texture view'],
+    externalTexture: 'video source'
+};
+
+/**
+ * Human-readable names of bind group layout binding types, for validation messages
+ */
+const BINDING_TYPE_NAMES = {
+    buffer: 'a buffer',
+    sampler: 'a sampler',
+    texture: 'a texture or texture view',
+    storageTexture: 'a storage texture view',
+    externalTexture: 'a video source'
+};
+
+/**
+ * Binding types of a bind group layout entry; each entry sets exactly one
+ */
+const BINDING_LAYOUT_TYPES = ['buffer', 'sampler', 'texture', 'storageTexture', 'externalTexture'];
+
+/**
+ * Resource handle layout: [type tag: 5 bits][generation: 9 bits][slot: 17 bits]. Released slots are reused
+ * oldest first, with the next generation, and only once more than HANDLE_QUARANTINE_SLOTS slots are free, so
+ * a stale handle can be told apart from its slot's new occupant until the slot has been reused 512 times:
+ * at least four million resource creations after its release.
+ */
+const HANDLE_SLOT_BITS = 17;
+const HANDLE_GENERATION_BITS = 9;
+const HANDLE_QUARANTINE_SLOTS = 8192;
+const HANDLE_SLOT_MASK = (1 << HANDLE_SLOT_BITS) - 1;
+const HANDLE_GENERATION_MASK = (1 << HANDLE_GENERATION_BITS) - 1;
+const HANDLE_TAG_SHIFT = HANDLE_SLOT_BITS + HANDLE_GENERATION_BITS;
+
+/**
+ * Bytes per texel of other formats, used only to estimate texture memory in getResourceSummary
+ */
+const ESTIMATED_TEXEL_BYTES = {
+    'stencil8': 1, 'depth16unorm': 2, 'depth24plus': 4, 'depth24plus-stencil8': 4,
+    'depth32float': 4, 'depth32float-stencil8': 5,
+    'r16float': 2, 'rg16float': 4, 'r32float': 4, 'rg32float': 8,
+    'r32uint': 4, 'r32sint': 4, 'rgba8snorm': 4, 'rgb10a2unorm': 4, 'rg11b10ufloat': 4
+};
+
+/**
+ * Bytes per texel of the uncompressed formats the container loaders produce
+ */
+const UNCOMPRESSED_TEXEL_BYTES = {
+    'r8unorm': 1, 'rg8unorm': 2,
+    'rgba8unorm': 4, 'rgba8unorm-srgb': 4, 'bgra8unorm': 4, 'bgra8unorm-srgb': 4,
+    'rgba16float': 8, 'rgba32float': 16
+};
+
+/**
+ * Compressed formats that can be decoded in JavaScript when the device lacks texture-compression-bc
+ */
+const BC_SOFTWARE_DECODE_FORMATS = new Set([
+    'bc1-rgba-unorm', 'bc1-rgba-unorm-srgb',
+    'bc2-rgba-unorm', 'bc2-rgba-unorm-srgb',
+    'bc3-rgba-unorm', 'bc3-rgba-unorm-srgb',
+    'bc4-r-unorm', 'bc5-rg-unorm'
+]);
+
+/**
+ * Maximum number of idle readback staging buffers kept for reuse
+ */
+const MAX_POOLED_STAGING_BUFFERS = 8;
+
+/**
+ * Texture formats that captureTextureAsync and captureCanvasAsync can encode
+ */
+const CAPTURE_FORMATS = new Set(['rgba8unorm', 'rgba8unorm-srgb', 'bgra8unorm', 'bgra8unorm-srgb']);
+
+/**
+ * Filterable formats that cannot be used as render attachments, so the mipmap blit cannot write them
+ */
+const NON_RENDERABLE_FILTERABLE_FORMATS = new Set(['r8snorm', 'rg8snorm', 'rgba8snorm', 'rg11b10ufloat', 'rgb9e5ufloat']);
+
+/**
+ * How long captureCanvasAsync waits for a frame to be rendered to the canvas
+ */
+const CANVAS_CAPTURE_TIMEOUT_MS = 5000;
+
+/**
+ * Whether a resource holds GPU memory that should be freed with destroy() when it is released
+ * @param {object} resource - The stored resource
+ * @returns {boolean} True for buffers, textures and query sets
+ */
+function isDestroyableResource(resource) {
+    if (!resource || typeof GPUBuffer === 'undefined') {
+        return false;
+    }
+    return resource instanceof GPUBuffer || resource instanceof GPUTexture || resource instanceof GPUQuerySet;
+}
+
+/**
+ * Get the kind of an object being stored, for its handle's type tag. Checked with instanceof rather than
+ * constructor names, which minifiers and polyfills change.
+ * @param {object} resource - The object to store
+ * @returns {string} The resource kind, or 'resource' for an object of no known kind
+ */
+function getResourceKind(resource) {
+    if (resource instanceof DynamicBindGroup) {
+        return 'bind group';
+    }
+    if (resource instanceof VideoTextureSource) {
+        return 'video source';
+    }
+    if (resource instanceof UniformRingBuffer) {
+        return 'uniform ring';
+    }
+    if (resource instanceof ParticleSystem) {
+        return 'particle system';
+    }
+    if (resource instanceof FrustumCuller) {
+        return 'frustum culler';
+    }
+    if (resource instanceof PickingTarget) {
+        return 'picking target';
+    }
+
+    for (const [name, kind] of GPU_RESOURCE_KINDS) {
+        const type = globalThis[name];
+        if (typeof type === 'function' && resource instanceof type) {
+            return kind;
+        }
+    }
+    return 'resource';
+}
+
+/**
+ * Get the texture binding sample types a view format can be bound as
+ * @param {string} format - The view format
+ * @param {boolean} float32Filterable - Whether the device has the 'float32-filterable' feature
+ * @returns {string[]} Compatible sample types
+ */
+function getCompatibleSampleTypes(format, float32Filterable) {
+    if (format.startsWith('depth')) {
+        return ['depth', 'unfilterable-float'];
+    }
+    if (format === 'stencil8' || format.endsWith('uint')) {
+        return ['uint'];
+    }
+    if (format.endsWith('sint')) {
+        return ['sint'];
+    }
+    if (!float32Filterable && (format === 'r32float' || format === 'rg32float' || format === 'rgba32float')) {
+        return ['unfilterable-float'];
+    }
+    return ['float', 'unfilterable-float'];
+}
+
+/**
+ * A <video> element (optionally fed by a MediaStream) that can be bound as a texture
+ */
+class VideoTextureSource {
+    constructor(video, stream, ownsElement) {
+        this.video = video;
+        this.stream = stream;
+        this.ownsElement = ownsElement;
+        this.externalTexture = null; // Imported for the current task only
+        this.importFailed = false;
+        this.texture = null; // Frame copy used by updateVideoTexture and the fallback path
+        this.textureId = null;
+        this.copiedTime = -1;
+    }
+
+    get isReady() {
+        return this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && this.video.videoWidth > 0;
+    }
+}
+
+/**
+ * A bind group that references video sources. It is rebuilt every time it is bound because
+ * imported external textures expire at the end of the task that imported them.
+ */
+class DynamicBindGroup {
+    constructor(layout, label, entries) {
+        this.layout = layout;
+        this.label = label;
+        this.entries = entries;
+    }
+}
+
+/**
+ * A large uniform/storage buffer handed out in aligned per-frame sub-allocations. Space used by a
+ * frame is recycled once the GPU has finished the work submitted with it.
+ */
+class UniformRingBuffer {
+    constructor(buffer, bufferId, alignment) {
+        this.buffer = buffer;
+        this.bufferId = bufferId;
+        this.alignment = alignment;
+        this.head = 0; // Next write position
+        this.used = 0; // Bytes allocated and not yet recycled, including padding skipped at the end
+        this.frameBytes = 0; // Bytes allocated since the last submit
+        this.scratch = new Uint8Array(0); // Reused to pack each write
+    }
+
+    /**
+     * Reserve a contiguous, aligned block
+     * @param {number} size - Size in bytes
+     * @returns {number} Offset of the block in the buffer
+     */
+    allocate(size) {
+        if (size > this.buffer.size) {
+            throw new Error(`${size} bytes do not fit in a ${this.buffer.size} byte uniform ring buffer`);
+        }
+
+        let offset = this.head;
+        let skipped = 0;
+        if (offset + size > this.buffer.size) {
+            skipped = this.buffer.size - offset; // Blocks never straddle the end; skip to the start
+            offset = 0;
+        }
+        if (this.used + skipped + size > this.buffer.size) {
+            throw new Error(`Uniform ring buffer is full (${this.used} of ${this.buffer.size} bytes still in use by the GPU)`);
+        }
+
+        const end = alignTo(offset + size, this.alignment);
+        const reserved = skipped + Math.min(end, this.buffer.size) - offset;
+        this.head = end;
+        this.used += reserved;
+        this.frameBytes += reserved;
+        return offset;
+    }
+
+    /**
+     * Recycle the space allocated since the last submit once the GPU has consumed it
+     * @param {GPUQueue} queue - The queue the frame was submitted to
+     */
+    retireFrame(queue) {
+        const bytes = this.frameBytes;
+        if (bytes === 0) {
+            return;
+        }
+
+        this.frameBytes = 0;
+        queue.onSubmittedWorkDone().then(() => {
+            this.used -= bytes;
+        });
+    }
+}
+
+/**
+ * Round a value up to a multiple of an alignment
+ * @param {number} value - The value
+ * @param {number} alignment - The alignment
+ * @returns {number} The aligned value
+ */
+function alignTo(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * Elements handled by one workgroup of the reduce and scan kernels (256 invocations x 2 elements)
+ */
+const PRIMITIVE_BLOCK_SIZE = 512;
+
+/**
+ * Keys handled by one workgroup of the radix sort kernels, and bits sorted per pass
+ */
+const RADIX_BLOCK_SIZE = 256;
+const RADIX_BITS = 4;
+
+/**
+ * Element types the parallel primitives accept, as WGSL scalar types
+ */
+const PRIMITIVE_ELEMENT_TYPES = ['u32', 'i32', 'f32'];
+
+/**
+ * Per reduction: how two values combine and the identity value for each element type
+ */
+const REDUCTION_OPERATIONS = {
+    sum: { combine: 'a + b', identity: { u32: '0u', i32: '0i', f32: '0.0f' } },
+    min: { combine: 'min(a, b)', identity: { u32: '0xffffffffu', i32: '2147483647i', f32: 'bitcast<f32>(0x7f7fffffu)' } },
+    max: { combine: 'max(a, b)', identity: { u32: '0u', i32: '(-2147483647i - 1i)', f32: 'bitcast<f32>(0xff7fffffu)' } }
+};
+
+/**
+ * WGSL shared by the primitive kernels: a 16-byte params block at binding 0 and a flat workgroup index,
+ * as large inputs are dispatched as a 2D grid of workgroups
+ */
+const PRIMITIVE_SHADER_PRELUDE = `
+    struct Params {
+        count: u32,
+        offset: u32,
+        extra: u32,
+        blockCount: u32,
+    };
+
+    @group(0) @binding(0) var<uniform> params: Params;
+
+    fn flatWorkgroupIndex(workgroupId: vec3u, workgroupCount: vec3u) -> u32 {
+        return workgroupId.x + workgroupId.y * workgroupCount.x;
+    }
+`;
+
+/**
+ * Build the kernel that reduces each block of input to one value. params.offset is the output element index.
+ * @param {string} operation - 'sum', 'min' or 'max'
+ * @param {string} type - WGSL element type
+ * @returns {string} WGSL source
+ */
+function getReduceShaderSource(operation, type) {
+    const { combine, identity } = REDUCTION_OPERATIONS[operation];
+    return `${PRIMITIVE_SHADER_PRELUDE}
+    @group(0) @binding(1) var<storage, read> input: array<${type}>;
+    @group(0) @binding(2) var<storage, read_write> output: array<${type}>;
+
+    var<workgroup> partials: array<${type}, 256>;
+
+    fn combine(a: ${type}, b: ${type}) -> ${type} {
+        return ${combine};
+    }
+
+    @compute @workgroup_size(256)
+    fn main(@builtin(local_invocation_id) localId: vec3u,
+            @builtin(workgroup_id) workgroupId: vec3u,
+            @builtin(num_workgroups) workgroupCount: vec3u) {
+        let block = flatWorkgroupIndex(workgroupId, workgroupCount);
+        let index = block * ${PRIMITIVE_BLOCK_SIZE}u + localId.x;
+
+        var value = ${identity[type]};
+        if (index < params.count) {
+            value = input[index];
+        }
+        if (index + 256u < params.count) {
+            value = combine(value, input[index + 256u]);
+        }
+        partials[localId.x] = value;
+        workgroupBarrier();
+
+        for (var stride = 128u; stride > 0u; stride >>= 1u) {
+            if (localId.x < stride) {
+                partials[localId.x] = combine(partials[localId.x], partials[localId.x + stride]);
+            }
+            workgroupBarrier();
+        }
+
+        if (localId.x == 0u && block < params.blockCount) {
+            output[params.offset + block] = partials[0];
+        }
+    }
+`;
+}
+
+/**
+ * Build the kernel that exclusive-scans each block of data in place (work-efficient up-sweep/down-sweep)
+ * and writes each block's total to blockSums
+ * @param {string} type - WGSL element type
+ * @returns {string} WGSL source
+ */
+function getScanShaderSource(type) {
+    return `${PRIMITIVE_SHADER_PRELUDE}
+    @group(0) @binding(1) var<storage, read_write> data: array<${type}>;
+    @group(0) @binding(2) var<storage, read_write> blockSums: array<${type}>;
+
+    var<workgroup> temp: array<${type}, ${PRIMITIVE_BLOCK_SIZE}>;
+
+    @compute @workgroup_size(256)
+    fn main(@builtin(local_invocation_id) localId: vec3u,
+            @builtin(workgroup_id) workgroupId: vec3u,
+            @builtin(num_workgroups) workgroupCount: vec3u) {
+        let block = flatWorkgroupIndex(workgroupId, workgroupCount);
+        let first = block * ${PRIMITIVE_BLOCK_SIZE}u + localId.x * 2u;
+        let zero = ${type}(0);
+
+        temp[localId.x * 2u] = select(zero, data[first], first < params.count);
+        temp[localId.x * 2u + 1u] = select(zero, data[first + 1u], first + 1u < params.count);
+
+        var stride = 1u;
+        for (var threads = 256u; threads > 0u; threads >>= 1u) {
+            workgroupBarrier();
+            if (localId.x < threads) {
+                let left = stride * (localId.x * 2u + 1u) - 1u;
+                let right = stride * (localId.x * 2u + 2u) - 1u;
+                temp[right] += temp[left];
+            }
+            stride <<= 1u;
+        }
+
+        workgroupBarrier();
+        if (localId.x == 0u) {
+            if (block < params.blockCount) {
+                blockSums[block] = temp[${PRIMITIVE_BLOCK_SIZE - 1}u];
+            }
+            temp[${PRIMITIVE_BLOCK_SIZE - 1}u] = zero;
+        }
+
+        for (var threads = 1u; threads < ${PRIMITIVE_BLOCK_SIZE}u; threads <<= 1u) {
+            stride >>= 1u;
+            workgroupBarrier();
+            if (localId.x < threads) {
+                let left = stride * (localId.x * 2u + 1u) - 1u;
+                let right = stride * (localId.x * 2u + 2u) - 1u;
+                let carry = temp[left];
+                temp[left] = temp[right];
+                temp[right] += carry;
+            }
+        }
+
+        workgroupBarrier();
+        if (first < params.count) {
+            data[first] = temp[localId.x * 2u];
+        }
+        if (first + 1u < params.count) {
+            data[first + 1u] = temp[localId.x * 2u + 1u];
+        }
+    }
+`;
+}
+
+/**
+ * Build the kernel that adds each block's scanned total to the elements of the block
+ * @param {string} type - WGSL element type
+ * @returns {string} WGSL source
+ */
+function getScanAddShaderSource(type) {
+    return `${PRIMITIVE_SHADER_PRELUDE}
+    @group(0) @binding(1) var<storage, read_write> data: array<${type}>;
+    @group(0) @binding(2) var<storage, read> blockSums: array<${type}>;
+
+    @compute @workgroup_size(256)
+    fn main(@builtin(local_invocation_id) localId: vec3u,
+            @builtin(workgroup_id) workgroupId: vec3u,
+            @builtin(num_workgroups) workgroupCount: vec3u) {
+        let block = flatWorkgroupIndex(workgroupId, workgroupCount);
+        if (block >= params.blockCount) {
+            return;
+        }
+
+        let first = block * ${PRIMITIVE_BLOCK_SIZE}u + localId.x * 2u;
+        let sum = blockSums[block];
+        if (first < params.count) {
+            data[first] += sum;
+        }
+        if (first + 1u < params.count) {
+            data[first + 1u] += sum;
+        }
+    }
+`;
+}
+
+/**
+ * Build the kernel that counts each radix digit within each block of keys. params.offset is the bit shift;
+ * counts are stored digit-major (digit * blockCount + block) so that one scan yields stable scatter offsets.
+ * @returns {string} WGSL source
+ */
+function getRadixHistogramShaderSource() {
+    const digits = 1 << RADIX_BITS;
+    return `${PRIMITIVE_SHADER_PRELUDE}
+    @group(0) @binding(1) var<storage, read> keys: array<u32>;
+    @group(0) @binding(2) var<storage, read_write> histogram: array<u32>;
+
+    var<workgroup> counts: array<atomic<u32>, ${digits}>;
+
+    @compute @workgroup_size(${RADIX_BLOCK_SIZE})
+    fn main(@builtin(local_invocation_id) localId: vec3u,
+            @builtin(workgroup_id) workgroupId: vec3u,
+            @builtin(num_workgroups) workgroupCount: vec3u) {
+        let block = flatWorkgroupIndex(workgroupId, workgroupCount);
+        if (localId.x < ${digits}u) {
+            atomicStore(&counts[localId.x], 0u);
+        }
+        workgroupBarrier();
+
+        let index = block * ${RADIX_BLOCK_SIZE}u + localId.x;
+        if (index < params.count) {
+            atomicAdd(&counts[(keys[index] >> params.offset) & ${digits - 1}u], 1u);
+        }
+        workgroupBarrier();
+
+        if (localId.x < ${digits}u && block < params.blockCount) {
+            histogram[localId.x * params.blockCount + block] = atomicLoad(&counts[localId.x]);
+        }
+    }
+`;
+}
+
+/**
+ * Build the kernel that moves each key (and value) to its sorted position for one radix digit.
+ * Ranks within a block count earlier keys with the same digit, which keeps the sort stable.
+ * @param {boolean} withValues - Whether a values buffer is permuted along with the keys
+ * @returns {string} WGSL source
+ */
+function getRadixScatterShaderSource(withValues) {
+    const digits = 1 << RADIX_BITS;
+    return `${PRIMITIVE_SHADER_PRELUDE}
+    @group(0) @binding(1) var<storage, read> keysIn: array<u32>;
+    @group(0) @binding(2) var<storage, read_write> keysOut: array<u32>;
+    @group(0) @binding(3) var<storage, read> offsets: array<u32>;
+    ${withValues ? `@group(0) @binding(4) var<storage, read> valuesIn: array<u32>;
+    @group(0) @binding(5) var<storage, read_write> valuesOut: array<u32>;` : ''}
+
+    var<workgroup> blockDigits: array<u32, ${RADIX_BLOCK_SIZE}>;
+
+    @compute @workgroup_size(${RADIX_BLOCK_SIZE})
+    fn main(@builtin(local_invocation_id) localId: vec3u,
+            @builtin(workgroup_id) workgroupId: vec3u,
+            @builtin(num_workgroups) workgroupCount: vec3u) {
+        let block = flatWorkgroupIndex(workgroupId, workgroupCount);
+        let index = block * ${RADIX_BLOCK_SIZE}u + localId.x;
+
+        // Keys past the end get a digit that matches nothing
+        var key = 0u;
+        var digit = ${digits}u;
+        if (index < params.count) {
+            key = keysIn[index];
+            digit = (key >> params.offset) & ${digits - 1}u;
+        }
+        blockDigits[localId.x] = digit;
+        workgroupBarrier();
+
+        if (index >= params.count) {
+            return;
+        }
+
+        var rank = 0u;
+        for (var i = 0u; i < localId.x; i++) {
+            rank += select(0u, 1u, blockDigits[i] == digit);
+        }
+
+        let destination = offsets[digit * params.blockCount + block] + rank;
+        keysOut[destination] = key;
+        ${withValues ? 'valuesOut[destination] = valuesIn[index];' : ''}
+    }
+`;
+}
+
+/**
+ * Particle system layout: bytes per particle and per emitter (matching the WGSL structs), the emitter and
+ * over-life key limits, and invocations per simulation workgroup
+ */
+const PARTICLE_STRIDE = 48;
+const PARTICLE_EMITTER_STRIDE = 208;
+const PARTICLE_MAX_EMITTERS = 16;
+const PARTICLE_MAX_KEYS = 4;
+const PARTICLE_WORKGROUP_SIZE = 64;
+
+/**
+ * Blend states for each particle blend mode
+ */
+const PARTICLE_BLEND_STATES = {
+    additive: {
+        color: { srcFactor: 'src-alpha', dstFactor: 'one', operation: 'add' },
+        alpha: { srcFactor: 'zero', dstFactor: 'one', operation: 'add' }
+    },
+    alpha: {
+        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    }
+};
+
+/**
+ * Structs shared by the particle simulation and render shaders. A particle with a lifetime of zero is a free slot.
+ */
+const PARTICLE_SHADER_PRELUDE = `
+struct Particle {
+    position: vec3f,
+    age: f32,
+    velocity: vec3f,
+    lifetime: f32,
+    emitter: u32,
+}
+
+struct Emitter {
+    position: vec3f,
+    spawnCount: u32,
+    positionSpread: vec3f,
+    spawnOffset: u32,
+    velocity: vec3f,
+    lifetime: f32,
+    velocitySpread: vec3f,
+    lifetimeSpread: f32,
+    acceleration: vec3f,
+    drag: f32,
+    colorTimes: vec4f,
+    sizeTimes: vec4f,
+    sizes: vec4f,
+    colors: array<vec4f, ${PARTICLE_MAX_KEYS}>,
+    colorKeyCount: u32,
+    sizeKeyCount: u32,
+}
+`;
+
+/**
+ * WGSL that spawns this frame's particles into the slots after the previous frame's and integrates the rest
+ * @returns {string} The shader source
+ */
+function getParticleSimulationShaderSource() {
+    return `${PARTICLE_SHADER_PRELUDE}
+struct Simulation {
+    deltaTime: f32,
+    spawnStart: u32,
+    spawnTotal: u32,
+    capacity: u32,
+    emitterCount: u32,
+    frame: u32,
+}
+
+@group(0) @binding(0) var<uniform> simulation: Simulation;
+@group(0) @binding(1) var<storage, read> emitters: array<Emitter>;
+@group(0) @binding(2) var<storage, read_write> particles: array<Particle>;
+
+fn hash(value: u32) -> u32 {
+    let state = value * 747796405u + 2891336453u;
+    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    return (word >> 22u) ^ word;
+}
+
+fn nextRandom(seed: ptr<function, u32>) -> f32 {
+    *seed = hash(*seed);
+    return f32(*seed) / 4294967295.0;
+}
+
+fn nextSigned3(seed: ptr<function, u32>) -> vec3f {
+    return vec3f(nextRandom(seed), nextRandom(seed), nextRandom(seed)) * 2.0 - 1.0;
+}
+
+@compute @workgroup_size(${PARTICLE_WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3u) {
+    let index = id.x;
+    if (index >= simulation.capacity) {
+        return;
+    }
+
+    // Position of this slot in the run of slots handed out this frame, which may wrap around the pool
+    let spawnIndex = (index + simulation.capacity - simulation.spawnStart) % simulation.capacity;
+    if (spawnIndex < simulation.spawnTotal) {
+        var emitterIndex = 0u;
+        for (var i = 0u; i < simulation.emitterCount; i++) {
+            if (spawnIndex >= emitters[i].spawnOffset) {
+                emitterIndex = i;
+            }
+        }
+
+        let emitter = emitters[emitterIndex];
+        var seed = hash(index ^ hash(simulation.frame));
+        var particle: Particle;
+        particle.position = emitter.position + nextSigned3(&seed) * emitter.positionSpread;
+        particle.velocity = emitter.velocity + nextSigned3(&seed) * emitter.velocitySpread;
+        particle.lifetime = max(emitter.lifetime + (nextRandom(&seed) * 2.0 - 1.0) * emitter.lifetimeSpread, 0.001);
+        particle.emitter = emitterIndex;
+        particles[index] = particle;
+        return;
+    }
+
+    var particle = particles[index];
+    if (particle.lifetime <= 0.0) {
+        return;
+    }
+
+    particle.age += simulation.deltaTime;
+    if (particle.age >= particle.lifetime) {
+        particle.lifetime = 0.0;
+    } else {
+        let emitter = emitters[particle.emitter];
+        particle.velocity = (particle.velocity + emitter.acceleration * simulation.deltaTime)
+            * max(1.0 - emitter.drag * simulation.deltaTime, 0.0);
+        particle.position += particle.velocity * simulation.deltaTime;
+    }
+    particles[index] = particle;
+}
+`;
+}
+
+/**
+ * WGSL that draws each live particle as a soft round quad facing the camera, coloured and sized by its age
+ * @returns {string} The shader source
+ */
+function getParticleRenderShaderSource() {
+    return `${PARTICLE_SHADER_PRELUDE}
+struct Camera {
+    view: mat4x4f,
+    projection: mat4x4f,
+}
+
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) color: vec4f,
+    @location(1) corner: vec2f,
+}
+
+@group(0) @binding(0) var<uniform> camera: Camera;
+@group(0) @binding(1) var<storage, read> emitters: array<Emitter>;
+@group(0) @binding(2) var<storage, read> particles: array<Particle>;
+
+// Interpolate between the keys either side of t, holding the first and last keys outside their range
+fn colorOverLife(emitterIndex: u32, t: f32) -> vec4f {
+    var color = emitters[emitterIndex].colors[0];
+    for (var i = 1u; i < emitters[emitterIndex].colorKeyCount; i++) {
+        let start = emitters[emitterIndex].colorTimes[i - 1u];
+        let end = emitters[emitterIndex].colorTimes[i];
+        if (t >= start) {
+            let amount = saturate((t - start) / max(end - start, 1e-5));
+            color = mix(emitters[emitterIndex].colors[i - 1u], emitters[emitterIndex].colors[i], amount);
+        }
+    }
+    return color;
+}
+
+fn sizeOverLife(emitterIndex: u32, t: f32) -> f32 {
+    var size = emitters[emitterIndex].sizes[0];
+    for (var i = 1u; i < emitters[emitterIndex].sizeKeyCount; i++) {
+        let start = emitters[emitterIndex].sizeTimes[i - 1u];
+        let end = emitters[emitterIndex].sizeTimes[i];
+        if (t >= start) {
+            let amount = saturate((t - start) / max(end - start, 1e-5));
+            size = mix(emitters[emitterIndex].sizes[i - 1u], emitters[emitterIndex].sizes[i], amount);
+        }
+    }
+    return size;
+}
+
+@vertex
+fn vertexMain(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) instanceIndex: u32) -> VertexOutput {
+    var corners = array<vec2f, 6>(
+        vec2f(-1.0, -1.0), vec2f(1.0, -1.0), vec2f(-1.0, 1.0),
+        vec2f(-1.0, 1.0), vec2f(1.0, -1.0), vec2f(1.0, 1.0));
+
+    var output: VertexOutput;
+    let particle = particles[instanceIndex];
+    if (particle.lifetime <= 0.0) {
+        // Collapse free slots to a point outside the clip volume so they produce no fragments
+        output.position = vec4f(0.0, 0.0, 2.0, 1.0);
+        return output;
+    }
+
+    let t = particle.age / particle.lifetime;
+    let corner = corners[vertexIndex];
+    let size = sizeOverLife(particle.emitter, t);
+
+    // Offset the corner in view space so the quad always faces the camera
+    let center = camera.view * vec4f(particle.position, 1.0);
+    output.position = camera.projection * (center + vec4f(corner * size * 0.5, 0.0, 0.0));
+    output.color = colorOverLife(particle.emitter, t);
+    output.corner = corner;
+    return output;
+}
+
+@fragment
+fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
+    let falloff = 1.0 - smoothstep(0.5, 1.0, length(input.corner));
+    if (falloff <= 0.0) {
+        discard;
+    }
+    return vec4f(input.color.rgb, input.color.a * falloff);
+}
+`;
+}
+
+/**
+ * A fixed pool of particles simulated by a compute shader and drawn as instanced camera-facing quads. Each
+ * frame's new particles take the slots after the previous frame's, wrapping around the pool, so a pool smaller
+ * than the emitters' rate x lifetime recycles the oldest particles early.
+ */
+class ParticleSystem {
+    constructor(capacity, particleBuffer, emitterBuffer, simulationBuffer, cameraBuffer) {
+        this.capacity = capacity;
+        this.particleBuffer = particleBuffer;
+        this.emitterBuffer = emitterBuffer;
+        this.simulationBuffer = simulationBuffer;
+        this.cameraBuffer = cameraBuffer;
+        this.simulationPipeline = null;
+        this.renderPipeline = null;
+        this.simulationBindGroup = null;
+        this.renderBindGroup = null;
+        this.spawnCursor = 0; // Slot the next spawned particle takes
+        this.spawnRemainders = []; // Per emitter: fractional particles carried to the next update
+        this.frame = 0; // Seeds the spawn random numbers
+        this.emitterData = new ArrayBuffer(PARTICLE_MAX_EMITTERS * PARTICLE_EMITTER_STRIDE);
+        this.simulationData = new ArrayBuffer(32);
+        this.cameraData = new Float32Array(32);
+    }
+
+    /**
+     * Free the system's GPU memory
+     */
+    destroy() {
+        this.particleBuffer.destroy();
+        this.emitterBuffer.destroy();
+        this.simulationBuffer.destroy();
+        this.cameraBuffer.destroy();
+    }
+}
+
+/**
+ * Bytes of indirect arguments per draw: drawIndirect (vertexCount, instanceCount, firstVertex, firstInstance)
+ * and drawIndexedIndirect (indexCount, instanceCount, firstIndex, baseVertex, firstInstance)
+ */
+const DRAW_INDIRECT_SIZE = 16;
+const DRAW_INDEXED_INDIRECT_SIZE = 20;
+
+/**
+ * Invocations per frustum culling workgroup, and bytes per draw range (matching the WGSL struct)
+ */
+const CULL_WORKGROUP_SIZE = 64;
+const CULL_DRAW_STRIDE = 20;
+
+/**
+ * WGSL that writes each draw's indirect arguments with no instances, then appends each instance whose bounding
+ * sphere touches the frustum to its draw's range of the visible instance list, counting it in the arguments
+ */
+const FRUSTUM_CULL_SHADER_SOURCE = `
+struct Params {
+    planes: array<vec4f, 6>,
+    instanceCount: u32,
+    drawCount: u32,
+    argumentsBase: u32,
+    argumentsStride: u32,
+}
+
+struct DrawRange {
+    firstInstance: u32,
+    instanceCount: u32,
+    elementCount: u32,
+    firstElement: u32,
+    baseVertex: u32,
+}
+
+@group(0) @binding(0) var<uniform> params: Params;
+@group(0) @binding(1) var<storage, read> bounds: array<vec4f>;
+@group(0) @binding(2) var<storage, read> draws: array<DrawRange>;
+@group(0) @binding(3) var<storage, read_write> visible: array<u32>;
+@group(0) @binding(4) var<storage, read_write> drawArguments: array<atomic<u32>>;
+
+@compute @workgroup_size(${CULL_WORKGROUP_SIZE})
+fn resetArguments(@builtin(global_invocation_id) id: vec3u) {
+    let drawIndex = id.x;
+    if (drawIndex >= params.drawCount) {
+        return;
+    }
+
+    // The last field is firstInstance for both layouts, and always zero
+    let base = params.argumentsBase + drawIndex * params.argumentsStride;
+    let draw = draws[drawIndex];
+    atomicStore(&drawArguments[base], draw.elementCount);
+    atomicStore(&drawArguments[base + 1u], 0u);
+    atomicStore(&drawArguments[base + 2u], draw.firstElement);
+    if (params.argumentsStride == 5u) {
+        atomicStore(&drawArguments[base + 3u], draw.baseVertex);
+    }
+    atomicStore(&drawArguments[base + params.argumentsStride - 1u], 0u);
+}
+
+@compute @workgroup_size(${CULL_WORKGROUP_SIZE})
+fn cullInstances(@builtin(global_invocation_id) id: vec3u, @builtin(num_workgroups) groups: vec3u) {
+    let index = id.x + id.y * groups.x * ${CULL_WORKGROUP_SIZE}u;
+    if (index >= params.instanceCount) {
+        return;
+    }
+
+    // Find the last draw starting at or before this instance; ranges ascend and may leave gaps
+    var low = 0u;
+    var high = params.drawCount;
+    while (high - low > 1u) {
+        let middle = (low + high) / 2u;
+        if (draws[middle].firstInstance <= index) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    let draw = draws[low];
+    if (index < draw.firstInstance || index >= draw.firstInstance + draw.instanceCount) {
+        return;
+    }
+
+    let sphere = bounds[index];
+    for (var i = 0u; i < 6u; i++) {
+        if (dot(params.planes[i].xyz, sphere.xyz) + params.planes[i].w < -sphere.w) {
+            return;
+        }
+    }
+
+    let slot = atomicAdd(&drawArguments[params.argumentsBase + low * params.argumentsStride + 1u], 1u);
+    visible[draw.firstInstance + slot] = index;
+}
+`;
+
+/**
+ * Extract the six frustum planes (left, right, bottom, top, near, far) from a view-projection matrix, with
+ * normals pointing inwards and normalized so plane distances are in world units. Clip space depth runs from 0 to 1.
+ * @param {number[]} matrix - The view-projection matrix (16 floats, column-major)
+ * @returns {Float32Array} The planes as (a, b, c, d), where a point p is inside when dot(abc, p) + d >= 0
+ */
+function getFrustumPlanes(matrix) {
+    const row = r => [matrix[r], matrix[4 + r], matrix[8 + r], matrix[12 + r]];
+    const [x, y, z, w] = [row(0), row(1), row(2), row(3)];
+    const planes = [
+        w.map((value, i) => value + x[i]),
+        w.map((value, i) => value - x[i]),
+        w.map((value, i) => value + y[i]),
+        w.map((value, i) => value - y[i]),
+        z,
+        w.map((value, i) => value - z[i])
+    ];
+
+    const result = new Float32Array(24);
+    planes.forEach((plane, index) => {
+        const length = Math.hypot(plane[0], plane[1], plane[2]) || 1;
+        result.set(plane.map(value => value / length), index * 4);
+    });
+    return result;
+}
+
+/**
+ * Frustum culling state for a fixed set of draws over ranges of one instance bounds buffer
+ */
+class FrustumCuller {
+    constructor(paramsBuffer, drawsBuffer, bindGroup, instanceCount, drawCount, argumentsBase, argumentsStride) {
+        this.paramsBuffer = paramsBuffer;
+        this.drawsBuffer = drawsBuffer;
+        this.bindGroup = bindGroup;
+        this.instanceCount = instanceCount;
+        this.drawCount = drawCount;
+        this.paramsData = new ArrayBuffer(112);
+        const counts = new Uint32Array(this.paramsData, 96, 4);
+        counts.set([instanceCount, drawCount, argumentsBase, argumentsStride]);
+    }
+
+    /**
+     * Free the culler's GPU memory
+     */
+    destroy() {
+        this.paramsBuffer.destroy();
+        this.drawsBuffer.destroy();
+    }
+}
+
+/**
+ * Opcodes of the command stream run by executeCommands. Each command is a header word, the opcode in the low
+ * 16 bits and the number of argument words in the high 16 bits, followed by its arguments as 32-bit words.
+ * Pass commands apply to the pass most recently begun or selected by the stream.
+ */
+const COMMAND_OPCODES = {
+    BEGIN_RENDER_PASS: 1,     // descriptorIndex
+    BEGIN_COMPUTE_PASS: 2,    // descriptorIndex
+    SET_PASS: 3,              // passEncoderId
+    END_PASS: 4,
+    SET_PIPELINE: 5,          // pipelineId
+    SET_BIND_GROUP: 6,        // index, bindGroupId, dynamicOffsets...
+    SET_VERTEX_BUFFER: 7,     // slot, bufferId, offset, size
+    SET_INDEX_BUFFER: 8,      // bufferId, format (0 uint16, 1 uint32), offset, size
+    DRAW: 9,                  // vertexCount, instanceCount, firstVertex, firstInstance
+    DRAW_INDEXED: 10,         // indexCount, instanceCount, firstIndex, baseVertex (signed), firstInstance
+    DRAW_INDIRECT: 11,        // bufferId, offset
+    DRAW_INDEXED_INDIRECT: 12, // bufferId, offset
+    DISPATCH_WORKGROUPS: 13,  // x, y, z
+    DISPATCH_WORKGROUPS_INDIRECT: 14 // bufferId, offset
+};
+
+const COMMAND_NAMES = Object.fromEntries(Object.entries(COMMAND_OPCODES).map(([name, opcode]) => [opcode, name]));
+
+/**
+ * Size argument meaning "the rest of the buffer" in SET_VERTEX_BUFFER and SET_INDEX_BUFFER
+ */
+const COMMAND_WHOLE_SIZE = 0xFFFFFFFF;
+
+/**
+ * Get the words of a command stream as a Uint32Array
+ * @param {Uint8Array|ArrayBuffer|Uint32Array|number[]} commands - Little-endian bytes, words, or an array of numbers
+ * @returns {Uint32Array} The command words
+ */
+function getCommandWords(commands) {
+    if (commands instanceof Uint32Array) {
+        return commands;
+    }
+    if (Array.isArray(commands)) {
+        return Uint32Array.from(commands, word => word >>> 0);
+    }
+
+    const bytes = commands instanceof ArrayBuffer ? new Uint8Array(commands) : commands;
+    if (bytes.byteLength % 4 !== 0) {
+        throw new Error(`Command stream length ${bytes.byteLength} is not a whole number of 32-bit words`);
+    }
+
+    // Bytes marshalled from .NET may start at any offset in their buffer; a typed array view needs 4-byte alignment
+    return bytes.byteOffset % 4 === 0
+        ? new Uint32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4)
+        : new Uint32Array(bytes.slice().buffer);
+}
+
+/**
+ * Texture formats of picking targets: object IDs, and the depth buffer the IDs are rendered and read back with
+ */
+const PICKING_ID_FORMAT = 'r32uint';
+const PICKING_DEPTH_FORMAT = 'depth32float';
+
+/**
+ * An object ID render target and its depth buffer, read back a pixel or rectangle at a time for picking
+ */
+class PickingTarget {
+    constructor(label) {
+        this.label = label;
+        this.idTexture = null;
+        this.depthTexture = null;
+    }
+
+    /**
+     * Free the target's GPU memory
+     */
+    destroy() {
+        this.idTexture?.destroy();
+        this.depthTexture?.destroy();
+    }
+}
+
 class WebGpuInterop {
     constructor() {
         this.adapter = null;
-        this.device = null;
-        this.canvasContexts = new Map();
-        this.resources = new Map();
-        this.nextResourceId = 1;
-        this.visibilityCallbacks = new Map();
-        this.nextCallbackId = 1;
+        this.device = null;
+        this.canvasContexts = new Map();
+        this.resources = new Map();
+        this.slotGenerations = []; // Slot -> current generation
+        this.freeSlots = []; // Released slots available for reuse, oldest first from freeSlotHead
+        this.freeSlotHead = 0;
+        this.dependentResources = new Map(); // Resource ID -> IDs released along with it (views of canvas textures)
+        this.canvasTextureIds = new Map(); // Context ID -> ID of the canvas texture acquired for the current frame
+        this.visibilityCallbacks = new Map();
+        this.nextCallbackId = 1;
+        this.textureViewDimensions = new Map(); // Texture ID -> default view dimension (e.g. 'cube')
+        this.viewInfo = new WeakMap(); // Texture view -> { texture, dimension, format, mipLevelCount }
+        this.samplerDescriptors = new WeakMap(); // Sampler -> descriptor it was created with
+        this.bindGroupLayoutEntries = new WeakMap(); // Explicit bind group layout -> entries it was created with
+        this.mapReadQueues = new WeakMap(); // MAP_READ buffer -> promise settling when its last queued read finishes
+        this.resourceInfo = new Map(); // Resource ID -> { createdFrame, lastUsedFrame, stack (GPU memory owners only) }
+        this.frameIndex = 0; // Incremented on every submitCommandBuffers
+        this.unownedResources = new Set(); // IDs of resources whose lifetime is managed elsewhere (e.g. canvas textures)
+
+        // Mipmap generation (created lazily, pipelines cached per texture format)
+        this.mipmapShaderModule = null;
+        this.mipmapSampler = null;
+        this.mipmapPipelines = new Map();
+
+        // Equirectangular to cube map conversion (created lazily, pipelines cached per format)
+        this.equirectangularShaderModule = null;
+        this.equirectangularPipelines = new Map();
+
+        // Parallel primitives (reduce, scan, radix sort; pipelines created lazily and cached per kernel variant)
+        this.primitivePipelines = new Map();
+
+        // Particle systems (shader modules and pipelines created lazily; render pipelines cached per blend mode and target)
+        this.particleShaderModules = null;
+        this.particlePipelines = new Map();
+
+        // Frustum culling (shader, layouts and pipelines created lazily)
+        this.frustumCullPipelines = null;
+
+        // Video textures
+        this.expiringVideoSources = new Set(); // Sources whose imported external texture expires after this task
+        this.placeholderTexture = null;
+
+        // Buffer readback (free MAP_READ staging buffers, reused across reads)
+        this.stagingBuffers = [];
+
+        // Uniform ring buffers, retired on every submit
+        this.uniformRings = new Set();
+
+        // Canvas capture
+        this.currentCanvasTextures = new Map(); // Map of context ID -> texture acquired since the last submit
+        this.pendingCanvasCaptures = new Set();
+
+        // Error tracking
+        this.errorCounts = new Map(); // Map of error message -> count
+        this.lastErrorReport = Date.now();
+        this.errorReportInterval = 5000; // Report every 5 seconds
+        this.maxUniqueErrorsToTrack = 50; // Prevent unbounded growth
+
+        // Set up visibility change listener
+        this.setupVisibilityListener();
+    }
+
+    /**
+     * Set up the page visibility change listener
+     */
+    setupVisibilityListener() {
+        document.addEventListener('visibilitychange', () => {
+            const isVisible = !document.hidden;
+            // Notify all registered callbacks
+            this.visibilityCallbacks.forEach(callback => {
+                try {
+                    callback.invokeMethodAsync('OnVisibilityChanged', isVisible);
+                } catch (error) {
+                    console.error('Error invoking visibility callback:', error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Register a .NET callback for visibility changes
+     * @param {object} dotNetRef - The .NET object reference
+     * @returns {number} Callback ID for later removal
+     */
+    registerVisibilityCallback(dotNetRef) {
+        const callbackId = this.nextCallbackId++;
+        this.visibilityCallbacks.set(callbackId, dotNetRef);
+        
+        // Immediately notify of current visibility state
+        const isVisible = !document.hidden;
+        dotNetRef.invokeMethodAsync('OnVisibilityChanged', isVisible);
+        
+        return callbackId;
+    }
+
+    /**
+     * Unregister a visibility callback
+     * @param {number} callbackId - The callback ID to remove
+     */
+    unregisterVisibilityCallback(callbackId) {
+        this.visibilityCallbacks.delete(callbackId);
+    }
+
+    /**
+     * Check if the page is currently visible
+     * @returns {boolean} True if page is visible
+     */
+    isPageVisible() {
+        return !document.hidden;
+    }
+
+    /**
+     * Check if WebGPU is supported in the current browser
+     * @returns {boolean} True if WebGPU is available
+     */
+    isSupported() {
+        return 'gpu' in navigator;
+    }
+
+    /**
+     * Get detailed compatibility information about the browser and WebGPU support
+     * @returns {object} Compatibility information including browser details
+     */
+    async getCompatibilityInfo() {
+        const info = {
+            isSupported: this.isSupported(),
+            userAgent: navigator.userAgent || '',
+            vendor: '', // Will be populated from userAgent
+            platform: navigator.userAgentData?.platform || this.getPlatformFromUserAgent(),
+            errorMessage: null,
+            browserName: null,
+            browserVersion: null,
+            supportsWithFlags: false
+        };
+
+        // Detect browser and vendor from userAgent
+        const ua = navigator.userAgent.toLowerCase();
+        if (ua.includes('chrome') && !ua.includes('edge')) {
+            info.browserName = 'Chrome';
+            info.vendor = 'Google Inc.';
+            const match = ua.match(/chrome\/(\d+)/);
+            info.browserVersion = match ? match[1] : 'unknown';
+            info.supportsWithFlags = parseInt(info.browserVersion) >= 113;
+        } else if (ua.includes('edg/')) {
+            info.browserName = 'Edge';
+            info.vendor = 'Microsoft Corporation';
+            const match = ua.match(/edg\/(\d+)/);
+            info.browserVersion = match ? match[1] : 'unknown';
+            info.supportsWithFlags = parseInt(info.browserVersion) >= 113;
+        } else if (ua.includes('opr/') || ua.includes('opera')) {
+            info.browserName = 'Opera';
+            info.vendor = 'Opera Software';
+            const match = ua.match(/(?:opr|opera)\/(\d+)/);
+            info.browserVersion = match ? match[1] : 'unknown';
+            info.supportsWithFlags = parseInt(info.browserVersion) >= 99;
+        } else if (ua.includes('firefox')) {
+            info.browserName = 'Firefox';
+            info.vendor = 'Mozilla';
+            const match = ua.match(/firefox\/(\d+)/);
+            info.browserVersion = match ? match[1] : 'unknown';
+            info.supportsWithFlags = true; // May need flags
+            info.errorMessage = 'Firefox requires enabling WebGPU in about:config (dom.webgpu.enabled)';
+        } else if (ua.includes('safari') && !ua.includes('chrome')) {
+            info.browserName = 'Safari';
+            info.vendor = 'Apple Inc.';
+            const match = ua.match(/version\/(\d+)/);
+            info.browserVersion = match ? match[1] : 'unknown';
+            info.supportsWithFlags = true; // Technology Preview
+            info.errorMessage = 'Safari requires Safari Technology Preview with WebGPU enabled in Develop menu';
+        } else {
+            info.browserName = 'Unknown';
+            info.vendor = 'Unknown';
+            info.browserVersion = 'unknown';
+        }
+
+        // Set error message if not supported
+        if (!info.isSupported) {
+            if (!info.errorMessage) {
+                info.errorMessage = `WebGPU is not available in ${info.browserName} ${info.browserVersion}. ` +
+                    `Please use Chrome 113+, Edge 113+, or Opera 99+.`;
+            }
+        }
+
+        return info;
+    }
+
+    /**
+     * Get platform information from userAgent as fallback
+     * @returns {string} Platform identifier
+     */
+    getPlatformFromUserAgent() {
+        const ua = navigator.userAgent;
+        if (ua.includes('Win')) return 'Windows';
+        if (ua.includes('Mac')) return 'macOS';
+        if (ua.includes('Linux')) return 'Linux';
+        if (ua.includes('Android')) return 'Android';
+        if (ua.includes('iPhone') || ua.includes('iPad')) return 'iOS';
+        return 'Unknown';
+    }
+
+    /**
+     * Initialize WebGPU adapter and device
+     * @param {string} canvasId - The ID of the canvas element
+     * @returns {Promise<object>} Device info including adapter and device details
+     */
+    async initializeAsync(canvasId) {
+        try {
+            if (!this.isSupported()) {
+                throw new Error('WebGPU is not supported in this browser');
+            }
+
+            // Request adapter
+            const adapterOptions = {
+                powerPreference: 'high-performance'
+            };
+
+            this.adapter = await navigator.gpu.requestAdapter(adapterOptions);
+            if (!this.adapter) {
+                throw new Error('Failed to get WebGPU adapter. Your GPU may not support WebGPU.');
+            }
+
+            // Request device, enabling the optional features this adapter supports
+            const deviceDescriptor = {
+                requiredFeatures: OPTIONAL_DEVICE_FEATURES.filter(feature => this.adapter.features.has(feature)),
+                requiredLimits: {}
+            };
+
+            this.device = await this.adapter.requestDevice(deviceDescriptor);
+            if (!this.device) {
+                throw new Error('Failed to get WebGPU device');
+            }
+
+            // Set up device lost handler
+            this.device.lost.then((info) => {
+                console.error(`WebGPU device lost: ${info.message}`);
+                // The C# layer will handle device lost through callbacks
+            });
+
+            // Set up uncaptured error handler with tracking
+            this.device.addEventListener('uncapturederror', (event) => {
+                this.trackError('WebGPU uncaptured error', event.error);
+            });
+
+            // Initialize canvas context
+            this.getCanvasContext(canvasId);
+
+            return {
+                adapterInfo: {
+                    vendor: this.adapter.info?.vendor || 'Unknown',
+                    architecture: this.adapter.info?.architecture || 'Unknown',
+                    device: this.adapter.info?.device || 'Unknown',
+                    description: this.adapter.info?.description || 'Unknown'
+                },
+                limits: this.device.limits,
+                features: Array.from(this.device.features || [])
+            };
+        } catch (error) {
+            throw new Error(`WebGPU initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a canvas context for WebGPU rendering
+     * @param {string} canvasId - The canvas element ID
+     * @returns {string} Context ID for later reference
+     */
+    getCanvasContext(canvasId) {
+        try {
+            if (this.canvasContexts.has(canvasId)) {
+                return { contextId: canvasId };
+            }
+
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) {
+                throw new Error(`Canvas element with id '${canvasId}' not found`);
+            }
+
+            const context = canvas.getContext('webgpu');
+            if (!context) {
+                throw new Error('Failed to get WebGPU context from canvas');
+            }
+
+            // Store the context
+            this.canvasContexts.set(canvasId, context);
+
+            return { contextId: canvasId };
+        } catch (error) {
+            throw new Error(`Failed to get canvas context: ${error.message}`);
+        }
+    }
+
+    /**
+     * Configure a canvas context with proper resolution
+     * @param {string} contextId - The canvas context ID
+     * @param {object} config - Configuration (format, usage, alphaMode, etc.)
+     */
+    async configureCanvasContext(contextId, config) {
+        try {
+            const context = this.canvasContexts.get(contextId);
+            if (!context) {
+                throw new Error(`Canvas context '${contextId}' not found`);
+            }
+
+            // Get the canvas element
+            const canvas = context.canvas;
+
+            // Set canvas resolution to match display size with device pixel ratio
+            const dpr = window.devicePixelRatio || 1;
+            const displayWidth = canvas.clientWidth;
+            const displayHeight = canvas.clientHeight;
+
+            // Set the internal canvas resolution
+            canvas.width = displayWidth * dpr;
+            canvas.height = displayHeight * dpr;
+
+            // Configure WebGPU context
+            const configuration = {
+                device: this.device,
+                format: config.format || navigator.gpu.getPreferredCanvasFormat(),
+                // COPY_SRC lets frames be captured with captureCanvasAsync
+                usage: config.usage || (GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC),
+                alphaMode: config.alphaMode || 'opaque'
+            };
+
+            context.configure(configuration);
+
+            console.log(`Canvas configured: ${canvas.width}x${canvas.height} (display: ${displayWidth}x${displayHeight}, dpr: ${dpr})`);
+        } catch (error) {
+            throw new Error(`Failed to configure canvas context: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the current texture from a canvas context, releasing the context's previous texture and its views
+     * @param {string} contextId - The canvas context ID
+     * @returns {number} Resource ID for the texture
+     */
+    getCurrentTexture(contextId) {
+        try {
+            const context = this.canvasContexts.get(contextId);
+            if (!context) {
+                throw new Error(`Canvas context '${contextId}' not found`);
+            }
+
+            // The previous frame's texture has been presented; release its handle (and views) so slots are reused
+            const previousId = this.canvasTextureIds.get(contextId);
+            if (previousId !== undefined) {
+                this.releaseResource(previousId);
+            }
+
+            const texture = context.getCurrentTexture();
+            this.currentCanvasTextures.set(contextId, texture);
+            const resourceId = this.storeResource(texture, false); // Owned by the canvas
+            this.canvasTextureIds.set(contextId, resourceId);
+            return resourceId;
+        } catch (error) {
+            throw new Error(`Failed to get current texture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a texture view from a texture
+     * @param {number} textureId - The texture resource ID
+     * @param {object} descriptor - Optional view descriptor
+     * @returns {number} Resource ID for the texture view
+     */
+    createTextureView(textureId, descriptor) {
+        try {
+            const texture = this.getResource(textureId, 'texture');
+            const view = this.createViewForTexture(textureId, texture, descriptor);
+            const viewId = this.storeResource(view);
+            if (this.unownedResources.has(textureId)) {
+                // Views of canvas textures are per-frame; release them along with the texture's handle
+                if (!this.dependentResources.has(textureId)) {
+                    this.dependentResources.set(textureId, []);
+                }
+                this.dependentResources.get(textureId).push(viewId);
+            }
+            return viewId;
+        } catch (error) {
+            throw new Error(`Failed to create texture view: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a view of a texture, applying the texture's default view dimension
+     * (e.g. 'cube') when the descriptor does not specify one
+     * @param {number} textureId - The texture resource ID
+     * @param {GPUTexture} texture - The texture
+     * @param {object} descriptor - Optional view descriptor (dimension or viewDimension, format, mip and layer ranges, aspect, label)
+     * @returns {GPUTextureView} The texture view
+     */
+    createViewForTexture(textureId, texture, descriptor) {
+        const viewDescriptor = { ...(descriptor || {}) };
+        if (viewDescriptor.viewDimension) {
+            viewDescriptor.dimension = viewDescriptor.viewDimension;
+            delete viewDescriptor.viewDimension;
+        }
+        if (!viewDescriptor.dimension && this.textureViewDimensions.has(textureId)) {
+            viewDescriptor.dimension = this.textureViewDimensions.get(textureId);
+        }
+        for (const key of Object.keys(viewDescriptor)) {
+            if (viewDescriptor[key] === null || viewDescriptor[key] === undefined) {
+                delete viewDescriptor[key];
+            }
+        }
+
+        this.validateViewDimension(texture, viewDescriptor);
+        const view = texture.createView(viewDescriptor);
+
+        // Views expose nothing about themselves; remember what bind group validation needs
+        this.viewInfo.set(view, {
+            texture: texture,
+            dimension: viewDescriptor.dimension || this.getDefaultViewDimension(texture),
+            format: viewDescriptor.format || texture.format,
+            mipLevelCount: viewDescriptor.mipLevelCount ?? texture.mipLevelCount - (viewDescriptor.baseMipLevel || 0)
+        });
+        return view;
+    }
+
+    /**
+     * Get the view dimension WebGPU uses for a view of a texture that does not specify one
+     * @param {GPUTexture} texture - The texture
+     * @returns {string} '1d', '2d', '2d-array' or '3d'
+     */
+    getDefaultViewDimension(texture) {
+        if (texture.dimension !== '2d') {
+            return texture.dimension;
+        }
+        return texture.depthOrArrayLayers > 1 ? '2d-array' : '2d';
+    }
+
+    /**
+     * Check that a view dimension is compatible with the texture it views
+     * @param {GPUTexture} texture - The texture
+     * @param {object} viewDescriptor - The view descriptor
+     */
+    validateViewDimension(texture, viewDescriptor) {
+        const dimension = viewDescriptor.dimension;
+        if (!dimension) {
+            return;
+        }
+
+        const layerCount = viewDescriptor.arrayLayerCount ??
+            (texture.depthOrArrayLayers - (viewDescriptor.baseArrayLayer || 0));
+
+        switch (dimension) {
+            case '1d':
+            case '3d':
+                if (texture.dimension !== dimension) {
+                    throw new Error(`View dimension '${dimension}' requires a ${dimension} texture, got '${texture.dimension}'`);
+                }
+                break;
+            case '2d':
+            case '2d-array':
+                if (texture.dimension !== '2d') {
+                    throw new Error(`View dimension '${dimension}' requires a 2d texture, got '${texture.dimension}'`);
+                }
+                break;
+            case 'cube':
+            case 'cube-array':
+                if (texture.dimension !== '2d') {
+                    throw new Error(`View dimension '${dimension}' requires a 2d texture, got '${texture.dimension}'`);
+                }
+                if (texture.width !== texture.height) {
+                    throw new Error(`Cube faces must be square, got ${texture.width}x${texture.height}`);
+                }
+                if (dimension === 'cube' ? layerCount !== 6 : layerCount % 6 !== 0 || layerCount === 0) {
+                    throw new Error(`View dimension '${dimension}' needs ${dimension === 'cube' ? '6' : 'a multiple of 6'} array layers, got ${layerCount}`);
+                }
+                break;
+            default:
+                throw new Error(`Unknown view dimension '${dimension}'`);
+        }
+    }
+
+    /**
+     * Create a texture
+     * @param {object} descriptor - Texture descriptor (size, format, dimension, mipLevelCount, sampleCount, usage, viewDimension, label)
+     * @returns {number} Resource ID for the texture
+     */
+    createTexture(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+            if (!descriptor || !descriptor.size) {
+                throw new Error('Texture size is required');
+            }
+            if (!descriptor.format) {
+                throw new Error('Texture format is required');
+            }
+
+            const texture = this.device.createTexture({
+                label: descriptor.label || undefined,
+                size: {
+                    width: descriptor.size.width,
+                    height: descriptor.size.height || 1,
+                    depthOrArrayLayers: descriptor.size.depthOrArrayLayers || 1
+                },
+                format: descriptor.format,
+                dimension: descriptor.dimension || '2d',
+                mipLevelCount: descriptor.mipLevelCount || 1,
+                sampleCount: descriptor.sampleCount || 1,
+                usage: descriptor.usage || (GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST)
+            });
+
+            if (descriptor.viewDimension) {
+                this.validateViewDimension(texture, { dimension: descriptor.viewDimension });
+            }
+
+            const textureId = this.storeResource(texture);
+            if (descriptor.viewDimension) {
+                this.textureViewDimensions.set(textureId, descriptor.viewDimension);
+            }
+            return textureId;
+        } catch (error) {
+            throw new Error(`Failed to create texture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write data into a texture region
+     * @param {number} textureId - The texture resource ID
+     * @param {Uint8Array} data - The texel data
+     * @param {object} descriptor - Data layout and destination (offset, bytesPerRow, rowsPerImage, origin, mipLevel, aspect, size)
+     */
+    writeTexture(textureId, data, descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const texture = this.getResource(textureId, 'texture');
+
+            const options = descriptor || {};
+            const mipLevel = options.mipLevel || 0;
+            const origin = options.origin || {};
+
+            // Default to the full extent of the target mip level
+            const size = options.size || {
+                width: Math.max(1, texture.width >> mipLevel),
+                height: Math.max(1, texture.height >> mipLevel),
+                depthOrArrayLayers: texture.dimension === '3d'
+                    ? Math.max(1, texture.depthOrArrayLayers >> mipLevel)
+                    : texture.depthOrArrayLayers
+            };
+
+            if (!options.bytesPerRow) {
+                throw new Error('bytesPerRow is required');
+            }
+
+            this.device.queue.writeTexture(
+                {
+                    texture: texture,
+                    mipLevel: mipLevel,
+                    origin: { x: origin.x || 0, y: origin.y || 0, z: origin.z || 0 },
+                    aspect: options.aspect || 'all'
+                },
+                data,
+                {
+                    offset: options.offset || 0,
+                    bytesPerRow: options.bytesPerRow,
+                    rowsPerImage: options.rowsPerImage || size.height
+                },
+                {
+                    width: size.width,
+                    height: size.height || 1,
+                    depthOrArrayLayers: size.depthOrArrayLayers || 1
+                }
+            );
+        } catch (error) {
+            throw new Error(`Failed to write texture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load an image from a URL into a new texture
+     * @param {string} url - The image URL
+     * @param {object} options - Load options (format, flipY, premultipliedAlpha, colorSpace, usage, label)
+     * @returns {Promise<object>} Texture resource ID, width, height and format
+     */
+    async loadTextureFromUrlAsync(url, options) {
+        try {
+            const blob = await this.fetchBlobAsync(url);
+            return await this.createTextureFromBlobAsync(blob, options);
+        } catch (error) {
+            throw new Error(`Failed to load texture from URL '${url}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Load six face images into a cube texture
+     * @param {string[]} urls - Face image URLs in +X, -X, +Y, -Y, +Z, -Z order
+     * @param {object} options - Load options (format, flipY, premultipliedAlpha, colorSpace, usage, generateMipmaps, label)
+     * @returns {Promise<object>} Texture resource ID, face size, layer count, format and mip level count
+     */
+    async loadCubeTextureFromUrlsAsync(urls, options) {
+        try {
+            if (!urls || urls.length !== 6) {
+                throw new Error(`A cube texture needs 6 face images, got ${urls ? urls.length : 0}`);
+            }
+
+            const bitmaps = await this.decodeImagesFromUrlsAsync(urls);
+            try {
+                return this.createTextureFromBitmaps(bitmaps, options, 'cube');
+            } finally {
+                bitmaps.forEach(bitmap => bitmap.close());
+            }
+        } catch (error) {
+            throw new Error(`Failed to load cube texture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a cube texture from a single image laid out as a horizontal (4x3) or vertical (3x4) cross.
+     * In a vertical cross the -Z face is expected upside down, as is conventional.
+     * @param {string} url - The cross image URL
+     * @param {object} options - Load options (format, flipY, premultipliedAlpha, colorSpace, usage, generateMipmaps, label)
+     * @returns {Promise<object>} Texture resource ID, face size, layer count, format and mip level count
+     */
+    async loadCubeTextureFromCrossAsync(url, options) {
+        try {
+            const blob = await this.fetchBlobAsync(url);
+            const image = await this.decodeImageAsync(blob);
+            const faces = [];
+
+            try {
+                let faceSize;
+                let cells;
+                if (image.width * 3 === image.height * 4) {
+                    // Horizontal cross: +Y above, -X +Z +X -Z across, -Y below
+                    faceSize = image.width / 4;
+                    cells = [[2, 1], [0, 1], [1, 0], [1, 2], [1, 1], [3, 1]];
+                } else if (image.width * 4 === image.height * 3) {
+                    // Vertical cross: +Y above, -X +Z +X across, -Y then -Z below
+                    faceSize = image.width / 3;
+                    cells = [[2, 1], [0, 1], [1, 0], [1, 2], [1, 1], [1, 3]];
+                } else {
+                    throw new Error(`Image size ${image.width}x${image.height} is not a 4x3 or 3x4 cross layout`);
+                }
+
+                const verticalCross = image.height > image.width;
+                for (let face = 0; face < 6; face++) {
+                    const [column, row] = cells[face];
+                    const rotate = verticalCross && face === 5;
+                    faces.push(await this.cropImageAsync(image, column * faceSize, row * faceSize, faceSize, rotate));
+                }
+
+                return this.createTextureFromBitmaps(faces, options, 'cube');
+            } finally {
+                faces.forEach(bitmap => bitmap.close());
+                image.close();
+            }
+        } catch (error) {
+            throw new Error(`Failed to load cube texture from cross '${url}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a list of same-sized images into the layers of a 2D array texture
+     * @param {string[]} urls - Layer image URLs
+     * @param {object} options - Load options (format, flipY, premultipliedAlpha, colorSpace, usage, generateMipmaps, label)
+     * @returns {Promise<object>} Texture resource ID, size, layer count, format and mip level count
+     */
+    async loadTextureArrayFromUrlsAsync(urls, options) {
+        try {
+            if (!urls || urls.length === 0) {
+                throw new Error('At least one layer image is required');
+            }
+
+            const bitmaps = await this.decodeImagesFromUrlsAsync(urls);
+            try {
+                return this.createTextureFromBitmaps(bitmaps, options, '2d-array');
+            } finally {
+                bitmaps.forEach(bitmap => bitmap.close());
+            }
+        } catch (error) {
+            throw new Error(`Failed to load texture array: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load an encoded image (PNG, JPEG, WebP, etc.) from bytes into a new texture
+     * @param {Uint8Array} data - The encoded image bytes
+     * @param {object} options - Load options (mimeType, format, flipY, premultipliedAlpha, colorSpace, usage, label)
+     * @returns {Promise<object>} Texture resource ID, width, height and format
+     */
+    async loadTextureFromBytesAsync(data, options) {
+        try {
+            const blob = new Blob([data], { type: options?.mimeType || '' });
+            return await this.createTextureFromBlobAsync(blob, options);
+        } catch (error) {
+            throw new Error(`Failed to load texture from bytes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load an encoded image from a Blob or .NET stream reference into a new texture
+     * @param {Blob|object} source - A Blob, or a DotNetStreamReference exposing arrayBuffer()
+     * @param {object} options - Load options (mimeType, format, flipY, premultipliedAlpha, colorSpace, usage, label)
+     * @returns {Promise<object>} Texture resource ID, width, height and format
+     */
+    async loadTextureFromBlobAsync(source, options) {
+        try {
+            const blob = source instanceof Blob
+                ? source
+                : new Blob([await source.arrayBuffer()], { type: options?.mimeType || '' });
+            return await this.createTextureFromBlobAsync(blob, options);
+        } catch (error) {
+            throw new Error(`Failed to load texture from blob: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decode a Blob and copy it into a new texture
+     * @param {Blob} blob - The encoded image
+     * @param {object} options - Load options
+     * @returns {Promise<object>} Texture resource ID, width, height and format
+     */
+    async createTextureFromBlobAsync(blob, options) {
+        if (!this.device) {
+            throw new Error('Device not initialized');
+        }
+
+        const bitmap = await this.decodeImageAsync(blob);
+        try {
+            return this.createTextureFromBitmaps([bitmap], options, null);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Fetch a URL as a Blob
+     * @param {string} url - The URL
+     * @returns {Promise<Blob>} The response body
+     */
+    async fetchBlobAsync(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+        return await response.blob();
+    }
+
+    /**
+     * Decode an encoded image without colour conversion or alpha premultiplication.
+     * Both are left to copyExternalImageToTexture.
+     * @param {Blob} blob - The encoded image
+     * @returns {Promise<ImageBitmap>} The decoded image
+     */
+    async decodeImageAsync(blob) {
+        return await createImageBitmap(blob, {
+            colorSpaceConversion: 'none',
+            premultiplyAlpha: 'none'
+        });
+    }
+
+    /**
+     * Fetch and decode several images in parallel
+     * @param {string[]} urls - The image URLs
+     * @returns {Promise<ImageBitmap[]>} The decoded images, in URL order
+     */
+    async decodeImagesFromUrlsAsync(urls) {
+        const results = await Promise.allSettled(urls.map(async url => {
+            try {
+                return await this.decodeImageAsync(await this.fetchBlobAsync(url));
+            } catch (error) {
+                throw new Error(`'${url}': ${error.message}`);
+            }
+        }));
+
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            results
+                .filter(result => result.status === 'fulfilled')
+                .forEach(result => result.value.close());
+            throw failure.reason;
+        }
+        return results.map(result => result.value);
+    }
+
+    /**
+     * Crop a square region from an image, optionally rotating it by 180 degrees
+     * @param {ImageBitmap} image - The source image
+     * @param {number} x - Left edge of the region
+     * @param {number} y - Top edge of the region
+     * @param {number} size - Region width and height
+     * @param {boolean} rotate - Whether to rotate the region by 180 degrees
+     * @returns {Promise<ImageBitmap>} The cropped image
+     */
+    async cropImageAsync(image, x, y, size, rotate) {
+        if (!rotate) {
+            return await createImageBitmap(image, x, y, size, size, {
+                colorSpaceConversion: 'none',
+                premultiplyAlpha: 'none'
+            });
+        }
+
+        const canvas = new OffscreenCanvas(size, size);
+        const context = canvas.getContext('2d');
+        context.translate(size, size);
+        context.rotate(Math.PI);
+        context.drawImage(image, x, y, size, size, 0, 0, size, size);
+        return canvas.transferToImageBitmap();
+    }
+
+    /**
+     * Copy same-sized images into the layers of a new texture
+     * @param {ImageBitmap[]} bitmaps - One image per array layer
+     * @param {object} options - Load options (format, flipY, premultipliedAlpha, colorSpace, usage, generateMipmaps, label)
+     * @param {string|null} viewDimension - Default view dimension for the texture ('cube', '2d-array'), or null
+     * @returns {object} Texture resource ID, width, height, layer count, format and mip level count
+     */
+    createTextureFromBitmaps(bitmaps, options, viewDimension) {
+        const settings = options || {};
+        const width = bitmaps[0].width;
+        const height = bitmaps[0].height;
+
+        bitmaps.forEach((bitmap, layer) => {
+            if (bitmap.width !== width || bitmap.height !== height) {
+                throw new Error(`Layer ${layer} is ${bitmap.width}x${bitmap.height}, expected ${width}x${height}`);
+            }
+        });
+        if (viewDimension === 'cube' && width !== height) {
+            throw new Error(`Cube faces must be square, got ${width}x${height}`);
+        }
+
+        const format = settings.format || 'rgba8unorm';
+        const mipLevelCount = settings.generateMipmaps
+            ? this.getMipLevelCount(width, height)
+            : 1;
+        const texture = this.device.createTexture({
+            label: settings.label || undefined,
+            size: { width: width, height: height, depthOrArrayLayers: bitmaps.length },
+            format: format,
+            mipLevelCount: mipLevelCount,
+            usage: (settings.usage || 0) |
+                GPUTextureUsage.TEXTURE_BINDING |
+                GPUTextureUsage.COPY_DST |
+                GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        bitmaps.forEach((bitmap, layer) => {
+            this.device.queue.copyExternalImageToTexture(
+                { source: bitmap, flipY: settings.flipY || false },
+                {
+                    texture: texture,
+                    origin: { x: 0, y: 0, z: layer },
+                    colorSpace: settings.colorSpace || 'srgb',
+                    premultipliedAlpha: settings.premultipliedAlpha || false
+                },
+                { width: width, height: height }
+            );
+        });
+
+        if (mipLevelCount > 1) {
+            this.generateMipmapsForTexture(texture);
+        }
+
+        const textureId = this.storeResource(texture);
+        if (viewDimension) {
+            this.textureViewDimensions.set(textureId, viewDimension);
+        }
+
+        return {
+            textureId: textureId,
+            width: width,
+            height: height,
+            depthOrArrayLayers: bitmaps.length,
+            dimension: '2d',
+            viewDimension: viewDimension,
+            format: format,
+            mipLevelCount: mipLevelCount
+        };
+    }
+
+    /**
+     * Load a KTX2 or DDS texture container from a URL into a new texture
+     * @param {string} url - The container URL
+     * @param {object} options - Load options (usage, generateMipmaps, label)
+     * @returns {Promise<object>} Texture resource ID, size, dimension, format, mip level count and whether it was transcoded
+     */
+    async loadCompressedTextureFromUrlAsync(url, options) {
+        try {
+            const blob = await this.fetchBlobAsync(url);
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            return await this.createTextureFromContainerAsync(bytes, options);
+        } catch (error) {
+            throw new Error(`Failed to load compressed texture from URL '${url}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a KTX2 or DDS texture container from bytes into a new texture
+     * @param {Uint8Array} data - The container bytes
+     * @param {object} options - Load options (usage, generateMipmaps, label)
+     * @returns {Promise<object>} Texture resource ID, size, dimension, format, mip level count and whether it was transcoded
+     */
+    async loadCompressedTextureFromBytesAsync(data, options) {
+        try {
+            return await this.createTextureFromContainerAsync(data, options);
+        } catch (error) {
+            throw new Error(`Failed to load compressed texture from bytes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a texture container and upload it into a new texture
+     * @param {Uint8Array} bytes - The container bytes
+     * @param {object} options - Load options
+     * @returns {Promise<object>} Texture load result
+     */
+    async createTextureFromContainerAsync(bytes, options) {
+        if (!this.device) {
+            throw new Error('Device not initialized');
+        }
+
+        const container = await this.parseTextureContainerAsync(bytes);
+        return this.uploadTextureContainer(container, options);
+    }
+
+    /**
+     * Detect the container type from its magic bytes and parse it
+     * @param {Uint8Array} bytes - The container bytes
+     * @returns {Promise<object>} Format, size, dimension, default view dimension and per-level data
+     */
+    async parseTextureContainerAsync(bytes) {
+        const ktx2Identifier = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+        if (bytes.length >= 80 && ktx2Identifier.every((value, index) => bytes[index] === value)) {
+            return await this.parseKtx2Async(bytes);
+        }
+        if (bytes.length >= 128 && bytes[0] === 0x44 && bytes[1] === 0x44 && bytes[2] === 0x53 && bytes[3] === 0x20) {
+            return this.parseDds(bytes);
+        }
+        throw new Error('Unrecognized texture container (expected KTX2 or DDS)');
+    }
+
+    /**
+     * Parse a KTX2 container. Levels are stored smallest-last with all layers and faces of a level together.
+     * @param {Uint8Array} bytes - The container bytes
+     * @returns {Promise<object>} Parsed container
+     */
+    async parseKtx2Async(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const u32 = offset => view.getUint32(offset, true);
+        const u64 = offset => Number(view.getBigUint64(offset, true));
+
+        const vkFormat = u32(12);
+        const width = u32(20);
+        const height = Math.max(1, u32(24));
+        const depth = u32(28);
+        const layerCount = u32(32);
+        const faceCount = u32(36);
+        const levelCount = Math.max(1, u32(40));
+        const supercompression = u32(44);
+
+        if (vkFormat === 0) {
+            throw new Error('KTX2 Basis Universal payloads need a transcoder and are not supported');
+        }
+        const format = KTX2_VK_FORMATS[vkFormat];
+        if (!format) {
+            throw new Error(`Unsupported KTX2 vkFormat ${vkFormat}`);
+        }
+        if (supercompression !== 0 && supercompression !== 3) {
+            const schemes = { 1: 'BasisLZ', 2: 'Zstandard' };
+            throw new Error(`Unsupported KTX2 supercompression scheme '${schemes[supercompression] || supercompression}'`);
+        }
+        if (faceCount !== 1 && faceCount !== 6) {
+            throw new Error(`Invalid KTX2 face count ${faceCount}`);
+        }
+
+        const layers = Math.max(1, layerCount) * faceCount;
+        const levels = [];
+        for (let level = 0; level < levelCount; level++) {
+            const indexOffset = 80 + level * 24;
+            const byteOffset = u64(indexOffset);
+            const byteLength = u64(indexOffset + 8);
+            if (byteOffset + byteLength > bytes.length) {
+                throw new Error(`KTX2 level ${level} extends past the end of the file`);
+            }
+
+            let data = bytes.subarray(byteOffset, byteOffset + byteLength);
+            if (supercompression === 3) {
+                data = await this.inflateAsync(data);
+            }
+
+            levels.push({
+                width: Math.max(1, width >> level),
+                height: Math.max(1, height >> level),
+                depthOrArrayLayers: depth > 0 ? Math.max(1, depth >> level) : layers,
+                data: data
+            });
+        }
+
+        let viewDimension = null;
+        if (faceCount === 6) {
+            viewDimension = layerCount > 0 ? 'cube-array' : 'cube';
+        } else if (layerCount > 0) {
+            viewDimension = '2d-array';
+        }
+
+        return {
+            format: format,
+            width: width,
+            height: height,
+            depthOrArrayLayers: depth > 0 ? depth : layers,
+            dimension: depth > 0 ? '3d' : '2d',
+            viewDimension: viewDimension,
+            levels: levels
+        };
+    }
+
+    /**
+     * Decompress zlib data (KTX2 supercompression scheme 3)
+     * @param {Uint8Array} data - The compressed data
+     * @returns {Promise<Uint8Array>} The decompressed data
+     */
+    async inflateAsync(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Parse a DDS container (legacy or DX10 header). Each layer is stored with its full mip chain,
+     * so the data is regrouped by level to match the KTX2 layout.
+     * @param {Uint8Array} bytes - The container bytes
+     * @returns {object} Parsed container
+     */
+    parseDds(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const u32 = offset => view.getUint32(offset, true);
+
+        const height = u32(12);
+        const width = u32(16);
+        const depth = Math.max(1, u32(24));
+        const levelCount = Math.max(1, u32(28));
+        const pixelFormatFlags = u32(80);
+        const fourCC = u32(84);
+        const caps2 = u32(112);
+
+        const DDPF_FOURCC = 0x4;
+        const DDPF_RGB = 0x40;
+        const DDSCAPS2_CUBEMAP = 0x200;
+        const DDSCAPS2_VOLUME = 0x200000;
+
+        let format;
+        let dataOffset = 128;
+        let arraySize = 1;
+        let isCube = (caps2 & DDSCAPS2_CUBEMAP) !== 0;
+        let isVolume = (caps2 & DDSCAPS2_VOLUME) !== 0 && depth > 1;
+
+        if (pixelFormatFlags & DDPF_FOURCC) {
+            const code = String.fromCharCode(fourCC & 0xFF, (fourCC >> 8) & 0xFF, (fourCC >> 16) & 0xFF, (fourCC >>> 24) & 0xFF);
+            if (code === 'DX10') {
+                if (bytes.length < 148) {
+                    throw new Error('DDS DX10 header is truncated');
+                }
+                const dxgiFormat = u32(128);
+                format = DDS_DXGI_FORMATS[dxgiFormat];
+                if (!format) {
+                    throw new Error(`Unsupported DDS DXGI format ${dxgiFormat}`);
+                }
+                isVolume = u32(132) === 4; // D3D10_RESOURCE_DIMENSION_TEXTURE3D
+                isCube = (u32(136) & 0x4) !== 0; // D3D10_RESOURCE_MISC_TEXTURECUBE
+                arraySize = Math.max(1, u32(140));
+                dataOffset = 148;
+            } else {
+                format = DDS_FOURCC_FORMATS[code] || DDS_FOURCC_FORMATS[fourCC];
+                if (!format) {
+                    throw new Error(`Unsupported DDS FourCC '${code}'`);
+                }
+            }
+        } else if ((pixelFormatFlags & DDPF_RGB) && u32(88) === 32) {
+            const redMask = u32(92);
+            const blueMask = u32(100);
+            if (redMask === 0x000000FF && blueMask === 0x00FF0000) {
+                format = 'rgba8unorm';
+            } else if (redMask === 0x00FF0000 && blueMask === 0x000000FF) {
+                format = 'bgra8unorm';
+            } else {
+                throw new Error('Unsupported DDS 32-bit channel layout');
+            }
+        } else {
+            throw new Error('Unsupported DDS pixel format');
+        }
+
+        const block = this.getTextureFormatBlockInfo(format);
+        const layers = arraySize * (isCube ? 6 : 1);
+        const levelChunks = Array.from({ length: levelCount }, () => []);
+        let offset = dataOffset;
+
+        for (let layer = 0; layer < layers; layer++) {
+            for (let level = 0; level < levelCount; level++) {
+                const levelWidth = Math.max(1, width >> level);
+                const levelHeight = Math.max(1, height >> level);
+                const levelDepth = isVolume ? Math.max(1, depth >> level) : 1;
+                const size = Math.ceil(levelWidth / block.width) * Math.ceil(levelHeight / block.height) * block.bytes * levelDepth;
+                if (offset + size > bytes.length) {
+                    throw new Error(`DDS data for layer ${layer}, level ${level} extends past the end of the file`);
+                }
+                levelChunks[level].push(bytes.subarray(offset, offset + size));
+                offset += size;
+            }
+        }
+
+        const levels = levelChunks.map((chunks, level) => {
+            const data = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+            let position = 0;
+            for (const chunk of chunks) {
+                data.set(chunk, position);
+                position += chunk.length;
+            }
+            return {
+                width: Math.max(1, width >> level),
+                height: Math.max(1, height >> level),
+                depthOrArrayLayers: isVolume ? Math.max(1, depth >> level) : layers,
+                data: data
+            };
+        });
+
+        let viewDimension = null;
+        if (isCube) {
+            viewDimension = arraySize > 1 ? 'cube-array' : 'cube';
+        } else if (arraySize > 1) {
+            viewDimension = '2d-array';
+        }
+
+        return {
+            format: format,
+            width: width,
+            height: height,
+            depthOrArrayLayers: isVolume ? depth : layers,
+            dimension: isVolume ? '3d' : '2d',
+            viewDimension: viewDimension,
+            levels: levels
+        };
+    }
+
+    /**
+     * Upload a parsed container into a new texture. Compressed payloads are uploaded as-is when the device
+     * has the matching texture-compression-* feature; otherwise BC1-BC5 are decoded to RGBA8 and anything
+     * else is rejected.
+     * @param {object} container - Parsed container
+     * @param {object} options - Load options (usage, generateMipmaps, label)
+     * @returns {object} Texture resource ID, size, dimension, format, mip level count and whether it was transcoded
+     */
+    uploadTextureContainer(container, options) {
+        const settings = options || {};
+        let format = container.format;
+        let levels = container.levels;
+        let transcoded = false;
+
+        const feature = this.getTextureFormatFeature(format);
+        if (feature && !this.device.features.has(feature)) {
+            if (!BC_SOFTWARE_DECODE_FORMATS.has(format)) {
+                throw new Error(`Format '${format}' needs the '${feature}' feature, which this device does not support, and has no software fallback`);
+            }
+            levels = levels.map(level => ({
+                ...level,
+                data: this.decodeBcImage(format, level.data, level.width, level.height, level.depthOrArrayLayers)
+            }));
+            format = format.endsWith('-srgb') ? 'rgba8unorm-srgb' : 'rgba8unorm';
+            transcoded = true;
+        }
+
+        const block = this.getTextureFormatBlockInfo(format);
+        if (container.width % block.width !== 0 || container.height % block.height !== 0) {
+            throw new Error(`Texture size ${container.width}x${container.height} is not a multiple of the ${block.width}x${block.height} block size of '${format}'`);
+        }
+
+        const renderable = ['r8unorm', 'rg8unorm', 'rgba8unorm', 'rgba8unorm-srgb', 'bgra8unorm', 'bgra8unorm-srgb', 'rgba16float'];
+        const generateMipmaps = settings.generateMipmaps && levels.length === 1 &&
+            container.dimension === '2d' && renderable.includes(format);
+        const mipLevelCount = generateMipmaps
+            ? this.getMipLevelCount(container.width, container.height)
+            : levels.length;
+
+        const texture = this.device.createTexture({
+            label: settings.label || undefined,
+            size: { width: container.width, height: container.height, depthOrArrayLayers: container.depthOrArrayLayers },
+            format: format,
+            dimension: container.dimension,
+            mipLevelCount: mipLevelCount,
+            usage: (settings.usage || 0) |
+                GPUTextureUsage.TEXTURE_BINDING |
+                GPUTextureUsage.COPY_DST |
+                (generateMipmaps ? GPUTextureUsage.RENDER_ATTACHMENT : 0)
+        });
+
+        levels.forEach((level, mipLevel) => {
+            const blocksWide = Math.ceil(level.width / block.width);
+            const blocksHigh = Math.ceil(level.height / block.height);
+            this.device.queue.writeTexture(
+                { texture: texture, mipLevel: mipLevel },
+                level.data,
+                { bytesPerRow: blocksWide * block.bytes, rowsPerImage: blocksHigh },
+                { width: blocksWide * block.width, height: blocksHigh * block.height, depthOrArrayLayers: level.depthOrArrayLayers }
+            );
+        });
+
+        if (generateMipmaps) {
+            this.generateMipmapsForTexture(texture);
+        }
+
+        const textureId = this.storeResource(texture);
+        if (container.viewDimension) {
+            this.textureViewDimensions.set(textureId, container.viewDimension);
+        }
+
+        return {
+            textureId: textureId,
+            width: container.width,
+            height: container.height,
+            depthOrArrayLayers: container.depthOrArrayLayers,
+            dimension: container.dimension,
+            viewDimension: container.viewDimension,
+            format: format,
+            mipLevelCount: mipLevelCount,
+            transcoded: transcoded
+        };
+    }
+
+    /**
+     * Get the block footprint of a texture format (1x1 for uncompressed formats)
+     * @param {string} format - The texture format
+     * @returns {object} Block width, height and size in bytes
+     */
+    getTextureFormatBlockInfo(format) {
+        const astc = /^astc-(\d+)x(\d+)-/.exec(format);
+        if (astc) {
+            return { width: Number(astc[1]), height: Number(astc[2]), bytes: 16 };
+        }
+        if (/^(bc1|bc4|etc2-rgb8|eac-r11)/.test(format)) {
+            return { width: 4, height: 4, bytes: 8 };
+        }
+        if (/^(bc|etc2|eac)/.test(format)) {
+            return { width: 4, height: 4, bytes: 16 };
+        }
+
+        const texelBytes = UNCOMPRESSED_TEXEL_BYTES[format];
+        if (!texelBytes) {
+            throw new Error(`Unsupported texture format '${format}'`);
+        }
+        return { width: 1, height: 1, bytes: texelBytes };
+    }
+
+    /**
+     * Get the device feature a compressed texture format needs
+     * @param {string} format - The texture format
+     * @returns {string|null} The feature name, or null for uncompressed formats
+     */
+    getTextureFormatFeature(format) {
+        if (format.startsWith('bc')) {
+            return 'texture-compression-bc';
+        }
+        if (format.startsWith('etc2') || format.startsWith('eac')) {
+            return 'texture-compression-etc2';
+        }
+        if (format.startsWith('astc')) {
+            return 'texture-compression-astc';
+        }
+        return null;
+    }
+
+    /**
+     * Decode BC1-BC5 blocks into tightly packed RGBA8 texels
+     * @param {string} format - The BC format
+     * @param {Uint8Array} data - Block data for every layer of the level
+     * @param {number} width - Level width in texels
+     * @param {number} height - Level height in texels
+     * @param {number} layers - Layer (or depth slice) count
+     * @returns {Uint8Array} RGBA8 texels
+     */
+    decodeBcImage(format, data, width, height, layers) {
+        const kind = format.slice(0, 3);
+        const blockBytes = kind === 'bc1' || kind === 'bc4' ? 8 : 16;
+        const blocksWide = Math.ceil(width / 4);
+        const blocksHigh = Math.ceil(height / 4);
+        const output = new Uint8Array(width * height * 4 * layers);
+        const block = new Uint8Array(64);
+
+        for (let layer = 0; layer < layers; layer++) {
+            for (let blockY = 0; blockY < blocksHigh; blockY++) {
+                for (let blockX = 0; blockX < blocksWide; blockX++) {
+                    const offset = ((layer * blocksHigh + blockY) * blocksWide + blockX) * blockBytes;
+                    block.fill(255);
+
+                    switch (kind) {
+                        case 'bc1':
+                            this.decodeBcColorBlock(data, offset, block, true);
+                            break;
+                        case 'bc2':
+                            this.decodeBcColorBlock(data, offset + 8, block, false);
+                            for (let i = 0; i < 16; i++) {
+                                const nibble = (data[offset + (i >> 1)] >> ((i & 1) * 4)) & 0xF;
+                                block[i * 4 + 3] = nibble * 17;
+                            }
+                            break;
+                        case 'bc3':
+                            this.decodeBcColorBlock(data, offset + 8, block, false);
+                            this.decodeBcChannelBlock(data, offset, block, 3);
+                            break;
+                        case 'bc4':
+                            this.decodeBcChannelBlock(data, offset, block, 0);
+                            for (let i = 0; i < 16; i++) {
+                                block[i * 4 + 1] = 0;
+                                block[i * 4 + 2] = 0;
+                            }
+                            break;
+                        case 'bc5':
+                            this.decodeBcChannelBlock(data, offset, block, 0);
+                            this.decodeBcChannelBlock(data, offset + 8, block, 1);
+                            for (let i = 0; i < 16; i++) {
+                                block[i * 4 + 2] = 0;
+                            }
+                            break;
+                        default:
+                            throw new Error(`No software decoder for '${format}'`);
+                    }
+
+                    for (let y = 0; y < 4 && blockY * 4 + y < height; y++) {
+                        for (let x = 0; x < 4 && blockX * 4 + x < width; x++) {
+                            const target = ((layer * height + blockY * 4 + y) * width + blockX * 4 + x) * 4;
+                            output.set(block.subarray((y * 4 + x) * 4, (y * 4 + x) * 4 + 4), target);
+                        }
+                    }
+                }
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode a BC1-style RGB565 color block into the RGB channels of 16 RGBA texels
+     * @param {Uint8Array} data - Block data
+     * @param {number} offset - Offset of the color block
+     * @param {Uint8Array} block - 16 RGBA texels to fill
+     * @param {boolean} allowTransparent - Whether color0 <= color1 selects the 3-color + transparent mode (BC1 only)
+     */
+    decodeBcColorBlock(data, offset, block, allowTransparent) {
+        const color0 = data[offset] | (data[offset + 1] << 8);
+        const color1 = data[offset + 2] | (data[offset + 3] << 8);
+        const expand = color => {
+            const r = (color >> 11) & 0x1F;
+            const g = (color >> 5) & 0x3F;
+            const b = color & 0x1F;
+            return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2), 255];
+        };
+
+        const c0 = expand(color0);
+        const c1 = expand(color1);
+        const palette = [c0, c1];
+        if (color0 > color1 || !allowTransparent) {
+            palette.push(c0.map((value, i) => i === 3 ? 255 : Math.floor((2 * value + c1[i]) / 3)));
+            palette.push(c0.map((value, i) => i === 3 ? 255 : Math.floor((value + 2 * c1[i]) / 3)));
+        } else {
+            palette.push(c0.map((value, i) => i === 3 ? 255 : Math.floor((value + c1[i]) / 2)));
+            palette.push([0, 0, 0, 0]);
+        }
+
+        const indices = (data[offset + 4] | (data[offset + 5] << 8) | (data[offset + 6] << 16) | (data[offset + 7] << 24)) >>> 0;
+        for (let i = 0; i < 16; i++) {
+            const color = palette[(indices >>> (i * 2)) & 0x3];
+            block[i * 4] = color[0];
+            block[i * 4 + 1] = color[1];
+            block[i * 4 + 2] = color[2];
+            if (allowTransparent) {
+                block[i * 4 + 3] = color[3];
+            }
+        }
+    }
+
+    /**
+     * Decode a BC4-style single channel block into one channel of 16 RGBA texels
+     * @param {Uint8Array} data - Block data
+     * @param {number} offset - Offset of the channel block
+     * @param {Uint8Array} block - 16 RGBA texels to fill
+     * @param {number} channel - Channel index (0-3) to write
+     */
+    decodeBcChannelBlock(data, offset, block, channel) {
+        const value0 = data[offset];
+        const value1 = data[offset + 1];
+        const palette = [value0, value1];
+        if (value0 > value1) {
+            for (let i = 1; i <= 6; i++) {
+                palette.push(Math.floor(((7 - i) * value0 + i * value1) / 7));
+            }
+        } else {
+            for (let i = 1; i <= 4; i++) {
+                palette.push(Math.floor(((5 - i) * value0 + i * value1) / 5));
+            }
+            palette.push(0, 255);
+        }
+
+        const low = data[offset + 2] | (data[offset + 3] << 8) | (data[offset + 4] << 16);
+        const high = data[offset + 5] | (data[offset + 6] << 8) | (data[offset + 7] << 16);
+        for (let i = 0; i < 16; i++) {
+            const index = i < 8 ? (low >> (i * 3)) & 0x7 : (high >> ((i - 8) * 3)) & 0x7;
+            block[i * 4 + channel] = palette[index];
+        }
+    }
+
+    /**
+     * Load a Radiance .hdr (RGBE) image from a URL into a new float texture
+     * @param {string} url - The image URL
+     * @param {object} options - Load options (format 'rgba16float' or 'rgba32float', flipY, usage, generateMipmaps, label)
+     * @returns {Promise<object>} Texture resource ID, size, format and mip level count
+     */
+    async loadHdrTextureFromUrlAsync(url, options) {
+        try {
+            const blob = await this.fetchBlobAsync(url);
+            return this.createTextureFromHdr(new Uint8Array(await blob.arrayBuffer()), options);
+        } catch (error) {
+            throw new Error(`Failed to load HDR texture from URL '${url}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a Radiance .hdr (RGBE) image from bytes into a new float texture
+     * @param {Uint8Array} data - The .hdr file bytes
+     * @param {object} options - Load options (format 'rgba16float' or 'rgba32float', flipY, usage, generateMipmaps, label)
+     * @returns {object} Texture resource ID, size, format and mip level count
+     */
+    loadHdrTextureFromBytes(data, options) {
+        try {
+            return this.createTextureFromHdr(data, options);
+        } catch (error) {
+            throw new Error(`Failed to load HDR texture from bytes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decode RGBE data and upload it into a new float texture
+     * @param {Uint8Array} bytes - The .hdr file bytes
+     * @param {object} options - Load options
+     * @returns {object} Texture load result
+     */
+    createTextureFromHdr(bytes, options) {
+        if (!this.device) {
+            throw new Error('Device not initialized');
+        }
+
+        const settings = options || {};
+        const format = settings.format || 'rgba16float';
+        if (format !== 'rgba16float' && format !== 'rgba32float') {
+            throw new Error(`HDR textures must be rgba16float or rgba32float, got '${format}'`);
+        }
+
+        const generateMipmaps = !!settings.generateMipmaps;
+        if (generateMipmaps && !this.isFormatFilterable(format)) {
+            throw new Error(`Generating mipmaps for '${format}' needs the 'float32-filterable' feature`);
+        }
+
+        const image = this.parseRgbe(bytes, settings.flipY || false);
+        const data = format === 'rgba16float' ? this.toHalfFloats(image.texels) : image.texels;
+        const mipLevelCount = generateMipmaps ? this.getMipLevelCount(image.width, image.height) : 1;
+
+        const texture = this.device.createTexture({
+            label: settings.label || undefined,
+            size: { width: image.width, height: image.height, depthOrArrayLayers: 1 },
+            format: format,
+            mipLevelCount: mipLevelCount,
+            usage: (settings.usage || 0) |
+                GPUTextureUsage.TEXTURE_BINDING |
+                GPUTextureUsage.COPY_DST |
+                (generateMipmaps ? GPUTextureUsage.RENDER_ATTACHMENT : 0)
+        });
+
+        this.device.queue.writeTexture(
+            { texture: texture },
+            data,
+            { bytesPerRow: image.width * (format === 'rgba16float' ? 8 : 16), rowsPerImage: image.height },
+            { width: image.width, height: image.height, depthOrArrayLayers: 1 }
+        );
+
+        if (generateMipmaps) {
+            this.generateMipmapsForTexture(texture);
+        }
+
+        return {
+            textureId: this.storeResource(texture),
+            width: image.width,
+            height: image.height,
+            depthOrArrayLayers: 1,
+            dimension: '2d',
+            viewDimension: null,
+            format: format,
+            mipLevelCount: mipLevelCount
+        };
+    }
+
+    /**
+     * Parse a Radiance .hdr file (32-bit_rle_rgbe, flat or new-style run-length encoded scanlines)
+     * @param {Uint8Array} bytes - The .hdr file bytes
+     * @param {boolean} flipY - Whether to store the rows bottom-up
+     * @returns {object} Width, height and linear RGBA float texels (alpha is 1)
+     */
+    parseRgbe(bytes, flipY) {
+        let position = 0;
+        const readLine = () => {
+            let end = position;
+            while (end < bytes.length && bytes[end] !== 0x0A) {
+                end++;
+            }
+            if (end >= bytes.length) {
+                throw new Error('Unexpected end of HDR header');
+            }
+            const line = new TextDecoder('latin1').decode(bytes.subarray(position, end));
+            position = end + 1;
+            return line.trim();
+        };
+
+        if (!readLine().startsWith('#?')) {
+            throw new Error('Missing #?RADIANCE signature');
+        }
+
+        for (let line = readLine(); line !== ''; line = readLine()) {
+            if (line.startsWith('FORMAT=') && line !== 'FORMAT=32-bit_rle_rgbe') {
+                throw new Error(`Unsupported HDR pixel format '${line.slice(7)}' (only 32-bit_rle_rgbe is supported)`);
+            }
+        }
+
+        const resolution = /^([-+])Y\s+(\d+)\s+\+X\s+(\d+)$/.exec(readLine());
+        if (!resolution) {
+            throw new Error('Unsupported HDR resolution line (expected "-Y height +X width")');
+        }
+
+        const height = Number(resolution[2]);
+        const width = Number(resolution[3]);
+        // '-Y' stores rows top-down, '+Y' bottom-up
+        const bottomUp = (resolution[1] === '+') !== flipY;
+
+        const texels = new Float32Array(width * height * 4);
+        const scanline = new Uint8Array(width * 4);
+        for (let y = 0; y < height; y++) {
+            position = this.readRgbeScanline(bytes, position, scanline, width);
+
+            const row = bottomUp ? height - 1 - y : y;
+            for (let x = 0; x < width; x++) {
+                const source = x * 4;
+                const target = (row * width + x) * 4;
+                const exponent = scanline[source + 3];
+                // Radiance decoding: (mantissa + 0.5) * 2^(exponent - 136)
+                const scale = exponent === 0 ? 0 : Math.pow(2, exponent - 136);
+                texels[target] = exponent === 0 ? 0 : (scanline[source] + 0.5) * scale;
+                texels[target + 1] = exponent === 0 ? 0 : (scanline[source + 1] + 0.5) * scale;
+                texels[target + 2] = exponent === 0 ? 0 : (scanline[source + 2] + 0.5) * scale;
+                texels[target + 3] = 1;
+            }
+        }
+
+        return { width: width, height: height, texels: texels };
+    }
+
+    /**
+     * Read one RGBE scanline, expanding new-style run-length encoding
+     * @param {Uint8Array} bytes - The .hdr file bytes
+     * @param {number} position - Offset of the scanline
+     * @param {Uint8Array} scanline - Receives width RGBE quadruplets
+     * @param {number} width - Scanline width in pixels
+     * @returns {number} Offset of the next scanline
+     */
+    readRgbeScanline(bytes, position, scanline, width) {
+        const encoded = width >= 8 && width < 32768 && position + 4 <= bytes.length &&
+            bytes[position] === 2 && bytes[position + 1] === 2 && (bytes[position + 2] & 0x80) === 0;
+
+        if (!encoded) {
+            if (position + width * 4 > bytes.length) {
+                throw new Error('Unexpected end of HDR pixel data');
+            }
+            scanline.set(bytes.subarray(position, position + width * 4));
+            return position + width * 4;
+        }
+
+        if (((bytes[position + 2] << 8) | bytes[position + 3]) !== width) {
+            throw new Error('HDR scanline width does not match the image width');
+        }
+        position += 4;
+
+        // Each channel is run-length encoded separately
+        for (let channel = 0; channel < 4; channel++) {
+            let x = 0;
+            while (x < width) {
+                if (position >= bytes.length) {
+                    throw new Error('Unexpected end of HDR pixel data');
+                }
+
+                let count = bytes[position++];
+                if (count > 128) {
+                    count -= 128;
+                    if (x + count > width) {
+                        throw new Error('Corrupt HDR run length data');
+                    }
+                    const value = bytes[position++];
+                    for (let i = 0; i < count; i++) {
+                        scanline[(x++) * 4 + channel] = value;
+                    }
+                } else {
+                    if (count === 0 || x + count > width || position + count > bytes.length) {
+                        throw new Error('Corrupt HDR run length data');
+                    }
+                    for (let i = 0; i < count; i++) {
+                        scanline[(x++) * 4 + channel] = bytes[position++];
+                    }
+                }
+            }
+        }
+
+        return position;
+    }
+
+    /**
+     * Convert 32-bit floats to 16-bit half floats (round to nearest, clamped to the half range)
+     * @param {Float32Array} values - The values to convert
+     * @returns {Uint16Array} Half float bit patterns
+     */
+    toHalfFloats(values) {
+        const floatView = new Float32Array(1);
+        const bitsView = new Uint32Array(floatView.buffer);
+        const halves = new Uint16Array(values.length);
+
+        for (let i = 0; i < values.length; i++) {
+            floatView[0] = values[i];
+            const bits = bitsView[0];
+            const sign = (bits >>> 16) & 0x8000;
+            const exponent = ((bits >>> 23) & 0xFF) - 127 + 15;
+            const mantissa = bits & 0x7FFFFF;
+
+            if (exponent >= 31) {
+                halves[i] = sign | 0x7BFF; // Largest finite half
+            } else if (exponent <= 0) {
+                if (exponent < -10) {
+                    halves[i] = sign;
+                } else {
+                    const fullMantissa = mantissa | 0x800000;
+                    const shift = 14 - exponent;
+                    halves[i] = (sign | (fullMantissa >> shift)) + ((fullMantissa >> (shift - 1)) & 1);
+                }
+            } else {
+                const half = sign | (exponent << 10) | (mantissa >> 13);
+                halves[i] = Math.min(half + ((mantissa >> 12) & 1), sign | 0x7BFF);
+            }
+        }
+
+        return halves;
+    }
+
+    /**
+     * Whether textures of a format can be sampled with a filtering sampler on this device
+     * @param {string} format - The texture format
+     * @returns {boolean} True if the format is filterable
+     */
+    isFormatFilterable(format) {
+        return !format.includes('32float') || this.device.features.has('float32-filterable');
+    }
+
+    /**
+     * Render an equirectangular (longitude/latitude) texture into the six faces of a new cube texture
+     * @param {number} textureId - The equirectangular source texture resource ID
+     * @param {object} options - Conversion options (faceSize, format, usage, generateMipmaps, label)
+     * @returns {object} Cube texture resource ID, face size, format and mip level count
+     */
+    convertEquirectangularToCubemap(textureId, options) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const source = this.getResource(textureId, 'texture');
+            if (source.dimension !== '2d') {
+                throw new Error(`Source texture must be 2d, got '${source.dimension}'`);
+            }
+
+            const settings = options || {};
+            const format = settings.format || source.format;
+            const faceSize = settings.faceSize || Math.max(1, Math.floor(source.height / 2));
+            const generateMipmaps = !!settings.generateMipmaps;
+            if (generateMipmaps && !this.isFormatFilterable(format)) {
+                throw new Error(`Generating mipmaps for '${format}' needs the 'float32-filterable' feature`);
+            }
+
+            const mipLevelCount = generateMipmaps ? this.getMipLevelCount(faceSize, faceSize) : 1;
+            const cube = this.device.createTexture({
+                label: settings.label || undefined,
+                size: { width: faceSize, height: faceSize, depthOrArrayLayers: 6 },
+                format: format,
+                mipLevelCount: mipLevelCount,
+                usage: (settings.usage || 0) |
+                    GPUTextureUsage.TEXTURE_BINDING |
+                    GPUTextureUsage.COPY_DST |
+                    GPUTextureUsage.RENDER_ATTACHMENT
+            });
+
+            // Unfilterable sources (rgba32float without float32-filterable) are point sampled
+            const filterable = this.isFormatFilterable(source.format);
+            const { pipeline, bindGroupLayout } = this.getEquirectangularPipeline(format, filterable);
+            const bindGroup = this.device.createBindGroup({
+                layout: bindGroupLayout,
+                entries: [
+                    {
+                        binding: 0,
+                        resource: this.device.createSampler({
+                            magFilter: filterable ? 'linear' : 'nearest',
+                            minFilter: filterable ? 'linear' : 'nearest',
+                            addressModeU: 'repeat',
+                            addressModeV: 'clamp-to-edge'
+                        })
+                    },
+                    { binding: 1, resource: source.createView({ dimension: '2d', baseMipLevel: 0, mipLevelCount: 1 }) }
+                ]
+            });
+
+            const encoder = this.device.createCommandEncoder({ label: 'Equirectangular to cube map' });
+            for (let face = 0; face < 6; face++) {
+                const pass = encoder.beginRenderPass({
+                    colorAttachments: [{
+                        view: cube.createView({
+                            dimension: '2d',
+                            baseMipLevel: 0,
+                            mipLevelCount: 1,
+                            baseArrayLayer: face,
+                            arrayLayerCount: 1
+                        }),
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                        clearValue: { r: 0, g: 0, b: 0, a: 1 }
+                    }]
+                });
+                pass.setPipeline(pipeline);
+                pass.setBindGroup(0, bindGroup);
+                // The face index reaches the shader as the instance index
+                pass.draw(3, 1, 0, face);
+                pass.end();
+            }
+            this.device.queue.submit([encoder.finish()]);
+
+            if (generateMipmaps) {
+                this.generateMipmapsForTexture(cube);
+            }
+
+            const cubeId = this.storeResource(cube);
+            this.textureViewDimensions.set(cubeId, 'cube');
+
+            return {
+                textureId: cubeId,
+                width: faceSize,
+                height: faceSize,
+                depthOrArrayLayers: 6,
+                dimension: '2d',
+                viewDimension: 'cube',
+                format: format,
+                mipLevelCount: mipLevelCount
+            };
+        } catch (error) {
+            throw new Error(`Failed to convert equirectangular texture to cube map: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get (or create and cache) the pipeline that projects an equirectangular texture onto cube faces
+     * @param {string} format - The cube texture format
+     * @param {boolean} filterable - Whether the source texture can be sampled with filtering
+     * @returns {object} The render pipeline and its bind group layout
+     */
+    getEquirectangularPipeline(format, filterable) {
+        const key = `${format}|${filterable}`;
+        let cached = this.equirectangularPipelines.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        if (!this.equirectangularShaderModule) {
+            this.equirectangularShaderModule = this.device.createShaderModule({
+                label: 'Equirectangular to cube map shader',
+                code: `
+                    struct VertexOutput {
+                        @builtin(position) position: vec4f,
+                        @location(0) uv: vec2f,
+                        @location(1) @interpolate(flat) face: u32,
+                    };
+
+                    @vertex
+                    fn vs(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) face: u32) -> VertexOutput {
+                        // Full-screen triangle
+                        let uv = vec2f(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+                        var output: VertexOutput;
+                        output.position = vec4f(uv * vec2f(2.0, -2.0) + vec2f(-1.0, 1.0), 0.0, 1.0);
+                        output.uv = uv;
+                        output.face = face;
+                        return output;
+                    }
+
+                    @group(0) @binding(0) var sourceSampler: sampler;
+                    @group(0) @binding(1) var sourceTexture: texture_2d<f32>;
+
+                    const PI = 3.14159265359;
+
+                    // Direction through a texel of a cube face (+X, -X, +Y, -Y, +Z, -Z)
+                    fn faceDirection(face: u32, uv: vec2f) -> vec3f {
+                        let st = uv * 2.0 - 1.0;
+                        switch face {
+                            case 0u: { return vec3f(1.0, -st.y, -st.x); }
+                            case 1u: { return vec3f(-1.0, -st.y, st.x); }
+                            case 2u: { return vec3f(st.x, 1.0, st.y); }
+                            case 3u: { return vec3f(st.x, -1.0, -st.y); }
+                            case 4u: { return vec3f(st.x, -st.y, 1.0); }
+                            default: { return vec3f(-st.x, -st.y, -1.0); }
+                        }
+                    }
+
+                    @fragment
+                    fn fs(input: VertexOutput) -> @location(0) vec4f {
+                        let direction = normalize(faceDirection(input.face, input.uv));
+                        let longitude = atan2(direction.z, direction.x);
+                        let latitude = asin(clamp(direction.y, -1.0, 1.0));
+                        let uv = vec2f(longitude / (2.0 * PI) + 0.5, 0.5 - latitude / PI);
+                        return vec4f(textureSampleLevel(sourceTexture, sourceSampler, uv, 0.0).rgb, 1.0);
+                    }
+                `
+            });
+        }
+
+        const bindGroupLayout = this.device.createBindGroupLayout({
+            label: 'Equirectangular to cube map bind group layout',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: { type: filterable ? 'filtering' : 'non-filtering' } },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: filterable ? 'float' : 'unfilterable-float' } }
+            ]
+        });
+
+        const pipeline = this.device.createRenderPipeline({
+            label: `Equirectangular to cube map pipeline (${format})`,
+            layout: this.device.createPipelineLayout({ bindGroupLayouts: [bindGroupLayout] }),
+            vertex: { module: this.equirectangularShaderModule, entryPoint: 'vs' },
+            fragment: { module: this.equirectangularShaderModule, entryPoint: 'fs', targets: [{ format: format }] },
+            primitive: { topology: 'triangle-list' }
+        });
+
+        cached = { pipeline: pipeline, bindGroupLayout: bindGroupLayout };
+        this.equirectangularPipelines.set(key, cached);
+        return cached;
+    }
+
+    /**
+     * Register an existing <video> element as a video texture source
+     * @param {HTMLVideoElement|string} element - The video element, or its element ID
+     * @returns {object} Video source resource ID and current frame size
+     */
+    createVideoSource(element) {
+        try {
+            const video = typeof element === 'string' ? document.getElementById(element) : element;
+            if (!(video instanceof HTMLVideoElement)) {
+                throw new Error(typeof element === 'string'
+                    ? `No <video> element with ID '${element}' found`
+                    : 'Element is not a <video> element');
+            }
+
+            return this.describeVideoSource(this.storeResource(new VideoTextureSource(video, null, false)));
+        } catch (error) {
+            throw new Error(`Failed to create video source: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a hidden <video> element that plays a clip and register it as a video texture source
+     * @param {string} url - The video URL
+     * @param {object} options - Playback options (loop, muted; both default to true)
+     * @returns {Promise<object>} Video source resource ID and frame size
+     */
+    async createVideoSourceFromUrlAsync(url, options) {
+        try {
+            const settings = options || {};
+            const video = document.createElement('video');
+            video.crossOrigin = 'anonymous';
+            video.loop = settings.loop ?? true;
+            video.muted = settings.muted ?? true;
+            video.playsInline = true;
+            video.src = url;
+            await video.play();
+
+            return this.describeVideoSource(this.storeResource(new VideoTextureSource(video, null, true)));
+        } catch (error) {
+            throw new Error(`Failed to create video source from URL '${url}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a camera MediaStream, play it in a hidden <video> element and register it as a video texture source
+     * @param {object} constraints - getUserMedia constraints (default: { video: true, audio: false })
+     * @returns {Promise<object>} Video source resource ID and frame size
+     */
+    async createVideoSourceFromCameraAsync(constraints) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia(constraints || { video: true, audio: false });
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.srcObject = stream;
+
+            try {
+                await video.play();
+            } catch (error) {
+                stream.getTracks().forEach(track => track.stop());
+                throw error;
+            }
+
+            return this.describeVideoSource(this.storeResource(new VideoTextureSource(video, stream, true)));
+        } catch (error) {
+            throw new Error(`Failed to create camera video source: ${error.message}`);
+        }
+    }
+
+    /**
+     * Describe a video source for the C# layer
+     * @param {number} sourceId - The video source resource ID
+     * @returns {object} Video source resource ID and frame size
+     */
+    describeVideoSource(sourceId) {
+        const source = this.getResource(sourceId, 'video source');
+        return {
+            sourceId: sourceId,
+            width: source.video.videoWidth,
+            height: source.video.videoHeight
+        };
+    }
+
+    /**
+     * Copy the current video frame into the source's rgba8unorm texture, for shaders that sample texture_2d.
+     * The texture is recreated when the frame size changes, so bind groups made from it must then be rebuilt.
+     * @param {number} sourceId - The video source resource ID
+     * @returns {object} Texture resource ID (stable for the life of the source) and frame size
+     */
+    updateVideoTexture(sourceId) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const source = this.getResource(sourceId, 'video source');
+            if (!source.isReady) {
+                throw new Error('The video has no frame to copy yet');
+            }
+
+            this.copyVideoFrame(source);
+            return {
+                textureId: source.textureId,
+                width: source.texture.width,
+                height: source.texture.height
+            };
+        } catch (error) {
+            throw new Error(`Failed to update video texture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy the current video frame into the source's texture, recreating it when the frame size changes
+     * @param {VideoTextureSource} source - The video source
+     */
+    copyVideoFrame(source) {
+        const width = source.video.videoWidth;
+        const height = source.video.videoHeight;
+
+        if (!source.texture || source.texture.width !== width || source.texture.height !== height) {
+            if (source.texture) {
+                source.texture.destroy();
+            }
+            source.texture = this.device.createTexture({
+                label: 'Video frame',
+                size: { width: width, height: height, depthOrArrayLayers: 1 },
+                format: 'rgba8unorm',
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+            });
+            source.copiedTime = -1;
+
+            // Keep the texture ID stable so C# references survive a resize. Bind groups and views made from
+            // the old texture still point at the destroyed texture and must be rebuilt by the caller.
+            if (source.textureId === null) {
+                source.textureId = this.storeResource(source.texture, false); // Owned by the video source
+            } else {
+                this.resources.set(source.textureId, source.texture);
+            }
+        }
+
+        // Live streams are always copied; clips only when playback has moved on
+        if (source.stream || source.video.currentTime !== source.copiedTime) {
+            this.device.queue.copyExternalImageToTexture(
+                { source: source.video },
+                { texture: source.texture },
+                { width: width, height: height }
+            );
+            source.copiedTime = source.video.currentTime;
+        }
+    }
+
+    /**
+     * Get the binding resource for the current frame of a video source: an imported GPUExternalTexture
+     * where supported, otherwise a view of a texture the frame is copied into (a texture view can also
+     * be bound to a texture_external binding). Before the first frame arrives a 1x1 black texture is used.
+     * @param {VideoTextureSource} source - The video source
+     * @returns {GPUExternalTexture|GPUTextureView} The binding resource
+     */
+    getVideoBindingResource(source) {
+        if (!source.isReady) {
+            return this.getPlaceholderTextureView();
+        }
+
+        if (!source.externalTexture && typeof this.device.importExternalTexture === 'function' && !source.importFailed) {
+            try {
+                source.externalTexture = this.device.importExternalTexture({ source: source.video });
+                this.expireExternalTextureAfterTask(source);
+            } catch (error) {
+                source.importFailed = true;
+                console.warn(`importExternalTexture failed, copying video frames instead: ${error.message}`);
+            }
+        }
+
+        if (source.externalTexture) {
+            return source.externalTexture;
+        }
+
+        this.copyVideoFrame(source);
+        return source.texture.createView();
+    }
+
+    /**
+     * Forget a source's imported external texture once the current task finishes, so the next frame re-imports it
+     * @param {VideoTextureSource} source - The video source
+     */
+    expireExternalTextureAfterTask(source) {
+        this.expiringVideoSources.add(source);
+        if (this.expiringVideoSources.size === 1) {
+            setTimeout(() => {
+                this.expiringVideoSources.forEach(expiring => {
+                    expiring.externalTexture = null;
+                });
+                this.expiringVideoSources.clear();
+            }, 0);
+        }
+    }
+
+    /**
+     * Get a view of a 1x1 black texture used while a video has no frame
+     * @returns {GPUTextureView} The placeholder view
+     */
+    getPlaceholderTextureView() {
+        if (!this.placeholderTexture) {
+            this.placeholderTexture = this.device.createTexture({
+                label: 'Video placeholder',
+                size: { width: 1, height: 1, depthOrArrayLayers: 1 },
+                format: 'rgba8unorm',
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+            });
+            this.device.queue.writeTexture(
+                { texture: this.placeholderTexture },
+                new Uint8Array([0, 0, 0, 255]),
+                { bytesPerRow: 4 },
+                { width: 1, height: 1 }
+            );
+        }
+        return this.placeholderTexture.createView();
+    }
+
+    /**
+     * Stop a video source's stream, detach any element it created and destroy its frame texture
+     * @param {VideoTextureSource} source - The video source
+     */
+    disposeVideoSource(source) {
+        if (source.stream) {
+            source.stream.getTracks().forEach(track => track.stop());
+        }
+        if (source.ownsElement) {
+            source.video.pause();
+            source.video.srcObject = null;
+            source.video.removeAttribute('src');
+            source.video.load();
+        }
+        if (source.texture) {
+            source.texture.destroy();
+            if (source.textureId !== null) {
+                this.releaseResource(source.textureId);
+            }
+        }
+        this.expiringVideoSources.delete(source);
+    }
+
+    /**
+     * Get the GPUBindGroup to bind, rebuilding bind groups that reference video sources
+     * @param {GPUBindGroup|DynamicBindGroup} bindGroup - The stored bind group
+     * @returns {GPUBindGroup} The bind group for this frame
+     */
+    resolveBindGroup(bindGroup) {
+        if (!(bindGroup instanceof DynamicBindGroup)) {
+            return bindGroup;
+        }
+
+        return this.device.createBindGroup({
+            label: bindGroup.label,
+            layout: bindGroup.layout,
+            entries: bindGroup.entries.map(entry => entry.videoSource
+                ? { binding: entry.binding, resource: this.getVideoBindingResource(entry.videoSource) }
+                : entry)
+        });
+    }
+
+    /**
+     * Get the number of mip levels in a full mip chain
+     * @param {number} width - Base level width
+     * @param {number} height - Base level height
+     * @returns {number} Mip level count
+     */
+    getMipLevelCount(width, height) {
+        return Math.floor(Math.log2(Math.max(width, height, 1))) + 1;
+    }
+
+    /**
+     * Fill every mip level of a texture by downsampling from level 0
+     * @param {number} textureId - The texture resource ID
+     */
+    generateMipmaps(textureId) {
+        try {
+            const texture = this.getResource(textureId, 'texture');
+
+            this.generateMipmapsForTexture(texture);
+        } catch (error) {
+            throw new Error(`Failed to generate mipmaps: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whether the mipmap blit can sample and render a format on this device.
+     * Integer, depth, stencil and compressed formats are rejected, as are 32-bit floats without 'float32-filterable'.
+     * @param {string} format - The texture format
+     * @returns {boolean} True if mipmaps can be generated for the format
+     */
+    canGenerateMipmaps(format) {
+        if (/^(bc|etc2|eac|astc)/.test(format) || NON_RENDERABLE_FILTERABLE_FORMATS.has(format)) {
+            return false;
+        }
+        return getCompatibleSampleTypes(format, this.device.features.has('float32-filterable')).includes('float');
+    }
+
+    /**
+     * Downsample each mip level from the previous one with a cached blit pipeline.
+     * 2D, 2D-array and cube textures are handled one layer at a time.
+     * @param {GPUTexture} texture - The texture to fill
+     */
+    generateMipmapsForTexture(texture) {
+        if (!this.device) {
+            throw new Error('Device not initialized');
+        }
+        if (texture.dimension !== '2d') {
+            throw new Error(`Mipmap generation is not supported for '${texture.dimension}' textures`);
+        }
+        if (texture.mipLevelCount < 2) {
+            return;
+        }
+        const requiredUsage = GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.RENDER_ATTACHMENT;
+        if ((texture.usage & requiredUsage) !== requiredUsage) {
+            throw new Error('Texture needs TEXTURE_BINDING and RENDER_ATTACHMENT usage for mipmap generation');
+        }
+        if (!this.canGenerateMipmaps(texture.format)) {
+            throw new Error(`Mipmap generation is not supported for '${texture.format}' textures; the format must be filterable and renderable`);
+        }
+
+        const pipeline = this.getMipmapPipeline(texture.format);
+        const encoder = this.device.createCommandEncoder({ label: 'Mipmap generation' });
+
+        for (let layer = 0; layer < texture.depthOrArrayLayers; layer++) {
+            for (let level = 1; level < texture.mipLevelCount; level++) {
+                const viewOf = mipLevel => texture.createView({
+                    dimension: '2d',
+                    baseMipLevel: mipLevel,
+                    mipLevelCount: 1,
+                    baseArrayLayer: layer,
+                    arrayLayerCount: 1
+                });
+
+                const bindGroup = this.device.createBindGroup({
+                    layout: pipeline.getBindGroupLayout(0),
+                    entries: [
+                        { binding: 0, resource: this.mipmapSampler },
+                        { binding: 1, resource: viewOf(level - 1) }
+                    ]
+                });
+
+                const pass = encoder.beginRenderPass({
+                    colorAttachments: [{
+                        view: viewOf(level),
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                        clearValue: { r: 0, g: 0, b: 0, a: 0 }
+                    }]
+                });
+                pass.setPipeline(pipeline);
+                pass.setBindGroup(0, bindGroup);
+                pass.draw(3);
+                pass.end();
+            }
+        }
+
+        this.device.queue.submit([encoder.finish()]);
+    }
+
+    /**
+     * Get (or create and cache) the blit pipeline used to downsample a texture format.
+     * sRGB formats need no special handling: sampling decodes and the render target re-encodes.
+     * @param {string} format - The texture format
+     * @returns {GPURenderPipeline} The blit pipeline
+     */
+    getMipmapPipeline(format) {
+        let pipeline = this.mipmapPipelines.get(format);
+        if (pipeline) {
+            return pipeline;
+        }
+
+        if (!this.mipmapShaderModule) {
+            this.mipmapShaderModule = this.device.createShaderModule({
+                label: 'Mipmap blit shader',
+                code: `
+                    struct VertexOutput {
+                        @builtin(position) position: vec4f,
+                        @location(0) uv: vec2f,
+                    };
+
+                    @vertex
+                    fn vs(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+                        // Full-screen triangle
+                        let uv = vec2f(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+                        var output: VertexOutput;
+                        output.position = vec4f(uv * vec2f(2.0, -2.0) + vec2f(-1.0, 1.0), 0.0, 1.0);
+                        output.uv = uv;
+                        return output;
+                    }
+
+                    @group(0) @binding(0) var sourceSampler: sampler;
+                    @group(0) @binding(1) var sourceTexture: texture_2d<f32>;
+
+                    @fragment
+                    fn fs(input: VertexOutput) -> @location(0) vec4f {
+                        return textureSample(sourceTexture, sourceSampler, input.uv);
+                    }
+                `
+            });
+            this.mipmapSampler = this.device.createSampler({
+                label: 'Mipmap blit sampler',
+                minFilter: 'linear',
+                magFilter: 'linear'
+            });
+        }
+
+        pipeline = this.device.createRenderPipeline({
+            label: `Mipmap blit pipeline (${format})`,
+            layout: 'auto',
+            vertex: { module: this.mipmapShaderModule, entryPoint: 'vs' },
+            fragment: { module: this.mipmapShaderModule, entryPoint: 'fs', targets: [{ format: format }] },
+            primitive: { topology: 'triangle-list' }
+        });
+        this.mipmapPipelines.set(format, pipeline);
+        return pipeline;
+    }
+
+    /**
+     * Create a texture sampler
+     * @param {object} descriptor - Sampler descriptor (filters, address modes, LOD clamps, compare, maxAnisotropy, label)
+     * @returns {number} Resource ID for the sampler
+     */
+    createSampler(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const options = descriptor || {};
+            const samplerDescriptor = {
+                label: options.label || undefined,
+                magFilter: options.magFilter || 'nearest',
+                minFilter: options.minFilter || 'nearest',
+                mipmapFilter: options.mipmapFilter || 'nearest',
+                addressModeU: options.addressModeU || 'clamp-to-edge',
+                addressModeV: options.addressModeV || 'clamp-to-edge',
+                addressModeW: options.addressModeW || 'clamp-to-edge',
+                lodMinClamp: options.lodMinClamp ?? 0,
+                lodMaxClamp: options.lodMaxClamp ?? 32,
+                maxAnisotropy: options.maxAnisotropy || 1
+            };
+
+            // Only comparison samplers carry a compare function
+            if (options.compare) {
+                samplerDescriptor.compare = options.compare;
+            }
+
+            const sampler = this.device.createSampler(samplerDescriptor);
+            this.samplerDescriptors.set(sampler, samplerDescriptor);
+            return this.storeResource(sampler);
+        } catch (error) {
+            throw new Error(`Failed to create sampler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a shader module from WGSL source
+     * @param {string} wgslCode - WGSL shader source code
+     * @returns {Promise<number>} Resource ID for the shader module
+     */
+    async createShaderModuleAsync(wgslCode) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const shaderModule = this.device.createShaderModule({
+                code: wgslCode
+            });
+
+            // Check for compilation errors
+            const compilationInfo = await shaderModule.getCompilationInfo();
+            if (compilationInfo.messages.length > 0) {
+                const errors = compilationInfo.messages.filter(m => m.type === 'error');
+                if (errors.length > 0) {
+                    const errorMessages = errors.map(e => 
+                        `Line ${e.lineNum}: ${e.message}`
+                    ).join('\n');
+                    const error = new Error(`Shader compilation failed:\n${errorMessages}`);
+                    this.trackError('Shader compilation error', error);
+                    throw error;
+                }
+                
+                // Log warnings but don't fail
+                const warnings = compilationInfo.messages.filter(m => m.type === 'warning');
+                if (warnings.length > 0) {
+                    const warnMessages = warnings.map(w => 
+                        `Line ${w.lineNum}: ${w.message}`
+                    ).join('\n');
+                    console.warn(`Shader compilation warnings:\n${warnMessages}`);
+                }
+            }
+
+            const resourceId = this.storeResource(shaderModule);
+            return resourceId;
+        } catch (error) {
+            if (error.message && !error.message.includes('Shader compilation failed')) {
+                this.trackError('Failed to create shader module', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Submit command buffers to the device queue and release them; a command buffer cannot be submitted twice
+     * @param {number[]} commandBufferIds - Array of command buffer resource IDs
+     */
+    submitCommandBuffers(commandBufferIds) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const commandBuffers = commandBufferIds.map(id => this.getResource(id, 'command buffer'));
+
+            this.device.queue.submit(commandBuffers);
+            this.frameIndex++;
+
+            this.uniformRings.forEach(ring => ring.retireFrame(this.device.queue));
+
+            // Submitted command buffers cannot be reused; free their handles so per-frame slots are recycled
+            commandBufferIds.forEach(id => this.releaseResource(id));
+
+            if (this.pendingCanvasCaptures.size > 0) {
+                this.copyPendingCanvasCaptures();
+            } else {
+                this.currentCanvasTextures.clear();
+            }
+        } catch (error) {
+            throw new Error(`Failed to submit command buffers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store a WebGPU resource and return its ID
+     * @param {object} resource - The WebGPU resource to store
+     * @param {boolean} owned - False if something else destroys the resource (default: true)
+     * @returns {number} Resource ID
+     */
+    storeResource(resource, owned = true) {
+        const kind = getResourceKind(resource);
+        const freeCount = this.freeSlots.length - this.freeSlotHead;
+        let slot;
+        if (freeCount > HANDLE_QUARANTINE_SLOTS || (freeCount > 0 && this.slotGenerations.length > HANDLE_SLOT_MASK)) {
+            slot = this.freeSlots[this.freeSlotHead++];
+            if (this.freeSlotHead * 2 > this.freeSlots.length) {
+                this.freeSlots = this.freeSlots.slice(this.freeSlotHead);
+                this.freeSlotHead = 0;
+            }
+        } else {
+            slot = this.slotGenerations.length;
+            if (slot > HANDLE_SLOT_MASK) {
+                throw new Error(`Too many live resources (${slot}); release resources that are no longer needed`);
+            }
+            this.slotGenerations.push(0);
+        }
+
+        const id = (RESOURCE_KINDS.indexOf(kind) << HANDLE_TAG_SHIFT) | (this.slotGenerations[slot] << HANDLE_SLOT_BITS) | slot;
+        this.resources.set(id, resource);
+
+        const info = { createdFrame: this.frameIndex, lastUsedFrame: this.frameIndex, stack: null };
+        if (!owned) {
+            this.unownedResources.add(id);
+        } else if (isDestroyableResource(resource)) {
+            // Drop the "Error" line and this frame so the stack starts at the creating method
+            info.stack = (new Error().stack || '').split('\n').slice(2).join('\n');
+        }
+        this.resourceInfo.set(id, info);
+
+        return id;
+    }
+
+    /**
+     * Get a stored WebGPU resource by ID
+     * @param {number} resourceId - The resource ID
+     * @param {string|string[]} expectedKind - Kind(s) of resource the caller needs (e.g. 'buffer'). When given,
+     * a missing, released or wrongly typed resource throws an error naming what was expected; otherwise
+     * undefined is returned for a missing resource.
+     * @returns {object} The WebGPU resource
+     */
+    getResource(resourceId, expectedKind) {
+        const resource = this.resources.get(resourceId);
+        if (expectedKind !== undefined) {
+            this.checkResourceHandle(resourceId, resource, expectedKind);
+        }
+
+        const info = this.resourceInfo.get(resourceId);
+        if (info) {
+            info.lastUsedFrame = this.frameIndex;
+        }
+        return resource;
+    }
+
+    /**
+     * Throw a descriptive error if a handle does not refer to a live resource of the expected kind
+     * @param {number} resourceId - The resource ID
+     * @param {object} resource - The stored resource, or undefined
+     * @param {string|string[]} expectedKind - Acceptable resource kind(s)
+     */
+    checkResourceHandle(resourceId, resource, expectedKind) {
+        const kinds = Array.isArray(expectedKind) ? expectedKind : [expectedKind];
+        const expected = kinds.join(' or ');
+        const kind = Number.isInteger(resourceId) ? RESOURCE_KINDS[resourceId >>> HANDLE_TAG_SHIFT] : null;
+        if (!kind) {
+            throw new Error(`${resourceId} is not a valid ${expected} ID`);
+        }
+        if (!kinds.includes(kind)) {
+            throw new Error(`Expected a ${expected} but ID ${resourceId} refers to a ${kind}`);
+        }
+        if (resource !== undefined) {
+            return;
+        }
+
+        const slot = resourceId & HANDLE_SLOT_MASK;
+        if (slot < this.slotGenerations.length) {
+            throw new Error(`The ${kind} with ID ${resourceId} has already been released`);
+        }
+        throw new Error(`No ${kind} with ID ${resourceId} exists`);
+    }
+
+    /**
+     * Describe every stored resource, for resource inspectors and leak hunting
+     * @returns {object} The current frame and, per resource, its ID, kind (as named in handle errors), label, estimated size in bytes
+     * (null where unknown), creation frame, last-used frame and whether this module owns it
+     */
+    getResourceSummary() {
+        const resources = [];
+        this.resources.forEach((resource, id) => {
+            const info = this.resourceInfo.get(id);
+            resources.push({
+                id: id,
+                type: getResourceKind(resource),
+                label: resource?.label || null,
+                size: this.estimateResourceBytes(resource),
+                createdFrame: info ? info.createdFrame : 0,
+                lastUsedFrame: info ? info.lastUsedFrame : 0,
+                owned: !this.unownedResources.has(id)
+            });
+        });
+
+        return { frame: this.frameIndex, resources: resources };
+    }
+
+    /**
+     * Estimate the GPU memory used by a resource
+     * @param {object} resource - The stored resource
+     * @returns {number|null} The size in bytes, or null if the resource has no known size
+     */
+    estimateResourceBytes(resource) {
+        if (typeof GPUBuffer === 'undefined' || !resource) {
+            return null;
+        }
+        if (resource instanceof GPUBuffer) {
+            return resource.size;
+        }
+        if (resource instanceof GPUQuerySet) {
+            return resource.count * 8;
+        }
+        if (!(resource instanceof GPUTexture)) {
+            return null;
+        }
+
+        let block;
+        try {
+            block = this.getTextureFormatBlockInfo(resource.format);
+        } catch {
+            block = { width: 1, height: 1, bytes: ESTIMATED_TEXEL_BYTES[resource.format] || 4 };
+        }
+
+        let total = 0;
+        for (let level = 0; level < resource.mipLevelCount; level++) {
+            const width = Math.max(1, resource.width >> level);
+            const height = Math.max(1, resource.height >> level);
+            const depth = resource.dimension === '3d'
+                ? Math.max(1, resource.depthOrArrayLayers >> level)
+                : resource.depthOrArrayLayers;
+            total += Math.ceil(width / block.width) * Math.ceil(height / block.height) * block.bytes * depth;
+        }
+        return total * resource.sampleCount;
+    }
+
+    /**
+     * Release a stored resource
+     * @param {number} resourceId - The resource ID to release
+     */
+    releaseResource(resourceId) {
+        const resource = this.resources.get(resourceId);
+        if (resource === undefined) {
+            return; // Already released, e.g. a command buffer consumed by submit
+        }
+
+        if (resource instanceof VideoTextureSource) {
+            this.disposeVideoSource(resource);
+        } else if (resource instanceof ParticleSystem || resource instanceof FrustumCuller || resource instanceof PickingTarget) {
+            resource.destroy();
+        } else if (resource instanceof UniformRingBuffer) {
+            this.uniformRings.delete(resource);
+            resource.buffer.destroy();
+            this.releaseResource(resource.bufferId);
+        } else if (isDestroyableResource(resource) && !this.unownedResources.has(resourceId)) {
+            // Free GPU memory now rather than whenever the wrapper is garbage collected
+            resource.destroy();
+        }
+
+        this.resources.delete(resourceId);
+        this.textureViewDimensions.delete(resourceId);
+        this.resourceInfo.delete(resourceId);
+        this.unownedResources.delete(resourceId);
+
+        // Retire the slot's generation so the released ID can be recognised as stale
+        const slot = resourceId & HANDLE_SLOT_MASK;
+        this.slotGenerations[slot] = (this.slotGenerations[slot] + 1) & HANDLE_GENERATION_MASK;
+        this.freeSlots.push(slot);
+
+        const dependents = this.dependentResources.get(resourceId);
+        if (dependents) {
+            this.dependentResources.delete(resourceId);
+            dependents.forEach(dependentId => this.releaseResource(dependentId));
+        }
+    }
+
+    /**
+     * Log the resources that were never released, grouped by kind, with the label and creation
+     * stack of each resource that owns GPU memory
+     */
+    reportLeakedResources() {
+        const leaks = new Map(); // Resource kind -> resource IDs
+        this.resources.forEach((resource, id) => {
+            if (this.unownedResources.has(id)) {
+                return;
+            }
+            const type = getResourceKind(resource);
+            if (!leaks.has(type)) {
+                leaks.set(type, []);
+            }
+            leaks.get(type).push(id);
+        });
+
+        if (leaks.size === 0) {
+            return;
+        }
+
+        console.group('WebGPU resources not released before dispose');
+        leaks.forEach((ids, type) => {
+            console.warn(`  ${ids.length}x ${type}`);
+            ids.filter(id => this.resourceInfo.get(id)?.stack).forEach(id => {
+                const label = this.resources.get(id).label || 'unnamed';
+                console.warn(`    #${id} '${label}' created at:\n${this.resourceInfo.get(id).stack}`);
+            });
+        });
+        console.groupEnd();
+    }
+
+    /**
+     * Dispose of the WebGPU device and cleanup
+     */
+    dispose() {
+        // Report any remaining errors before disposing
+        if (this.errorCounts.size > 0) {
+            this.reportErrorSummary();
+        }
+
+        this.reportLeakedResources();
+
+        // Release cameras and media elements before the device goes away
+        this.resources.forEach(resource => {
+            if (resource instanceof VideoTextureSource) {
+                this.disposeVideoSource(resource);
+            }
+        });
+
+        if (this.device) {
+            this.device.destroy();
+            this.device = null;
+        }
+
+        this.adapter = null;
+        this.mipmapShaderModule = null;
+        this.mipmapSampler = null;
+        this.mipmapPipelines.clear();
+        this.equirectangularShaderModule = null;
+        this.equirectangularPipelines.clear();
+        this.primitivePipelines.clear();
+        this.particleShaderModules = null;
+        this.particlePipelines.clear();
+        this.frustumCullPipelines = null;
+        this.expiringVideoSources.clear();
+        this.placeholderTexture = null;
+        this.stagingBuffers = [];
+        this.uniformRings.clear();
+        this.pendingCanvasCaptures.forEach(pending => pending.reject(new Error('Device disposed')));
+        this.pendingCanvasCaptures.clear();
+        this.currentCanvasTextures.clear();
+        this.canvasContexts.clear();
+        this.resources.clear();
+        this.textureViewDimensions.clear();
+        this.resourceInfo.clear();
+        this.frameIndex = 0;
+        this.slotGenerations = [];
+        this.freeSlots = [];
+        this.freeSlotHead = 0;
+        this.dependentResources.clear();
+        this.canvasTextureIds.clear();
+        this.unownedResources.clear();
+        this.visibilityCallbacks.clear();
+        this.errorCounts.clear();
+    }
+
+    /**
+     * Create a buffer with initial data
+     * @param {ArrayBuffer} data - The buffer data
+     * @param {number} usage - Buffer usage flags
+     * @param {string} label - Optional label for debugging
+     * @returns {number} Resource ID for the buffer
+     */
+    createBuffer(data, usage, label) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            console.log(`Creating buffer: ${label || 'unnamed'}, size: ${data.byteLength} bytes, usage: ${usage}`);
+
+            const buffer = this.device.createBuffer({
+                label: label || undefined,
+                size: data.byteLength,
+                usage: usage | GPUBufferUsage.COPY_DST,
+                mappedAtCreation: true
+            });
+
+            // Copy data to buffer
+            const mappedRange = buffer.getMappedRange();
+            new Uint8Array(mappedRange).set(new Uint8Array(data));
+            buffer.unmap();
+
+            const resourceId = this.storeResource(buffer);
+            console.log(`Created buffer ${label || 'unnamed'} with resource ID: ${resourceId}`);
+            return resourceId;
+        } catch (error) {
+            console.error(`Failed to create buffer ${label || 'unnamed'}:`, error);
+            throw new Error(`Failed to create buffer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a buffer from a descriptor, with exactly the requested usage
+     * @param {object} descriptor - Buffer descriptor (size, usage, mappedAtCreation, initialData, label).
+     * initialData is written through the mapping when mappedAtCreation is set; otherwise the buffer starts zeroed.
+     * @returns {number} Resource ID for the buffer
+     */
+    createBufferWithDescriptor(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const mapUsage = descriptor.usage & (GPUBufferUsage.MAP_READ | GPUBufferUsage.MAP_WRITE);
+            if (mapUsage === GPUBufferUsage.MAP_READ && (descriptor.usage & ~(GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST))) {
+                throw new Error('MAP_READ can only be combined with COPY_DST');
+            }
+            if (mapUsage === GPUBufferUsage.MAP_WRITE && (descriptor.usage & ~(GPUBufferUsage.MAP_WRITE | GPUBufferUsage.COPY_SRC))) {
+                throw new Error('MAP_WRITE can only be combined with COPY_SRC');
+            }
+            if (descriptor.initialData && !descriptor.mappedAtCreation) {
+                throw new Error('Initial data requires mappedAtCreation');
+            }
+
+            const buffer = this.device.createBuffer({
+                label: descriptor.label || undefined,
+                size: descriptor.size,
+                usage: descriptor.usage,
+                mappedAtCreation: !!descriptor.mappedAtCreation
+            });
+
+            if (descriptor.mappedAtCreation) {
+                if (descriptor.initialData) {
+                    new Uint8Array(buffer.getMappedRange()).set(descriptor.initialData);
+                }
+                buffer.unmap();
+            }
+
+            return this.storeResource(buffer);
+        } catch (error) {
+            throw new Error(`Failed to create buffer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write data to an existing buffer
+     * @param {number} bufferId - The buffer resource ID
+     * @param {ArrayBuffer} data - The data to write
+     * @param {number} offset - Offset in bytes
+     */
+    writeBuffer(bufferId, data, offset) {
+        try {
+            const buffer = this.getResource(bufferId, 'buffer');
+
+            this.device.queue.writeBuffer(buffer, offset, data);
+        } catch (error) {
+            throw new Error(`Failed to write buffer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a uniform ring buffer for per-frame uniform and storage data
+     * @param {object} descriptor - Ring descriptor (size in bytes, label)
+     * @returns {object} Ring resource ID, the ID of its buffer (for bind group entries) and the sub-allocation alignment
+     */
+    createUniformRing(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            // Dynamic offsets must honour both limits, as the buffer can be bound either way
+            const alignment = Math.max(
+                this.device.limits.minUniformBufferOffsetAlignment,
+                this.device.limits.minStorageBufferOffsetAlignment);
+
+            const buffer = this.device.createBuffer({
+                label: descriptor.label || undefined,
+                size: alignTo(descriptor.size, alignment),
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            });
+
+            const bufferId = this.storeResource(buffer, false); // Owned by the ring
+            const ring = new UniformRingBuffer(buffer, bufferId, alignment);
+            this.uniformRings.add(ring);
+            return {
+                ringId: this.storeResource(ring),
+                bufferId: bufferId,
+                alignment: alignment
+            };
+        } catch (error) {
+            throw new Error(`Failed to create uniform ring: ${error.message}`);
+        }
+    }
 
-        // Error tracking
-        this.errorCounts = new Map(); // Map of error message -> count
-        this.lastErrorReport = Date.now();
-        this.errorReportInterval = 5000; // Report every 5 seconds
-        this.maxUniqueErrorsToTrack = 50; // Prevent unbounded growth
+    /**
+     * Write a frame's uniform data to a ring buffer in one transfer, giving each item its own aligned block
+     * @param {number} ringId - The uniform ring resource ID
+     * @param {Uint8Array} data - The items' data, packed back to back
+     * @param {number[]} sizes - Size in bytes of each item in data
+     * @returns {number[]} Offset of each item in the ring's buffer, for use as dynamic offsets
+     */
+    writeUniformRing(ringId, data, sizes) {
+        try {
+            const ring = this.getResource(ringId, 'uniform ring');
+
+            // Lay the items out at aligned offsets relative to the start of one block
+            const relativeOffsets = [];
+            let blockSize = 0;
+            let total = 0;
+            for (const size of sizes) {
+                blockSize = alignTo(blockSize, ring.alignment);
+                relativeOffsets.push(blockSize);
+                blockSize += size;
+                total += size;
+            }
+            if (total !== data.byteLength) {
+                throw new Error(`Item sizes add up to ${total} bytes but ${data.byteLength} bytes were supplied`);
+            }
+            if (blockSize === 0) {
+                return [];
+            }
+
+            const writeSize = alignTo(blockSize, 4);
+            if (ring.scratch.byteLength < writeSize) {
+                ring.scratch = new Uint8Array(writeSize);
+            }
+
+            let source = 0;
+            sizes.forEach((size, index) => {
+                ring.scratch.set(data.subarray(source, source + size), relativeOffsets[index]);
+                source += size;
+            });
+
+            const base = ring.allocate(blockSize);
+            this.device.queue.writeBuffer(ring.buffer, base, ring.scratch, 0, writeSize);
+            return relativeOffsets.map(offset => base + offset);
+        } catch (error) {
+            throw new Error(`Failed to write uniform ring: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reduce the first count elements of a storage buffer to their sum, minimum or maximum. Inputs longer
+     * than one workgroup's block are reduced over as many levels as needed, all in one submission. Every level
+     * runs in a shader, so neither buffer needs COPY_SRC or COPY_DST usage.
+     * @param {number} inputBufferId - Input buffer resource ID (needs STORAGE usage)
+     * @param {number} outputBufferId - Output buffer resource ID (needs STORAGE usage); receives a single element
+     * @param {object} options - operation ('sum', 'min' or 'max', default: 'sum'), type ('u32', 'i32' or 'f32',
+     * default: 'f32'), count (default: the whole input) and outputOffset in bytes (multiple of 4, default: 0)
+     */
+    reduceBuffer(inputBufferId, outputBufferId, options) {
+        const scratch = [];
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const operation = options?.operation || 'sum';
+            const type = this.getPrimitiveElementType(options?.type);
+            if (!REDUCTION_OPERATIONS[operation]) {
+                throw new Error(`Unknown reduction '${operation}'; expected sum, min or max`);
+            }
+
+            const input = this.getPrimitiveBuffer(inputBufferId, 'Input');
+            const output = this.getPrimitiveBuffer(outputBufferId, 'Output');
+            if (input === output) {
+                throw new Error('Input and output must be different buffers');
+            }
+
+            const count = this.getPrimitiveCount(input, options?.count);
+            const outputOffset = options?.outputOffset || 0;
+            if (outputOffset % 4 !== 0 || outputOffset + 4 > output.size) {
+                throw new Error(`Output offset ${outputOffset} must be a multiple of 4 with room for one element in the ${output.size}-byte buffer`);
+            }
+
+            const pipeline = this.getPrimitivePipeline(`reduce-${operation}-${type}`, () => getReduceShaderSource(operation, type));
+            const steps = [];
+            let source = input;
+            let remaining = count;
+            for (;;) {
+                // Each level leaves one partial result per block; the level with a single block writes the answer
+                const blocks = Math.max(1, Math.ceil(remaining / PRIMITIVE_BLOCK_SIZE));
+                const last = blocks === 1;
+                const target = last ? output : this.createPrimitiveScratch(blocks * 4, scratch);
+                steps.push({
+                    pipeline: pipeline,
+                    buffers: [source, target],
+                    params: [remaining, last ? outputOffset / 4 : 0, 0, blocks],
+                    workgroups: blocks
+                });
+                if (last) {
+                    break;
+                }
+                source = target;
+                remaining = blocks;
+            }
+
+            this.runPrimitiveSteps('Reduce', steps, scratch);
+        } catch (error) {
+            throw new Error(`Failed to reduce buffer: ${error.message}`);
+        } finally {
+            scratch.forEach(buffer => buffer.destroy());
+        }
+    }
+
+    /**
+     * Write the exclusive prefix sum of the first count elements of a buffer (output[i] = input[0] + ... + input[i - 1]).
+     * Block totals are scanned recursively, so any length is handled in one submission.
+     * @param {number} inputBufferId - Input buffer resource ID (needs STORAGE usage, and COPY_SRC unless scanning in place)
+     * @param {number} outputBufferId - Output buffer resource ID (needs STORAGE usage, and COPY_DST unless scanning in place);
+     * may be the input buffer
+     * @param {object} options - type ('u32', 'i32' or 'f32', default: 'u32') and count (default: the whole input)
+     */
+    exclusiveScanBuffer(inputBufferId, outputBufferId, options) {
+        const scratch = [];
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const type = this.getPrimitiveElementType(options?.type || 'u32');
+            const input = this.getPrimitiveBuffer(inputBufferId, 'Input');
+            const output = this.getPrimitiveBuffer(outputBufferId, 'Output');
+            if (input !== output) {
+                // Scanning into another buffer starts by copying the input across
+                if (!(input.usage & GPUBufferUsage.COPY_SRC)) {
+                    throw new Error('Input buffer needs COPY_SRC usage to be scanned into another buffer');
+                }
+                if (!(output.usage & GPUBufferUsage.COPY_DST)) {
+                    throw new Error('Output buffer needs COPY_DST usage to receive the scan of another buffer');
+                }
+            }
+            const count = this.getPrimitiveCount(input, options?.count);
+            if (count * 4 > output.size) {
+                throw new Error(`The ${output.size}-byte output buffer cannot hold ${count} elements`);
+            }
+            if (count === 0) {
+                return;
+            }
+
+            const steps = [];
+            this.planExclusiveScan(steps, scratch, output, count, type);
+
+            // The scan works in place, so start from a copy of the input
+            this.runPrimitiveSteps('Exclusive scan', steps, scratch, encoder => {
+                if (input !== output) {
+                    encoder.copyBufferToBuffer(input, 0, output, 0, count * 4);
+                }
+            });
+        } catch (error) {
+            throw new Error(`Failed to scan buffer: ${error.message}`);
+        } finally {
+            scratch.forEach(buffer => buffer.destroy());
+        }
+    }
+
+    /**
+     * Stable ascending sort of the first count u32 keys of a buffer in place, optionally permuting a buffer
+     * of 32-bit values alongside (e.g. indices for sorting draw order by depth)
+     * @param {number} keysBufferId - Keys buffer resource ID (needs STORAGE usage)
+     * @param {number} valuesBufferId - Values buffer resource ID (needs STORAGE usage), or null to sort keys only
+     * @param {object} options - count (default: the whole keys buffer)
+     */
+    radixSortBuffer(keysBufferId, valuesBufferId, options) {
+        const scratch = [];
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const keys = this.getPrimitiveBuffer(keysBufferId, 'Keys');
+            const values = valuesBufferId !== null && valuesBufferId !== undefined
+                ? this.getPrimitiveBuffer(valuesBufferId, 'Values')
+                : null;
+            const count = this.getPrimitiveCount(keys, options?.count);
+            if (values === keys) {
+                throw new Error('Keys and values must be different buffers');
+            }
+            if (values && count * 4 > values.size) {
+                throw new Error(`The ${values.size}-byte values buffer cannot hold ${count} elements`);
+            }
+            if (count < 2) {
+                return;
+            }
+
+            const blocks = Math.ceil(count / RADIX_BLOCK_SIZE);
+            const histogram = this.createPrimitiveScratch((1 << RADIX_BITS) * blocks * 4, scratch);
+            const keyBuffers = [keys, this.createPrimitiveScratch(count * 4, scratch)];
+            const valueBuffers = values ? [values, this.createPrimitiveScratch(count * 4, scratch)] : null;
+
+            const histogramPipeline = this.getPrimitivePipeline('radix-histogram', () => getRadixHistogramShaderSource());
+            const scatterPipeline = this.getPrimitivePipeline(values ? 'radix-scatter-values' : 'radix-scatter',
+                () => getRadixScatterShaderSource(!!values));
+
+            // Every pass scans the same histogram buffer, so plan that scan once
+            const histogramScan = [];
+            this.planExclusiveScan(histogramScan, scratch, histogram, (1 << RADIX_BITS) * blocks, 'u32');
+
+            const steps = [];
+            for (let shift = 0, pass = 0; shift < 32; shift += RADIX_BITS, pass++) {
+                // Ping-pong between the caller's buffers and scratch; an even number of passes ends in the caller's
+                const from = pass % 2;
+                const to = 1 - from;
+                const params = [count, shift, 0, blocks];
+                steps.push({ pipeline: histogramPipeline, buffers: [keyBuffers[from], histogram], params: params, workgroups: blocks });
+                steps.push(...histogramScan);
+                steps.push({
+                    pipeline: scatterPipeline,
+                    buffers: valueBuffers
+                        ? [keyBuffers[from], keyBuffers[to], histogram, valueBuffers[from], valueBuffers[to]]
+                        : [keyBuffers[from], keyBuffers[to], histogram],
+                    params: params,
+                    workgroups: blocks
+                });
+            }
+
+            this.runPrimitiveSteps('Radix sort', steps, scratch);
+        } catch (error) {
+            throw new Error(`Failed to sort buffer: ${error.message}`);
+        } finally {
+            scratch.forEach(buffer => buffer.destroy());
+        }
+    }
+
+    /**
+     * Add the steps that exclusive-scan a buffer in place, recursing on the block totals until one block remains
+     * @param {object[]} steps - Steps to append to
+     * @param {GPUBuffer[]} scratch - Scratch buffers, destroyed once the steps are submitted
+     * @param {GPUBuffer} buffer - The buffer to scan
+     * @param {number} count - Number of elements to scan
+     * @param {string} type - WGSL element type
+     */
+    planExclusiveScan(steps, scratch, buffer, count, type) {
+        const blocks = Math.ceil(count / PRIMITIVE_BLOCK_SIZE);
+        const blockSums = this.createPrimitiveScratch(blocks * 4, scratch);
+        const params = [count, 0, 0, blocks];
+
+        steps.push({
+            pipeline: this.getPrimitivePipeline(`scan-${type}`, () => getScanShaderSource(type)),
+            buffers: [buffer, blockSums],
+            params: params,
+            workgroups: blocks
+        });
+
+        if (blocks > 1) {
+            this.planExclusiveScan(steps, scratch, blockSums, blocks, type);
+            steps.push({
+                pipeline: this.getPrimitivePipeline(`scan-add-${type}`, () => getScanAddShaderSource(type)),
+                buffers: [buffer, blockSums],
+                params: params,
+                workgroups: blocks
+            });
+        }
+    }
+
+    /**
+     * Record planned primitive steps into one compute pass and submit it. Each step gets its own slot in a
+     * shared params buffer, as a single queue write cannot vary between dispatches.
+     * @param {string} label - Label for the command encoder and pass
+     * @param {object[]} steps - Steps (pipeline, buffers bound from binding 1, four u32 params, workgroup count)
+     * @param {GPUBuffer[]} scratch - Scratch buffers; the params buffer is added here
+     * @param {function} prepare - Optional callback that records commands before the pass
+     */
+    runPrimitiveSteps(label, steps, scratch, prepare) {
+        const alignment = this.device.limits.minUniformBufferOffsetAlignment;
+        const stride = alignment / 4;
+        const paramsData = new Uint32Array(steps.length * stride);
+        steps.forEach((step, index) => paramsData.set(step.params, index * stride));
+
+        const paramsBuffer = this.device.createBuffer({
+            label: `${label} params`,
+            size: paramsData.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        scratch.push(paramsBuffer);
+        this.device.queue.writeBuffer(paramsBuffer, 0, paramsData);
+
+        const encoder = this.device.createCommandEncoder({ label: label });
+        if (prepare) {
+            prepare(encoder);
+        }
+
+        const maxWorkgroups = this.device.limits.maxComputeWorkgroupsPerDimension;
+        const pass = encoder.beginComputePass({ label: label });
+        steps.forEach((step, index) => {
+            const bindGroup = this.device.createBindGroup({
+                layout: step.pipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: paramsBuffer, offset: index * alignment, size: 16 } },
+                    ...step.buffers.map((buffer, binding) => ({ binding: binding + 1, resource: { buffer: buffer } }))
+                ]
+            });
+
+            // Spread large dispatches over a 2D grid; the kernels skip blocks past params.blockCount
+            const width = Math.min(step.workgroups, maxWorkgroups);
+            pass.setPipeline(step.pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(width, Math.ceil(step.workgroups / width));
+        });
+        pass.end();
+
+        this.device.queue.submit([encoder.finish()]);
+    }
+
+    /**
+     * Get (or create and cache) a parallel primitive compute pipeline
+     * @param {string} key - Cache key naming the kernel and its variant
+     * @param {function} getSource - Returns the WGSL source when the pipeline is not cached
+     * @returns {GPUComputePipeline} The pipeline
+     */
+    getPrimitivePipeline(key, getSource) {
+        let pipeline = this.primitivePipelines.get(key);
+        if (pipeline) {
+            return pipeline;
+        }
+
+        const module = this.device.createShaderModule({ label: `Primitive shader (${key})`, code: getSource() });
+        pipeline = this.device.createComputePipeline({
+            label: `Primitive pipeline (${key})`,
+            layout: 'auto',
+            compute: { module: module, entryPoint: 'main' }
+        });
+        this.primitivePipelines.set(key, pipeline);
+        return pipeline;
+    }
+
+    /**
+     * Create a storage buffer for intermediate primitive results
+     * @param {number} size - Size in bytes
+     * @param {GPUBuffer[]} scratch - List the buffer is added to, for destruction after submission
+     * @returns {GPUBuffer} The buffer
+     */
+    createPrimitiveScratch(size, scratch) {
+        const buffer = this.device.createBuffer({
+            label: 'Primitive scratch',
+            size: Math.max(size, 4),
+            usage: GPUBufferUsage.STORAGE
+        });
+        scratch.push(buffer);
+        return buffer;
+    }
+
+    /**
+     * Get a buffer for a parallel primitive, checking it can be bound as storage
+     * @param {number} bufferId - The buffer resource ID
+     * @param {string} role - Name of the buffer in error messages (e.g. 'Input')
+     * @returns {GPUBuffer} The buffer
+     */
+    getPrimitiveBuffer(bufferId, role) {
+        const buffer = this.getResource(bufferId, 'buffer');
+        if (!(buffer.usage & GPUBufferUsage.STORAGE)) {
+            throw new Error(`${role} buffer needs STORAGE usage`);
+        }
+        return buffer;
+    }
+
+    /**
+     * Resolve and check the element count for a parallel primitive
+     * @param {GPUBuffer} buffer - The buffer holding the elements
+     * @param {number} count - Requested element count, or null/undefined for the whole buffer
+     * @returns {number} The element count
+     */
+    getPrimitiveCount(buffer, count) {
+        const capacity = Math.floor(buffer.size / 4);
+        const resolved = count ?? capacity;
+        if (!Number.isInteger(resolved) || resolved < 0 || resolved > capacity) {
+            throw new Error(`Count ${resolved} is outside the ${capacity} elements of the ${buffer.size}-byte buffer`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Check an element type for a parallel primitive
+     * @param {string} type - 'u32', 'i32' or 'f32' (default: 'f32')
+     * @returns {string} The WGSL element type
+     */
+    getPrimitiveElementType(type) {
+        const resolved = type || 'f32';
+        if (!PRIMITIVE_ELEMENT_TYPES.includes(resolved)) {
+            throw new Error(`Unknown element type '${resolved}'; expected ${PRIMITIVE_ELEMENT_TYPES.join(', ')}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Create a GPU particle system
+     * @param {object} descriptor - Particle system descriptor (maxParticles, blendMode ('additive' or 'alpha'),
+     * format of the color target, optional depthFormat, sampleCount, label)
+     * @returns {number} Particle system resource ID
+     */
+    createParticleSystem(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const capacity = descriptor.maxParticles;
+            const blendMode = descriptor.blendMode || 'additive';
+            const blend = PARTICLE_BLEND_STATES[blendMode];
+            if (!blend) {
+                throw new Error(`Unknown blend mode '${blendMode}'; expected ${Object.keys(PARTICLE_BLEND_STATES).join(', ')}`);
+            }
+            if (!Number.isInteger(capacity) || capacity <= 0) {
+                throw new Error(`Particle count ${capacity} must be a positive integer`);
+            }
+            const maxCapacity = Math.min(
+                this.device.limits.maxComputeWorkgroupsPerDimension * PARTICLE_WORKGROUP_SIZE,
+                Math.floor(this.device.limits.maxStorageBufferBindingSize / PARTICLE_STRIDE));
+            if (capacity > maxCapacity) {
+                throw new Error(`${capacity} particles exceed the device limit of ${maxCapacity}`);
+            }
+
+            const label = descriptor.label || 'Particle system';
+            const system = new ParticleSystem(
+                capacity,
+                this.device.createBuffer({ label: `${label} particles`, size: capacity * PARTICLE_STRIDE, usage: GPUBufferUsage.STORAGE }),
+                this.device.createBuffer({ label: `${label} emitters`, size: PARTICLE_MAX_EMITTERS * PARTICLE_EMITTER_STRIDE, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST }),
+                this.device.createBuffer({ label: `${label} simulation`, size: 32, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }),
+                this.device.createBuffer({ label: `${label} camera`, size: 128, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }));
+
+            system.simulationPipeline = this.getParticlePipeline('simulation', () => this.device.createComputePipeline({
+                label: 'Particle simulation pipeline',
+                layout: 'auto',
+                compute: { module: this.getParticleShaderModules().simulation, entryPoint: 'main' }
+            }));
+
+            const depthFormat = descriptor.depthFormat || null;
+            const sampleCount = descriptor.sampleCount || 1;
+            system.renderPipeline = this.getParticlePipeline(`render|${blendMode}|${descriptor.format}|${depthFormat}|${sampleCount}`,
+                () => this.device.createRenderPipeline({
+                    label: `Particle render pipeline (${blendMode})`,
+                    layout: 'auto',
+                    vertex: { module: this.getParticleShaderModules().render, entryPoint: 'vertexMain' },
+                    fragment: {
+                        module: this.getParticleShaderModules().render,
+                        entryPoint: 'fragmentMain',
+                        targets: [{ format: descriptor.format, blend: blend }]
+                    },
+                    primitive: { topology: 'triangle-list' },
+                    // Particles are depth tested against the scene but never occlude each other
+                    depthStencil: depthFormat
+                        ? { format: depthFormat, depthWriteEnabled: false, depthCompare: 'less' }
+                        : undefined,
+                    multisample: { count: sampleCount }
+                }));
+
+            system.simulationBindGroup = this.device.createBindGroup({
+                label: `${label} simulation bind group`,
+                layout: system.simulationPipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: system.simulationBuffer } },
+                    { binding: 1, resource: { buffer: system.emitterBuffer } },
+                    { binding: 2, resource: { buffer: system.particleBuffer } }
+                ]
+            });
+            system.renderBindGroup = this.device.createBindGroup({
+                label: `${label} render bind group`,
+                layout: system.renderPipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: system.cameraBuffer } },
+                    { binding: 1, resource: { buffer: system.emitterBuffer } },
+                    { binding: 2, resource: { buffer: system.particleBuffer } }
+                ]
+            });
+            return this.storeResource(system);
+        } catch (error) {
+            throw new Error(`Failed to create particle system: ${error.message}`);
+        }
+    }
+
+    /**
+     * Spawn particles from the emitters and advance the simulation, recording a compute pass into a command
+     * encoder. Call once per submission, as the emitter and timing data are written to the queue directly.
+     * @param {number} systemId - The particle system resource ID
+     * @param {number} encoderId - The command encoder resource ID
+     * @param {number} deltaTime - Time step in seconds
+     * @param {object[]} emitters - Emitters (position, positionSpread, velocity, velocitySpread and acceleration
+     * as [x, y, z]; rate in particles per second; lifetime and lifetimeSpread in seconds; drag; colorKeys of
+     * { time, color: [r, g, b, a] } and sizeKeys of { time, size }, with times from 0 to 1 over each particle's life)
+     */
+    updateParticleSystem(systemId, encoderId, deltaTime, emitters) {
+        try {
+            const system = this.getResource(systemId, 'particle system');
+            const encoder = this.getResource(encoderId, 'command encoder');
+            if (!Number.isFinite(deltaTime) || deltaTime < 0) {
+                throw new Error(`Time step ${deltaTime} must be a finite, non-negative number of seconds`);
+            }
+            if (emitters.length > PARTICLE_MAX_EMITTERS) {
+                throw new Error(`${emitters.length} emitters exceed the limit of ${PARTICLE_MAX_EMITTERS}`);
+            }
+
+            const floats = new Float32Array(system.emitterData);
+            const uints = new Uint32Array(system.emitterData);
+            let spawnTotal = 0;
+            emitters.forEach((emitter, index) => {
+                if (!emitter.colorKeys?.length || emitter.colorKeys.length > PARTICLE_MAX_KEYS
+                    || !emitter.sizeKeys?.length || emitter.sizeKeys.length > PARTICLE_MAX_KEYS) {
+                    throw new Error(`Emitter ${index} needs 1 to ${PARTICLE_MAX_KEYS} color and size keys`);
+                }
+
+                // Carry fractional particles over so low rates still spawn at high frame rates
+                const due = (system.spawnRemainders[index] || 0) + emitter.rate * deltaTime;
+                const spawnCount = Math.min(Math.floor(due), system.capacity - spawnTotal);
+                system.spawnRemainders[index] = due - Math.floor(due);
+
+                const base = index * PARTICLE_EMITTER_STRIDE / 4;
+                floats.set(emitter.position, base);
+                uints[base + 3] = spawnCount;
+                floats.set(emitter.positionSpread, base + 4);
+                uints[base + 7] = spawnTotal;
+                floats.set(emitter.velocity, base + 8);
+                floats[base + 11] = emitter.lifetime;
+                floats.set(emitter.velocitySpread, base + 12);
+                floats[base + 15] = emitter.lifetimeSpread;
+                floats.set(emitter.acceleration, base + 16);
+                floats[base + 19] = emitter.drag;
+                emitter.colorKeys.forEach((key, keyIndex) => {
+                    floats[base + 20 + keyIndex] = key.time;
+                    floats.set(key.color, base + 32 + keyIndex * 4);
+                });
+                emitter.sizeKeys.forEach((key, keyIndex) => {
+                    floats[base + 24 + keyIndex] = key.time;
+                    floats[base + 28 + keyIndex] = key.size;
+                });
+                uints[base + 48] = emitter.colorKeys.length;
+                uints[base + 49] = emitter.sizeKeys.length;
+                spawnTotal += spawnCount;
+            });
+            system.spawnRemainders.length = emitters.length;
+
+            const simulation = new DataView(system.simulationData);
+            simulation.setFloat32(0, deltaTime, true);
+            simulation.setUint32(4, system.spawnCursor, true);
+            simulation.setUint32(8, spawnTotal, true);
+            simulation.setUint32(12, system.capacity, true);
+            simulation.setUint32(16, emitters.length, true);
+            simulation.setUint32(20, system.frame, true);
+
+            if (emitters.length > 0) {
+                this.device.queue.writeBuffer(system.emitterBuffer, 0, system.emitterData, 0, emitters.length * PARTICLE_EMITTER_STRIDE);
+            }
+            this.device.queue.writeBuffer(system.simulationBuffer, 0, system.simulationData);
+            system.spawnCursor = (system.spawnCursor + spawnTotal) % system.capacity;
+            system.frame = (system.frame + 1) >>> 0;
+
+            const pass = encoder.beginComputePass({ label: 'Particle simulation' });
+            pass.setPipeline(system.simulationPipeline);
+            pass.setBindGroup(0, system.simulationBindGroup);
+            pass.dispatchWorkgroups(Math.ceil(system.capacity / PARTICLE_WORKGROUP_SIZE));
+            pass.end();
+        } catch (error) {
+            throw new Error(`Failed to update particle system: ${error.message}`);
+        }
+    }
+
+    /**
+     * Draw a particle system's live particles into a render pass. This sets the pass's pipeline and bind group 0,
+     * so set them again before drawing anything else. Call once per submission, as the camera is written to the queue directly.
+     * @param {number} systemId - The particle system resource ID
+     * @param {number} passEncoderId - The render pass encoder resource ID
+     * @param {number[]} viewMatrix - The camera view matrix (16 floats, column-major)
+     * @param {number[]} projectionMatrix - The camera projection matrix (16 floats, column-major)
+     */
+    drawParticleSystem(systemId, passEncoderId, viewMatrix, projectionMatrix) {
+        try {
+            const system = this.getResource(systemId, 'particle system');
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
+            if (viewMatrix.length !== 16 || projectionMatrix.length !== 16) {
+                throw new Error('View and projection matrices need 16 elements');
+            }
+
+            system.cameraData.set(viewMatrix, 0);
+            system.cameraData.set(projectionMatrix, 16);
+            this.device.queue.writeBuffer(system.cameraBuffer, 0, system.cameraData);
+
+            passEncoder.setPipeline(system.renderPipeline);
+            passEncoder.setBindGroup(0, system.renderBindGroup);
+            passEncoder.draw(6, system.capacity);
+        } catch (error) {
+            throw new Error(`Failed to draw particle system: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the particle shader modules, creating them on first use
+     * @returns {object} The simulation and render shader modules
+     */
+    getParticleShaderModules() {
+        if (!this.particleShaderModules) {
+            this.particleShaderModules = {
+                simulation: this.device.createShaderModule({ label: 'Particle simulation shader', code: getParticleSimulationShaderSource() }),
+                render: this.device.createShaderModule({ label: 'Particle render shader', code: getParticleRenderShaderSource() })
+            };
+        }
+        return this.particleShaderModules;
+    }
+
+    /**
+     * Get (or create and cache) a particle pipeline
+     * @param {string} key - Cache key naming the pipeline and its variant
+     * @param {function} create - Creates the pipeline when it is not cached
+     * @returns {GPUComputePipeline|GPURenderPipeline} The pipeline
+     */
+    getParticlePipeline(key, create) {
+        let pipeline = this.particlePipelines.get(key);
+        if (!pipeline) {
+            pipeline = create();
+            this.particlePipelines.set(key, pipeline);
+        }
+        return pipeline;
+    }
+
+    /**
+     * Create a frustum culler that turns per-instance bounding spheres into compacted visible instance lists
+     * and indirect draw arguments on the GPU
+     * @param {object} descriptor - boundsBufferId (a vec4f center and radius per instance, world space),
+     * visibleBufferId (a u32 per instance; each draw's visible instance indices are written from its
+     * firstInstance), indirectBufferId and indirectOffset (the draws' arguments, back to back), indexed, draws
+     * (ascending, non-overlapping instance ranges: firstInstance, instanceCount and indexCount, firstIndex and
+     * baseVertex, or vertexCount and firstVertex) and label
+     * @returns {number} Frustum culler resource ID
+     */
+    createFrustumCuller(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const bounds = this.getResource(descriptor.boundsBufferId, 'buffer');
+            const visible = this.getResource(descriptor.visibleBufferId, 'buffer');
+            const indexed = descriptor.indexed !== false;
+            const argumentsSize = indexed ? DRAW_INDEXED_INDIRECT_SIZE : DRAW_INDIRECT_SIZE;
+            const draws = descriptor.draws || [];
+            const indirect = this.getIndirectBuffer(descriptor.indirectBufferId, descriptor.indirectOffset,
+                draws.length * argumentsSize, 'draw arguments');
+
+            if (draws.length === 0) {
+                throw new Error('At least one draw is required');
+            }
+            for (const [role, buffer] of [['Bounds', bounds], ['Visible instance', visible], ['Indirect', indirect]]) {
+                if (!(buffer.usage & GPUBufferUsage.STORAGE)) {
+                    throw new Error(`${role} buffer needs STORAGE usage`);
+                }
+            }
+
+            let instanceCount = 0;
+            const drawData = new Uint32Array(draws.length * CULL_DRAW_STRIDE / 4);
+            draws.forEach((draw, index) => {
+                if (draw.firstInstance < instanceCount) {
+                    throw new Error(`Draw ${index} starts at instance ${draw.firstInstance}, inside the previous draw's range`);
+                }
+                instanceCount = draw.firstInstance + draw.instanceCount;
+                drawData.set(indexed
+                    ? [draw.firstInstance, draw.instanceCount, draw.indexCount, draw.firstIndex || 0, (draw.baseVertex || 0) >>> 0]
+                    : [draw.firstInstance, draw.instanceCount, draw.vertexCount, draw.firstVertex || 0, 0],
+                index * CULL_DRAW_STRIDE / 4);
+            });
+            if (instanceCount * 16 > bounds.size) {
+                throw new Error(`The ${bounds.size}-byte bounds buffer cannot hold ${instanceCount} bounding spheres`);
+            }
+            if (instanceCount * 4 > visible.size) {
+                throw new Error(`The ${visible.size}-byte visible instance buffer cannot hold ${instanceCount} indices`);
+            }
+
+            const label = descriptor.label || 'Frustum culler';
+            const paramsBuffer = this.device.createBuffer({ label: `${label} params`, size: 112, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+            const drawsBuffer = this.device.createBuffer({ label: `${label} draws`, size: drawData.byteLength, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+            this.device.queue.writeBuffer(drawsBuffer, 0, drawData);
+
+            const bindGroup = this.device.createBindGroup({
+                label: `${label} bind group`,
+                layout: this.getFrustumCullPipelines().bindGroupLayout,
+                entries: [
+                    { binding: 0, resource: { buffer: paramsBuffer } },
+                    { binding: 1, resource: { buffer: bounds } },
+                    { binding: 2, resource: { buffer: drawsBuffer } },
+                    { binding: 3, resource: { buffer: visible } },
+                    { binding: 4, resource: { buffer: indirect } }
+                ]
+            });
+
+            return this.storeResource(new FrustumCuller(paramsBuffer, drawsBuffer, bindGroup, instanceCount, draws.length,
+                (descriptor.indirectOffset || 0) / 4, argumentsSize / 4));
+        } catch (error) {
+            throw new Error(`Failed to create frustum culler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a compute pass that culls a frustum culler's instances against a camera and writes its draws'
+     * visible instance lists and indirect arguments. Call once per submission per culler, as the frustum is
+     * written to the queue directly.
+     * @param {number} cullerId - The frustum culler resource ID
+     * @param {number} encoderId - The command encoder resource ID
+     * @param {number[]} viewProjectionMatrix - The camera view-projection matrix (16 floats, column-major)
+     */
+    cullInstances(cullerId, encoderId, viewProjectionMatrix) {
+        try {
+            const culler = this.getResource(cullerId, 'frustum culler');
+            const encoder = this.getResource(encoderId, 'command encoder');
+            if (viewProjectionMatrix.length !== 16) {
+                throw new Error('The view-projection matrix needs 16 elements');
+            }
+
+            new Float32Array(culler.paramsData, 0, 24).set(getFrustumPlanes(viewProjectionMatrix));
+            this.device.queue.writeBuffer(culler.paramsBuffer, 0, culler.paramsData);
+
+            // Spread large instance counts over a 2D grid; the kernel skips invocations past the last instance
+            const pipelines = this.getFrustumCullPipelines();
+            const workgroups = Math.ceil(culler.instanceCount / CULL_WORKGROUP_SIZE);
+            const width = Math.min(workgroups, this.device.limits.maxComputeWorkgroupsPerDimension);
+            const pass = encoder.beginComputePass({ label: 'Frustum culling' });
+            pass.setBindGroup(0, culler.bindGroup);
+            pass.setPipeline(pipelines.reset);
+            pass.dispatchWorkgroups(Math.ceil(culler.drawCount / CULL_WORKGROUP_SIZE));
+            if (workgroups > 0) {
+                pass.setPipeline(pipelines.cull);
+                pass.dispatchWorkgroups(width, Math.ceil(workgroups / width));
+            }
+            pass.end();
+        } catch (error) {
+            throw new Error(`Failed to cull instances: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the frustum culling pipelines and their shared bind group layout, creating them on first use
+     * @returns {object} The bind group layout and the reset and cull pipelines
+     */
+    getFrustumCullPipelines() {
+        if (!this.frustumCullPipelines) {
+            const bindGroupLayout = this.device.createBindGroupLayout({
+                label: 'Frustum culling bind group layout',
+                entries: [
+                    { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                    { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                    { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                    { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                    { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
+                ]
+            });
+            const layout = this.device.createPipelineLayout({ label: 'Frustum culling pipeline layout', bindGroupLayouts: [bindGroupLayout] });
+            const module = this.device.createShaderModule({ label: 'Frustum culling shader', code: FRUSTUM_CULL_SHADER_SOURCE });
+            this.frustumCullPipelines = {
+                bindGroupLayout: bindGroupLayout,
+                reset: this.device.createComputePipeline({ label: 'Frustum culling reset pipeline', layout: layout, compute: { module: module, entryPoint: 'resetArguments' } }),
+                cull: this.device.createComputePipeline({ label: 'Frustum culling pipeline', layout: layout, compute: { module: module, entryPoint: 'cullInstances' } })
+            };
+        }
+        return this.frustumCullPipelines;
+    }
+
+    /**
+     * Create a picking target: an r32uint object ID texture and a depth32float depth texture to render IDs into
+     * @param {object} descriptor - Target descriptor (width, height, label)
+     * @returns {object} Target resource ID and the resource IDs of views of its ID and depth textures
+     */
+    createPickingTarget(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const target = new PickingTarget(descriptor.label || 'Picking target');
+            const targetId = this.storeResource(target);
+            try {
+                return { targetId: targetId, ...this.allocatePickingTextures(targetId, target, descriptor.width, descriptor.height) };
+            } catch (error) {
+                this.releaseResource(targetId);
+                throw error;
+            }
+        } catch (error) {
+            throw new Error(`Failed to create picking target: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resize a picking target, replacing its textures. Views of the old textures are released.
+     * @param {number} targetId - The picking target resource ID
+     * @param {number} width - New width in pixels
+     * @param {number} height - New height in pixels
+     * @returns {object} Resource IDs of views of the new ID and depth textures
+     */
+    resizePickingTarget(targetId, width, height) {
+        try {
+            const target = this.getResource(targetId, 'picking target');
+            return this.allocatePickingTextures(targetId, target, width, height);
+        } catch (error) {
+            throw new Error(`Failed to resize picking target: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read back the object IDs and depths of a rectangle of a picking target, with pixels outside the target
+     * ignored, and find the nearest object. The read sees everything submitted before it.
+     * @param {number} targetId - The picking target resource ID
+     * @param {number} x - Left edge of the rectangle in pixels
+     * @param {number} y - Top edge of the rectangle in pixels
+     * @param {number} width - Rectangle width in pixels (default: 1)
+     * @param {number} height - Rectangle height in pixels (default: 1)
+     * @returns {Promise<object>} objectId (0 if nothing was hit), depth and pixel (x, y) of the nearest hit, nearest
+     * the rectangle's center among equal depths, and the distinct objectIds in the rectangle
+     */
+    async pickAsync(targetId, x, y, width, height) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const target = this.getResource(targetId, 'picking target');
+            const texture = target.idTexture;
+            const left = Math.max(0, Math.floor(x));
+            const top = Math.max(0, Math.floor(y));
+            const right = Math.min(texture.width, Math.floor(x) + (width || 1));
+            const bottom = Math.min(texture.height, Math.floor(y) + (height || 1));
+            const miss = { objectId: 0, depth: 1, x: Math.floor(x), y: Math.floor(y), objectIds: [] };
+            if (right <= left || bottom <= top) {
+                return miss;
+            }
+
+            // Both texel formats are 4 bytes; copy the IDs and then the depths into one staging buffer
+            const copyWidth = right - left;
+            const copyHeight = bottom - top;
+            const bytesPerRow = alignTo(copyWidth * 4, 256);
+            const depthOffset = bytesPerRow * copyHeight;
+            const size = depthOffset * 2;
+            const staging = this.acquireStagingBuffer(size);
+            try {
+                const encoder = this.device.createCommandEncoder({ label: 'Picking readback' });
+                const copySize = { width: copyWidth, height: copyHeight, depthOrArrayLayers: 1 };
+                encoder.copyTextureToBuffer(
+                    { texture: texture, origin: { x: left, y: top } },
+                    { buffer: staging, bytesPerRow: bytesPerRow, rowsPerImage: copyHeight },
+                    copySize);
+                encoder.copyTextureToBuffer(
+                    { texture: target.depthTexture, origin: { x: left, y: top }, aspect: 'depth-only' },
+                    { buffer: staging, offset: depthOffset, bytesPerRow: bytesPerRow, rowsPerImage: copyHeight },
+                    copySize);
+                this.device.queue.submit([encoder.finish()]);
+
+                await staging.mapAsync(GPUMapMode.READ, 0, size);
+                const mapped = staging.getMappedRange(0, size);
+                const ids = new Uint32Array(mapped, 0, depthOffset / 4);
+                const depths = new Float32Array(mapped, depthOffset, depthOffset / 4);
+
+                const centerX = x + (width || 1) / 2;
+                const centerY = y + (height || 1) / 2;
+                const objectIds = new Set();
+                let best = miss;
+                let bestDistance = Infinity;
+                for (let row = 0; row < copyHeight; row++) {
+                    for (let column = 0; column < copyWidth; column++) {
+                        const index = row * bytesPerRow / 4 + column;
+                        const objectId = ids[index];
+                        if (objectId === 0) {
+                            continue;
+                        }
+
+                        objectIds.add(objectId);
+                        const depth = depths[index];
+                        const distance = Math.hypot(left + column + 0.5 - centerX, top + row + 0.5 - centerY);
+                        if (best.objectId === 0 || depth < best.depth || (depth === best.depth && distance < bestDistance)) {
+                            best = { objectId: objectId, depth: depth, x: left + column, y: top + row };
+                            bestDistance = distance;
+                        }
+                    }
+                }
+
+                staging.unmap();
+                this.releaseStagingBuffer(staging);
+                return { ...best, objectIds: Array.from(objectIds) };
+            } catch (error) {
+                // A staging buffer in an unknown map state is not safe to reuse
+                staging.destroy();
+                throw error;
+            }
+        } catch (error) {
+            throw new Error(`Failed to pick: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create (or replace) a picking target's textures and views
+     * @param {number} targetId - The picking target resource ID
+     * @param {PickingTarget} target - The picking target
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {object} Resource IDs of views of the ID and depth textures
+     */
+    allocatePickingTextures(targetId, target, width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new Error(`Size ${width}x${height} must be positive whole pixels`);
+        }
 
-        // Set up visibility change listener
-        this.setupVisibilityListener();
+        const usage = GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC | GPUTextureUsage.TEXTURE_BINDING;
+        const idTexture = this.device.createTexture({
+            label: `${target.label} IDs`,
+            size: { width: width, height: height },
+            format: PICKING_ID_FORMAT,
+            usage: usage
+        });
+        const depthTexture = this.device.createTexture({
+            label: `${target.label} depth`,
+            size: { width: width, height: height },
+            format: PICKING_DEPTH_FORMAT,
+            usage: usage
+        });
+
+        // Views of the previous textures go with them
+        const previousViews = this.dependentResources.get(targetId) || [];
+        this.dependentResources.delete(targetId);
+        previousViews.forEach(viewId => this.releaseResource(viewId));
+        target.destroy();
+
+        target.idTexture = idTexture;
+        target.depthTexture = depthTexture;
+        const idViewId = this.storeResource(this.createViewForTexture(null, idTexture, { label: `${target.label} ID view` }));
+        const depthViewId = this.storeResource(this.createViewForTexture(null, depthTexture, { label: `${target.label} depth view` }));
+        this.dependentResources.set(targetId, [idViewId, depthViewId]);
+        return { idViewId: idViewId, depthViewId: depthViewId };
     }
 
     /**
-     * Set up the page visibility change listener
+     * Read bytes back from a buffer through a pooled MAP_READ staging buffer, or by mapping it directly if it is a MAP_READ buffer.
+     * Overlapping reads of the same MAP_READ buffer run one after another.
+     * @param {number} bufferId - The buffer resource ID (the buffer needs COPY_SRC or MAP_READ usage)
+     * @param {number} offset - Offset in bytes
+     * @param {number} size - Number of bytes to read (null reads to the end of the buffer)
+     * @returns {Promise<Uint8Array>} The buffer contents
      */
-    setupVisibilityListener() {
-        document.addEventListener('visibilitychange', () => {
-            const isVisible = !document.hidden;
-            // Notify all registered callbacks
-            this.visibilityCallbacks.forEach(callback => {
+    async readBufferAsync(bufferId, offset, size) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const buffer = this.getResource(bufferId, 'buffer');
+
+            const start = offset || 0;
+            const length = size ?? buffer.size - start;
+            if (start < 0 || length < 0 || start + length > buffer.size) {
+                throw new Error(`Range ${start}+${length} is outside the ${buffer.size} byte buffer`);
+            }
+            if (length === 0) {
+                return new Uint8Array(0);
+            }
+
+            if (buffer.usage & GPUBufferUsage.MAP_READ) {
+                // A buffer can only be mapped once at a time, so each read waits for the previous one to unmap
+                const previous = this.mapReadQueues.get(buffer) || Promise.resolve();
+                const read = previous.then(async () => {
+                    // mapAsync needs an offset aligned to 8 bytes and a size aligned to 4 bytes
+                    const mapStart = start & ~7;
+                    const mapSize = Math.min((start + length + 3) & ~3, buffer.size) - mapStart;
+                    await buffer.mapAsync(GPUMapMode.READ, mapStart, mapSize);
+                    try {
+                        return new Uint8Array(buffer.getMappedRange(mapStart, mapSize), start - mapStart, length).slice();
+                    } finally {
+                        buffer.unmap();
+                    }
+                });
+                const settled = read.catch(() => {});
+                this.mapReadQueues.set(buffer, settled);
                 try {
-                    callback.invokeMethodAsync('OnVisibilityChanged', isVisible);
-                } catch (error) {
-                    console.error('Error invoking visibility callback:', error);
+                    return await read;
+                } finally {
+                    if (this.mapReadQueues.get(buffer) === settled) {
+                        this.mapReadQueues.delete(buffer);
+                    }
                 }
-            });
+            }
+
+            if (!(buffer.usage & GPUBufferUsage.COPY_SRC)) {
+                throw new Error('Buffer was not created with COPY_SRC or MAP_READ usage');
+            }
+
+            // copyBufferToBuffer needs 4-byte aligned offsets and sizes, so widen the copy and trim afterwards
+            const copyStart = start & ~3;
+            const copySize = Math.min((start + length + 3) & ~3, buffer.size) - copyStart;
+            if (copySize % 4 !== 0) {
+                throw new Error('Buffer size is not a multiple of 4 bytes');
+            }
+
+            const staging = this.acquireStagingBuffer(copySize);
+            try {
+                const encoder = this.device.createCommandEncoder({ label: 'Buffer readback' });
+                encoder.copyBufferToBuffer(buffer, copyStart, staging, 0, copySize);
+                this.device.queue.submit([encoder.finish()]);
+
+                await staging.mapAsync(GPUMapMode.READ, 0, copySize);
+                const skip = start - copyStart;
+                const bytes = new Uint8Array(staging.getMappedRange(0, copySize), skip, length).slice();
+                staging.unmap();
+                this.releaseStagingBuffer(staging);
+                return bytes;
+            } catch (error) {
+                // A staging buffer in an unknown map state is not safe to reuse
+                staging.destroy();
+                throw error;
+            }
+        } catch (error) {
+            throw new Error(`Failed to read buffer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take a free staging buffer of at least the given size from the pool, creating one if needed
+     * @param {number} size - Minimum size in bytes
+     * @returns {GPUBuffer} An unmapped MAP_READ | COPY_DST buffer
+     */
+    acquireStagingBuffer(size) {
+        let best = -1;
+        for (let i = 0; i < this.stagingBuffers.length; i++) {
+            const candidate = this.stagingBuffers[i];
+            if (candidate.size >= size && (best < 0 || candidate.size < this.stagingBuffers[best].size)) {
+                best = i;
+            }
+        }
+
+        if (best >= 0) {
+            return this.stagingBuffers.splice(best, 1)[0];
+        }
+
+        // Round up to a power of two (min 256 bytes) so readbacks of varying size share buffers
+        let stagingSize = 256;
+        while (stagingSize < size) {
+            stagingSize *= 2;
+        }
+
+        return this.device.createBuffer({
+            label: 'Readback staging',
+            size: stagingSize,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
         });
     }
 
     /**
-     * Register a .NET callback for visibility changes
-     * @param {object} dotNetRef - The .NET object reference
-     * @returns {number} Callback ID for later removal
+     * Return a staging buffer to the pool, destroying the smallest buffer if the pool is full
+     * @param {GPUBuffer} staging - An unmapped staging buffer
      */
-    registerVisibilityCallback(dotNetRef) {
-        const callbackId = this.nextCallbackId++;
-        this.visibilityCallbacks.set(callbackId, dotNetRef);
-        
-        // Immediately notify of current visibility state
-        const isVisible = !document.hidden;
-        dotNetRef.invokeMethodAsync('OnVisibilityChanged', isVisible);
-        
-        return callbackId;
+    releaseStagingBuffer(staging) {
+        this.stagingBuffers.push(staging);
+        if (this.stagingBuffers.length > MAX_POOLED_STAGING_BUFFERS) {
+            this.stagingBuffers.sort((a, b) => a.size - b.size);
+            this.stagingBuffers.shift().destroy();
+        }
     }
 
     /**
-     * Unregister a visibility callback
-     * @param {number} callbackId - The callback ID to remove
+     * Capture the contents of a texture as an encoded image
+     * @param {number} textureId - The texture resource ID (single-sampled rgba8unorm or bgra8unorm family, with COPY_SRC usage)
+     * @param {string} mimeType - The image type ('image/png', 'image/jpeg' or 'image/webp', default: 'image/png')
+     * @param {number} quality - Encoder quality between 0 and 1 for lossy types (optional)
+     * @returns {Promise<Uint8Array>} The encoded image bytes
      */
-    unregisterVisibilityCallback(callbackId) {
-        this.visibilityCallbacks.delete(callbackId);
+    async captureTextureAsync(textureId, mimeType, quality) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            const texture = this.getResource(textureId, 'texture');
+            if (texture.sampleCount !== 1) {
+                throw new Error(`Capturing multisampled textures is not supported (sample count ${texture.sampleCount}); resolve to a single-sampled texture first`);
+            }
+            if (!CAPTURE_FORMATS.has(texture.format)) {
+                throw new Error(`Capturing ${texture.format} textures is not supported; only 8-bit RGBA and BGRA colour textures can be captured`);
+            }
+
+            const copy = this.copyTextureToStaging(texture);
+            return await this.encodeStagedTextureAsync(copy, mimeType, quality);
+        } catch (error) {
+            throw new Error(`Failed to capture texture: ${error.message}`);
+        }
     }
 
     /**
-     * Check if the page is currently visible
-     * @returns {boolean} True if page is visible
+     * Capture the next frame presented to a canvas as an encoded image. The canvas texture is copied when
+     * the next command buffers are submitted, before the browser presents (and discards) it.
+     * @param {string} contextId - The canvas context ID
+     * @param {string} mimeType - The image type ('image/png', 'image/jpeg' or 'image/webp', default: 'image/png')
+     * @param {number} quality - Encoder quality between 0 and 1 for lossy types (optional)
+     * @returns {Promise<Uint8Array>} The encoded image bytes
      */
-    isPageVisible() {
-        return !document.hidden;
+    async captureCanvasAsync(contextId, mimeType, quality) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+            if (!this.canvasContexts.has(contextId)) {
+                throw new Error(`Canvas context '${contextId}' not found`);
+            }
+
+            const copy = await new Promise((resolve, reject) => {
+                const timeoutId = setTimeout(() => {
+                    this.pendingCanvasCaptures.delete(pending);
+                    reject(new Error(`No frame was rendered to the canvas within ${CANVAS_CAPTURE_TIMEOUT_MS} ms`));
+                }, CANVAS_CAPTURE_TIMEOUT_MS);
+                const pending = {
+                    contextId: contextId,
+                    resolve: copied => {
+                        clearTimeout(timeoutId);
+                        resolve(copied);
+                    },
+                    reject: error => {
+                        clearTimeout(timeoutId);
+                        reject(error);
+                    }
+                };
+                this.pendingCanvasCaptures.add(pending);
+            });
+
+            return await this.encodeStagedTextureAsync(copy, mimeType, quality);
+        } catch (error) {
+            throw new Error(`Failed to capture canvas: ${error.message}`);
+        }
     }
 
     /**
-     * Check if WebGPU is supported in the current browser
-     * @returns {boolean} True if WebGPU is available
+     * Copy the canvas textures of pending captures; called right after a submit so the frame is still unpresented
      */
-    isSupported() {
-        return 'gpu' in navigator;
+    copyPendingCanvasCaptures() {
+        this.pendingCanvasCaptures.forEach(pending => {
+            const texture = this.currentCanvasTextures.get(pending.contextId);
+            if (!texture) {
+                return; // This submit did not render to the canvas; wait for one that does
+            }
+
+            this.pendingCanvasCaptures.delete(pending);
+            try {
+                pending.resolve(this.copyTextureToStaging(texture));
+            } catch (error) {
+                pending.reject(error);
+            }
+        });
+        this.currentCanvasTextures.clear();
     }
 
     /**
-     * Get detailed compatibility information about the browser and WebGPU support
-     * @returns {object} Compatibility information including browser details
+     * Encode and submit a copy of mip level 0 of a texture into a staging buffer (rows padded to 256 bytes)
+     * @param {GPUTexture} texture - The texture to copy
+     * @returns {object} The staging buffer and the layout of the copied pixels
      */
-    async getCompatibilityInfo() {
-        const info = {
-            isSupported: this.isSupported(),
-            userAgent: navigator.userAgent || '',
-            vendor: '', // Will be populated from userAgent
-            platform: navigator.userAgentData?.platform || this.getPlatformFromUserAgent(),
-            errorMessage: null,
-            browserName: null,
-            browserVersion: null,
-            supportsWithFlags: false
-        };
+    copyTextureToStaging(texture) {
+        if (!CAPTURE_FORMATS.has(texture.format)) {
+            throw new Error(`Capturing ${texture.format} textures is not supported`);
+        }
+        if (!(texture.usage & GPUTextureUsage.COPY_SRC)) {
+            throw new Error('Texture was not created with COPY_SRC usage');
+        }
 
-        // Detect browser and vendor from userAgent
-        const ua = navigator.userAgent.toLowerCase();
-        if (ua.includes('chrome') && !ua.includes('edge')) {
-            info.browserName = 'Chrome';
-            info.vendor = 'Google Inc.';
-            const match = ua.match(/chrome\/(\d+)/);
-            info.browserVersion = match ? match[1] : 'unknown';
-            info.supportsWithFlags = parseInt(info.browserVersion) >= 113;
-        } else if (ua.includes('edg/')) {
-            info.browserName = 'Edge';
-            info.vendor = 'Microsoft Corporation';
-            const match = ua.match(/edg\/(\d+)/);
-            info.browserVersion = match ? match[1] : 'unknown';
-            info.supportsWithFlags = parseInt(info.browserVersion) >= 113;
-        } else if (ua.includes('opr/') || ua.includes('opera')) {
-            info.browserName = 'Opera';
-            info.vendor = 'Opera Software';
-            const match = ua.match(/(?:opr|opera)\/(\d+)/);
-            info.browserVersion = match ? match[1] : 'unknown';
-            info.supportsWithFlags = parseInt(info.browserVersion) >= 99;
-        } else if (ua.includes('firefox')) {
-            info.browserName = 'Firefox';
-            info.vendor = 'Mozilla';
-            const match = ua.match(/firefox\/(\d+)/);
-            info.browserVersion = match ? match[1] : 'unknown';
-            info.supportsWithFlags = true; // May need flags
-            info.errorMessage = 'Firefox requires enabling WebGPU in about:config (dom.webgpu.enabled)';
-        } else if (ua.includes('safari') && !ua.includes('chrome')) {
-            info.browserName = 'Safari';
-            info.vendor = 'Apple Inc.';
-            const match = ua.match(/version\/(\d+)/);
-            info.browserVersion = match ? match[1] : 'unknown';
-            info.supportsWithFlags = true; // Technology Preview
-            info.errorMessage = 'Safari requires Safari Technology Preview with WebGPU enabled in Develop menu';
-        } else {
-            info.browserName = 'Unknown';
-            info.vendor = 'Unknown';
-            info.browserVersion = 'unknown';
+        const width = texture.width;
+        const height = texture.height;
+        const bytesPerRow = Math.ceil(width * 4 / 256) * 256;
+        const size = bytesPerRow * height;
+        const staging = this.acquireStagingBuffer(size);
+
+        const encoder = this.device.createCommandEncoder({ label: 'Texture capture' });
+        encoder.copyTextureToBuffer(
+            { texture: texture },
+            { buffer: staging, bytesPerRow: bytesPerRow, rowsPerImage: height },
+            { width: width, height: height, depthOrArrayLayers: 1 }
+        );
+        this.device.queue.submit([encoder.finish()]);
+
+        return { staging, size, width, height, bytesPerRow, bgra: texture.format.startsWith('bgra') };
+    }
+
+    /**
+     * Read back a staged texture copy, strip the row padding, swizzle BGRA to RGBA and encode it
+     * @param {object} copy - The result of copyTextureToStaging
+     * @param {string} mimeType - The image type
+     * @param {number} quality - Encoder quality for lossy types (optional)
+     * @returns {Promise<Uint8Array>} The encoded image bytes
+     */
+    async encodeStagedTextureAsync(copy, mimeType, quality) {
+        const { staging, size, width, height, bytesPerRow, bgra } = copy;
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        try {
+            await staging.mapAsync(GPUMapMode.READ, 0, size);
+            const padded = new Uint8Array(staging.getMappedRange(0, size));
+            const rowBytes = width * 4;
+            for (let y = 0; y < height; y++) {
+                pixels.set(padded.subarray(y * bytesPerRow, y * bytesPerRow + rowBytes), y * rowBytes);
+            }
+            staging.unmap();
+            this.releaseStagingBuffer(staging);
+        } catch (error) {
+            staging.destroy();
+            throw error;
         }
 
-        // Set error message if not supported
-        if (!info.isSupported) {
-            if (!info.errorMessage) {
-                info.errorMessage = `WebGPU is not available in ${info.browserName} ${info.browserVersion}. ` +
-                    `Please use Chrome 113+, Edge 113+, or Opera 99+.`;
+        if (bgra) {
+            for (let i = 0; i < pixels.length; i += 4) {
+                const blue = pixels[i];
+                pixels[i] = pixels[i + 2];
+                pixels[i + 2] = blue;
             }
         }
 
-        return info;
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        const blob = await canvas.convertToBlob({
+            type: mimeType || 'image/png',
+            quality: quality ?? undefined
+        });
+        return new Uint8Array(await blob.arrayBuffer());
     }
 
     /**
-     * Get platform information from userAgent as fallback
-     * @returns {string} Platform identifier
+     * Create a render pipeline
+     * @param {object} descriptor - Pipeline descriptor
+     * @returns {number} Resource ID for the pipeline
      */
-    getPlatformFromUserAgent() {
-        const ua = navigator.userAgent;
-        if (ua.includes('Win')) return 'Windows';
-        if (ua.includes('Mac')) return 'macOS';
-        if (ua.includes('Linux')) return 'Linux';
-        if (ua.includes('Android')) return 'Android';
-        if (ua.includes('iPhone') || ua.includes('iPad')) return 'iOS';
-        return 'Unknown';
+    createRenderPipeline(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+
+            // Convert shader resource IDs to actual shader modules
+            if (!descriptor.vertex || !descriptor.vertex.shaderModuleId) {
+                throw new Error('Vertex shader module ID is required');
+            }
+
+            const vertexModule = this.getResource(descriptor.vertex.shaderModuleId, 'shader module');
+
+            // Without an explicit layout, bind groups made from this pipeline only work with this pipeline
+            const layout = descriptor.pipelineLayoutId !== null && descriptor.pipelineLayoutId !== undefined
+                ? this.getResource(descriptor.pipelineLayoutId, 'pipeline layout')
+                : 'auto';
+
+            const pipelineDescriptor = {
+                label: descriptor.label || undefined,
+                layout: layout,
+                vertex: {
+                    module: vertexModule,
+                    entryPoint: descriptor.vertex.entryPoint || 'main',
+                    buffers: descriptor.vertex.buffers || []
+                }
+            };
+
+            // Add fragment stage if provided
+            if (descriptor.fragment) {
+                if (!descriptor.fragment.shaderModuleId) {
+                    throw new Error('Fragment shader module ID is required when fragment stage is specified');
+                }
+
+                const fragmentModule = this.getResource(descriptor.fragment.shaderModuleId, 'shader module');
+
+                pipelineDescriptor.fragment = {
+                    module: fragmentModule,
+                    entryPoint: descriptor.fragment.entryPoint || 'main',
+                    targets: descriptor.fragment.targets || []
+                };
+            }
+
+            // Add optional states
+            if (descriptor.primitive) {
+                pipelineDescriptor.primitive = descriptor.primitive;
+            }
+            if (descriptor.depthStencil) {
+                pipelineDescriptor.depthStencil = descriptor.depthStencil;
+            }
+            if (descriptor.multisample) {
+                pipelineDescriptor.multisample = descriptor.multisample;
+            }
+
+            console.log('Creating render pipeline with descriptor:', pipelineDescriptor);
+            const pipeline = this.device.createRenderPipeline(pipelineDescriptor);
+            const resourceId = this.storeResource(pipeline);
+            console.log('Created render pipeline with resource ID:', resourceId);
+            return resourceId;
+        } catch (error) {
+            this.trackError('Failed to create render pipeline', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a compute pipeline
+     * @param {object} descriptor - Compute pipeline descriptor (label, pipelineLayoutId, and compute with
+     * shaderModuleId, entryPoint and optional constants for pipeline-overridable values)
+     * @returns {number} Resource ID for the pipeline
+     */
+    createComputePipeline(descriptor) {
+        try {
+            if (!this.device) {
+                throw new Error('Device not initialized');
+            }
+            if (!descriptor.compute || !descriptor.compute.shaderModuleId) {
+                throw new Error('Compute shader module ID is required');
+            }
+
+            const computeModule = this.getResource(descriptor.compute.shaderModuleId, 'shader module');
+            const layout = descriptor.pipelineLayoutId !== null && descriptor.pipelineLayoutId !== undefined
+                ? this.getResource(descriptor.pipelineLayoutId, 'pipeline layout')
+                : 'auto';
+
+            const pipeline = this.device.createComputePipeline({
+                label: descriptor.label || undefined,
+                layout: layout,
+                compute: {
+                    module: computeModule,
+                    entryPoint: descriptor.compute.entryPoint || 'main',
+                    constants: descriptor.compute.constants || undefined
+                }
+            });
+            return this.storeResource(pipeline);
+        } catch (error) {
+            this.trackError('Failed to create compute pipeline', error);
+            throw error;
+        }
     }
 
     /**
-     * Initialize WebGPU adapter and device
-     * @param {string} canvasId - The ID of the canvas element
-     * @returns {Promise<object>} Device info including adapter and device details
+     * Create a bind group layout
+     * @param {object} descriptor - Bind group layout descriptor (label, entries). Each entry has a binding, a
+     * visibility (GPUShaderStage flags) and exactly one of buffer, sampler, texture, storageTexture or externalTexture.
+     * @returns {number} Resource ID for the bind group layout
      */
-    async initializeAsync(canvasId) {
+    createBindGroupLayout(descriptor) {
         try {
-            if (!this.isSupported()) {
-                throw new Error('WebGPU is not supported in this browser');
-            }
-
-            // Request adapter
-            const adapterOptions = {
-                powerPreference: 'high-performance'
-            };
-
-            this.adapter = await navigator.gpu.requestAdapter(adapterOptions);
-            if (!this.adapter) {
-                throw new Error('Failed to get WebGPU adapter. Your GPU may not support WebGPU.');
-            }
-
-            // Request device
-            const deviceDescriptor = {
-                requiredFeatures: [],
-                requiredLimits: {}
-            };
-
-            this.device = await this.adapter.requestDevice(deviceDescriptor);
             if (!this.device) {
-                throw new Error('Failed to get WebGPU device');
+                throw new Error('Device not initialized');
             }
 
-            // Set up device lost handler
-            this.device.lost.then((info) => {
-                console.error(`WebGPU device lost: ${info.message}`);
-                // The C# layer will handle device lost through callbacks
-            });
+            const entries = (descriptor.entries || []).map(entry => {
+                const layoutEntry = { binding: entry.binding, visibility: entry.visibility };
+                const bindingTypes = BINDING_LAYOUT_TYPES.filter(type => entry[type]);
+                if (bindingTypes.length !== 1) {
+                    throw new Error(`Binding ${entry.binding} must have exactly one of ${BINDING_LAYOUT_TYPES.join(', ')}`);
+                }
 
-            // Set up uncaptured error handler with tracking
-            this.device.addEventListener('uncapturederror', (event) => {
-                this.trackError('WebGPU uncaptured error', event.error);
+                layoutEntry[bindingTypes[0]] = entry[bindingTypes[0]];
+                return layoutEntry;
             });
 
-            // Initialize canvas context
-            this.getCanvasContext(canvasId);
-
-            return {
-                adapterInfo: {
-                    vendor: this.adapter.info?.vendor || 'Unknown',
-                    architecture: this.adapter.info?.architecture || 'Unknown',
-                    device: this.adapter.info?.device || 'Unknown',
-                    description: this.adapter.info?.description || 'Unknown'
-                },
-                limits: this.device.limits,
-                features: Array.from(this.device.features || [])
-            };
+            const layout = this.device.createBindGroupLayout({
+                label: descriptor.label || undefined,
+                entries: entries
+            });
+            this.bindGroupLayoutEntries.set(layout, entries);
+            return this.storeResource(layout);
         } catch (error) {
-            throw new Error(`WebGPU initialization failed: ${error.message}`);
+            throw new Error(`Failed to create bind group layout: ${error.message}`);
         }
     }
 
     /**
-     * Configure a canvas context with proper resolution
-     * @param {string} contextId - The context ID
-     * @param {object} config - Configuration options
+     * Create a pipeline layout
+     * @param {object} descriptor - Pipeline layout descriptor (label, bindGroupLayoutIds indexed by group)
+     * @returns {number} Resource ID for the pipeline layout
      */
-    async configureCanvasContext(contextId, config) {
+    createPipelineLayout(descriptor) {
         try {
-            const context = this.canvasContexts.get(contextId);
-            if (!context) {
-                throw new Error(`Canvas context '${contextId}' not found`);
+            if (!this.device) {
+                throw new Error('Device not initialized');
             }
 
-            // Get the canvas element
-            const canvas = context.canvas;
-            
-            // Set canvas resolution to match display size with device pixel ratio
-            const dpr = window.devicePixelRatio || 1;
-            const displayWidth = canvas.clientWidth;
-            const displayHeight = canvas.clientHeight;
-            
-            // Set the internal canvas resolution
-            canvas.width = displayWidth * dpr;
-            canvas.height = displayHeight * dpr;
-
-            // Configure WebGPU context
-            const configuration = {
-                device: this.device,
-                format: config.format || navigator.gpu.getPreferredCanvasFormat(),
-                alphaMode: config.alphaMode || 'opaque'
-            };
-
-            context.configure(configuration);
-            
-            console.log(`Canvas configured: ${canvas.width}x${canvas.height} (display: ${displayWidth}x${displayHeight}, dpr: ${dpr})`);
+            const layout = this.device.createPipelineLayout({
+                label: descriptor.label || undefined,
+                bindGroupLayouts: (descriptor.bindGroupLayoutIds || []).map(id => this.getResource(id, 'bind group layout'))
+            });
+            return this.storeResource(layout);
         } catch (error) {
-            throw new Error(`Failed to configure canvas context: ${error.message}`);
+            throw new Error(`Failed to create pipeline layout: ${error.message}`);
         }
     }
 
     /**
-     * Get a canvas context for WebGPU rendering
-     * @param {string} canvasId - The canvas element ID
-     * @returns {string} Context ID for later reference
+     * Create a bind group
+     * @param {object} descriptor - Bind group descriptor
+     * @returns {number} Resource ID for the bind group
      */
-    getCanvasContext(canvasId) {
+    createBindGroup(descriptor) {
         try {
-            if (this.canvasContexts.has(canvasId)) {
-                return { contextId: canvasId };
+            if (!this.device) {
+                throw new Error('Device not initialized');
             }
 
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) {
-                throw new Error(`Canvas element with id '${canvasId}' not found`);
+            // Get the layout (either from a pipeline or explicit layout ID)
+            let layout;
+            if (descriptor.layoutId !== null && descriptor.layoutId !== undefined) {
+                layout = this.getResource(descriptor.layoutId, 'bind group layout');
+            } else if (descriptor.pipelineId !== null && descriptor.pipelineId !== undefined) {
+                // Get layout from a render or compute pipeline
+                const pipeline = this.getResource(descriptor.pipelineId, ['render pipeline', 'compute pipeline']);
+                layout = pipeline.getBindGroupLayout(descriptor.groupIndex || 0);
+            } else {
+                throw new Error('Must specify either layoutId or pipelineId');
             }
 
-            const context = canvas.getContext('webgpu');
-            if (!context) {
-                throw new Error('Failed to get WebGPU context from canvas');
-            }
+            // Entries can only be checked up front against explicit layouts; inferred ('auto') layouts are opaque
+            const layoutEntries = this.bindGroupLayoutEntries.get(layout);
 
-            // Store the context
-            this.canvasContexts.set(canvasId, context);
+            // Convert resource IDs to actual resources
+            let referencesVideo = false;
+            const entries = descriptor.entries.map(entry => {
+                let resource;
+                try {
+                    resource = this.getResource(entry.resourceId, BINDING_RESOURCE_KINDS[entry.resourceType]);
+                } catch (error) {
+                    throw new Error(`Binding ${entry.binding}: ${error.message}`);
+                }
+                if (!resource) {
+                    throw new Error(`Resource with ID ${entry.resourceId} for binding ${entry.binding} not found`);
+                }
 
-            return { contextId: canvasId };
-        } catch (error) {
-            throw new Error(`Failed to get canvas context: ${error.message}`);
-        }
-    }
+                let bindGroupEntry;
+                switch (entry.resourceType) {
+                    case 'buffer':
+                        // A missing size binds from the offset to the end of the buffer
+                        bindGroupEntry = {
+                            binding: entry.binding,
+                            resource: { buffer: resource, offset: entry.offset || 0, size: entry.size ?? undefined }
+                        };
+                        break;
+                    case 'texture':
+                        // Bind the texture's default view (e.g. a cube view for cube maps)
+                        bindGroupEntry = {
+                            binding: entry.binding,
+                            resource: resource instanceof GPUTexture ? this.createViewForTexture(entry.resourceId, resource, null) : resource
+                        };
+                        break;
+                    case 'storageTexture':
+                        // Storage bindings see a single mip level
+                        bindGroupEntry = {
+                            binding: entry.binding,
+                            resource: resource instanceof GPUTexture ? this.createViewForTexture(entry.resourceId, resource, { mipLevelCount: 1 }) : resource
+                        };
+                        break;
+                    case 'externalTexture':
+                        referencesVideo = true;
+                        bindGroupEntry = { binding: entry.binding, videoSource: resource };
+                        break;
+                    default:
+                        bindGroupEntry = { binding: entry.binding, resource: resource };
+                        break;
+                }
 
-    /**
-     * Configure the canvas context
-     * @param {string} contextId - The canvas context ID
-     * @param {object} config - Configuration (format, usage, alphaMode, etc.)
-     */
-    configureCanvasContext(contextId, config) {
-        try {
-            const context = this.canvasContexts.get(contextId);
-            if (!context) {
-                throw new Error(`Canvas context '${contextId}' not found`);
+                if (layoutEntries) {
+                    const layoutEntry = layoutEntries.find(candidate => candidate.binding === entry.binding);
+                    if (!layoutEntry) {
+                        throw new Error(`Binding ${entry.binding} is not declared in the bind group layout`);
+                    }
+                    this.validateBindGroupEntry(entry, bindGroupEntry, layoutEntry);
+                }
+                return bindGroupEntry;
+            });
+
+            if (layoutEntries) {
+                const missing = layoutEntries.filter(layoutEntry => !descriptor.entries.some(entry => entry.binding === layoutEntry.binding));
+                if (missing.length === 1) {
+                    throw new Error(`Binding ${missing[0].binding} is declared in the layout but has no entry`);
+                }
+                if (missing.length > 1) {
+                    throw new Error(`Bindings ${missing.map(layoutEntry => layoutEntry.binding).join(', ')} are declared in the layout but have no entries`);
+                }
             }
 
-            const configuration = {
-                device: this.device,
-                format: config.format || navigator.gpu.getPreferredCanvasFormat(),
-                usage: config.usage || GPUTextureUsage.RENDER_ATTACHMENT,
-                alphaMode: config.alphaMode || 'opaque'
+            if (referencesVideo) {
+                // Re-imported on every setBindGroup; resolve once now so layout mismatches surface here
+                const dynamicBindGroup = new DynamicBindGroup(layout, descriptor.label || undefined, entries);
+                this.resolveBindGroup(dynamicBindGroup);
+                return this.storeResource(dynamicBindGroup);
+            }
+
+            const bindGroupDescriptor = {
+                label: descriptor.label || undefined,
+                layout: layout,
+                entries: entries
             };
 
-            context.configure(configuration);
+            const bindGroup = this.device.createBindGroup(bindGroupDescriptor);
+            return this.storeResource(bindGroup);
         } catch (error) {
-            throw new Error(`Failed to configure canvas context: ${error.message}`);
+            throw new Error(`Failed to create bind group: ${error.message}`);
         }
     }
 
     /**
-     * Get the current texture from a canvas context
-     * @param {string} contextId - The canvas context ID
-     * @returns {number} Resource ID for the texture
+     * Check a bind group entry against its explicit layout entry, naming the binding in any error
+     * @param {object} entry - The entry from the C# layer (binding, resourceId, resourceType, offset, size)
+     * @param {object} bindGroupEntry - The resolved entry (resource, or videoSource for external textures)
+     * @param {object} layoutEntry - The layout entry (exactly one of buffer, sampler, texture, storageTexture or externalTexture)
      */
-    getCurrentTexture(contextId) {
-        try {
-            const context = this.canvasContexts.get(contextId);
-            if (!context) {
-                throw new Error(`Canvas context '${contextId}' not found`);
+    validateBindGroupEntry(entry, bindGroupEntry, layoutEntry) {
+        const binding = entry.binding;
+        const bindingType = BINDING_LAYOUT_TYPES.find(type => layoutEntry[type]);
+        if (entry.resourceType !== bindingType) {
+            throw new Error(`Binding ${binding} expects ${BINDING_TYPE_NAMES[bindingType]} but the entry's resource type is '${entry.resourceType}'`);
+        }
+
+        const layout = layoutEntry[bindingType];
+        switch (bindingType) {
+            case 'buffer': {
+                const buffer = bindGroupEntry.resource.buffer;
+                const type = layout.type || 'uniform';
+                const usage = type === 'uniform' ? GPUBufferUsage.UNIFORM : GPUBufferUsage.STORAGE;
+                if (!(buffer.usage & usage)) {
+                    throw new Error(`Binding ${binding} is a ${type} buffer binding but the buffer lacks ${type === 'uniform' ? 'UNIFORM' : 'STORAGE'} usage`);
+                }
+                const offset = bindGroupEntry.resource.offset;
+                const size = bindGroupEntry.resource.size ?? buffer.size - offset;
+                if (offset + size > buffer.size) {
+                    throw new Error(`Binding ${binding} binds ${offset}+${size} bytes of a ${buffer.size} byte buffer`);
+                }
+                if (layout.minBindingSize && size < layout.minBindingSize) {
+                    throw new Error(`Binding ${binding} needs at least ${layout.minBindingSize} bytes but ${size} are bound`);
+                }
+                break;
+            }
+            case 'sampler': {
+                const sampler = this.samplerDescriptors.get(bindGroupEntry.resource) || {};
+                const type = layout.type || 'filtering';
+                if ((type === 'comparison') !== !!sampler.compare) {
+                    throw new Error(type === 'comparison'
+                        ? `Binding ${binding} expects a comparison sampler (one with a compare function)`
+                        : `Binding ${binding} expects a ${type} sampler but a comparison sampler was supplied`);
+                }
+                if (type === 'non-filtering' && [sampler.magFilter, sampler.minFilter, sampler.mipmapFilter].includes('linear')) {
+                    throw new Error(`Binding ${binding} expects a non-filtering sampler but the sampler uses linear filtering`);
+                }
+                break;
             }
+            case 'texture':
+            case 'storageTexture': {
+                const view = this.viewInfo.get(bindGroupEntry.resource);
+                if (!view) {
+                    return; // A view created outside this module (e.g. by a helper) cannot be inspected
+                }
 
-            const texture = context.getCurrentTexture();
-            const resourceId = this.storeResource(texture);
-            return resourceId;
-        } catch (error) {
-            throw new Error(`Failed to get current texture: ${error.message}`);
+                const viewDimension = layout.viewDimension || '2d';
+                if (view.dimension !== viewDimension) {
+                    throw new Error(`Binding ${binding} expects a '${viewDimension}' view but the view is '${view.dimension}'`);
+                }
+
+                if (bindingType === 'storageTexture') {
+                    if (!(view.texture.usage & GPUTextureUsage.STORAGE_BINDING)) {
+                        throw new Error(`Binding ${binding} is a storage texture binding but the texture lacks STORAGE_BINDING usage`);
+                    }
+                    if (view.format !== layout.format) {
+                        throw new Error(`Binding ${binding} expects a '${layout.format}' storage texture but the view is '${view.format}'`);
+                    }
+                    if (view.mipLevelCount !== 1) {
+                        throw new Error(`Binding ${binding} is a storage texture binding but the view covers ${view.mipLevelCount} mip levels`);
+                    }
+                    break;
+                }
+
+                if (!(view.texture.usage & GPUTextureUsage.TEXTURE_BINDING)) {
+                    throw new Error(`Binding ${binding} is a texture binding but the texture lacks TEXTURE_BINDING usage`);
+                }
+                if (!!layout.multisampled !== view.texture.sampleCount > 1) {
+                    throw new Error(`Binding ${binding} expects a ${layout.multisampled ? 'multisampled' : 'single-sampled'} texture`);
+                }
+                const sampleType = layout.sampleType || 'float';
+                const compatible = getCompatibleSampleTypes(view.format, this.device.features.has('float32-filterable'));
+                if (!compatible.includes(sampleType)) {
+                    throw new Error(`Binding ${binding} expects sample type '${sampleType}' but a '${view.format}' view is sampled as ${compatible.map(type => `'${type}'`).join(' or ')}`);
+                }
+                break;
+            }
+            case 'externalTexture':
+                break;
         }
     }
 
     /**
-     * Create a texture view from a texture
-     * @param {number} textureId - The texture resource ID
-     * @param {object} descriptor - Optional view descriptor
-     * @returns {number} Resource ID for the texture view
+     * Create a command encoder
+     * @param {string} label - Optional label for debugging
+     * @returns {number} Resource ID for the command encoder
      */
-    createTextureView(textureId, descriptor) {
+    createCommandEncoder(label) {
         try {
-            const texture = this.getResource(textureId);
-            if (!texture) {
-                throw new Error(`Texture with ID ${textureId} not found`);
+            if (!this.device) {
+                throw new Error('Device not initialized');
             }
 
-            const view = texture.createView(descriptor);
-            return this.storeResource(view);
+            const encoder = this.device.createCommandEncoder({
+                label: label || undefined
+            });
+
+            return this.storeResource(encoder);
         } catch (error) {
-            throw new Error(`Failed to create texture view: ${error.message}`);
+            throw new Error(`Failed to create command encoder: ${error.message}`);
         }
     }
 
     /**
-     * Create a shader module from WGSL source
-     * @param {string} wgslCode - WGSL shader source code
-     * @returns {Promise<number>} Resource ID for the shader module
+     * Begin a render pass
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {object} descriptor - Render pass descriptor
+     * @returns {number} Resource ID for the render pass encoder
      */
-    async createShaderModuleAsync(wgslCode) {
+    beginRenderPass(encoderId, descriptor) {
         try {
-            if (!this.device) {
-                throw new Error('Device not initialized');
-            }
+            const encoder = this.getResource(encoderId, 'command encoder');
 
-            const shaderModule = this.device.createShaderModule({
-                code: wgslCode
+            // Convert resource IDs to actual resources; unset IDs arrive from C# as null
+            const colorAttachments = descriptor.colorAttachments.map(att => {
+                const view = att.viewId !== null && att.viewId !== undefined
+                    ? this.getResource(att.viewId, 'texture view')
+                    : undefined;
+                
+                return {
+                    view: view,
+                    resolveTarget: att.resolveTargetId !== null && att.resolveTargetId !== undefined
+                        ? this.getResource(att.resolveTargetId, 'texture view')
+                        : undefined,
+                    loadOp: att.loadOp,
+                    storeOp: att.storeOp,
+                    clearValue: att.clearValue
+                };
             });
 
-            // Check for compilation errors
-            const compilationInfo = await shaderModule.getCompilationInfo();
-            if (compilationInfo.messages.length > 0) {
-                const errors = compilationInfo.messages.filter(m => m.type === 'error');
-                if (errors.length > 0) {
-                    const errorMessages = errors.map(e => 
-                        `Line ${e.lineNum}: ${e.message}`
-                    ).join('\n');
-                    const error = new Error(`Shader compilation failed:\n${errorMessages}`);
-                    this.trackError('Shader compilation error', error);
-                    throw error;
-                }
-                
-                // Log warnings but don't fail
-                const warnings = compilationInfo.messages.filter(m => m.type === 'warning');
-                if (warnings.length > 0) {
-                    const warnMessages = warnings.map(w => 
-                        `Line ${w.lineNum}: ${w.message}`
-                    ).join('\n');
-                    console.warn(`Shader compilation warnings:\n${warnMessages}`);
-                }
+            const passDescriptor = {
+                label: descriptor.label || undefined,
+                colorAttachments: colorAttachments
+            };
+
+            // Add depth/stencil if provided
+            if (descriptor.depthStencilAttachment) {
+                const ds = descriptor.depthStencilAttachment;
+                passDescriptor.depthStencilAttachment = {
+                    view: this.getResource(ds.viewId, 'texture view'),
+                    depthLoadOp: ds.depthLoadOp,
+                    depthStoreOp: ds.depthStoreOp,
+                    depthClearValue: ds.depthClearValue,
+                    stencilLoadOp: ds.stencilLoadOp,
+                    stencilStoreOp: ds.stencilStoreOp,
+                    stencilClearValue: ds.stencilClearValue
+                };
             }
 
-            const resourceId = this.storeResource(shaderModule);
-            return resourceId;
+            const passEncoder = encoder.beginRenderPass(passDescriptor);
+            return this.storeResource(passEncoder);
         } catch (error) {
-            if (error.message && !error.message.includes('Shader compilation failed')) {
-                this.trackError('Failed to create shader module', error);
-            }
+            this.trackError('Failed to begin render pass', error);
             throw error;
         }
     }
 
     /**
-     * Submit command buffers to the device queue
-     * @param {number[]} commandBufferIds - Array of command buffer resource IDs
+     * Set the pipeline for a render or compute pass
+     * @param {number} passEncoderId - Render or compute pass encoder resource ID
+     * @param {number} pipelineId - Pipeline resource ID; a render pipeline for a render pass, a compute pipeline for a compute pass
      */
-    submitCommandBuffers(commandBufferIds) {
+    setPipeline(passEncoderId, pipelineId) {
         try {
-            if (!this.device) {
-                throw new Error('Device not initialized');
-            }
+            const passEncoder = this.getResource(passEncoderId, ['render pass encoder', 'compute pass encoder']);
+            const pipelineKind = passEncoder instanceof GPUComputePassEncoder ? 'compute pipeline' : 'render pipeline';
+            const pipeline = this.getResource(pipelineId, pipelineKind);
 
-            const commandBuffers = commandBufferIds.map(id => {
-                const buffer = this.getResource(id);
-                if (!buffer) {
-                    throw new Error(`Command buffer with ID ${id} not found`);
-                }
-                return buffer;
-            });
-
-            this.device.queue.submit(commandBuffers);
+            passEncoder.setPipeline(pipeline);
         } catch (error) {
-            throw new Error(`Failed to submit command buffers: ${error.message}`);
+            this.trackError('Failed to set pipeline', error);
+            throw error;
         }
     }
 
     /**
-     * Store a WebGPU resource and return its ID
-     * @param {object} resource - The WebGPU resource to store
-     * @returns {number} Resource ID
+     * Set a bind group for a render or compute pass
+     * @param {number} passEncoderId - Render or compute pass encoder resource ID
+     * @param {number} index - Bind group index
+     * @param {number} bindGroupId - Bind group resource ID
+     * @param {number[]} dynamicOffsets - Optional offsets for the bind group's dynamic buffer bindings, in binding order
      */
-    storeResource(resource) {
-        const id = this.nextResourceId++;
-        this.resources.set(id, resource);
-        return id;
+    setBindGroup(passEncoderId, index, bindGroupId, dynamicOffsets) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, ['render pass encoder', 'compute pass encoder']);
+            const bindGroup = this.getResource(bindGroupId, 'bind group');
+
+            passEncoder.setBindGroup(index, this.resolveBindGroup(bindGroup), dynamicOffsets || []);
+        } catch (error) {
+            throw new Error(`Failed to set bind group: ${error.message}`);
+        }
     }
 
     /**
-     * Get a stored WebGPU resource by ID
-     * @param {number} resourceId - The resource ID
-     * @returns {object} The WebGPU resource
+     * Set a vertex buffer for a render pass
+     * @param {number} passEncoderId - Render pass encoder resource ID
+     * @param {number} slot - Vertex buffer slot
+     * @param {number} bufferId - Buffer resource ID
+     * @param {number} offset - Optional byte offset into the buffer (default: 0)
+     * @param {number} size - Optional size in bytes (default: the rest of the buffer)
      */
-    getResource(resourceId) {
-        return this.resources.get(resourceId);
+    setVertexBuffer(passEncoderId, slot, bufferId, offset, size) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
+            const buffer = this.getResource(bufferId, 'buffer');
+
+            passEncoder.setVertexBuffer(slot, buffer, offset || 0, size ?? undefined);
+        } catch (error) {
+            throw new Error(`Failed to set vertex buffer: ${error.message}`);
+        }
     }
 
     /**
-     * Release a stored resource
-     * @param {number} resourceId - The resource ID to release
+     * Set an index buffer for a render pass
+     * @param {number} passEncoderId - Render pass encoder resource ID
+     * @param {number} bufferId - Buffer resource ID
+     * @param {string} format - Index format ('uint16' or 'uint32')
+     * @param {number} offset - Optional byte offset into the buffer (default: 0)
+     * @param {number} size - Optional size in bytes (default: the rest of the buffer)
      */
-    releaseResource(resourceId) {
-        this.resources.delete(resourceId);
+    setIndexBuffer(passEncoderId, bufferId, format, offset, size) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
+            const buffer = this.getResource(bufferId, 'buffer');
+
+            passEncoder.setIndexBuffer(buffer, format, offset || 0, size ?? undefined);
+        } catch (error) {
+            throw new Error(`Failed to set index buffer: ${error.message}`);
+        }
     }
 
     /**
-     * Dispose of the WebGPU device and cleanup
+     * Draw vertices
+     * @param {number} passEncoderId - Render pass encoder resource ID
+     * @param {number} vertexCount - Number of vertices to draw
+     * @param {number} instanceCount - Number of instances to draw
+     * @param {number} firstVertex - First vertex index
+     * @param {number} firstInstance - First instance index
      */
-    dispose() {
-        // Report any remaining errors before disposing
-        if (this.errorCounts.size > 0) {
-            this.reportErrorSummary();
-        }
+    draw(passEncoderId, vertexCount, instanceCount, firstVertex, firstInstance) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
 
-        if (this.device) {
-            this.device.destroy();
-            this.device = null;
+            passEncoder.draw(vertexCount, instanceCount, firstVertex, firstInstance);
+        } catch (error) {
+            throw new Error(`Failed to draw: ${error.message}`);
         }
-
-        this.adapter = null;
-        this.canvasContexts.clear();
-        this.resources.clear();
-        this.visibilityCallbacks.clear();
-        this.errorCounts.clear();
     }
 
     /**
-     * Create a buffer with initial data
-     * @param {ArrayBuffer} data - The buffer data
-     * @param {number} usage - Buffer usage flags
-     * @param {string} label - Optional label for debugging
-     * @returns {number} Resource ID for the buffer
+     * Draw indexed vertices
+     * @param {number} passEncoderId - Render pass encoder resource ID
+     * @param {number} indexCount - Number of indices to draw
+     * @param {number} instanceCount - Number of instances to draw
+     * @param {number} firstIndex - First index
+     * @param {number} baseVertex - Base vertex offset
+     * @param {number} firstInstance - First instance index
      */
-    createBuffer(data, usage, label) {
+    drawIndexed(passEncoderId, indexCount, instanceCount, firstIndex, baseVertex, firstInstance) {
         try {
-            if (!this.device) {
-                throw new Error('Device not initialized');
-            }
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
 
-            console.log(`Creating buffer: ${label || 'unnamed'}, size: ${data.byteLength} bytes, usage: ${usage}`);
-
-            const buffer = this.device.createBuffer({
-                label: label || undefined,
-                size: data.byteLength,
-                usage: usage | GPUBufferUsage.COPY_DST,
-                mappedAtCreation: true
-            });
+            passEncoder.drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
+        } catch (error) {
+            throw new Error(`Failed to draw indexed: ${error.message}`);
+        }
+    }
 
-            // Copy data to buffer
-            const mappedRange = buffer.getMappedRange();
-            new Uint8Array(mappedRange).set(new Uint8Array(data));
-            buffer.unmap();
+    /**
+     * Draw vertices with arguments read from a buffer
+     * @param {number} passEncoderId - Render pass encoder resource ID
+     * @param {number} indirectBufferId - Buffer resource ID; the buffer needs INDIRECT usage
+     * @param {number} indirectOffset - Byte offset of the four u32 arguments (vertexCount, instanceCount,
+     * firstVertex, firstInstance; multiple of 4, default: 0)
+     */
+    drawIndirect(passEncoderId, indirectBufferId, indirectOffset) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
+            const buffer = this.getIndirectBuffer(indirectBufferId, indirectOffset, DRAW_INDIRECT_SIZE, 'draw arguments');
 
-            const resourceId = this.storeResource(buffer);
-            console.log(`Created buffer ${label || 'unnamed'} with resource ID: ${resourceId}`);
-            return resourceId;
+            passEncoder.drawIndirect(buffer, indirectOffset || 0);
         } catch (error) {
-            console.error(`Failed to create buffer ${label || 'unnamed'}:`, error);
-            throw new Error(`Failed to create buffer: ${error.message}`);
+            throw new Error(`Failed to draw indirectly: ${error.message}`);
         }
     }
 
     /**
-     * Write data to an existing buffer
-     * @param {number} bufferId - The buffer resource ID
-     * @param {ArrayBuffer} data - The data to write
-     * @param {number} offset - Offset in bytes
+     * Draw indexed vertices with arguments read from a buffer
+     * @param {number} passEncoderId - Render pass encoder resource ID
+     * @param {number} indirectBufferId - Buffer resource ID; the buffer needs INDIRECT usage
+     * @param {number} indirectOffset - Byte offset of the five 32-bit arguments (indexCount, instanceCount,
+     * firstIndex, baseVertex, firstInstance; multiple of 4, default: 0)
      */
-    writeBuffer(bufferId, data, offset) {
+    drawIndexedIndirect(passEncoderId, indirectBufferId, indirectOffset) {
         try {
-            const buffer = this.getResource(bufferId);
-            if (!buffer) {
-                throw new Error(`Buffer with ID ${bufferId} not found`);
-            }
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
+            const buffer = this.getIndirectBuffer(indirectBufferId, indirectOffset, DRAW_INDEXED_INDIRECT_SIZE, 'draw arguments');
 
-            this.device.queue.writeBuffer(buffer, offset, data);
+            passEncoder.drawIndexedIndirect(buffer, indirectOffset || 0);
         } catch (error) {
-            throw new Error(`Failed to write buffer: ${error.message}`);
+            throw new Error(`Failed to draw indexed indirectly: ${error.message}`);
         }
     }
 
     /**
-     * Create a render pipeline
-     * @param {object} descriptor - Pipeline descriptor
-     * @returns {number} Resource ID for the pipeline
+     * End a render pass and release its pass encoder
+     * @param {number} passEncoderId - Render pass encoder resource ID
      */
-    createRenderPipeline(descriptor) {
+    endRenderPass(passEncoderId) {
         try {
-            if (!this.device) {
-                throw new Error('Device not initialized');
-            }
+            const passEncoder = this.getResource(passEncoderId, 'render pass encoder');
 
-            // Convert shader resource IDs to actual shader modules
-            if (!descriptor.vertex || !descriptor.vertex.shaderModuleId) {
-                throw new Error('Vertex shader module ID is required');
-            }
+            passEncoder.end();
+            // An ended pass cannot record anything else, so free its handle now rather than leaking one per frame
+            this.releaseResource(passEncoderId);
+        } catch (error) {
+            throw new Error(`Failed to end render pass: ${error.message}`);
+        }
+    }
 
-            const vertexModule = this.getResource(descriptor.vertex.shaderModuleId);
-            if (!vertexModule) {
-                throw new Error(`Vertex shader module with ID ${descriptor.vertex.shaderModuleId} not found`);
-            }
+    /**
+     * Begin a compute pass
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {object} descriptor - Compute pass descriptor (label)
+     * @returns {number} Resource ID for the compute pass encoder
+     */
+    beginComputePass(encoderId, descriptor) {
+        try {
+            const encoder = this.getResource(encoderId, 'command encoder');
 
-            const pipelineDescriptor = {
-                label: descriptor.label || undefined,
-                layout: 'auto',
-                vertex: {
-                    module: vertexModule,
-                    entryPoint: descriptor.vertex.entryPoint || 'main',
-                    buffers: descriptor.vertex.buffers || []
-                }
-            };
+            const passEncoder = encoder.beginComputePass({
+                label: descriptor?.label || undefined
+            });
+            return this.storeResource(passEncoder);
+        } catch (error) {
+            this.trackError('Failed to begin compute pass', error);
+            throw error;
+        }
+    }
 
-            // Add fragment stage if provided
-            if (descriptor.fragment) {
-                if (!descriptor.fragment.shaderModuleId) {
-                    throw new Error('Fragment shader module ID is required when fragment stage is specified');
-                }
+    /**
+     * Dispatch compute work
+     * @param {number} passEncoderId - Compute pass encoder resource ID
+     * @param {number} workgroupCountX - Number of workgroups in the X dimension
+     * @param {number} workgroupCountY - Number of workgroups in the Y dimension (default: 1)
+     * @param {number} workgroupCountZ - Number of workgroups in the Z dimension (default: 1)
+     */
+    dispatchWorkgroups(passEncoderId, workgroupCountX, workgroupCountY, workgroupCountZ) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'compute pass encoder');
+            const counts = [workgroupCountX, workgroupCountY ?? 1, workgroupCountZ ?? 1];
+            this.checkWorkgroupCounts(counts);
 
-                const fragmentModule = this.getResource(descriptor.fragment.shaderModuleId);
-                if (!fragmentModule) {
-                    throw new Error(`Fragment shader module with ID ${descriptor.fragment.shaderModuleId} not found`);
-                }
+            passEncoder.dispatchWorkgroups(...counts);
+        } catch (error) {
+            throw new Error(`Failed to dispatch workgroups: ${error.message}`);
+        }
+    }
 
-                pipelineDescriptor.fragment = {
-                    module: fragmentModule,
-                    entryPoint: descriptor.fragment.entryPoint || 'main',
-                    targets: descriptor.fragment.targets || []
-                };
-            }
+    /**
+     * Check workgroup counts against the device limit. WebGPU only reports an excess as an asynchronous
+     * validation error, so catch it where the caller can see it.
+     * @param {number[]} counts - Workgroup counts in the X, Y and Z dimensions
+     */
+    checkWorkgroupCounts(counts) {
+        const limit = this.device.limits.maxComputeWorkgroupsPerDimension;
+        if (counts.some(count => count > limit)) {
+            throw new Error(`Workgroup counts (${counts.join(', ')}) exceed the device limit of ${limit} per dimension`);
+        }
+    }
 
-            // Add optional states
-            if (descriptor.primitive) {
-                pipelineDescriptor.primitive = descriptor.primitive;
-            }
-            if (descriptor.depthStencil) {
-                pipelineDescriptor.depthStencil = descriptor.depthStencil;
-            }
-            if (descriptor.multisample) {
-                pipelineDescriptor.multisample = descriptor.multisample;
-            }
+    /**
+     * Dispatch compute work with workgroup counts read from a buffer
+     * @param {number} passEncoderId - Compute pass encoder resource ID
+     * @param {number} indirectBufferId - Buffer resource ID; the buffer needs INDIRECT usage
+     * @param {number} indirectOffset - Byte offset of the three u32 workgroup counts (multiple of 4, default: 0)
+     */
+    dispatchWorkgroupsIndirect(passEncoderId, indirectBufferId, indirectOffset) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'compute pass encoder');
+            const buffer = this.getIndirectBuffer(indirectBufferId, indirectOffset, 12, 'workgroup counts');
 
-            console.log('Creating render pipeline with descriptor:', pipelineDescriptor);
-            const pipeline = this.device.createRenderPipeline(pipelineDescriptor);
-            const resourceId = this.storeResource(pipeline);
-            console.log('Created render pipeline with resource ID:', resourceId);
-            return resourceId;
+            passEncoder.dispatchWorkgroupsIndirect(buffer, indirectOffset || 0);
         } catch (error) {
-            this.trackError('Failed to create render pipeline', error);
-            throw error;
+            throw new Error(`Failed to dispatch workgroups indirectly: ${error.message}`);
         }
     }
 
     /**
-     * Create a bind group
-     * @param {object} descriptor - Bind group descriptor
-     * @returns {number} Resource ID for the bind group
+     * Get a buffer holding indirect draw or dispatch arguments, checking its usage and the arguments' range
+     * @param {number} indirectBufferId - Buffer resource ID
+     * @param {number} indirectOffset - Byte offset of the arguments (multiple of 4, default: 0)
+     * @param {number} size - Size of the arguments in bytes
+     * @param {string} description - Name of the arguments in error messages (e.g. 'draw arguments')
+     * @returns {GPUBuffer} The buffer
      */
-    createBindGroup(descriptor) {
-        try {
-            if (!this.device) {
-                throw new Error('Device not initialized');
-            }
-
-            // Get the layout (either from a pipeline or explicit layout ID)
-            let layout;
-            if (descriptor.layoutId !== null && descriptor.layoutId !== undefined) {
-                layout = this.getResource(descriptor.layoutId);
-            } else if (descriptor.pipelineId !== null && descriptor.pipelineId !== undefined) {
-                // Get layout from pipeline
-                const pipeline = this.getResource(descriptor.pipelineId);
-                if (!pipeline) {
-                    throw new Error(`Pipeline with ID ${descriptor.pipelineId} not found`);
-                }
-                layout = pipeline.getBindGroupLayout(descriptor.groupIndex || 0);
-            } else {
-                throw new Error('Must specify either layoutId or pipelineId');
-            }
+    getIndirectBuffer(indirectBufferId, indirectOffset, size, description) {
+        const buffer = this.getResource(indirectBufferId, 'buffer');
+        const offset = indirectOffset || 0;
 
-            // Convert resource IDs to actual resources
-            const entries = descriptor.entries.map(entry => {
-                const resource = this.getResource(entry.resourceId);
-                return {
-                    binding: entry.binding,
-                    resource: entry.resourceType === 'buffer' 
-                        ? { buffer: resource }
-                        : resource
-                };
-            });
+        if (!(buffer.usage & GPUBufferUsage.INDIRECT)) {
+            throw new Error('The buffer was not created with INDIRECT usage');
+        }
+        if (offset % 4 !== 0) {
+            throw new Error(`Indirect offset ${offset} must be a multiple of 4`);
+        }
+        if (offset + size > buffer.size) {
+            throw new Error(`The ${description} at offset ${offset} extend past the end of the ${buffer.size}-byte buffer`);
+        }
+        return buffer;
+    }
 
-            const bindGroupDescriptor = {
-                label: descriptor.label || undefined,
-                layout: layout,
-                entries: entries
-            };
+    /**
+     * End a compute pass and release its pass encoder
+     * @param {number} passEncoderId - Compute pass encoder resource ID
+     */
+    endComputePass(passEncoderId) {
+        try {
+            const passEncoder = this.getResource(passEncoderId, 'compute pass encoder');
 
-            const bindGroup = this.device.createBindGroup(bindGroupDescriptor);
-            return this.storeResource(bindGroup);
+            passEncoder.end();
+            this.releaseResource(passEncoderId);
         } catch (error) {
-            throw new Error(`Failed to create bind group: ${error.message}`);
+            throw new Error(`Failed to end compute pass: ${error.message}`);
         }
     }
 
     /**
-     * Create a command encoder
-     * @param {string} label - Optional label for debugging
-     * @returns {number} Resource ID for the command encoder
+     * Run a stream of pass commands recorded into one array, so a frame's draws cost one interop call instead
+     * of one per command. A command that fails is skipped and execution continues with the next one, so passes
+     * still end; the errors are returned with the index of the command that raised each one. A pass whose
+     * END_PASS fails is released, since nothing more can be recorded into it.
+     * @param {number} encoderId - Command encoder resource ID that BEGIN_RENDER_PASS and BEGIN_COMPUTE_PASS begin passes on
+     * @param {Uint8Array|ArrayBuffer|Uint32Array|number[]} commands - The command words (see COMMAND_OPCODES)
+     * @param {object[]} descriptors - Render and compute pass descriptors referenced by index from the stream
+     * @returns {object} errors (index, command, message; empty if every command succeeded) and openPassIds,
+     * the IDs of passes begun by the stream that are still open at its end
      */
-    createCommandEncoder(label) {
+    executeCommands(encoderId, commands, descriptors) {
         try {
-            if (!this.device) {
-                throw new Error('Device not initialized');
+            const words = getCommandWords(commands);
+            const signedWords = new Int32Array(words.buffer, words.byteOffset, words.length);
+            const errors = [];
+            const openPassIds = new Set();
+            let passEncoderId = null;
+            let passEncoder = null;
+            let position = 0;
+            let index = 0;
+            let opcode = 0;
+
+            while (position < words.length) {
+                try {
+                    // One try around the whole run; an error is recorded and the run resumes after the failed command
+                    for (; position < words.length; index++) {
+                        opcode = words[position] & 0xFFFF;
+                        const start = position + 1;
+                        const count = words[position] >>> 16;
+                        if (start + count > words.length) {
+                            position = words.length;
+                            throw new Error(`The command's ${count} arguments extend past the end of the stream`);
+                        }
+                        position = start + count;
+
+                        if (opcode === COMMAND_OPCODES.BEGIN_RENDER_PASS || opcode === COMMAND_OPCODES.BEGIN_COMPUTE_PASS) {
+                            // A pass that fails to begin must not leave later commands recording into the previous one
+                            passEncoderId = null;
+                            passEncoder = null;
+                            const descriptor = descriptors?.[words[start]];
+                            if (!descriptor) {
+                                throw new Error(`No pass descriptor at index ${words[start]}`);
+                            }
+                            passEncoderId = opcode === COMMAND_OPCODES.BEGIN_RENDER_PASS
+                                ? this.beginRenderPass(encoderId, descriptor)
+                                : this.beginComputePass(encoderId, descriptor);
+                            passEncoder = this.resources.get(passEncoderId);
+                            openPassIds.add(passEncoderId);
+                            continue;
+                        }
+                        if (opcode === COMMAND_OPCODES.SET_PASS) {
+                            passEncoderId = null;
+                            passEncoder = this.getResource(words[start], ['render pass encoder', 'compute pass encoder']);
+                            passEncoderId = words[start];
+                            continue;
+                        }
+                        if (passEncoderId === null) {
+                            throw new Error('No pass has been begun or selected');
+                        }
+                        if (opcode === COMMAND_OPCODES.END_PASS) {
+                            passEncoder.end();
+                            // An ended pass cannot record anything else, so free its handle now
+                            this.releaseResource(passEncoderId);
+                            openPassIds.delete(passEncoderId);
+                            passEncoderId = null;
+                            passEncoder = null;
+                            continue;
+                        }
+
+                        this.executeCommand(passEncoder, opcode, words, signedWords, start, count);
+                    }
+                } catch (error) {
+                    errors.push({ index: index, command: COMMAND_NAMES[opcode] || `opcode ${opcode}`, message: error.message });
+                    index++;
+
+                    if (opcode === COMMAND_OPCODES.END_PASS && passEncoderId !== null) {
+                        // Don't record later commands into a pass that failed to end, or leave its handle live
+                        if (this.resources.get(passEncoderId) === passEncoder) {
+                            this.releaseResource(passEncoderId);
+                        }
+                        openPassIds.delete(passEncoderId);
+                        passEncoderId = null;
+                        passEncoder = null;
+                    }
+                }
             }
 
-            const encoder = this.device.createCommandEncoder({
-                label: label || undefined
-            });
-
-            return this.storeResource(encoder);
+            return { errors: errors, openPassIds: Array.from(openPassIds) };
         } catch (error) {
-            throw new Error(`Failed to create command encoder: ${error.message}`);
+            throw new Error(`Failed to execute commands: ${error.message}`);
         }
     }
 
     /**
-     * Begin a render pass
-     * @param {number} encoderId - Command encoder resource ID
-     * @param {object} descriptor - Render pass descriptor
-     * @returns {number} Resource ID for the render pass encoder
+     * Record one pass command of a command stream straight into the pass encoder. Errors are left to
+     * executeCommands, which reports them with the index of the command.
+     * @param {GPURenderPassEncoder|GPUComputePassEncoder} passEncoder - The current pass encoder
+     * @param {number} opcode - The command's opcode
+     * @param {Uint32Array} words - The command stream
+     * @param {Int32Array} signedWords - The command stream read as signed words
+     * @param {number} start - Index of the command's first argument word
+     * @param {number} count - Number of argument words
      */
-    beginRenderPass(encoderId, descriptor) {
-        try {
-            const encoder = this.getResource(encoderId);
-            if (!encoder) {
-                throw new Error(`Command encoder with ID ${encoderId} not found`);
+    executeCommand(passEncoder, opcode, words, signedWords, start, count) {
+        const size = value => value === COMMAND_WHOLE_SIZE ? undefined : value;
+        const isCompute = passEncoder instanceof GPUComputePassEncoder;
+        const requirePass = compute => {
+            if (isCompute !== compute) {
+                throw new Error(`${COMMAND_NAMES[opcode]} needs a ${compute ? 'compute' : 'render'} pass but the current pass is a ${isCompute ? 'compute' : 'render'} pass`);
             }
+        };
 
-            // Convert resource IDs to actual resources
-            const colorAttachments = descriptor.colorAttachments.map(att => {
-                const view = att.viewId !== undefined 
-                    ? this.getResource(att.viewId)
-                    : undefined;
-                
-                return {
-                    view: view,
-                    resolveTarget: att.resolveTargetId !== undefined
-                        ? this.getResource(att.resolveTargetId)
-                        : undefined,
-                    loadOp: att.loadOp,
-                    storeOp: att.storeOp,
-                    clearValue: att.clearValue
-                };
-            });
-
-            const passDescriptor = {
-                label: descriptor.label || undefined,
-                colorAttachments: colorAttachments
-            };
-
-            // Add depth/stencil if provided
-            if (descriptor.depthStencilAttachment) {
-                const ds = descriptor.depthStencilAttachment;
-                passDescriptor.depthStencilAttachment = {
-                    view: this.getResource(ds.viewId),
-                    depthLoadOp: ds.depthLoadOp,
-                    depthStoreOp: ds.depthStoreOp,
-                    depthClearValue: ds.depthClearValue,
-                    stencilLoadOp: ds.stencilLoadOp,
-                    stencilStoreOp: ds.stencilStoreOp,
-                    stencilClearValue: ds.stencilClearValue
-                };
+        switch (opcode) {
+            case COMMAND_OPCODES.SET_PIPELINE:
+                passEncoder.setPipeline(this.getResource(words[start], isCompute ? 'compute pipeline' : 'render pipeline'));
+                break;
+            case COMMAND_OPCODES.SET_BIND_GROUP: {
+                const bindGroup = this.getResource(words[start + 1], 'bind group');
+                passEncoder.setBindGroup(words[start], this.resolveBindGroup(bindGroup), words, start + 2, count - 2);
+                break;
             }
-
-            const passEncoder = encoder.beginRenderPass(passDescriptor);
-            return this.storeResource(passEncoder);
-        } catch (error) {
-            this.trackError('Failed to begin render pass', error);
-            throw error;
+            case COMMAND_OPCODES.SET_VERTEX_BUFFER:
+                requirePass(false);
+                passEncoder.setVertexBuffer(words[start], this.getResource(words[start + 1], 'buffer'), words[start + 2], size(words[start + 3]));
+                break;
+            case COMMAND_OPCODES.SET_INDEX_BUFFER:
+                requirePass(false);
+                passEncoder.setIndexBuffer(this.getResource(words[start], 'buffer'), words[start + 1] ? 'uint32' : 'uint16', words[start + 2], size(words[start + 3]));
+                break;
+            case COMMAND_OPCODES.DRAW:
+                requirePass(false);
+                passEncoder.draw(words[start], words[start + 1], words[start + 2], words[start + 3]);
+                break;
+            case COMMAND_OPCODES.DRAW_INDEXED:
+                requirePass(false);
+                passEncoder.drawIndexed(words[start], words[start + 1], words[start + 2], signedWords[start + 3], words[start + 4]);
+                break;
+            case COMMAND_OPCODES.DRAW_INDIRECT:
+                requirePass(false);
+                passEncoder.drawIndirect(this.getIndirectBuffer(words[start], words[start + 1], DRAW_INDIRECT_SIZE, 'draw arguments'), words[start + 1]);
+                break;
+            case COMMAND_OPCODES.DRAW_INDEXED_INDIRECT:
+                requirePass(false);
+                passEncoder.drawIndexedIndirect(this.getIndirectBuffer(words[start], words[start + 1], DRAW_INDEXED_INDIRECT_SIZE, 'draw arguments'), words[start + 1]);
+                break;
+            case COMMAND_OPCODES.DISPATCH_WORKGROUPS: {
+                requirePass(true);
+                const counts = [words[start], words[start + 1], words[start + 2]];
+                this.checkWorkgroupCounts(counts);
+                passEncoder.dispatchWorkgroups(...counts);
+                break;
+            }
+            case COMMAND_OPCODES.DISPATCH_WORKGROUPS_INDIRECT:
+                requirePass(true);
+                passEncoder.dispatchWorkgroupsIndirect(this.getIndirectBuffer(words[start], words[start + 1], 12, 'workgroup counts'), words[start + 1]);
+                break;
+            default:
+                throw new Error(`Unknown opcode ${opcode}`);
         }
     }
 
     /**
-     * Set the pipeline for a render pass
-     * @param {number} passEncoderId - Render pass encoder resource ID
-     * @param {number} pipelineId - Pipeline resource ID
+     * Create a query set for occlusion or timestamp queries
+     * @param {object} descriptor - Query set descriptor (type: 'occlusion' or 'timestamp', count, label)
+     * @returns {number} Resource ID for the query set
      */
-    setPipeline(passEncoderId, pipelineId) {
+    createQuerySet(descriptor) {
         try {
-            const passEncoder = this.getResource(passEncoderId);
-            const pipeline = this.getResource(pipelineId);
-            
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
+            if (!this.device) {
+                throw new Error('Device not initialized');
             }
-            if (!pipeline) {
-                throw new Error(`Pipeline with ID ${pipelineId} not found`);
+            if (descriptor.type === 'timestamp' && !this.device.features.has('timestamp-query')) {
+                throw new Error('The device does not support timestamp-query');
             }
 
-            passEncoder.setPipeline(pipeline);
+            const querySet = this.device.createQuerySet({
+                label: descriptor.label || undefined,
+                type: descriptor.type,
+                count: descriptor.count
+            });
+
+            return this.storeResource(querySet);
         } catch (error) {
-            this.trackError('Failed to set pipeline', error);
-            throw error;
+            throw new Error(`Failed to create query set: ${error.message}`);
         }
     }
 
     /**
-     * Set a bind group for a render pass
-     * @param {number} passEncoderId - Render pass encoder resource ID
-     * @param {number} index - Bind group index
-     * @param {number} bindGroupId - Bind group resource ID
+     * Get a command encoder by ID
+     * @param {number} encoderId - Command encoder resource ID
+     * @returns {GPUCommandEncoder} The command encoder
      */
-    setBindGroup(passEncoderId, index, bindGroupId) {
-        try {
-            const passEncoder = this.getResource(passEncoderId);
-            const bindGroup = this.getResource(bindGroupId);
-            
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
-            }
-            if (!bindGroup) {
-                throw new Error(`Bind group with ID ${bindGroupId} not found`);
-            }
+    getCommandEncoder(encoderId) {
+        return this.getResource(encoderId, 'command encoder');
+    }
+
+    /**
+     * Get a buffer by ID
+     * @param {number} bufferId - Buffer resource ID
+     * @returns {GPUBuffer} The buffer
+     */
+    getBuffer(bufferId) {
+        return this.getResource(bufferId, 'buffer');
+    }
+
+    /**
+     * Convert a texture copy location from the C# layer into a GPUTexelCopyTextureInfo
+     * @param {object} location - Texture location (textureId, mipLevel, x, y, z, aspect)
+     * @returns {object} The copy texture info
+     */
+    toTexelCopyTextureInfo(location) {
+        const texture = this.getResource(location.textureId, 'texture');
+
+        return {
+            texture: texture,
+            mipLevel: location.mipLevel || 0,
+            origin: { x: location.x || 0, y: location.y || 0, z: location.z || 0 },
+            aspect: location.aspect || 'all'
+        };
+    }
 
-            passEncoder.setBindGroup(index, bindGroup);
+    /**
+     * Convert a buffer copy layout from the C# layer into a GPUTexelCopyBufferInfo
+     * @param {object} layout - Buffer layout (bufferId, offset, bytesPerRow, rowsPerImage)
+     * @returns {object} The copy buffer info
+     */
+    toTexelCopyBufferInfo(layout) {
+        return {
+            buffer: this.getBuffer(layout.bufferId),
+            offset: layout.offset || 0,
+            bytesPerRow: layout.bytesPerRow ?? undefined,
+            rowsPerImage: layout.rowsPerImage ?? undefined
+        };
+    }
+
+    /**
+     * Record a buffer to buffer copy
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {number} sourceId - Source buffer resource ID (needs COPY_SRC usage)
+     * @param {number} sourceOffset - Source offset in bytes (multiple of 4)
+     * @param {number} destinationId - Destination buffer resource ID (needs COPY_DST usage)
+     * @param {number} destinationOffset - Destination offset in bytes (multiple of 4)
+     * @param {number} size - Number of bytes to copy (multiple of 4)
+     */
+    copyBufferToBuffer(encoderId, sourceId, sourceOffset, destinationId, destinationOffset, size) {
+        try {
+            const encoder = this.getCommandEncoder(encoderId);
+            encoder.copyBufferToBuffer(
+                this.getBuffer(sourceId), sourceOffset,
+                this.getBuffer(destinationId), destinationOffset,
+                size
+            );
         } catch (error) {
-            throw new Error(`Failed to set bind group: ${error.message}`);
+            throw new Error(`Failed to copy buffer to buffer: ${error.message}`);
         }
     }
 
     /**
-     * Set a vertex buffer for a render pass
-     * @param {number} passEncoderId - Render pass encoder resource ID
-     * @param {number} slot - Vertex buffer slot
-     * @param {number} bufferId - Buffer resource ID
+     * Record a buffer to texture copy
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {object} source - Source buffer layout (bufferId, offset, bytesPerRow, rowsPerImage)
+     * @param {object} destination - Destination texture location (textureId, mipLevel, x, y, z, aspect)
+     * @param {object} copySize - Extent to copy (width, height, depthOrArrayLayers)
      */
-    setVertexBuffer(passEncoderId, slot, bufferId) {
+    copyBufferToTexture(encoderId, source, destination, copySize) {
         try {
-            const passEncoder = this.getResource(passEncoderId);
-            const buffer = this.getResource(bufferId);
-            
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
-            }
-            if (!buffer) {
-                throw new Error(`Buffer with ID ${bufferId} not found`);
-            }
-
-            passEncoder.setVertexBuffer(slot, buffer);
+            const encoder = this.getCommandEncoder(encoderId);
+            encoder.copyBufferToTexture(
+                this.toTexelCopyBufferInfo(source),
+                this.toTexelCopyTextureInfo(destination),
+                copySize
+            );
         } catch (error) {
-            throw new Error(`Failed to set vertex buffer: ${error.message}`);
+            throw new Error(`Failed to copy buffer to texture: ${error.message}`);
         }
     }
 
     /**
-     * Set an index buffer for a render pass
-     * @param {number} passEncoderId - Render pass encoder resource ID
-     * @param {number} bufferId - Buffer resource ID
-     * @param {string} format - Index format ('uint16' or 'uint32')
+     * Record a texture to buffer copy
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {object} source - Source texture location (textureId, mipLevel, x, y, z, aspect)
+     * @param {object} destination - Destination buffer layout (bufferId, offset, bytesPerRow, rowsPerImage)
+     * @param {object} copySize - Extent to copy (width, height, depthOrArrayLayers)
      */
-    setIndexBuffer(passEncoderId, bufferId, format) {
+    copyTextureToBuffer(encoderId, source, destination, copySize) {
         try {
-            const passEncoder = this.getResource(passEncoderId);
-            const buffer = this.getResource(bufferId);
-            
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
-            }
-            if (!buffer) {
-                throw new Error(`Buffer with ID ${bufferId} not found`);
-            }
-
-            passEncoder.setIndexBuffer(buffer, format);
+            const encoder = this.getCommandEncoder(encoderId);
+            encoder.copyTextureToBuffer(
+                this.toTexelCopyTextureInfo(source),
+                this.toTexelCopyBufferInfo(destination),
+                copySize
+            );
         } catch (error) {
-            throw new Error(`Failed to set index buffer: ${error.message}`);
+            throw new Error(`Failed to copy texture to buffer: ${error.message}`);
         }
     }
 
     /**
-     * Draw vertices
-     * @param {number} passEncoderId - Render pass encoder resource ID
-     * @param {number} vertexCount - Number of vertices to draw
-     * @param {number} instanceCount - Number of instances to draw
-     * @param {number} firstVertex - First vertex index
-     * @param {number} firstInstance - First instance index
+     * Record a texture to texture copy
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {object} source - Source texture location (textureId, mipLevel, x, y, z, aspect)
+     * @param {object} destination - Destination texture location (textureId, mipLevel, x, y, z, aspect)
+     * @param {object} copySize - Extent to copy (width, height, depthOrArrayLayers)
      */
-    draw(passEncoderId, vertexCount, instanceCount, firstVertex, firstInstance) {
+    copyTextureToTexture(encoderId, source, destination, copySize) {
         try {
-            const passEncoder = this.getResource(passEncoderId);
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
-            }
-
-            passEncoder.draw(vertexCount, instanceCount, firstVertex, firstInstance);
+            const encoder = this.getCommandEncoder(encoderId);
+            encoder.copyTextureToTexture(
+                this.toTexelCopyTextureInfo(source),
+                this.toTexelCopyTextureInfo(destination),
+                copySize
+            );
         } catch (error) {
-            throw new Error(`Failed to draw: ${error.message}`);
+            throw new Error(`Failed to copy texture to texture: ${error.message}`);
         }
     }
 
     /**
-     * Draw indexed vertices
-     * @param {number} passEncoderId - Render pass encoder resource ID
-     * @param {number} indexCount - Number of indices to draw
-     * @param {number} instanceCount - Number of instances to draw
-     * @param {number} firstIndex - First index
-     * @param {number} baseVertex - Base vertex offset
-     * @param {number} firstInstance - First instance index
+     * Record a fill of a buffer range with zeros
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {number} bufferId - Buffer resource ID (needs COPY_DST usage)
+     * @param {number} offset - Offset in bytes (multiple of 4)
+     * @param {number} size - Number of bytes to clear (multiple of 4, null clears to the end of the buffer)
      */
-    drawIndexed(passEncoderId, indexCount, instanceCount, firstIndex, baseVertex, firstInstance) {
+    clearBuffer(encoderId, bufferId, offset, size) {
         try {
-            const passEncoder = this.getResource(passEncoderId);
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
-            }
-
-            passEncoder.drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
+            const encoder = this.getCommandEncoder(encoderId);
+            encoder.clearBuffer(this.getBuffer(bufferId), offset || 0, size ?? undefined);
         } catch (error) {
-            throw new Error(`Failed to draw indexed: ${error.message}`);
+            throw new Error(`Failed to clear buffer: ${error.message}`);
         }
     }
 
     /**
-     * End a render pass
-     * @param {number} passEncoderId - Render pass encoder resource ID
+     * Record the resolution of query results into a buffer
+     * @param {number} encoderId - Command encoder resource ID
+     * @param {number} querySetId - Query set resource ID
+     * @param {number} firstQuery - Index of the first query to resolve
+     * @param {number} queryCount - Number of queries to resolve
+     * @param {number} destinationId - Destination buffer resource ID (needs QUERY_RESOLVE usage)
+     * @param {number} destinationOffset - Destination offset in bytes (multiple of 256)
      */
-    endRenderPass(passEncoderId) {
+    resolveQuerySet(encoderId, querySetId, firstQuery, queryCount, destinationId, destinationOffset) {
         try {
-            const passEncoder = this.getResource(passEncoderId);
-            if (!passEncoder) {
-                throw new Error(`Render pass encoder with ID ${passEncoderId} not found`);
-            }
+            const encoder = this.getCommandEncoder(encoderId);
+            const querySet = this.getResource(querySetId, 'query set');
 
-            passEncoder.end();
-            // Don't release the resource yet - it might be used for reference
+            encoder.resolveQuerySet(querySet, firstQuery, queryCount, this.getBuffer(destinationId), destinationOffset || 0);
         } catch (error) {
-            throw new Error(`Failed to end render pass: ${error.message}`);
+            throw new Error(`Failed to resolve query set: ${error.message}`);
         }
     }
 
     /**
-     * Finish command encoder and return command buffer
+     * Finish command encoder, release it and return the command buffer
      * @param {number} encoderId - Command encoder resource ID
      * @returns {number} Resource ID for the command buffer
      */
     finishCommandEncoder(encoderId) {
         try {
-            const encoder = this.getResource(encoderId);
-            if (!encoder) {
-                throw new Error(`Command encoder with ID ${encoderId} not found`);
-            }
+            const encoder = this.getResource(encoderId, 'command encoder');
 
             const commandBuffer = encoder.finish();
+            // A finished encoder cannot be used again; releasing it later from C# is a no-op
+            this.releaseResource(encoderId);
             return this.storeResource(commandBuffer);
         } catch (error) {
             throw new Error(`Failed to finish command encoder: ${error.message}`);
@@ -1032,8 +6315,8 @@ export function getCanvasContext(canvasId) {
     return webGpuInterop.getCanvasContext(canvasId);
 }
 
-export function configureCanvasContext(contextId, config) {
-    webGpuInterop.configureCanvasContext(contextId, config);
+export async function configureCanvasContext(contextId, config) {
+    await webGpuInterop.configureCanvasContext(contextId, config);
 }
 
 export function getCurrentTexture(contextId) {
@@ -1044,6 +6327,82 @@ export function createTextureView(textureId, descriptor) {
     return webGpuInterop.createTextureView(textureId, descriptor);
 }
 
+export function createTexture(descriptor) {
+    return webGpuInterop.createTexture(descriptor);
+}
+
+export function writeTexture(textureId, data, descriptor) {
+    webGpuInterop.writeTexture(textureId, data, descriptor);
+}
+
+export async function loadTextureFromUrlAsync(url, options) {
+    return await webGpuInterop.loadTextureFromUrlAsync(url, options);
+}
+
+export async function loadTextureFromBytesAsync(data, options) {
+    return await webGpuInterop.loadTextureFromBytesAsync(data, options);
+}
+
+export async function loadTextureFromBlobAsync(source, options) {
+    return await webGpuInterop.loadTextureFromBlobAsync(source, options);
+}
+
+export async function loadCubeTextureFromUrlsAsync(urls, options) {
+    return await webGpuInterop.loadCubeTextureFromUrlsAsync(urls, options);
+}
+
+export async function loadCubeTextureFromCrossAsync(url, options) {
+    return await webGpuInterop.loadCubeTextureFromCrossAsync(url, options);
+}
+
+export async function loadTextureArrayFromUrlsAsync(urls, options) {
+    return await webGpuInterop.loadTextureArrayFromUrlsAsync(urls, options);
+}
+
+export async function loadCompressedTextureFromUrlAsync(url, options) {
+    return await webGpuInterop.loadCompressedTextureFromUrlAsync(url, options);
+}
+
+export async function loadCompressedTextureFromBytesAsync(data, options) {
+    return await webGpuInterop.loadCompressedTextureFromBytesAsync(data, options);
+}
+
+export async function loadHdrTextureFromUrlAsync(url, options) {
+    return await webGpuInterop.loadHdrTextureFromUrlAsync(url, options);
+}
+
+export function loadHdrTextureFromBytes(data, options) {
+    return webGpuInterop.loadHdrTextureFromBytes(data, options);
+}
+
+export function convertEquirectangularToCubemap(textureId, options) {
+    return webGpuInterop.convertEquirectangularToCubemap(textureId, options);
+}
+
+export function createVideoSource(element) {
+    return webGpuInterop.createVideoSource(element);
+}
+
+export async function createVideoSourceFromUrlAsync(url, options) {
+    return await webGpuInterop.createVideoSourceFromUrlAsync(url, options);
+}
+
+export async function createVideoSourceFromCameraAsync(constraints) {
+    return await webGpuInterop.createVideoSourceFromCameraAsync(constraints);
+}
+
+export function updateVideoTexture(sourceId) {
+    return webGpuInterop.updateVideoTexture(sourceId);
+}
+
+export function generateMipmaps(textureId) {
+    webGpuInterop.generateMipmaps(textureId);
+}
+
+export function createSampler(descriptor) {
+    return webGpuInterop.createSampler(descriptor);
+}
+
 export async function createShaderModuleAsync(wgslCode) {
     return await webGpuInterop.createShaderModuleAsync(wgslCode);
 }
@@ -1076,14 +6435,94 @@ export function createBuffer(data, usage, label) {
     return webGpuInterop.createBuffer(data, usage, label);
 }
 
+export function createBufferWithDescriptor(descriptor) {
+    return webGpuInterop.createBufferWithDescriptor(descriptor);
+}
+
 export function writeBuffer(bufferId, data, offset) {
     webGpuInterop.writeBuffer(bufferId, data, offset);
 }
 
+export function createUniformRing(descriptor) {
+    return webGpuInterop.createUniformRing(descriptor);
+}
+
+export function writeUniformRing(ringId, data, sizes) {
+    return webGpuInterop.writeUniformRing(ringId, data, sizes);
+}
+
+export function reduceBuffer(inputBufferId, outputBufferId, options) {
+    webGpuInterop.reduceBuffer(inputBufferId, outputBufferId, options);
+}
+
+export function exclusiveScanBuffer(inputBufferId, outputBufferId, options) {
+    webGpuInterop.exclusiveScanBuffer(inputBufferId, outputBufferId, options);
+}
+
+export function radixSortBuffer(keysBufferId, valuesBufferId, options) {
+    webGpuInterop.radixSortBuffer(keysBufferId, valuesBufferId, options);
+}
+
+export function createParticleSystem(descriptor) {
+    return webGpuInterop.createParticleSystem(descriptor);
+}
+
+export function updateParticleSystem(systemId, encoderId, deltaTime, emitters) {
+    webGpuInterop.updateParticleSystem(systemId, encoderId, deltaTime, emitters);
+}
+
+export function drawParticleSystem(systemId, passEncoderId, viewMatrix, projectionMatrix) {
+    webGpuInterop.drawParticleSystem(systemId, passEncoderId, viewMatrix, projectionMatrix);
+}
+
+export function createFrustumCuller(descriptor) {
+    return webGpuInterop.createFrustumCuller(descriptor);
+}
+
+export function cullInstances(cullerId, encoderId, viewProjectionMatrix) {
+    webGpuInterop.cullInstances(cullerId, encoderId, viewProjectionMatrix);
+}
+
+export function createPickingTarget(descriptor) {
+    return webGpuInterop.createPickingTarget(descriptor);
+}
+
+export function resizePickingTarget(targetId, width, height) {
+    return webGpuInterop.resizePickingTarget(targetId, width, height);
+}
+
+export async function pickAsync(targetId, x, y, width, height) {
+    return await webGpuInterop.pickAsync(targetId, x, y, width, height);
+}
+
+export async function readBufferAsync(bufferId, offset, size) {
+    return await webGpuInterop.readBufferAsync(bufferId, offset, size);
+}
+
+export async function captureTextureAsync(textureId, mimeType, quality) {
+    return await webGpuInterop.captureTextureAsync(textureId, mimeType, quality);
+}
+
+export async function captureCanvasAsync(contextId, mimeType, quality) {
+    return await webGpuInterop.captureCanvasAsync(contextId, mimeType, quality);
+}
+
 export function createRenderPipeline(descriptor) {
     return webGpuInterop.createRenderPipeline(descriptor);
 }
 
+export function createComputePipeline(descriptor) {
+    return webGpuInterop.createComputePipeline(descriptor);
+}
+
+export function createBindGroupLayout(descriptor) {
+    return webGpuInterop.createBindGroupLayout(descriptor);
+}
+
+export function createPipelineLayout(descriptor) {
+    return webGpuInterop.createPipelineLayout(descriptor);
+}
+
 export function createBindGroup(descriptor) {
     return webGpuInterop.createBindGroup(descriptor);
 }
@@ -1100,16 +6539,16 @@ export function setPipeline(passEncoderId, pipelineId) {
     webGpuInterop.setPipeline(passEncoderId, pipelineId);
 }
 
-export function setBindGroup(passEncoderId, index, bindGroupId) {
-    webGpuInterop.setBindGroup(passEncoderId, index, bindGroupId);
+export function setBindGroup(passEncoderId, index, bindGroupId, dynamicOffsets) {
+    webGpuInterop.setBindGroup(passEncoderId, index, bindGroupId, dynamicOffsets);
 }
 
-export function setVertexBuffer(passEncoderId, slot, bufferId) {
-    webGpuInterop.setVertexBuffer(passEncoderId, slot, bufferId);
+export function setVertexBuffer(passEncoderId, slot, bufferId, offset, size) {
+    webGpuInterop.setVertexBuffer(passEncoderId, slot, bufferId, offset, size);
 }
 
-export function setIndexBuffer(passEncoderId, bufferId, format) {
-    webGpuInterop.setIndexBuffer(passEncoderId, bufferId, format);
+export function setIndexBuffer(passEncoderId, bufferId, format, offset, size) {
+    webGpuInterop.setIndexBuffer(passEncoderId, bufferId, format, offset, size);
 }
 
 export function draw(passEncoderId, vertexCount, instanceCount, firstVertex, firstInstance) {
@@ -1120,14 +6559,74 @@ export function drawIndexed(passEncoderId, indexCount, instanceCount, firstIndex
     webGpuInterop.drawIndexed(passEncoderId, indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
 }
 
+export function drawIndirect(passEncoderId, indirectBufferId, indirectOffset) {
+    webGpuInterop.drawIndirect(passEncoderId, indirectBufferId, indirectOffset);
+}
+
+export function drawIndexedIndirect(passEncoderId, indirectBufferId, indirectOffset) {
+    webGpuInterop.drawIndexedIndirect(passEncoderId, indirectBufferId, indirectOffset);
+}
+
 export function endRenderPass(passEncoderId) {
     webGpuInterop.endRenderPass(passEncoderId);
 }
 
+export function beginComputePass(encoderId, descriptor) {
+    return webGpuInterop.beginComputePass(encoderId, descriptor);
+}
+
+export function dispatchWorkgroups(passEncoderId, workgroupCountX, workgroupCountY, workgroupCountZ) {
+    webGpuInterop.dispatchWorkgroups(passEncoderId, workgroupCountX, workgroupCountY, workgroupCountZ);
+}
+
+export function dispatchWorkgroupsIndirect(passEncoderId, indirectBufferId, indirectOffset) {
+    webGpuInterop.dispatchWorkgroupsIndirect(passEncoderId, indirectBufferId, indirectOffset);
+}
+
+export function endComputePass(passEncoderId) {
+    webGpuInterop.endComputePass(passEncoderId);
+}
+
+export function executeCommands(encoderId, commands, descriptors) {
+    return webGpuInterop.executeCommands(encoderId, commands, descriptors);
+}
+
+export function createQuerySet(descriptor) {
+    return webGpuInterop.createQuerySet(descriptor);
+}
+
+export function copyBufferToBuffer(encoderId, sourceId, sourceOffset, destinationId, destinationOffset, size) {
+    webGpuInterop.copyBufferToBuffer(encoderId, sourceId, sourceOffset, destinationId, destinationOffset, size);
+}
+
+export function copyBufferToTexture(encoderId, source, destination, copySize) {
+    webGpuInterop.copyBufferToTexture(encoderId, source, destination, copySize);
+}
+
+export function copyTextureToBuffer(encoderId, source, destination, copySize) {
+    webGpuInterop.copyTextureToBuffer(encoderId, source, destination, copySize);
+}
+
+export function copyTextureToTexture(encoderId, source, destination, copySize) {
+    webGpuInterop.copyTextureToTexture(encoderId, source, destination, copySize);
+}
+
+export function clearBuffer(encoderId, bufferId, offset, size) {
+    webGpuInterop.clearBuffer(encoderId, bufferId, offset, size);
+}
+
+export function resolveQuerySet(encoderId, querySetId, firstQuery, queryCount, destinationId, destinationOffset) {
+    webGpuInterop.resolveQuerySet(encoderId, querySetId, firstQuery, queryCount, destinationId, destinationOffset);
+}
+
 export function finishCommandEncoder(encoderId) {
     return webGpuInterop.finishCommandEncoder(encoderId);
 }
 
+export function getResourceSummary() {
+    return webGpuInterop.getResourceSummary();
+}
+
 export function getErrorStatistics() {
     return webGpuInterop.getErrorStatistics();
 }